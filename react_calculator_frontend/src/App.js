@@ -1,416 +1,707 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useReducer, useRef, useState } from 'react';
 import './App.css';
+import { describeChange, speakText } from './utils/announce';
+import { clipboardValue, interpretPaste } from './utils/clipboard';
+import { RateTableError, loadRateTable, parseRateTable, saveRateTable } from './utils/currency';
+import { loadHolidays, saveHolidays } from './utils/dates';
+import { DEFAULT_PRECISION } from './utils/decimal';
+import {
+  createInitialState,
+  getAmortizationSchedule,
+  getCompoundInterest,
+  getConvertedValue,
+  getCurrencyConversion,
+  getDateCalculation,
+  getExpressionOptions,
+  getFractionText,
+  getLastOperationText,
+  getStatistics,
+  isError,
+  isInitialState,
+  reduce,
+} from './utils/engine';
+import { loadHistory, saveHistory } from './utils/history';
+import {
+  findCommand,
+  formatKey,
+  keyFromEvent,
+  loadKeyOverrides,
+  rebindKey,
+  resolveBindings,
+  saveKeyOverrides,
+} from './utils/keybindings';
+import { loadMemory, saveMemory } from './utils/memory';
+import { loadSettings, saveSettings } from './utils/settings';
+import {
+  calculationToHash,
+  parseCalculationHash,
+  resultMessage,
+  shareUrl,
+} from './utils/share';
+import { defaultStorage } from './utils/storage';
+import { loadDefinitions, saveDefinitions } from './utils/variables';
+import {
+  LOCALE_OPTIONS,
+  formatDate,
+  formatDatesInText,
+  formatNumber,
+  formatNumbersInText,
+  getNumberSymbols,
+  loadLocalePreference,
+  resolveLocale,
+  saveLocalePreference,
+} from './utils/locale';
+import {
+  PaletteError,
+  THEME_MODES,
+  applyTheme,
+  loadThemeSettings,
+  parsePalette,
+  saveThemeSettings,
+} from './utils/theme';
+import HistoryPanel from './components/HistoryPanel';
+import MemoryPanel from './components/MemoryPanel';
+import VariablesPanel from './components/VariablesPanel';
+import ScientificKeypad from './components/ScientificKeypad';
+import ProgrammerPanel from './components/ProgrammerPanel';
+import ConverterPanel from './components/ConverterPanel';
+import CurrencyPanel from './components/CurrencyPanel';
+import DatePanel from './components/DatePanel';
+import FinancialPanel from './components/FinancialPanel';
+import StatisticsPanel from './components/StatisticsPanel';
+import FractionPanel from './components/FractionPanel';
+import GraphPanel from './components/GraphPanel';
+import KeyboardHelp from './components/KeyboardHelp';
+import KeyGrid from './components/KeyGrid';
+import PaletteEditor from './components/PaletteEditor';
+import { isValidDigit } from './utils/programmer';
+import { DEFAULT_DISPLAY_DIGITS, toNotation } from './utils/notation';
+import { applyUpdate, subscribeToUpdates } from './serviceWorkerRegistration';
 
 /**
- * Utility: Round to a fixed precision to avoid floating point artifacts.
- * @param {number} value - numeric value to round
- * @param {number} decimals - decimal places to keep
- * @returns {number} rounded number
+ * Utility: The command a key press triggers: the binding for the key in the current
+ * mode, or the decimal point for ',' in locales that write decimals with a comma.
+ * @param {Array} bindings - from resolveBindings()
+ * @param {string} key - KeyboardEvent.key
+ * @param {{programmerMode?: boolean, decimalSeparator?: string}} options
+ * @returns {object|null} command ({ id, action, ... }); action is null for UI commands
  */
-function roundToPrecision(value, decimals = 10) {
-  const factor = Math.pow(10, decimals);
-  return Math.round(value * factor) / factor;
+function commandForKey(bindings, key, { programmerMode = false, decimalSeparator = '.' } = {}) {
+  const command = findCommand(bindings, key, { programmerMode });
+  if (command || key !== ',' || decimalSeparator !== ',') return command;
+  return bindings.find((c) => c.id === 'decimal') || null;
 }
 
 /**
- * Utility: Format number string by trimming trailing zeroes and decimal dot if unnecessary.
- * @param {number|string} value - numeric value or string
- * @returns {string} formatted display string
+ * Utility: Tooltip for a button that also has a shortcut: its label with the keys bound
+ * to the command as the shortcut overlay names them, e.g. "Redo (Ctrl+Shift+Z, Ctrl+Y)".
+ * @param {Array} bindings - from resolveBindings()
+ * @param {string} commandId - command id in the binding table
+ * @param {string} label - what the button does
+ * @returns {string} just the label when the command has no keys
  */
-function formatResult(value) {
-  if (value === 'Error') return 'Error';
-  const num = typeof value === 'number' ? value : parseFloat(value);
-  if (!isFinite(num)) return 'Error';
-  // Ensure fixed precision, then trim trailing zeros
-  let s = roundToPrecision(num, 10).toFixed(10);
-  s = s.replace(/\.?0+$/, '');
-  return s.length ? s : '0';
+function shortcutTitle(bindings, commandId, label) {
+  const command = bindings.find((c) => c.id === commandId);
+  const keys = command ? command.keys.map(formatKey) : [];
+  return keys.length ? `${label} (${keys.join(', ')})` : label;
 }
 
 /**
- * Utility: Perform an arithmetic operation.
- * Returns 'Error' on divide by zero.
- * @param {string} aStr - left operand as string
- * @param {string} bStr - right operand as string
- * @param {'+'|'−'|'×'|'÷'} op - operator
- * @returns {string} result as formatted string or 'Error'
+ * Utility: Stamp an engine action with the time and a fresh id for the history entry or
+ * memory register it may add; reduce() itself stays pure, so StrictMode's second call
+ * gives the same state.
+ * @param {object} action - engine action
+ * @returns {object}
  */
-function performOperation(aStr, bStr, op) {
-  const a = parseFloat(aStr || '0');
-  const b = parseFloat(bStr || '0');
-
-  let res;
-  switch (op) {
-    case '+':
-      res = a + b;
-      break;
-    case '−':
-      res = a - b;
-      break;
-    case '×':
-      res = a * b;
-      break;
-    case '÷':
-      if (b === 0) return 'Error';
-      res = a / b;
-      break;
-    default:
-      return formatResult(bStr || aStr || '0');
-  }
-  return formatResult(res);
+function stamped(action) {
+  const timestamp = Date.now();
+  return { ...action, timestamp, id: `${timestamp}-${Math.random().toString(36).slice(2, 8)}` };
+}
+
+/**
+ * Utility: Engine reducer that also keeps the last action, so the change it made can
+ * be described to screen readers.
+ * @param {{state: object}} current
+ * @param {object} action - engine action
+ * @returns {{state: object, action: object}}
+ */
+function reduceTracked({ state }, action) {
+  return { state: reduce(state, action), action };
 }
 
 /**
- * Utility: Check if current state is in error.
- * @param {string} input
+ * Utility: Check whether a key event comes from a text field, where typing must
+ * not drive the calculator (e.g. renaming a memory register).
+ * @param {EventTarget|null} target
  * @returns {boolean}
  */
-function isError(input) {
-  return input === 'Error';
+function isEditableTarget(target) {
+  if (!target || !target.tagName) return false;
+  return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable;
 }
 
 /**
- * Map keyboard key to operator symbol used in the UI/logic.
- * @param {string} key
- * @returns {'+'|'−'|'×'|'÷'|null}
+ * Utility: Read a file chosen by the user as text.
+ * @param {File} file
+ * @param {(text: string) => void} onText
+ * @param {() => void} onError - the file could not be read
  */
-function mapKeyToOperator(key) {
-  if (key === '+') return '+';
-  if (key === '-') return '−';
-  if (key === '*' || key === 'x' || key === 'X') return '×';
-  if (key === '/') return '÷';
-  return null;
+function readTextFile(file, onText, onError) {
+  const reader = new window.FileReader();
+  reader.onload = () => onText(String(reader.result));
+  reader.onerror = onError;
+  reader.readAsText(file);
 }
 
-// PUBLIC_INTERFACE
-function App() {
-  /** This component renders a minimalist calculator with full UI, logic, and keyboard support. */
+// How long copy/paste feedback stays visible.
+const NOTICE_DURATION_MS = 3000;
 
-  // Calculator state
-  const [currentInput, setCurrentInput] = useState('0');
-  const [previousValue, setPreviousValue] = useState(null);
-  const [operation, setOperation] = useState(null);
-  const [overwrite, setOverwrite] = useState(true); // replace display on next digit
+// Actions that type the entry; the URL hash catches up once the entry is complete.
+const ENTRY_ACTIONS = new Set(['digit', 'decimal', 'delete', 'toggleSign', 'exponent']);
 
-  // Memory state (persist only in component state)
-  const [memoryValue, setMemoryValue] = useState(0);
+// PUBLIC_INTERFACE
+function App({
+  precision = DEFAULT_PRECISION,
+  displayDigits = DEFAULT_DISPLAY_DIGITS,
+  embed = false,
+  targetOrigin = null,
+} = {}) {
+  /**
+   * This component renders a minimalist calculator with full UI and keyboard support.
+   * All calculator logic lives in the framework-free engine (src/utils/engine.js).
+   * @param {number} [precision] - decimal places kept by division, square root and display rounding
+   * @param {number} [displayDigits] - digits shown before results switch to exponent notation
+   * @param {boolean} [embed] - embed mode (`?embed=1`): only the calculator, for iframes; it
+   *   starts fresh, leaves the saved history, memory, variables and settings alone, and posts
+   *   each result to the parent window
+   * @param {string|null} [targetOrigin] - origin the parent page must have to receive results in
+   *   embed mode (see embedTargetOrigin() in src/utils/share.js); null posts nothing
+   */
+  const storage = embed ? null : defaultStorage();
 
-  const inError = isError(currentInput);
-  const isInitialState = currentInput === '0' && !previousValue && !operation;
-  const clearLabel = isInitialState ? 'AC' : 'C';
-  const lastOperationText =
-    previousValue && operation ? `${formatResult(previousValue)} ${operation}` : '';
-
-  // Handlers
-  const handleClear = () => {
-    if (isInitialState) {
-      // All clear
-      setCurrentInput('0');
-      setPreviousValue(null);
-      setOperation(null);
-      setOverwrite(true);
-    } else {
-      // Clear entry
-      setCurrentInput('0');
-      setOverwrite(true);
+  // Calculator state, driven by the engine reducer; history, memory, variables, imported currency
+  // rates, holidays and settings (modes, units, word size...) are restored from localStorage, and
+  // a calculation shared in the URL hash is loaded on top
+  const [{ state, action: lastAction }, dispatch] = useReducer(
+    reduceTracked,
+    precision,
+    (initialPrecision) => {
+      const initial = createInitialState({
+        precision: initialPrecision,
+        history: loadHistory(storage),
+        memory: loadMemory(storage),
+        definitions: loadDefinitions(storage),
+        rateTable: loadRateTable(storage),
+        holidays: loadHolidays(storage),
+        settings: loadSettings(storage),
+      });
+      const shared = parseCalculationHash(window.location.hash);
+      return {
+        state: shared ? reduce(initial, { type: 'loadCalculation', payload: shared }) : initial,
+        action: null,
+      };
     }
-  };
+  );
+  const {
+    currentInput,
+    expressionMode,
+    scientificMode,
+    angleMode,
+    notation,
+    programmerMode,
+    inputBase,
+    converterMode,
+    currencyMode,
+    dateMode,
+    financialMode,
+    tvm,
+    paymentsPerYear,
+    paymentsAtStart,
+    statMode,
+    statData,
+    fractionMode,
+    fractionDisplay,
+    graphMode,
+    graphExpressions,
+    rateTable,
+    holidays,
+    history,
+    memory,
+    definitions,
+    ans,
+  } = state;
 
-  const handleDelete = () => {
-    if (inError) return;
-    if (overwrite) {
-      setCurrentInput('0');
-      return;
-    }
-    if (currentInput.length <= 1 || (currentInput.length === 2 && currentInput.startsWith('-'))) {
-      setCurrentInput('0');
-      setOverwrite(true);
-      return;
-    }
-    setCurrentInput((prev) => prev.slice(0, -1));
-  };
+  useEffect(() => {
+    saveHistory(history, storage);
+  }, [history, storage]);
 
-  const handleToggleSign = () => {
-    if (inError) return;
-    // Do not create "-0"
-    if (parseFloat(currentInput) === 0) {
-      setCurrentInput('0');
-      return;
-    }
-    if (currentInput.startsWith('-')) {
-      setCurrentInput(currentInput.slice(1));
-    } else {
-      setCurrentInput(`-${currentInput}`);
-    }
-  };
+  useEffect(() => {
+    saveMemory(memory, storage);
+  }, [memory, storage]);
 
-  const handlePercent = () => {
-    if (inError) return;
-    const curr = parseFloat(currentInput || '0');
-    if (previousValue !== null && operation) {
-      const base = parseFloat(previousValue || '0');
-      const percentValue = (base * curr) / 100;
-      setCurrentInput(formatResult(percentValue));
-    } else {
-      setCurrentInput(formatResult(curr / 100));
-    }
-    setOverwrite(true);
-  };
+  useEffect(() => {
+    saveDefinitions(definitions, storage);
+  }, [definitions, storage]);
 
-  const handleDecimal = () => {
-    if (inError) return;
-    if (overwrite) {
-      setCurrentInput('0.');
-      setOverwrite(false);
-      return;
-    }
-    if (!currentInput.includes('.')) {
-      setCurrentInput((prev) => `${prev}.`);
-    }
-  };
+  useEffect(() => {
+    saveRateTable(rateTable, storage);
+  }, [rateTable, storage]);
 
-  const handleDigit = (digit) => {
-    if (inError) return;
-    if (overwrite) {
-      setCurrentInput(digit);
-      setOverwrite(false);
-      return;
-    }
-    // Prevent multiple leading zeros
-    if (currentInput === '0') {
-      setCurrentInput(digit);
-      return;
-    }
-    setCurrentInput((prev) => prev + digit);
-  };
+  useEffect(() => {
+    saveHolidays(holidays, storage);
+  }, [holidays, storage]);
 
-  const handleOperator = (op) => {
-    if (inError) return;
-    if (previousValue === null) {
-      setPreviousValue(currentInput);
-      setOperation(op);
-      setOverwrite(true);
-      return;
-    }
-    if (overwrite) {
-      // Updating the operator without changing current input
-      setOperation(op);
-      return;
-    }
-    // Compute chaining
-    const result = performOperation(previousValue, currentInput, operation);
-    if (result === 'Error') {
-      setCurrentInput('Error');
-      setPreviousValue(null);
-      setOperation(null);
-      setOverwrite(true);
-      return;
-    }
-    setPreviousValue(result);
-    setCurrentInput(result);
-    setOperation(op);
-    setOverwrite(true);
-  };
+  useEffect(() => {
+    saveSettings(state, storage);
+  }, [state, storage]);
 
-  const handleEquals = () => {
-    if (inError) return;
-    if (previousValue === null || !operation) return;
-    if (overwrite && !inError) {
-      // Ignore equals if no new number entered
-      return;
-    }
-    const result = performOperation(previousValue, currentInput, operation);
-    if (result === 'Error') {
-      setCurrentInput('Error');
-      setPreviousValue(null);
-      setOperation(null);
-      setOverwrite(true);
-      return;
+  // Building the schedule walks every period, so it only follows the registers it uses
+  const amortization = useMemo(
+    () =>
+      financialMode
+        ? getAmortizationSchedule({
+            tvm,
+            paymentsPerYear,
+            paymentsAtStart,
+            precision: state.precision,
+          })
+        : null,
+    [financialMode, tvm, paymentsPerYear, paymentsAtStart, state.precision]
+  );
+  const statistics = useMemo(
+    () => (statMode ? getStatistics({ statData, precision: state.precision }) : null),
+    [statMode, statData, state.precision]
+  );
+  // Graphs are compiled again only when the names or rules they are evaluated with change
+  const expressionOptions = useMemo(
+    () => getExpressionOptions({ precision: state.precision, angleMode, definitions, ans }),
+    [state.precision, angleMode, definitions, ans]
+  );
+
+  // The address bar links to the calculation in progress (see src/utils/share.js). It is
+  // rewritten when an operator, '=' or another command completes the entry, not per keystroke.
+  const shareHash = calculationToHash(state);
+  const typingEntry = lastAction !== null && ENTRY_ACTIONS.has(lastAction.type);
+
+  useEffect(() => {
+    if (typingEntry || window.location.hash === shareHash) return;
+    const { pathname, search } = window.location;
+    window.history.replaceState(window.history.state, '', `${pathname}${search}${shareHash}`);
+  }, [shareHash, typingEntry]);
+
+  // Opening another shared link in the same tab only changes the hash
+  useEffect(() => {
+    const onHashChange = () => {
+      const shared = parseCalculationHash(window.location.hash);
+      if (shared) dispatch(stamped({ type: 'loadCalculation', payload: shared }));
+    };
+
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, []);
+
+  // Embedded, each completed calculation is posted to the page around the iframe, but only
+  // when that page has the origin the embedder asked for
+  const lastEntry = history[history.length - 1];
+  const postedEntry = useRef(lastEntry);
+
+  useEffect(() => {
+    if (!embed || !lastEntry || lastEntry === postedEntry.current) return;
+    postedEntry.current = lastEntry;
+    if (targetOrigin && window.parent !== window) {
+      window.parent.postMessage(resultMessage(lastEntry), targetOrigin);
     }
-    setCurrentInput(result);
-    setPreviousValue(null);
-    setOperation(null);
-    setOverwrite(true);
-  };
+  }, [embed, targetOrigin, lastEntry]);
+
+  // A new version installed by the service worker, waiting for the user to reload
+  const [update, setUpdate] = useState(null);
+
+  useEffect(() => subscribeToUpdates(setUpdate), []);
+
+  // Number format: '' follows the browser; the engine itself only sees canonical decimals
+  const [localePreference, setLocalePreference] = useState(() => loadLocalePreference(storage));
+  const locale = resolveLocale(localePreference);
+  const decimalSeparator = getNumberSymbols(locale).decimal;
+
+  useEffect(() => {
+    saveLocalePreference(localePreference, storage);
+  }, [localePreference, storage]);
+
+  // Colour theme; "system" follows the OS. public/index.html applies it before first paint
+  const [themeSettings, setThemeSettings] = useState(() => loadThemeSettings(storage));
+
+  useEffect(() => {
+    applyTheme(themeSettings);
+    saveThemeSettings(themeSettings, storage);
+  }, [themeSettings, storage]);
+
+  // Screen readers hear what each action did ("5 plus 3 equals 8") rather than the raw display
+  const previousState = useRef(state);
+  const [announcement, setAnnouncement] = useState({ text: '', repeat: false });
+
+  useEffect(() => {
+    const before = previousState.current;
+    previousState.current = state;
+    const text = lastAction ? describeChange(before, state, lastAction) : '';
+    if (!text) return;
+    // A repeated message gets a trailing no-break space so the live region reads it again
+    setAnnouncement((prev) => ({ text, repeat: prev.text === text && !prev.repeat }));
+  }, [state, lastAction]);
+
+  const inError = isError(currentInput);
+  const clearLabel = isInitialState(state) ? 'AC' : 'C';
+  const lastOperationText = getLastOperationText(state);
+  // Programmer mode only accepts digits of the input base and has no decimal point
+  const digitDisabled = (digit) => programmerMode && !isValidDigit(digit, inputBase);
+  // Unformatted value for the clipboard; null in the error state
+  const copyValue = clipboardValue(state);
+
+  // Short-lived copy/paste feedback shown under the display: { text, tone: 'info'|'error' }
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    if (!notice) return undefined;
+    const timer = window.setTimeout(() => setNotice(null), NOTICE_DURATION_MS);
+    return () => window.clearTimeout(timer);
+  }, [notice]);
 
   /**
-   * Apply square root to the current input.
-   * - If current input is negative or NaN, show 'Error' and clear op flags.
-   * - If valid, replace current input with sqrt(value), keep prev/op unchanged.
-   * - Set overwrite=true so next digit replaces the result.
+   * Dispatch a keypad action to the engine.
+   * @param {string} type - engine action type (see ACTIONS in src/utils/engine.js)
+   * @param {any} [payload]
    */
-  const handleSqrt = () => {
-    const val = parseFloat(currentInput);
-    if (!isFinite(val) || isNaN(val) || val < 0) {
-      setCurrentInput('Error');
-      setPreviousValue(null);
-      setOperation(null);
-      setOverwrite(true);
-      return;
-    }
-    const result = Math.sqrt(val);
-    setCurrentInput(formatResult(result));
-    setOverwrite(true);
+  const handleButtonAction = (type, payload) => {
+    dispatch(stamped({ type, payload }));
   };
 
+  // Keyboard shortcuts: the default table plus the user's remapped keys (stored in localStorage)
+  const [keyOverrides, setKeyOverrides] = useState(() => loadKeyOverrides(storage));
+  const bindings = useMemo(() => resolveBindings(keyOverrides), [keyOverrides]);
+  const [helpOpen, setHelpOpen] = useState(false);
+
+  useEffect(() => {
+    saveKeyOverrides(keyOverrides, storage);
+  }, [keyOverrides, storage]);
+
   /**
-   * Handle memory keys.
-   * Actions:
-   * - MC: clear memory to 0
-   * - MR: recall memory into current input and set overwrite=true
-   * - M+: add current value to memory (ignored if Error/NaN)
-   * - M-: subtract current value from memory (ignored if Error/NaN)
-   * - MS: store current value to memory (ignored if Error/NaN)
+   * Remap a command from the shortcut overlay.
+   * @returns {{conflicts?: Array}} the commands already using the key, when refused
    */
-  const handleMemory = (action) => {
-    switch (action) {
-      case 'MC': {
-        setMemoryValue(0);
-        break;
-      }
-      case 'MR': {
-        setCurrentInput(formatResult(memoryValue));
-        setOverwrite(true);
-        break;
-      }
-      case 'M+': {
-        if (inError) return;
-        const val = parseFloat(currentInput);
-        if (!isFinite(val) || isNaN(val)) return;
-        setMemoryValue((prev) => roundToPrecision(prev + val, 10));
-        break;
-      }
-      case 'M-': {
-        if (inError) return;
-        const val = parseFloat(currentInput);
-        if (!isFinite(val) || isNaN(val)) return;
-        setMemoryValue((prev) => roundToPrecision(prev - val, 10));
-        break;
-      }
-      case 'MS': {
-        if (inError) return;
-        const val = parseFloat(currentInput);
-        if (!isFinite(val) || isNaN(val)) return;
-        setMemoryValue(val);
-        break;
-      }
-      default:
-        break;
-    }
+  const handleRebind = (commandId, key, options) => {
+    const result = rebindKey(keyOverrides, bindings, commandId, key, options);
+    if (result.overrides) setKeyOverrides(result.overrides);
+    return result;
   };
 
-  // Keyboard support
+  // Keyboard support; the shortcut overlay handles its own keys while open
   useEffect(() => {
     const onKeyDown = (e) => {
-      const { key } = e;
+      if (helpOpen || isEditableTarget(e.target)) return;
+      // Enter and Space press the focused button rather than a shortcut
+      if (e.target.tagName === 'BUTTON' && (e.key === 'Enter' || e.key === ' ')) return;
+      const key = keyFromEvent(e);
+      const command = key && commandForKey(bindings, key, { programmerMode, decimalSeparator });
+      // Unbound keys, including Ctrl+C / Ctrl+V, are left to the browser
+      if (!command) return;
+      e.preventDefault();
+      if (command.action) dispatch(stamped(command.action));
+      else if (command.id === 'help') setHelpOpen(true);
+    };
 
-      // Allow clear with Escape
-      if (key === 'Escape') {
-        e.preventDefault();
-        handleClear();
-        return;
-      }
-      // Equals
-      if (key === 'Enter' || key === '=') {
-        e.preventDefault();
-        handleEquals();
-        return;
-      }
-      // Delete/backspace
-      if (key === 'Backspace') {
-        e.preventDefault();
-        handleDelete();
-        return;
-      }
-      // Decimal
-      if (key === '.') {
-        e.preventDefault();
-        handleDecimal();
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [bindings, helpOpen, programmerMode, decimalSeparator]);
+
+  // Ctrl+C without a text selection copies the unformatted value
+  useEffect(() => {
+    const onCopy = (e) => {
+      if (isEditableTarget(e.target) || !e.clipboardData) return;
+      const selection = window.getSelection && window.getSelection();
+      if (selection && selection.toString()) return;
+      e.preventDefault();
+      if (copyValue === null) {
+        setNotice({ text: 'Nothing to copy', tone: 'error' });
         return;
       }
-      // Percent
-      if (key === '%') {
-        e.preventDefault();
-        handlePercent();
+      e.clipboardData.setData('text/plain', copyValue);
+      setNotice({ text: `Copied ${copyValue}`, tone: 'info' });
+    };
+
+    window.addEventListener('copy', onCopy);
+    return () => window.removeEventListener('copy', onCopy);
+  }, [copyValue]);
+
+  // How pasted text and the variables panel's line are read
+  const pasteOptions = useMemo(
+    () => ({
+      locale,
+      programmerMode,
+      fractionMode,
+      inputBase,
+      wordSize: state.wordSize,
+      signed: state.signed,
+    }),
+    [locale, programmerMode, fractionMode, inputBase, state.wordSize, state.signed]
+  );
+
+  // Pasting a number (in the locale's notation) enters it; pasting an expression evaluates it
+  // and pasting a definition ("rate = 0.0725") defines it
+  useEffect(() => {
+    const onPaste = (e) => {
+      if (isEditableTarget(e.target) || !e.clipboardData) return;
+      e.preventDefault();
+      const { action, error } = interpretPaste(e.clipboardData.getData('text'), pasteOptions);
+      if (error) {
+        setNotice({ text: `Couldn't paste: ${error}`, tone: 'error' });
         return;
       }
-      // Sqrt shortcut (optional minimum support)
-      if (key === 'r' || key === 'R') {
-        e.preventDefault();
-        handleSqrt();
+      dispatch(stamped(action));
+    };
+
+    window.addEventListener('paste', onPaste);
+    return () => window.removeEventListener('paste', onPaste);
+  }, [pasteOptions]);
+
+  /**
+   * Import a JSON or CSV rate table chosen by the user; problems are reported under the display.
+   * @param {File} file
+   */
+  const handleRatesImport = (file) => {
+    const imported = (text) => {
+      let table;
+      try {
+        table = parseRateTable(text);
+      } catch (err) {
+        if (!(err instanceof RateTableError)) throw err;
+        setNotice({ text: `Couldn't import rates: ${err.message}`, tone: 'error' });
         return;
       }
-      // Operators
-      const mapped = mapKeyToOperator(key);
-      if (mapped) {
-        e.preventDefault();
-        handleOperator(mapped);
+      dispatch({ type: 'setRateTable', payload: table });
+      const count = Object.keys(table.rates).length;
+      const asOf = formatDate(table.asOf, locale);
+      setNotice({ text: `Imported ${count} rates as of ${asOf}`, tone: 'info' });
+    };
+    readTextFile(file, imported, () => {
+      setNotice({ text: "Couldn't import rates: the file could not be read", tone: 'error' });
+    });
+  };
+
+  /**
+   * Import a palette file chosen by the user and switch to the custom theme.
+   * @param {File} file
+   */
+  const handlePaletteImport = (file) => {
+    const imported = (text) => {
+      let palette;
+      try {
+        palette = parsePalette(text);
+      } catch (err) {
+        if (!(err instanceof PaletteError)) throw err;
+        setNotice({ text: `Couldn't import palette: ${err.message}`, tone: 'error' });
         return;
       }
-      // Digits
-      if (/^[0-9]$/.test(key)) {
-        e.preventDefault();
-        handleDigit(key);
-      }
+      setThemeSettings({ mode: 'custom', palette });
+      setNotice({ text: 'Imported palette', tone: 'info' });
     };
+    readTextFile(file, imported, () => {
+      setNotice({ text: "Couldn't import palette: the file could not be read", tone: 'error' });
+    });
+  };
 
-    window.addEventListener('keydown', onKeyDown);
-    return () => window.removeEventListener('keydown', onKeyDown);
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [currentInput, previousValue, operation, overwrite, inError, memoryValue]);
+  /**
+   * Copy button: write the unformatted value with the async Clipboard API, falling
+   * back to execCommand (which goes through the copy listener above).
+   */
+  const handleCopyClick = () => {
+    const failed = () => setNotice({ text: "Couldn't copy: clipboard unavailable", tone: 'error' });
+    const { clipboard } = window.navigator;
+    if (clipboard && clipboard.writeText) {
+      clipboard
+        .writeText(copyValue)
+        .then(() => setNotice({ text: `Copied ${copyValue}`, tone: 'info' }), failed);
+    } else if (!(document.execCommand && document.execCommand('copy'))) {
+      failed();
+    }
+  };
 
-  const handleButtonAction = (type, payload) => {
-    switch (type) {
-      case 'digit':
-        handleDigit(payload);
-        break;
-      case 'decimal':
-        handleDecimal();
-        break;
-      case 'operator':
-        handleOperator(payload);
-        break;
-      case 'equals':
-        handleEquals();
-        break;
-      case 'clear':
-        handleClear();
-        break;
-      case 'delete':
-        handleDelete();
-        break;
-      case 'toggleSign':
-        handleToggleSign();
-        break;
-      case 'percent':
-        handlePercent();
-        break;
-      case 'sqrt':
-        handleSqrt();
-        break;
-      case 'memory':
-        handleMemory(payload);
-        break;
-      default:
-        break;
+  /**
+   * Link button: copy a link to the calculation in progress (the full calculator, also
+   * from embed mode).
+   */
+  const handleShareClick = () => {
+    const link = shareUrl(window.location, shareHash);
+    const failed = () => {
+      setNotice({ text: "Couldn't copy link: clipboard unavailable", tone: 'error' });
+    };
+    const { clipboard } = window.navigator;
+    if (!clipboard || !clipboard.writeText) {
+      failed();
+      return;
     }
+    clipboard.writeText(link).then(() => setNotice({ text: 'Copied link', tone: 'info' }), failed);
   };
 
-  const displayValue = currentInput;
+  // Programmer mode shows raw digits in the input base; other modes use the locale's notation.
+  // Results (not the entry being typed) switch to exponent form past the digit budget.
+  const toDisplayNotation = (number) => toNotation(number, { notation, digits: displayDigits });
+  // Dates in calculation text ("2026-01-01 + 90 days") use the locale's date format.
+  const formatNumbers = (text) => formatNumbersInText(text, locale, toDisplayNotation);
+  const formatCalculation = (text) => formatDatesInText(formatNumbers(text), locale);
+  const formatText = (text) => (programmerMode ? text : formatCalculation(text));
+  const showsResult = state.overwrite && !inError;
+  let displayValue = programmerMode
+    ? currentInput
+    : formatNumber(showsResult ? toDisplayNotation(currentInput) : currentInput, locale);
+  let fullValue = programmerMode ? currentInput : formatNumber(currentInput, locale);
+  const formatResultValue = (value) => formatNumber(toDisplayNotation(value), locale);
+  // Fraction mode formats each number of "7/3" or "2 1/3"; its decimal form is a result
+  const formatFraction = (text, form) => {
+    if (form === 'decimal') return formatResultValue(text);
+    return text.replace(/[^ /]+/g, (part) => formatNumber(part, locale));
+  };
+  if (fractionMode && !inError) {
+    // The entry being typed is fraction text, whatever form results are shown in
+    const shown = getFractionText(state);
+    displayValue = formatFraction(shown, showsResult ? fractionDisplay : 'fraction');
+    fullValue = displayValue;
+    if (showsResult && fractionDisplay === 'decimal') fullValue = formatNumber(shown, locale);
+  }
+  // Date mode shows the result of the date calculation; the entry is only its amount
+  const dateCalculation = dateMode ? getDateCalculation(state) : null;
+  const dateError = Boolean(dateCalculation && dateCalculation.error);
+  if (dateCalculation) {
+    const { result, isDate } = dateCalculation;
+    if (dateError) {
+      displayValue = 'Error';
+      fullValue = 'Error';
+    } else {
+      displayValue = isDate ? formatDate(result, locale) : formatResultValue(result);
+      fullValue = isDate ? displayValue : formatNumber(result, locale);
+    }
+  }
+  const showsError = dateCalculation ? dateError : inError;
+  const showsErrorDetail = (inError && Boolean(state.errorMessage)) || dateError;
 
   return (
-    <div className="app-container">
-      <main className="calculator" aria-label="Calculator" role="region">
-        <div className="display" aria-live="polite" aria-atomic="true" data-testid="display">
-          <div className="last-operation" aria-label="Last operation">
-            {lastOperationText}
+    <div className={`app-container ${embed ? 'embed' : ''}`}>
+      <main className="calculator" aria-label="Calculator">
+        {update && !embed && (
+          <div className="update-banner" role="status">
+            <span>A new version is available.</span>
+            <button
+              type="button"
+              className="btn control small"
+              onClick={() => applyUpdate(update)}
+            >
+              Reload
+            </button>
+            <button
+              type="button"
+              className="btn control small"
+              aria-label="Dismiss update"
+              title="Later: the new version loads next time the calculator starts"
+              onClick={() => setUpdate(null)}
+            >
+              ✕
+            </button>
           </div>
+        )}
+        <div className="display">
+          {(scientificMode || memory.length > 0 || notation !== 'AUTO') && (
+            <div className="display-indicators">
+              {memory.length > 0 && (
+                <span
+                  className="memory-indicator"
+                  aria-label={`Memory holds ${memory.length} ${memory.length === 1 ? 'value' : 'values'}`}
+                  title="Memory in use"
+                >
+                  M
+                </span>
+              )}
+              {scientificMode && (
+                <span className="angle-indicator" aria-label={`Angle mode ${angleMode}`}>
+                  {angleMode}
+                </span>
+              )}
+              {notation !== 'AUTO' && (
+                <span className="notation-indicator" aria-label={`Notation ${notation}`}>
+                  {notation}
+                </span>
+              )}
+            </div>
+          )}
           <div
-            className={`current-value ${inError ? 'error' : ''}`}
-            aria-label="Current value"
-            title={displayValue}
+            className="visually-hidden"
+            aria-live="polite"
+            aria-atomic="true"
+            data-testid="announcement"
           >
-            {displayValue}
+            {speakText(formatText(announcement.text))}
+            {announcement.repeat ? '\u00A0' : ''}
+          </div>
+          {/* <output> is a live region by default; the announcer above speaks for it */}
+          <div className="display-readout" data-testid="display">
+            <output
+              className={`last-operation ${showsErrorDetail ? 'error' : ''}`}
+              aria-label="Last operation"
+              aria-live="off"
+            >
+              {formatText(lastOperationText)}
+            </output>
+            <output
+              className={`current-value ${showsError ? 'error' : ''}`}
+              aria-label="Current value"
+              aria-live="off"
+              title={fullValue}
+            >
+              {displayValue}
+            </output>
+          </div>
+          <div className="display-footer">
+            {/* Always rendered so screen readers pick up each new message */}
+            <div className={`display-notice ${notice ? notice.tone : ''}`} role="status">
+              {notice ? notice.text : ''}
+            </div>
+            <button
+              type="button"
+              className="undo-btn"
+              aria-label="Undo"
+              title={shortcutTitle(bindings, 'undo', 'Undo')}
+              disabled={state.undoStack.length === 0}
+              onClick={() => handleButtonAction('undo')}
+            >
+              ↶
+            </button>
+            <button
+              type="button"
+              className="undo-btn"
+              aria-label="Redo"
+              title={shortcutTitle(bindings, 'redo', 'Redo')}
+              disabled={state.redoStack.length === 0}
+              onClick={() => handleButtonAction('redo')}
+            >
+              ↷
+            </button>
+            <button
+              type="button"
+              className="copy-btn"
+              aria-label="Copy value"
+              title="Copy value (Ctrl+C)"
+              disabled={copyValue === null}
+              onClick={handleCopyClick}
+            >
+              Copy
+            </button>
+            <button
+              type="button"
+              className="copy-btn"
+              aria-label="Copy link to this calculation"
+              title="Copy a link that opens this calculation"
+              disabled={shareHash === ''}
+              onClick={handleShareClick}
+            >
+              Link
+            </button>
           </div>
         </div>
 
@@ -463,7 +754,7 @@ function App() {
           </button>
         </div>
 
-        {/* Function row: square root */}
+        {/* Function row: square root, expression mode toggle and parentheses */}
         <div className="function-row" role="group" aria-label="Function keys">
           <button
             type="button"
@@ -474,9 +765,231 @@ function App() {
           >
             √
           </button>
+          <button
+            type="button"
+            className={`btn control mode-toggle ${expressionMode ? 'active' : ''}`}
+            aria-label="Expression mode"
+            aria-pressed={expressionMode}
+            disabled={programmerMode || fractionMode}
+            title="Expression mode: evaluate with operator precedence and parentheses"
+            onClick={() => handleButtonAction('toggleExpressionMode')}
+          >
+            Expr
+          </button>
+          <button
+            type="button"
+            className={`btn control mode-toggle ${scientificMode ? 'active' : ''}`}
+            aria-label="Scientific mode"
+            aria-pressed={scientificMode}
+            title="Scientific mode: trigonometric, logarithmic and power functions"
+            onClick={() => handleButtonAction('toggleScientificMode')}
+          >
+            Sci
+          </button>
+          <button
+            type="button"
+            className={`btn control mode-toggle ${programmerMode ? 'active' : ''}`}
+            aria-label="Programmer mode"
+            aria-pressed={programmerMode}
+            disabled={fractionMode}
+            title="Programmer mode: HEX/DEC/OCT/BIN, word sizes and bitwise operators"
+            onClick={() => handleButtonAction('toggleProgrammerMode')}
+          >
+            Prog
+          </button>
+          <button
+            type="button"
+            className={`btn control mode-toggle ${converterMode ? 'active' : ''}`}
+            aria-label="Unit converter"
+            aria-pressed={converterMode}
+            disabled={programmerMode || fractionMode}
+            title="Unit converter: length, mass, temperature, volume, data size and time"
+            onClick={() => handleButtonAction('toggleConverterMode')}
+          >
+            Conv
+          </button>
+          <button
+            type="button"
+            className={`btn control mode-toggle ${currencyMode ? 'active' : ''}`}
+            aria-label="Currency converter"
+            aria-pressed={currencyMode}
+            disabled={programmerMode || fractionMode}
+            title="Currency converter: offline rates, importable as JSON or CSV"
+            onClick={() => handleButtonAction('toggleCurrencyMode')}
+          >
+            Cur
+          </button>
+          <button
+            type="button"
+            className={`btn control mode-toggle ${dateMode ? 'active' : ''}`}
+            aria-label="Date mode"
+            aria-pressed={dateMode}
+            disabled={programmerMode || fractionMode}
+            title="Date mode: days between dates, and dates plus or minus days, weeks or months"
+            onClick={() => handleButtonAction('toggleDateMode')}
+          >
+            Date
+          </button>
+          <button
+            type="button"
+            className={`btn control mode-toggle ${financialMode ? 'active' : ''}`}
+            aria-label="Financial mode"
+            aria-pressed={financialMode}
+            disabled={programmerMode || fractionMode}
+            title="Financial mode: loan payments (TVM), amortization, NPV/IRR, markup and tax"
+            onClick={() => handleButtonAction('toggleFinancialMode')}
+          >
+            Fin
+          </button>
+          <button
+            type="button"
+            className={`btn control mode-toggle ${statMode ? 'active' : ''}`}
+            aria-label="Statistics mode"
+            aria-pressed={statMode}
+            disabled={programmerMode || fractionMode}
+            title="Statistics mode: data list, mean, median, standard deviation and regression"
+            onClick={() => handleButtonAction('toggleStatMode')}
+          >
+            Stat
+          </button>
+          <button
+            type="button"
+            className={`btn control mode-toggle ${fractionMode ? 'active' : ''}`}
+            aria-label="Fraction mode"
+            aria-pressed={fractionMode}
+            disabled={programmerMode}
+            title="Fraction mode: exact fractions and mixed numbers with a b/c entry"
+            onClick={() => handleButtonAction('toggleFractionMode')}
+          >
+            Frac
+          </button>
+          <button
+            type="button"
+            className={`btn control mode-toggle ${graphMode ? 'active' : ''}`}
+            aria-label="Graph mode"
+            aria-pressed={graphMode}
+            title="Graph mode: plot expressions of x, trace them and find roots and intersections"
+            onClick={() => handleButtonAction('toggleGraphMode')}
+          >
+            Graph
+          </button>
+          {expressionMode && (
+            <>
+              <button
+                type="button"
+                className="btn control"
+                aria-label="Open parenthesis"
+                onClick={() => handleButtonAction('paren', '(')}
+              >
+                (
+              </button>
+              <button
+                type="button"
+                className="btn control"
+                aria-label="Close parenthesis"
+                onClick={() => handleButtonAction('paren', ')')}
+              >
+                )
+              </button>
+            </>
+          )}
         </div>
 
-        <div className="button-grid" role="group" aria-label="Calculator keys">
+        {scientificMode && !programmerMode && !fractionMode && (
+          <ScientificKeypad angleMode={angleMode} notation={notation} onAction={handleButtonAction} />
+        )}
+
+        {programmerMode && (
+          <ProgrammerPanel
+            value={currentInput}
+            inputBase={inputBase}
+            wordSize={state.wordSize}
+            signed={state.signed}
+            onAction={handleButtonAction}
+          />
+        )}
+
+        {converterMode && (
+          <ConverterPanel
+            category={state.unitCategory}
+            fromUnit={state.fromUnit}
+            toUnit={state.toUnit}
+            convertedValue={getConvertedValue(state)}
+            onAction={handleButtonAction}
+            formatValue={formatResultValue}
+          />
+        )}
+
+        {currencyMode && (
+          <CurrencyPanel
+            table={rateTable}
+            fromCurrency={state.fromCurrency}
+            toCurrency={state.toCurrency}
+            convertedValue={getCurrencyConversion(state)}
+            onAction={handleButtonAction}
+            onImport={handleRatesImport}
+            formatValue={formatResultValue}
+            formatDate={(date) => formatDate(date, locale)}
+          />
+        )}
+
+        {dateMode && (
+          <DatePanel
+            operation={state.dateOperation}
+            startDate={state.startDate}
+            endDate={state.endDate}
+            unit={state.dateUnit}
+            businessDays={state.businessDays}
+            holidays={holidays}
+            onAction={handleButtonAction}
+          />
+        )}
+
+        {financialMode && (
+          <FinancialPanel
+            tvm={tvm}
+            paymentsPerYear={paymentsPerYear}
+            paymentsAtStart={paymentsAtStart}
+            computePending={state.tvmCompute}
+            cashFlows={state.cashFlows}
+            compound={getCompoundInterest(state)}
+            amortization={amortization}
+            onAction={handleButtonAction}
+            formatValue={formatResultValue}
+            formatAmount={(amount) => formatNumber(amount, locale)}
+          />
+        )}
+
+        {statMode && (
+          <StatisticsPanel
+            data={statData}
+            pendingX={state.statX}
+            statistics={statistics}
+            onAction={handleButtonAction}
+            formatValue={formatResultValue}
+          />
+        )}
+
+        {fractionMode && (
+          <FractionPanel
+            value={currentInput}
+            display={fractionDisplay}
+            precision={state.precision}
+            onAction={handleButtonAction}
+            formatValue={formatFraction}
+          />
+        )}
+
+        {graphMode && (
+          <GraphPanel
+            expressions={graphExpressions}
+            options={expressionOptions}
+            onAction={handleButtonAction}
+            formatValue={formatResultValue}
+          />
+        )}
+
+        <KeyGrid columns={4} className="button-grid" label="Calculator keys">
           <button
             type="button"
             className="btn control"
@@ -510,13 +1023,31 @@ function App() {
             ÷
           </button>
 
-          <button type="button" className="btn" aria-label="Digit 7" onClick={() => handleButtonAction('digit', '7')}>
+          <button
+            type="button"
+            className="btn"
+            aria-label="Digit 7"
+            disabled={digitDisabled('7')}
+            onClick={() => handleButtonAction('digit', '7')}
+          >
             7
           </button>
-          <button type="button" className="btn" aria-label="Digit 8" onClick={() => handleButtonAction('digit', '8')}>
+          <button
+            type="button"
+            className="btn"
+            aria-label="Digit 8"
+            disabled={digitDisabled('8')}
+            onClick={() => handleButtonAction('digit', '8')}
+          >
             8
           </button>
-          <button type="button" className="btn" aria-label="Digit 9" onClick={() => handleButtonAction('digit', '9')}>
+          <button
+            type="button"
+            className="btn"
+            aria-label="Digit 9"
+            disabled={digitDisabled('9')}
+            onClick={() => handleButtonAction('digit', '9')}
+          >
             9
           </button>
           <button
@@ -528,13 +1059,31 @@ function App() {
             ×
           </button>
 
-          <button type="button" className="btn" aria-label="Digit 4" onClick={() => handleButtonAction('digit', '4')}>
+          <button
+            type="button"
+            className="btn"
+            aria-label="Digit 4"
+            disabled={digitDisabled('4')}
+            onClick={() => handleButtonAction('digit', '4')}
+          >
             4
           </button>
-          <button type="button" className="btn" aria-label="Digit 5" onClick={() => handleButtonAction('digit', '5')}>
+          <button
+            type="button"
+            className="btn"
+            aria-label="Digit 5"
+            disabled={digitDisabled('5')}
+            onClick={() => handleButtonAction('digit', '5')}
+          >
             5
           </button>
-          <button type="button" className="btn" aria-label="Digit 6" onClick={() => handleButtonAction('digit', '6')}>
+          <button
+            type="button"
+            className="btn"
+            aria-label="Digit 6"
+            disabled={digitDisabled('6')}
+            onClick={() => handleButtonAction('digit', '6')}
+          >
             6
           </button>
           <button
@@ -546,13 +1095,31 @@ function App() {
             −
           </button>
 
-          <button type="button" className="btn" aria-label="Digit 1" onClick={() => handleButtonAction('digit', '1')}>
+          <button
+            type="button"
+            className="btn"
+            aria-label="Digit 1"
+            disabled={digitDisabled('1')}
+            onClick={() => handleButtonAction('digit', '1')}
+          >
             1
           </button>
-          <button type="button" className="btn" aria-label="Digit 2" onClick={() => handleButtonAction('digit', '2')}>
+          <button
+            type="button"
+            className="btn"
+            aria-label="Digit 2"
+            disabled={digitDisabled('2')}
+            onClick={() => handleButtonAction('digit', '2')}
+          >
             2
           </button>
-          <button type="button" className="btn" aria-label="Digit 3" onClick={() => handleButtonAction('digit', '3')}>
+          <button
+            type="button"
+            className="btn"
+            aria-label="Digit 3"
+            disabled={digitDisabled('3')}
+            onClick={() => handleButtonAction('digit', '3')}
+          >
             3
           </button>
           <button
@@ -572,11 +1139,23 @@ function App() {
           >
             +/-
           </button>
-          <button type="button" className="btn" aria-label="Digit 0" onClick={() => handleButtonAction('digit', '0')}>
+          <button
+            type="button"
+            className="btn"
+            aria-label="Digit 0"
+            disabled={digitDisabled('0')}
+            onClick={() => handleButtonAction('digit', '0')}
+          >
             0
           </button>
-          <button type="button" className="btn" aria-label="Decimal" onClick={() => handleButtonAction('decimal')}>
-            .
+          <button
+            type="button"
+            className="btn"
+            aria-label="Decimal"
+            disabled={programmerMode}
+            onClick={() => handleButtonAction('decimal')}
+          >
+            {decimalSeparator}
           </button>
           <button
             type="button"
@@ -586,8 +1165,95 @@ function App() {
           >
             =
           </button>
-        </div>
+        </KeyGrid>
+
+        {/* Embedded, the host page owns the settings */}
+        {!embed && (
+          <>
+            <div className="settings-row">
+              <button
+                type="button"
+                className="btn control small"
+                aria-label="Keyboard shortcuts"
+                aria-haspopup="dialog"
+                title="Keyboard shortcuts (?)"
+                onClick={() => setHelpOpen(true)}
+              >
+                ⌨ ?
+              </button>
+              <label className="settings-label" htmlFor="locale-select">
+                Number format
+              </label>
+              <select
+                id="locale-select"
+                value={localePreference}
+                onChange={(e) => setLocalePreference(e.target.value)}
+              >
+                {LOCALE_OPTIONS.map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {value ? label : `${label} (${resolveLocale('')})`}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="settings-row">
+              <label className="settings-label" htmlFor="theme-select">
+                Theme
+              </label>
+              <select
+                id="theme-select"
+                value={themeSettings.mode}
+                onChange={(e) => setThemeSettings({ ...themeSettings, mode: e.target.value })}
+              >
+                {THEME_MODES.map(([mode, label]) => (
+                  <option key={mode} value={mode}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {themeSettings.mode === 'custom' && (
+              <PaletteEditor
+                palette={themeSettings.palette}
+                onChange={(palette) => setThemeSettings({ mode: 'custom', palette })}
+                onImport={handlePaletteImport}
+              />
+            )}
+          </>
+        )}
       </main>
+
+      {helpOpen && (
+        <KeyboardHelp
+          bindings={bindings}
+          onRebind={handleRebind}
+          onReset={() => setKeyOverrides({})}
+          onClose={() => setHelpOpen(false)}
+        />
+      )}
+
+      {!embed && (
+        <div className="side-panels">
+          <HistoryPanel
+            entries={history}
+            onRecall={(entry) => handleButtonAction('historyRecall', entry)}
+            onClear={() => handleButtonAction('historyClear')}
+            formatText={formatCalculation}
+          />
+          <MemoryPanel
+            registers={memory}
+            onAction={handleButtonAction}
+            formatValue={formatResultValue}
+          />
+          <VariablesPanel
+            definitions={definitions}
+            ans={ans}
+            onAction={handleButtonAction}
+            interpret={(text) => interpretPaste(text, pasteOptions)}
+            formatValue={formatResultValue}
+          />
+        </div>
+      )}
     </div>
   );
 }
@@ -1,8 +1,11 @@
-import { render, screen, fireEvent } from '@testing-library/react';
+import { act, render, screen, fireEvent } from '@testing-library/react';
+import axe from 'axe-core';
 import App from './App';
+import { watchForUpdates } from './serviceWorkerRegistration';
 
 function click(btnText) {
-  const btn = screen.getByRole('button', { name: btnText });
+  // Buttons carry descriptive aria-labels ("Digit 7", "Add"), so match on the visible key text.
+  const btn = screen.getByText(btnText, { selector: 'button' });
   fireEvent.click(btn);
 }
 
@@ -19,7 +22,7 @@ test('7 + 5 = 12', () => {
   click('5');
   click('=');
   const display = screen.getByTestId('display');
-  expect(display).toHaveTextContent(/^12$/);
+  expect(display).toHaveTextContent(/^7 \+ 5 =12$/);
 });
 
 test('1.2 + 3.4 = 4.6', () => {
@@ -33,7 +36,7 @@ test('1.2 + 3.4 = 4.6', () => {
   click('4');
   click('=');
   const display = screen.getByTestId('display');
-  expect(display).toHaveTextContent(/^4\.6$/);
+  expect(display).toHaveTextContent(/^1\.2 \+ 3\.4 =4\.6$/);
 });
 
 test('divide by zero yields Error', () => {
@@ -56,7 +59,7 @@ test('Clear resets to 0 after Error', () => {
   expect(display).toHaveTextContent(/^Error$/);
 
   // Clear via the clear button (aria-label stable even if label toggles)
-  const clearBtn = screen.getByRole('button', { name: /clear/i });
+  const clearBtn = screen.getByRole('button', { name: /^clear$/i });
   fireEvent.click(clearBtn);
   fireEvent.click(clearBtn); // may require two presses if it first clears entry
 
@@ -158,3 +161,1084 @@ test('Memory clear (MC) clears memory to 0', () => {
   const display = screen.getByTestId('display');
   expect(display).toHaveTextContent(/^0$/);
 });
+
+/* Decimal precision edge cases */
+
+test('0.1 + 0.2 = 0.3 exactly', () => {
+  render(<App />);
+  click('.');
+  click('1');
+  click('+');
+  click('.');
+  click('2');
+  click('=');
+  const display = screen.getByTestId('display');
+  expect(display).toHaveTextContent(/^0\.1 \+ 0\.2 =0\.3$/);
+});
+
+test('large values keep every digit', () => {
+  render(<App />);
+  '9007199254740993'.split('').forEach((d) => click(d));
+  click('+');
+  click('1');
+  click('=');
+  const display = screen.getByTestId('display');
+  expect(display).toHaveTextContent(/^9,007,199,254,740,993 \+ 1 =9,007,199,254,740,994$/);
+});
+
+test('money-style subtraction 1.10 − 0.30 = 0.8', () => {
+  render(<App />);
+  ['1', '.', '1', '0'].forEach(click);
+  click('−');
+  ['.', '3', '0'].forEach(click);
+  click('=');
+  const display = screen.getByTestId('display');
+  expect(display).toHaveTextContent(/^1\.1 − 0\.3 =0\.8$/);
+});
+
+test('precision prop controls division rounding', () => {
+  render(<App precision={4} />);
+  click('2');
+  click('÷');
+  click('3');
+  click('=');
+  const display = screen.getByTestId('display');
+  expect(display).toHaveTextContent(/^2 ÷ 3 =0\.6667$/);
+});
+
+test('percent of previous value is exact', () => {
+  render(<App />);
+  ['1', '9', '.', '9', '9'].forEach(click);
+  click('×');
+  click('1');
+  click('5');
+  click('%');
+  const display = screen.getByTestId('display');
+  expect(display).toHaveTextContent(/^19\.99 ×2\.9985$/);
+});
+
+/* Expression mode */
+
+test('expression mode honours precedence: 2 + 3 × 4 = 14', () => {
+  render(<App />);
+  click('Expr');
+  click('2');
+  click('+');
+  click('3');
+  click('×');
+  click('4');
+  expect(screen.getByLabelText('Last operation')).toHaveTextContent('2 + 3 ×');
+  click('=');
+  expect(screen.getByLabelText('Last operation')).toHaveTextContent('2 + 3 × 4 =');
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^14$/);
+});
+
+test('expression mode groups with parentheses', () => {
+  render(<App />);
+  click('Expr');
+  click('(');
+  click('2');
+  click('+');
+  click('3');
+  click(')');
+  click('×');
+  click('4');
+  click('=');
+  expect(screen.getByLabelText('Last operation')).toHaveTextContent('( 2 + 3 ) × 4 =');
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^20$/);
+});
+
+test('expression mode reports parse errors descriptively', () => {
+  render(<App />);
+  click('Expr');
+  click('(');
+  click('2');
+  click('+');
+  click('3');
+  click('=');
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^Error$/);
+  expect(screen.getByLabelText('Last operation')).toHaveTextContent('Missing closing parenthesis');
+});
+
+test('repeated = repeats the last operation', () => {
+  render(<App />);
+  ['5', '+', '3', '=', '=', '='].forEach(click);
+  expect(screen.getByLabelText('Last operation')).toHaveTextContent(/^11 \+ 3 =$/);
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^14$/);
+  // A new number uses the retained operation as a constant
+  ['2', '='].forEach(click);
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^5$/);
+});
+
+test('chaining mode still evaluates left to right', () => {
+  render(<App />);
+  click('2');
+  click('+');
+  click('3');
+  click('×');
+  click('4');
+  click('=');
+  expect(screen.getByTestId('display')).toHaveTextContent(/^5 × 4 =20$/);
+});
+
+/* History tape */
+
+test('completed calculations appear in the history and can be recalled', () => {
+  window.localStorage.clear();
+  render(<App />);
+  click('7');
+  click('+');
+  click('5');
+  click('=');
+  const entry = screen.getByRole('button', { name: 'Recall 7 + 5 = 12' });
+
+  click('9');
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^9$/);
+  fireEvent.click(entry);
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^12$/);
+});
+
+test('history survives a remount via localStorage and can be cleared', () => {
+  window.localStorage.clear();
+  const { unmount } = render(<App />);
+  click('Expr');
+  click('2');
+  click('+');
+  click('3');
+  click('×');
+  click('4');
+  click('=');
+  unmount();
+
+  render(<App />);
+  expect(screen.getByRole('button', { name: 'Recall 2 + 3 × 4 = 14' })).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: /clear history/i }));
+  expect(screen.getByText('No calculations yet')).toBeInTheDocument();
+  expect(JSON.parse(window.localStorage.getItem('calculator.history'))).toEqual([]);
+});
+
+/* Scientific mode */
+
+test('scientific layout toggles and shows the angle mode', () => {
+  render(<App />);
+  expect(screen.queryByRole('group', { name: 'Scientific keys' })).not.toBeInTheDocument();
+  click('Sci');
+  expect(screen.getByRole('group', { name: 'Scientific keys' })).toBeInTheDocument();
+  expect(screen.getByLabelText('Angle mode DEG')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: /angle mode DEG/i }));
+  expect(screen.getByLabelText('Angle mode RAD')).toBeInTheDocument();
+});
+
+test('sin(30) = 0.5 in degrees and x² / xʸ keys', () => {
+  render(<App />);
+  click('Sci');
+  click('3');
+  click('0');
+  click('sin');
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^0\.5$/);
+  click('x²');
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^0\.25$/);
+  click('2');
+  click('xʸ');
+  click('8');
+  click('=');
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^256$/);
+});
+
+test('ln of zero shows Error like the negative square root', () => {
+  render(<App />);
+  click('Sci');
+  click('0');
+  click('ln');
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^Error$/);
+});
+
+test('keyboard shortcuts for scientific functions', () => {
+  render(<App />);
+  fireEvent.keyDown(window, { key: '5' });
+  fireEvent.keyDown(window, { key: '!' });
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^120$/);
+  fireEvent.keyDown(window, { key: 'l' });
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^2\.079181246$/);
+});
+
+/* Programmer mode */
+
+test('programmer mode shows the value in all four bases', () => {
+  render(<App />);
+  click('Prog');
+  click('2');
+  click('5');
+  click('5');
+  expect(screen.getByTestId('base-HEX')).toHaveTextContent('FF');
+  expect(screen.getByTestId('base-DEC')).toHaveTextContent('255');
+  expect(screen.getByTestId('base-OCT')).toHaveTextContent('377');
+  expect(screen.getByTestId('base-BIN')).toHaveTextContent('11111111');
+});
+
+test('programmer mode hex input with keyboard bitwise operators', () => {
+  render(<App />);
+  click('Prog');
+  fireEvent.click(screen.getByRole('button', { name: 'HEX input' }));
+  expect(screen.getByRole('button', { name: 'Digit 9' })).not.toBeDisabled();
+  expect(screen.getByRole('button', { name: 'Decimal' })).toBeDisabled();
+  fireEvent.keyDown(window, { key: 'f' });
+  fireEvent.keyDown(window, { key: '0' });
+  fireEvent.keyDown(window, { key: '|' });
+  fireEvent.keyDown(window, { key: '0' });
+  fireEvent.keyDown(window, { key: 'a' });
+  fireEvent.keyDown(window, { key: 'Enter' });
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^FA$/);
+  expect(screen.getByTestId('base-DEC')).toHaveTextContent('250');
+});
+
+test('programmer mode word size and binary digits', () => {
+  render(<App />);
+  click('Prog');
+  fireEvent.change(screen.getByLabelText('Word size'), { target: { value: '8' } });
+  fireEvent.click(screen.getByRole('button', { name: 'BIN input' }));
+  expect(screen.getByRole('button', { name: 'Digit 2' })).toBeDisabled();
+  click('1');
+  click('NOT');
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^11111110$/);
+  expect(screen.getByTestId('base-DEC')).toHaveTextContent('-2');
+});
+
+/* Memory registers */
+
+test('MS stacks registers in the memory panel with an M indicator', () => {
+  window.localStorage.clear();
+  render(<App />);
+  expect(screen.queryByLabelText(/^Memory holds/)).not.toBeInTheDocument();
+  expect(screen.getByText('Nothing in memory')).toBeInTheDocument();
+  click('4');
+  click('MS');
+  click('9');
+  click('MS');
+  expect(screen.getByLabelText('Memory holds 2 values')).toHaveTextContent('M');
+  expect(screen.getAllByTestId('memory-value').map((el) => el.textContent)).toEqual(['9', '4']);
+
+  click('1');
+  fireEvent.click(screen.getByRole('button', { name: 'Add to M1' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Recall M1' }));
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^5$/);
+  fireEvent.click(screen.getByRole('button', { name: 'Delete M2' }));
+  expect(screen.getByLabelText('Memory holds 1 value')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Clear all memory' }));
+  expect(screen.queryByLabelText(/^Memory holds/)).not.toBeInTheDocument();
+});
+
+test('memory registers persist and can be renamed without typing into the calculator', () => {
+  window.localStorage.clear();
+  const { unmount } = render(<App />);
+  click('7');
+  click('MS');
+  const name = screen.getByLabelText('Name for M1');
+  fireEvent.keyDown(name, { key: '3' });
+  fireEvent.change(name, { target: { value: 'Rate' } });
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^7$/);
+  unmount();
+
+  render(<App />);
+  expect(screen.getByLabelText('Name for Rate')).toHaveValue('Rate');
+  fireEvent.click(screen.getByRole('button', { name: 'Recall Rate' }));
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^7$/);
+  window.localStorage.clear();
+});
+
+/* Variables and functions */
+
+test('variables and functions are defined, used with ans and kept across visits', () => {
+  window.localStorage.clear();
+  const { unmount } = render(<App />);
+  const line = screen.getByLabelText('Define or evaluate');
+  const enter = (text) => {
+    fireEvent.change(line, { target: { value: text } });
+    fireEvent.submit(line);
+  };
+  enter('rate = 0.0725');
+  enter('tax(x) = x * rate');
+  expect(screen.getByText('tax(x) = x × rate')).toBeInTheDocument();
+  click('1');
+  click('0');
+  click('0');
+  click('×');
+  click('2');
+  click('=');
+  fireEvent.click(screen.getByRole('button', { name: 'Use ans 200' }));
+  enter('tax(ans)');
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^14\.5$/);
+  expect(screen.getByRole('button', { name: /tax \( ans \) = 14\.5/ })).toBeInTheDocument();
+
+  enter('ans = 1');
+  expect(screen.getByText("'ans' is reserved for the last result")).toBeInTheDocument();
+  expect(line).toHaveValue('ans = 1');
+  enter('tax(fee)');
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^Error$/);
+  expect(screen.getByText("Unknown name 'fee'")).toBeInTheDocument();
+  unmount();
+
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'Use rate 0.0725' }));
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^0\.0725$/);
+  fireEvent.click(screen.getByRole('button', { name: 'Delete tax' }));
+  expect(screen.queryByText('tax(x) = x × rate')).not.toBeInTheDocument();
+  window.localStorage.clear();
+});
+
+/* Graph mode */
+
+/**
+ * Stand in for canvas drawing, which jsdom does not implement; the graph panel skips
+ * drawing without a context.
+ * @returns {() => void} puts the original back
+ */
+function stubCanvas() {
+  const { prototype } = window.HTMLCanvasElement;
+  const { getContext } = prototype;
+  prototype.getContext = () => null;
+  return () => {
+    prototype.getContext = getContext;
+  };
+}
+
+test('graph mode plots expressions, traces them and finds roots and intersections', () => {
+  window.localStorage.clear();
+  const restoreCanvas = stubCanvas();
+  const { unmount } = render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'Graph mode' }));
+  const plot = (label, text) => {
+    const field = screen.getByLabelText(label);
+    fireEvent.change(field, { target: { value: text } });
+    fireEvent.blur(field);
+  };
+  plot('y1 =', 'x ^ 2 - 4');
+  plot('y2 =', 'sqrt(-1 - x ^ 2)');
+  expect(screen.getByText('Square root of a negative number')).toBeInTheDocument();
+  const canvas = screen.getByRole('img', { name: /^Graph of y1 = x \^ 2 - 4, y2 = / });
+  expect(canvas).toHaveAccessibleName(/x from -10 to 10, y from -10 to 10$/);
+
+  // Zoom keys stay on the graph instead of reaching the keypad
+  fireEvent.keyDown(canvas, { key: '+' });
+  expect(canvas).toHaveAccessibleName(/x from -5 to 5, y from -5 to 5$/);
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^0$/);
+  fireEvent.click(screen.getByRole('button', { name: 'Reset view' }));
+
+  fireEvent.click(screen.getByRole('button', { name: 'Roots' }));
+  expect(screen.getByText(/Roots of y1/)).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: '(2, 0)' }));
+  const readout = screen.getByLabelText('Traced point');
+  expect(readout).toHaveTextContent('y1: x = 2, y = 0');
+  fireEvent.keyDown(canvas, { key: 'ArrowRight' });
+  expect(readout).toHaveTextContent('y1: x = 2.17, y = 0.7089');
+  fireEvent.click(screen.getByRole('button', { name: 'Use y 0.7089' }));
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^0\.7089$/);
+
+  plot('y2 =', '2 * x + 4');
+  fireEvent.click(screen.getByRole('button', { name: 'Intersections' }));
+  expect(screen.getByRole('button', { name: '(4, 12)' })).toBeInTheDocument();
+  expect(screen.getAllByRole('button', { name: /^\(/ })).toHaveLength(2);
+  unmount();
+
+  // The expressions are kept across visits
+  render(<App />);
+  expect(screen.getByLabelText('y2 =')).toHaveValue('2 * x + 4');
+  restoreCanvas();
+  window.localStorage.clear();
+});
+
+/* Number format */
+
+test('a decimal-comma locale formats the display and takes the comma key', () => {
+  window.localStorage.clear();
+  render(<App />);
+  fireEvent.change(screen.getByLabelText('Number format'), { target: { value: 'de-DE' } });
+  '1234567'.split('').forEach((d) => click(d));
+  fireEvent.keyDown(window, { key: ',' });
+  fireEvent.keyDown(window, { key: '8' });
+  fireEvent.keyDown(window, { key: '9' });
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^1\.234\.567,89$/);
+  expect(screen.getByRole('button', { name: 'Decimal' })).toHaveTextContent(',');
+
+  click('+');
+  expect(screen.getByLabelText('Last operation')).toHaveTextContent(/^1\.234\.567,89 \+$/);
+  click('1');
+  click('=');
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^1\.234\.568,89$/);
+  expect(JSON.parse(window.localStorage.getItem('calculator.locale'))).toBe('de-DE');
+  window.localStorage.clear();
+});
+
+test('pasted numbers are read in the selected locale', () => {
+  window.localStorage.clear();
+  render(<App />);
+  fireEvent.change(screen.getByLabelText('Number format'), { target: { value: 'de-DE' } });
+  const paste = (text) => fireEvent.paste(window, { clipboardData: { getData: () => text } });
+  paste('1.234,5');
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^1\.234,5$/);
+  paste('not a number');
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^1\.234,5$/);
+  click('×');
+  paste('2');
+  click('=');
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^2\.469$/);
+  window.localStorage.clear();
+});
+
+/* Notation */
+
+test('large results switch to exponent notation and ENG can be selected', () => {
+  render(<App />);
+  click('Sci');
+  '99999999'.split('').forEach((d) => click(d));
+  click('×');
+  '99999999999'.split('').forEach((d) => click(d));
+  click('=');
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^9\.9999998999e\+18$/);
+  expect(screen.getByLabelText('Current value')).toHaveAttribute('title', '9,999,999,899,900,000,001');
+
+  fireEvent.click(screen.getByRole('button', { name: /notation AUTO/i }));
+  expect(screen.getByLabelText('Notation ENG')).toBeInTheDocument();
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^9\.9999998999e\+18$/);
+  click('1');
+  click('2');
+  click('3');
+  click('4');
+  click('×');
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^1\.234e\+3$/);
+});
+
+test('EXP key enters exponents and overflow has its own message', () => {
+  render(<App />);
+  click('Sci');
+  click('2');
+  click('EXP');
+  click('3');
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^2e\+3$/);
+  click('+');
+  click('1');
+  click('=');
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^2,001$/);
+
+  fireEvent.keyDown(window, { key: 'E' });
+  ['9', '9', '9', '9'].forEach((key) => fireEvent.keyDown(window, { key }));
+  click('x²');
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^Error$/);
+  expect(screen.getByLabelText('Last operation')).toHaveTextContent(/^Overflow$/);
+});
+
+/* Clipboard */
+
+test('pasting an expression evaluates it and records it in the history', () => {
+  window.localStorage.clear();
+  render(<App />);
+  fireEvent.paste(window, { clipboardData: { getData: () => '2 + 3 × 4 =' } });
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^14$/);
+  expect(screen.getByRole('button', { name: /2 \+ 3 × 4 = 14/ })).toBeInTheDocument();
+  click('+');
+  click('1');
+  click('=');
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^15$/);
+  window.localStorage.clear();
+});
+
+test('invalid pasted text is rejected with feedback', () => {
+  render(<App />);
+  click('7');
+  fireEvent.paste(window, { clipboardData: { getData: () => '2 + banana!' } });
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^7$/);
+  // The readouts are labelled <output> elements; the notice is the unnamed status
+  expect(screen.getByRole('status', { name: '' })).toHaveTextContent(/^Couldn't paste: /);
+});
+
+test('copying without a selection puts the unformatted value on the clipboard', () => {
+  render(<App />);
+  '1234.5'.split('').forEach((d) => click(d));
+  const copied = {};
+  fireEvent.copy(window, {
+    clipboardData: {
+      setData: (type, text) => {
+        copied[type] = text;
+      },
+    },
+  });
+  expect(copied['text/plain']).toBe('1234.5');
+  expect(screen.getByRole('status', { name: '' })).toHaveTextContent(/^Copied 1234\.5$/);
+});
+
+test('Ctrl shortcuts are left to the browser', () => {
+  render(<App />);
+  click('Sci');
+  click('9');
+  fireEvent.keyDown(window, { key: 'c', ctrlKey: true });
+  fireEvent.keyDown(window, { key: 'v', metaKey: true });
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^9$/);
+});
+
+test('copy button writes the value with the Clipboard API', async () => {
+  const written = [];
+  Object.defineProperty(window.navigator, 'clipboard', {
+    configurable: true,
+    value: { writeText: (text) => written.push(text) && Promise.resolve() },
+  });
+  render(<App />);
+  click('4');
+  click('2');
+  fireEvent.click(screen.getByRole('button', { name: 'Copy value' }));
+  expect(await screen.findByText('Copied 42')).toBeInTheDocument();
+  expect(written).toEqual(['42']);
+  delete window.navigator.clipboard;
+});
+
+/* Unit converter */
+
+test('unit converter shows the entry converted live and swaps units', () => {
+  render(<App />);
+  click('Conv');
+  fireEvent.change(screen.getByLabelText('Unit category'), { target: { value: 'length' } });
+  fireEvent.change(screen.getByLabelText('From unit'), { target: { value: 'mi' } });
+  fireEvent.change(screen.getByLabelText('To unit'), { target: { value: 'km' } });
+  click('1');
+  expect(screen.getByTestId('converted-value')).toHaveTextContent(/^1\.609344$/);
+  click('0');
+  expect(screen.getByTestId('converted-value')).toHaveTextContent(/^16\.09344$/);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Swap units' }));
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^16\.09344$/);
+  expect(screen.getByLabelText('From unit')).toHaveValue('km');
+  expect(screen.getByTestId('converted-value')).toHaveTextContent(/^10$/);
+
+  fireEvent.change(screen.getByLabelText('Unit category'), { target: { value: 'temperature' } });
+  click('C');
+  click('1');
+  click('0');
+  click('0');
+  expect(screen.getByTestId('converted-value')).toHaveTextContent(/^212$/);
+});
+
+/* Currency converter */
+
+test('currency converter uses the bundled rates and pushes the result to the display', () => {
+  window.localStorage.clear();
+  render(<App />);
+  click('Cur');
+  expect(screen.getByTestId('rates-as-of')).toHaveTextContent(/^Bundled rates as of Oct 1, 2026$/);
+  fireEvent.change(screen.getByLabelText('From currency'), { target: { value: 'EUR' } });
+  fireEvent.change(screen.getByLabelText('To currency'), { target: { value: 'USD' } });
+  click('1');
+  click('0');
+  expect(screen.getByTestId('converted-amount')).toHaveTextContent(/^10\.954 USD$/);
+  fireEvent.click(screen.getByRole('button', { name: 'Use converted amount' }));
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^10\.954$/);
+  click('×');
+  click('2');
+  click('=');
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^21\.908$/);
+});
+
+test('rate tables can be imported from CSV, persist and be reset', async () => {
+  window.localStorage.clear();
+  render(<App />);
+  click('Cur');
+  const csv = 'currency,rate,date\nUSD,1,2026-09-30\nEUR,0.8,2026-09-30\n';
+  const upload = (text, name) =>
+    fireEvent.change(screen.getByLabelText('Import rates'), {
+      target: { files: [new window.File([text], name)] },
+    });
+  upload(csv, 'rates.csv');
+  expect(await screen.findByText('Imported 2 rates as of Sep 30, 2026')).toBeInTheDocument();
+  expect(screen.getByTestId('rates-as-of')).toHaveTextContent(/^Imported rates as of Sep 30, 2026$/);
+  click('5');
+  expect(screen.getByTestId('converted-amount')).toHaveTextContent(/^4 EUR$/);
+  expect(JSON.parse(window.localStorage.getItem('calculator.rates')).rates.EUR).toBe('0.8');
+
+  upload('USD,1', 'broken.csv');
+  expect(await screen.findByText(/^Couldn't import rates: Missing or invalid/)).toBeInTheDocument();
+  expect(screen.getByTestId('converted-amount')).toHaveTextContent(/^4 EUR$/);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Use bundled rates' }));
+  expect(screen.getByTestId('rates-as-of')).toHaveTextContent(/^Bundled rates/);
+  expect(JSON.parse(window.localStorage.getItem('calculator.rates'))).toBeNull();
+  window.localStorage.clear();
+});
+
+/* Date mode */
+
+test('date mode shows differences and dates plus business days on the display', () => {
+  render(<App />);
+  click('Date');
+  fireEvent.change(screen.getByLabelText('Start date'), { target: { value: '2026-01-01' } });
+  fireEvent.change(screen.getByLabelText('End date'), { target: { value: '2026-04-05' } });
+  const lastOperation = screen.getByLabelText('Last operation');
+  const current = screen.getByLabelText('Current value');
+  expect(lastOperation).toHaveTextContent(/^Days from Jan 1, 2026 to Apr 5, 2026 =$/);
+  expect(current).toHaveTextContent(/^94$/);
+
+  fireEvent.click(screen.getByLabelText(/^Business days only/));
+  const holidays = screen.getByLabelText(/^Holidays/);
+  fireEvent.change(holidays, { target: { value: '2026-01-02 Bank holiday' } });
+  fireEvent.blur(holidays);
+  expect(current).toHaveTextContent(/^65$/);
+  expect(JSON.parse(window.localStorage.getItem('calculator.holidays'))).toEqual(['2026-01-02']);
+  fireEvent.change(holidays, { target: { value: 'tomorrow' } });
+  fireEvent.blur(holidays);
+  expect(screen.getByText("Line 1: 'tomorrow' is not a date (use YYYY-MM-DD)")).toBeInTheDocument();
+  expect(current).toHaveTextContent(/^65$/);
+
+  fireEvent.change(screen.getByLabelText('Date operation'), { target: { value: 'add' } });
+  click('9');
+  click('0');
+  click('=');
+  expect(lastOperation).toHaveTextContent(/^Jan 1, 2026 \+ 90 business days =$/);
+  expect(current).toHaveTextContent(/^May 8, 2026$/);
+  expect(
+    screen.getByRole('button', { name: 'Recall Jan 1, 2026 + 90 business days = May 8, 2026' })
+  ).toBeInTheDocument();
+
+  click('.');
+  click('5');
+  expect(lastOperation).toHaveTextContent(/^Enter a whole number of days, weeks or months$/);
+  expect(current).toHaveTextContent(/^Error$/);
+});
+
+/* Financial mode */
+
+test('financial mode computes a loan payment and its amortization schedule', () => {
+  window.localStorage.clear();
+  render(<App />);
+  click('Fin');
+  const enter = (digits, register) => {
+    digits.split('').forEach(click);
+    click(register);
+  };
+  enter('360', 'N');
+  enter('6', 'I/Y');
+  enter('200000', 'PV');
+  click('CPT');
+  expect(screen.getByRole('button', { name: 'Compute PMT' })).toBeInTheDocument();
+  click('PMT');
+  const current = screen.getByLabelText('Current value');
+  expect(current).toHaveTextContent(/^-1,199\.1010503055$/);
+  expect(
+    screen.getByRole('button', {
+      name: 'Recall PMT(N=360; I/Y=6; PV=200,000; FV=0; P/Y=12) = -1,199.1010503055',
+    })
+  ).toBeInTheDocument();
+
+  // jsdom does not open <details> from its summary
+  const schedule = screen.getByText('Amortization schedule').closest('details');
+  schedule.open = true;
+  fireEvent(schedule, new window.Event('toggle'));
+  expect(screen.getByText('Total interest 231,676.38, principal 200,000.00')).toBeInTheDocument();
+  const firstRow = screen.getByRole('rowheader', { name: '1' }).closest('tr');
+  expect(firstRow).toHaveTextContent(/^1-1,199.101,000.00199.10199,800.90$/);
+
+  // Pricing operators work like the arithmetic ones
+  click('C');
+  enter('80', 'MG');
+  enter('20', '=');
+  expect(current).toHaveTextContent(/^100$/);
+  window.localStorage.clear();
+});
+
+/* Statistics mode */
+
+test('statistics mode builds a data list from the keypad and pasted CSV', () => {
+  window.localStorage.clear();
+  render(<App />);
+  click('Stat');
+  // Summary values are buttons too, so digits are pressed by name
+  ['2', '4', '4', '5'].forEach((value) => {
+    fireEvent.click(screen.getByRole('button', { name: `Digit ${value}` }));
+    click('Σ+');
+  });
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^4$/);
+  expect(screen.getByText('Data (4)')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Use Mean (ȳ) 3.75' }));
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^3\.75$/);
+
+  const point = screen.getByLabelText('Data point 1');
+  fireEvent.change(point, { target: { value: '8' } });
+  fireEvent.blur(point);
+  expect(screen.getByRole('button', { name: 'Use Mean (ȳ) 5.25' })).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Data point 2'), { target: { value: '4x' } });
+  fireEvent.blur(screen.getByLabelText('Data point 2'));
+  expect(screen.getByText("Point 2: '4x' is not a value or an x,y pair")).toBeInTheDocument();
+
+  const paste = screen.getByLabelText(/^Paste data/);
+  fireEvent.change(paste, { target: { value: 'x,y\n1,2\n2,4\n3,7' } });
+  click('Replace');
+  expect(screen.getByText('Data (3)')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Use Slope (a) 2.5' })).toBeInTheDocument();
+  fireEvent.change(paste, { target: { value: '1\nseven' } });
+  click('Append');
+  expect(screen.getByText("Line 2: 'seven' is not a value or an x,y pair")).toBeInTheDocument();
+  window.localStorage.clear();
+});
+
+/* Fraction mode */
+
+test('fraction mode keeps results exact and shows them three ways', () => {
+  window.localStorage.clear();
+  render(<App />);
+  const current = screen.getByLabelText('Current value');
+  click('Frac');
+  ['1', '÷', '3', '×', '3', '='].forEach(click);
+  expect(current).toHaveTextContent(/^1$/);
+
+  ['1', 'a b/c', '2', 'a b/c', '3'].forEach(click);
+  expect(current).toHaveTextContent(/^1 2\/3$/);
+  ['+', '1', 'a b/c', '2', '='].forEach(click);
+  expect(current).toHaveTextContent(/^13\/6$/);
+  expect(screen.getByTestId('fraction-mixed')).toHaveTextContent(/^2 1\/6$/);
+  expect(screen.getByTestId('fraction-decimal')).toHaveTextContent(/^2\.1666666667$/);
+  click('F↔D');
+  expect(current).toHaveTextContent(/^2 1\/6$/);
+  expect(screen.getByLabelText('Last operation')).toHaveTextContent(/^5\/3 \+ 1\/2 =$/);
+  expect(screen.getByRole('button', { name: 'Statistics mode' })).toBeDisabled();
+
+  click('Frac');
+  expect(current).toHaveTextContent(/^2\.1666666667$/);
+  window.localStorage.clear();
+});
+
+/* Keyboard shortcuts */
+
+test('memory keys have keyboard shortcuts', () => {
+  window.localStorage.clear();
+  render(<App />);
+  fireEvent.keyDown(window, { key: '4' });
+  fireEvent.keyDown(window, { key: 'm' });
+  fireEvent.keyDown(window, { key: 'Escape' });
+  fireEvent.keyDown(window, { key: 'M' });
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^4$/);
+  window.localStorage.clear();
+});
+
+test('? lists the shortcuts and keys can be remapped with conflict detection', () => {
+  window.localStorage.clear();
+  render(<App />);
+  fireEvent.keyDown(window, { key: '?' });
+  const dialog = screen.getByRole('dialog', { name: 'Keyboard shortcuts' });
+  expect(screen.getByTestId('keys-sqrt')).toHaveTextContent(/^rR$/);
+  expect(screen.getByTestId('keys-memoryStore')).toHaveTextContent(/^m$/);
+
+  // Digits typed while the overlay is open do not reach the calculator
+  fireEvent.keyDown(dialog, { key: '7' });
+  fireEvent.click(screen.getByRole('button', { name: 'Change shortcut for Square root' }));
+  fireEvent.keyDown(dialog, { key: 'm' });
+  expect(screen.getByRole('alert')).toHaveTextContent('“m” is already used by Memory store (MS).');
+  expect(screen.getByTestId('keys-sqrt')).toHaveTextContent(/^rR$/);
+  fireEvent.click(screen.getByRole('button', { name: 'Use for Square root' }));
+  expect(screen.getByTestId('keys-sqrt')).toHaveTextContent(/^m$/);
+  expect(screen.getByTestId('keys-memoryStore')).toHaveTextContent(/^—$/);
+
+  fireEvent.keyDown(dialog, { key: 'Escape' });
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^0$/);
+  fireEvent.keyDown(window, { key: '9' });
+  fireEvent.keyDown(window, { key: 'm' });
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^3$/);
+  fireEvent.keyDown(window, { key: 'r' });
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^3$/);
+  expect(JSON.parse(window.localStorage.getItem('calculator.keybindings'))).toEqual({
+    sqrt: ['m'],
+    memoryStore: [],
+  });
+
+  fireEvent.click(screen.getByRole('button', { name: 'Keyboard shortcuts' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Reset all' }));
+  expect(screen.getByTestId('keys-sqrt')).toHaveTextContent(/^rR$/);
+  fireEvent.click(screen.getByRole('button', { name: 'Close keyboard shortcuts' }));
+  window.localStorage.clear();
+});
+
+test('Ctrl+Z and Ctrl+Shift+Z undo and redo, as do the buttons', () => {
+  window.localStorage.clear();
+  const { unmount } = render(<App />);
+  const display = screen.getByLabelText('Current value');
+  expect(screen.getByRole('button', { name: 'Undo' })).toBeDisabled();
+  expect(screen.getByRole('button', { name: 'Undo' })).toHaveAttribute('title', 'Undo (Ctrl+Z)');
+  expect(screen.getByRole('button', { name: 'Redo' })).toHaveAttribute(
+    'title',
+    'Redo (Ctrl+Shift+Z, Ctrl+Y)'
+  );
+  fireEvent.keyDown(window, { key: '4' });
+  fireEvent.keyDown(window, { key: '2' });
+  fireEvent.keyDown(window, { key: 'Escape' });
+  fireEvent.keyDown(window, { key: 'z', ctrlKey: true });
+  expect(display).toHaveTextContent(/^42$/);
+  fireEvent.keyDown(window, { key: 'Z', ctrlKey: true, shiftKey: true });
+  expect(display).toHaveTextContent(/^0$/);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+  expect(display).toHaveTextContent(/^4$/);
+  fireEvent.click(screen.getByRole('button', { name: 'Redo' }));
+  expect(display).toHaveTextContent(/^42$/);
+  unmount();
+
+  // The hints follow remapped keys
+  window.localStorage.setItem('calculator.keybindings', JSON.stringify({ undo: ['Ctrl+u'] }));
+  render(<App />);
+  expect(screen.getByRole('button', { name: 'Undo' })).toHaveAttribute('title', 'Undo (Ctrl+U)');
+  window.localStorage.clear();
+});
+
+/* Themes */
+
+test('themes switch the page palette, persist and support custom palettes', async () => {
+  window.localStorage.clear();
+  render(<App />);
+  const root = document.documentElement;
+  expect(root.hasAttribute('data-theme')).toBe(false);
+  fireEvent.change(screen.getByLabelText('Theme'), { target: { value: 'dark' } });
+  expect(root.getAttribute('data-theme')).toBe('dark');
+  expect(JSON.parse(window.localStorage.getItem('calculator.theme')).mode).toBe('dark');
+
+  fireEvent.change(screen.getByLabelText('Theme'), { target: { value: 'custom' } });
+  fireEvent.change(screen.getByLabelText('Start from theme'), { target: { value: 'contrast' } });
+  expect(root.style.getPropertyValue('--color-bg')).toBe('#000000');
+  fireEvent.change(screen.getByLabelText('Background'), { target: { value: '#102030' } });
+  expect(root.style.getPropertyValue('--color-bg')).toBe('#102030');
+
+  fireEvent.change(screen.getByLabelText('Import palette'), {
+    target: { files: [new window.File(['{"colors":{"text":"#abc"}}'], 'palette.json')] },
+  });
+  expect(await screen.findByText('Imported palette')).toBeInTheDocument();
+  expect(root.style.getPropertyValue('--color-text')).toBe('#AABBCC');
+  expect(root.style.getPropertyValue('--color-bg')).toBe('#FFFFFF');
+
+  fireEvent.change(screen.getByLabelText('Theme'), { target: { value: 'system' } });
+  expect(root.hasAttribute('data-theme')).toBe(false);
+  expect(root.style.getPropertyValue('--color-text')).toBe('');
+  expect(screen.queryByRole('group', { name: 'Custom palette' })).not.toBeInTheDocument();
+  window.localStorage.clear();
+});
+
+/* Accessibility */
+
+// Rules that depend on layout or colour, which jsdom does not compute
+const AXE_OPTIONS = { rules: { 'color-contrast': { enabled: false } } };
+
+async function expectNoAxeViolations(container) {
+  const { violations } = await axe.run(container, AXE_OPTIONS);
+  expect(violations.map((v) => `${v.id}: ${v.nodes.map((n) => n.target).join(', ')}`)).toEqual(
+    []
+  );
+}
+
+test('every mode passes the automated accessibility checks', async () => {
+  window.localStorage.clear();
+  const restoreCanvas = stubCanvas();
+  const { container } = render(<App />);
+  click('7');
+  click('MS');
+  click('+');
+  click('5');
+  click('=');
+  await expectNoAxeViolations(container);
+
+  const modes = [
+    'Scientific mode',
+    'Programmer mode',
+    'Unit converter',
+    'Currency converter',
+    'Date mode',
+    'Financial mode',
+    'Statistics mode',
+    'Fraction mode',
+    'Graph mode',
+  ];
+  for (const mode of modes) {
+    fireEvent.click(screen.getByRole('button', { name: mode }));
+    await expectNoAxeViolations(container);
+    fireEvent.click(screen.getByRole('button', { name: mode }));
+  }
+
+  fireEvent.change(screen.getByLabelText('Theme'), { target: { value: 'custom' } });
+  await expectNoAxeViolations(container);
+  fireEvent.change(screen.getByLabelText('Theme'), { target: { value: 'system' } });
+
+  fireEvent.keyDown(window, { key: '?' });
+  await expectNoAxeViolations(document.body);
+  restoreCanvas();
+  window.localStorage.clear();
+});
+
+test('results and errors are announced in words', () => {
+  render(<App />);
+  const announcement = screen.getByTestId('announcement');
+  click('8');
+  click('÷');
+  expect(announcement).toHaveTextContent(/^8 divided by$/);
+  click('0');
+  click('=');
+  expect(announcement).toHaveTextContent(/^8 divided by 0: cannot divide by zero$/);
+  click('C');
+  click('5');
+  click('−');
+  click('7');
+  click('=');
+  expect(announcement).toHaveTextContent(/^5 minus 7 equals minus 2$/);
+});
+
+test('arrow keys move focus across the keypad and Enter presses the focused key', () => {
+  render(<App />);
+  const seven = screen.getByRole('button', { name: 'Digit 7' });
+  const keypad = screen.getByRole('group', { name: 'Calculator keys' });
+  // One key per grid is reachable with Tab
+  expect(keypad.querySelectorAll('button[tabindex="0"]')).toHaveLength(1);
+
+  act(() => seven.focus());
+  fireEvent.keyDown(seven, { key: 'ArrowRight' });
+  const eight = screen.getByRole('button', { name: 'Digit 8' });
+  expect(eight).toHaveFocus();
+  fireEvent.keyDown(eight, { key: 'ArrowDown' });
+  const five = screen.getByRole('button', { name: 'Digit 5' });
+  expect(five).toHaveFocus();
+  expect(five).toHaveAttribute('tabindex', '0');
+  expect(seven).toHaveAttribute('tabindex', '-1');
+
+  // The browser turns Enter into a click on the button; it must not also evaluate
+  fireEvent.keyDown(five, { key: 'Enter' });
+  fireEvent.click(five);
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^5$/);
+  expect(screen.getByLabelText('Last operation')).toHaveTextContent(/^$/);
+});
+
+/* Offline app */
+
+test('modes and settings are restored when the app is reopened', () => {
+  const { unmount } = render(<App />);
+  click('Sci');
+  click('Expr');
+  fireEvent.keyDown(window, { key: 'a' });
+  click('7');
+  unmount();
+
+  render(<App />);
+  expect(screen.getByRole('button', { name: 'Scientific mode' })).toHaveAttribute(
+    'aria-pressed',
+    'true'
+  );
+  expect(screen.getByRole('button', { name: 'Expression mode' })).toHaveAttribute(
+    'aria-pressed',
+    'true'
+  );
+  expect(screen.getByLabelText('Angle mode RAD')).toBeInTheDocument();
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^0$/);
+});
+
+test('a waiting service worker update is offered until it is activated', () => {
+  const { unmount } = render(<App />);
+  const waiting = Object.assign(new window.EventTarget(), { state: 'installed' });
+  const registration = Object.assign(new window.EventTarget(), { waiting, installing: null });
+  act(() => watchForUpdates(registration, { controller: {} }));
+  const message = 'A new version is available.';
+  expect(screen.getByText(message)).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Dismiss update' }));
+  expect(screen.queryByText(message)).not.toBeInTheDocument();
+  unmount();
+
+  // Still waiting on the next start, until another tab applies it
+  render(<App />);
+  expect(screen.getByText(message)).toBeInTheDocument();
+  Object.assign(waiting, { state: 'activated' });
+  Object.assign(registration, { waiting: null });
+  act(() => {
+    waiting.dispatchEvent(new window.Event('statechange'));
+  });
+  expect(screen.queryByText(message)).not.toBeInTheDocument();
+});
+
+/* Sharing and embedding */
+
+test('a shared link restores the calculation and the URL follows the display', () => {
+  window.history.replaceState(null, '', '/#prev=7&op=multiply&value=5');
+  render(<App />);
+  expect(screen.getByTestId('display')).toHaveTextContent(/^7 ×5$/);
+  click('=');
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^35$/);
+  expect(window.location.hash).toBe('#value=35');
+  fireEvent.click(screen.getByRole('button', { name: 'Clear' }));
+  expect(window.location.hash).toBe('');
+  // Typing leaves the hash alone until the entry is complete
+  click('3');
+  click('.');
+  click('5');
+  expect(window.location.hash).toBe('');
+  click('÷');
+  expect(window.location.hash).toBe('#prev=3.5&op=divide');
+
+  // Following another link in the same tab
+  window.history.replaceState(null, '', '/#prev=2&op=power&value=10');
+  fireEvent(window, new window.HashChangeEvent('hashchange'));
+  click('=');
+  expect(screen.getByLabelText('Current value')).toHaveTextContent(/^1,024$/);
+});
+
+test('the link button copies a link to the calculation', async () => {
+  const written = [];
+  Object.defineProperty(window.navigator, 'clipboard', {
+    configurable: true,
+    value: { writeText: (text) => written.push(text) && Promise.resolve() },
+  });
+  render(<App />);
+  const linkButton = screen.getByRole('button', { name: 'Copy link to this calculation' });
+  expect(linkButton).toBeDisabled();
+  click('4');
+  click('+');
+  click('2');
+  fireEvent.click(linkButton);
+  expect(await screen.findByText('Copied link')).toBeInTheDocument();
+  expect(written).toEqual(['http://localhost/#prev=4&op=add&value=2']);
+  delete window.navigator.clipboard;
+});
+
+test('embed mode shows only the calculator, keeps storage untouched and posts results', () => {
+  const saved = [{ id: 'a', name: 'M1', value: '9' }];
+  window.localStorage.setItem('calculator.memory', JSON.stringify(saved));
+  const posted = [];
+  const parent = { postMessage: (message, origin) => posted.push([message, origin]) };
+  Object.defineProperty(window, 'parent', { configurable: true, value: parent });
+  try {
+    render(<App embed targetOrigin="https://host.example" />);
+    expect(screen.getByRole('main', { name: 'Calculator' })).toBeInTheDocument();
+    expect(screen.queryByText('No calculations yet')).not.toBeInTheDocument();
+    expect(screen.queryByLabelText(/^Memory holds/)).not.toBeInTheDocument();
+    expect(screen.queryByLabelText('Number format')).not.toBeInTheDocument();
+    expect(screen.queryByLabelText('Theme')).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Keyboard shortcuts' })).not.toBeInTheDocument();
+    click('7');
+    click('×');
+    click('5');
+    click('=');
+    expect(posted).toHaveLength(1);
+    const [message, origin] = posted[0];
+    expect(message).toMatchObject({ type: 'calculator:result', expression: '7 × 5', result: '35' });
+    expect(origin).toBe('https://host.example');
+    click('MS');
+    expect(window.localStorage.getItem('calculator.history')).toBeNull();
+    expect(JSON.parse(window.localStorage.getItem('calculator.memory'))).toEqual(saved);
+  } finally {
+    delete window.parent;
+  }
+});
+
+test('embed mode posts nothing when the parent origin is unknown', () => {
+  const posted = [];
+  const parent = { postMessage: (message, origin) => posted.push([message, origin]) };
+  Object.defineProperty(window, 'parent', { configurable: true, value: parent });
+  try {
+    render(<App embed />);
+    click('7');
+    click('×');
+    click('5');
+    click('=');
+    expect(screen.getByLabelText('Current value')).toHaveTextContent(/^35$/);
+    expect(posted).toEqual([]);
+  } finally {
+    delete window.parent;
+  }
+});
@@ -0,0 +1,88 @@
+import React from 'react';
+import { UNIT_CATEGORIES, findCategory } from '../utils/units';
+
+// PUBLIC_INTERFACE
+function ConverterPanel({
+  category,
+  fromUnit,
+  toUnit,
+  convertedValue,
+  onAction,
+  formatValue = (value) => value,
+}) {
+  /**
+   * Unit converter controls: category and from/to unit pickers, a swap key and the
+   * entry converted live to the target unit. Digits come from the main keypad.
+   * @param {string} category - unit category id, e.g. "length"
+   * @param {string} fromUnit - unit the entry is read in
+   * @param {string} toUnit - unit the entry is converted to
+   * @param {string|null} convertedValue - canonical decimal text, null when unavailable
+   * @param {(type: string, payload?: any) => void} onAction - engine action dispatcher
+   * @param {(value: string) => string} [formatValue] - display formatting for the result
+   */
+  const { units } = findCategory(category);
+  const unitOptions = units.map((unit) => (
+    <option key={unit.id} value={unit.id}>
+      {unit.label}
+    </option>
+  ));
+
+  return (
+    <div className="converter-panel" role="group" aria-label="Unit converter">
+      <select
+        className="converter-category"
+        aria-label="Unit category"
+        value={category}
+        onChange={(e) => onAction('setUnitCategory', e.target.value)}
+      >
+        {UNIT_CATEGORIES.map((c) => (
+          <option key={c.id} value={c.id}>
+            {c.label}
+          </option>
+        ))}
+      </select>
+      <div className="converter-units">
+        <select
+          aria-label="From unit"
+          value={fromUnit}
+          onChange={(e) => onAction('setUnit', { side: 'from', unit: e.target.value })}
+        >
+          {unitOptions}
+        </select>
+        <button
+          type="button"
+          className="btn control small"
+          aria-label="Swap units"
+          title="Swap units"
+          onClick={() => onAction('swapUnits')}
+        >
+          ⇄
+        </button>
+        <select
+          aria-label="To unit"
+          value={toUnit}
+          onChange={(e) => onAction('setUnit', { side: 'to', unit: e.target.value })}
+        >
+          {unitOptions}
+        </select>
+      </div>
+      <div className="converter-output">
+        <div className="converter-result" aria-label="Converted value" data-testid="converted-value">
+          {convertedValue === null ? '—' : formatValue(convertedValue)}
+        </div>
+        <button
+          type="button"
+          className="btn control small"
+          aria-label="Use converted value"
+          title="Use the converted value as the current value"
+          disabled={convertedValue === null}
+          onClick={() => onAction('applyConversion')}
+        >
+          Use
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ConverterPanel;
@@ -0,0 +1,106 @@
+import React from 'react';
+import { DEFAULT_RATE_TABLE, currencyCodes } from '../utils/currency';
+
+// PUBLIC_INTERFACE
+function CurrencyPanel({
+  table,
+  fromCurrency,
+  toCurrency,
+  convertedValue,
+  onAction,
+  onImport,
+  formatValue = (value) => value,
+  formatDate = (date) => date,
+}) {
+  /**
+   * Currency converter controls: from/to currency pickers, a swap key, the entry
+   * converted with the rate table, and importing or resetting the rate table.
+   * @param {{asOf: string, rates: Object<string, string>, source: string}} table - rate table
+   * @param {string} fromCurrency - currency the entry is read in
+   * @param {string} toCurrency - currency the entry is converted to
+   * @param {string|null} convertedValue - canonical decimal text, null when unavailable
+   * @param {(type: string, payload?: any) => void} onAction - engine action dispatcher
+   * @param {(file: File) => void} onImport - called with a chosen JSON or CSV rate file
+   * @param {(value: string) => string} [formatValue] - display formatting for the result
+   * @param {(isoDate: string) => string} [formatDate] - display formatting for the "as of" date
+   */
+  const origin = table.source === 'bundled' ? 'Bundled rates' : 'Imported rates';
+  const currencyOptions = currencyCodes(table).map((code) => (
+    <option key={code} value={code}>
+      {code}
+    </option>
+  ));
+
+  return (
+    <div className="converter-panel currency-panel" role="group" aria-label="Currency converter">
+      <div className="converter-units">
+        <select
+          aria-label="From currency"
+          value={fromCurrency}
+          onChange={(e) => onAction('setCurrency', { side: 'from', code: e.target.value })}
+        >
+          {currencyOptions}
+        </select>
+        <button
+          type="button"
+          className="btn control small"
+          aria-label="Swap currencies"
+          title="Swap currencies"
+          onClick={() => onAction('swapCurrencies')}
+        >
+          ⇄
+        </button>
+        <select
+          aria-label="To currency"
+          value={toCurrency}
+          onChange={(e) => onAction('setCurrency', { side: 'to', code: e.target.value })}
+        >
+          {currencyOptions}
+        </select>
+      </div>
+      <div className="converter-output">
+        <div className="converter-result" aria-label="Converted amount" data-testid="converted-amount">
+          {convertedValue === null ? '—' : `${formatValue(convertedValue)} ${toCurrency}`}
+        </div>
+        <button
+          type="button"
+          className="btn control small"
+          aria-label="Use converted amount"
+          title="Use the converted amount as the current value"
+          disabled={convertedValue === null}
+          onClick={() => onAction('applyConversion')}
+        >
+          Use
+        </button>
+      </div>
+      <div className="rates-info">
+        <span data-testid="rates-as-of">
+          {origin} as of {formatDate(table.asOf)}
+        </span>
+        <label className="btn control small file-btn">
+          Import rates
+          <input
+            type="file"
+            accept=".json,.csv,application/json,text/csv"
+            onChange={(e) => {
+              const [file] = e.target.files;
+              if (file) onImport(file);
+              e.target.value = '';
+            }}
+          />
+        </label>
+        <button
+          type="button"
+          className="btn control small"
+          aria-label="Use bundled rates"
+          disabled={table.source === 'bundled'}
+          onClick={() => onAction('setRateTable', DEFAULT_RATE_TABLE)}
+        >
+          Reset
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default CurrencyPanel;
@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { DATE_OPERATIONS, DATE_UNITS, DateError, parseHolidayList } from '../utils/dates';
+
+// Range of the date pickers; the engine supports the same years.
+const MIN_DATE = '0001-01-01';
+const MAX_DATE = '9999-12-31';
+
+// PUBLIC_INTERFACE
+function DatePanel({ operation, startDate, endDate, unit, businessDays, holidays, onAction }) {
+  /**
+   * Date mode controls: the operation, the dates, the unit and business-day counting
+   * with its holiday list. The calculation and its result show on the main display;
+   * the amount to add or subtract comes from the keypad.
+   * @param {string} operation - 'difference', 'add' or 'subtract'
+   * @param {string} startDate - YYYY-MM-DD
+   * @param {string} endDate - YYYY-MM-DD, used by 'difference'
+   * @param {string} unit - 'days', 'weeks' or 'months'
+   * @param {boolean} businessDays - count business days (days only)
+   * @param {string[]} holidays - ISO dates skipped as business days
+   * @param {(type: string, payload?: any) => void} onAction - engine action dispatcher
+   */
+  // The list as typed; it is read when the field loses focus
+  const [holidayText, setHolidayText] = useState(() => holidays.join('\n'));
+  const [holidayError, setHolidayError] = useState(null);
+
+  const applyHolidays = () => {
+    let list;
+    try {
+      list = parseHolidayList(holidayText);
+    } catch (err) {
+      if (!(err instanceof DateError)) throw err;
+      setHolidayError(err.message);
+      return;
+    }
+    setHolidayError(null);
+    onAction('setHolidays', list);
+  };
+
+  const dateInput = (side, label, value) => (
+    <input
+      type="date"
+      aria-label={label}
+      min={MIN_DATE}
+      max={MAX_DATE}
+      value={value}
+      onChange={(e) => onAction('setDate', { side, date: e.target.value })}
+    />
+  );
+
+  return (
+    <div className="converter-panel date-panel" role="group" aria-label="Date calculator">
+      <div className="date-fields">
+        <select
+          aria-label="Date operation"
+          value={operation}
+          onChange={(e) => onAction('setDateOperation', e.target.value)}
+        >
+          {DATE_OPERATIONS.map(([id, label]) => (
+            <option key={id} value={id}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <select
+          aria-label="Date unit"
+          value={unit}
+          onChange={(e) => onAction('setDateUnit', e.target.value)}
+        >
+          {DATE_UNITS.map(([id, label]) => (
+            <option key={id} value={id}>
+              {label}
+            </option>
+          ))}
+        </select>
+        {dateInput('start', 'Start date', startDate)}
+        {operation === 'difference' ? (
+          dateInput('end', 'End date', endDate)
+        ) : (
+          <span className="date-hint">Type the number of {unit} on the keypad</span>
+        )}
+      </div>
+      <label className="date-option">
+        <input
+          type="checkbox"
+          checked={businessDays}
+          disabled={unit !== 'days'}
+          onChange={() => onAction('toggleBusinessDays')}
+        />
+        Business days only (Monday to Friday, without holidays)
+      </label>
+      {businessDays && unit === 'days' && (
+        <div className="date-holidays">
+          <label htmlFor="date-holidays">
+            Holidays ({holidays.length}): one YYYY-MM-DD date per line, names optional
+          </label>
+          <textarea
+            id="date-holidays"
+            rows={3}
+            spellCheck={false}
+            value={holidayText}
+            aria-invalid={holidayError !== null}
+            aria-describedby={holidayError ? 'date-holidays-error' : undefined}
+            onChange={(e) => setHolidayText(e.target.value)}
+            onBlur={applyHolidays}
+          />
+          {holidayError && (
+            <span id="date-holidays-error" className="date-error">
+              {holidayError}
+            </span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DatePanel;
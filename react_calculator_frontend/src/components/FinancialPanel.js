@@ -0,0 +1,238 @@
+import React, { useState } from 'react';
+import KeyGrid from './KeyGrid';
+import { downloadFile } from '../utils/download';
+import { PAYMENTS_PER_YEAR, TVM_REGISTERS, scheduleToCSV } from '../utils/financial';
+
+// Pricing operators and cash-flow functions: [label, aria-label, action type, payload].
+const FINANCIAL_KEYS = [
+  ['MU', 'Markup', 'operator', 'MU'],
+  ['MG', 'Margin', 'operator', 'MG'],
+  ['+TAX', 'Add tax', 'operator', '+TAX'],
+  ['−TAX', 'Remove tax', 'operator', '−TAX'],
+  ['NPV', 'Net present value at the displayed rate', 'npv'],
+  ['IRR', 'Internal rate of return', 'irr'],
+];
+
+// PUBLIC_INTERFACE
+function FinancialPanel({
+  tvm,
+  paymentsPerYear,
+  paymentsAtStart,
+  computePending,
+  cashFlows,
+  compound,
+  amortization,
+  onAction,
+  formatValue,
+  formatAmount,
+}) {
+  /**
+   * Financial mode: the TVM registers with CPT, the payment settings, pricing operators,
+   * the cash-flow list for NPV and IRR, compound interest and the amortization schedule.
+   * Register keys store the displayed value; after CPT they compute it instead.
+   * @param {{N: string, IY: string, PV: string, PMT: string, FV: string}} tvm - registers
+   * @param {number} paymentsPerYear - P/Y
+   * @param {boolean} paymentsAtStart - BGN (true) or END
+   * @param {boolean} computePending - CPT was pressed
+   * @param {string[]} cashFlows - CF0, CF1, ...
+   * @param {{balance: string, interest: string}|null} compound - PV compounded at I/Y for N
+   * @param {{schedule: object|null, error: string|null}} amortization - from
+   *   getAmortizationSchedule() in src/utils/engine.js
+   * @param {(type: string, payload?: any) => void} onAction - engine action dispatcher
+   * @param {(value: string) => string} formatValue - display formatting for values
+   * @param {(value: string) => string} formatAmount - display formatting for schedule
+   *   amounts, which keep their cents
+   */
+  // The schedule table is only rendered while it is open
+  const [scheduleOpen, setScheduleOpen] = useState(false);
+  const { schedule, error } = amortization;
+
+  return (
+    <div className="converter-panel financial-panel" role="group" aria-label="Financial functions">
+      <KeyGrid columns={6} className="financial-grid" label="Financial keys">
+        <button
+          type="button"
+          className={`btn control mode-toggle ${computePending ? 'active' : ''}`}
+          aria-label="Compute"
+          aria-pressed={computePending}
+          title="CPT: the next register key computes that register from the other four"
+          onClick={() => onAction('tvmCompute')}
+        >
+          CPT
+        </button>
+        {TVM_REGISTERS.map(([id, label]) => (
+          <button
+            key={id}
+            type="button"
+            className="btn control"
+            aria-label={`${computePending ? 'Compute' : 'Store'} ${label}`}
+            title={computePending ? `Compute ${label}` : `Store the displayed value in ${label}`}
+            onClick={() => onAction('tvmRegister', id)}
+          >
+            {label}
+          </button>
+        ))}
+        {FINANCIAL_KEYS.map(([label, ariaLabel, type, payload]) => (
+          <button
+            key={label}
+            type="button"
+            className={`btn control ${type === 'operator' ? 'operator' : ''}`}
+            aria-label={ariaLabel}
+            title={ariaLabel}
+            onClick={() => onAction(type, payload)}
+          >
+            {label}
+          </button>
+        ))}
+      </KeyGrid>
+
+      <dl className="tvm-registers">
+        {TVM_REGISTERS.map(([id, label]) => (
+          <div key={id}>
+            <dt>{label}</dt>
+            <dd>{formatValue(tvm[id])}</dd>
+          </div>
+        ))}
+      </dl>
+
+      <div className="financial-settings">
+        <select
+          aria-label="Payments per year"
+          value={paymentsPerYear}
+          onChange={(e) => onAction('setPaymentsPerYear', Number(e.target.value))}
+        >
+          {PAYMENTS_PER_YEAR.map((count) => (
+            <option key={count} value={count}>
+              P/Y {count}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          className={`btn control small ${paymentsAtStart ? 'active' : ''}`}
+          aria-label="Payments at the start of each period"
+          aria-pressed={paymentsAtStart}
+          title="BGN: payments at the start of each period; END: at the end"
+          onClick={() => onAction('togglePaymentTiming')}
+        >
+          {paymentsAtStart ? 'BGN' : 'END'}
+        </button>
+        <button
+          type="button"
+          className="btn control small"
+          aria-label="Clear TVM registers"
+          onClick={() => onAction('tvmClear')}
+        >
+          CLR TVM
+        </button>
+      </div>
+
+      <p className="financial-note">
+        {compound
+          ? `Compound interest on PV: balance ${formatValue(compound.balance)}, ` +
+            `interest ${formatValue(compound.interest)}`
+          : 'Compound interest: enter PV, I/Y and N'}
+      </p>
+
+      <div className="cash-flows">
+        <div className="financial-settings">
+          <span className="financial-note">Cash flows ({cashFlows.length})</span>
+          <button
+            type="button"
+            className="btn control small"
+            aria-label="Add the displayed value as a cash flow"
+            onClick={() => onAction('cashFlowAdd')}
+          >
+            Add CF
+          </button>
+          <button
+            type="button"
+            className="btn control small"
+            aria-label="Clear cash flows"
+            disabled={cashFlows.length === 0}
+            onClick={() => onAction('cashFlowClear')}
+          >
+            Clear
+          </button>
+        </div>
+        {cashFlows.length > 0 && (
+          <ol className="cash-flow-list" start={0}>
+            {cashFlows.map((flow, index) => (
+              // Flows repeat, so the position is their identity
+              <li key={index}>
+                <span>
+                  CF{index} {formatValue(flow)}
+                </span>
+                <button
+                  type="button"
+                  className="btn control small"
+                  aria-label={`Remove CF${index}`}
+                  onClick={() => onAction('cashFlowRemove', index)}
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+
+      <details
+        className="amortization"
+        open={scheduleOpen}
+        onToggle={(e) => setScheduleOpen(e.currentTarget.open)}
+      >
+        <summary>Amortization schedule</summary>
+        {scheduleOpen &&
+          (schedule ? (
+            <>
+              <div className="financial-settings">
+                <span className="financial-note">
+                  Total interest {formatAmount(schedule.totalInterest)}, principal{' '}
+                  {formatAmount(schedule.totalPrincipal)}
+                </span>
+                <button
+                  type="button"
+                  className="btn control small"
+                  aria-label="Export schedule as CSV"
+                  onClick={() =>
+                    downloadFile('amortization-schedule.csv', scheduleToCSV(schedule), 'text/csv')
+                  }
+                >
+                  CSV
+                </button>
+              </div>
+              <div className="amortization-table">
+                <table>
+                  <thead>
+                    <tr>
+                      <th scope="col">Period</th>
+                      <th scope="col">Payment</th>
+                      <th scope="col">Interest</th>
+                      <th scope="col">Principal</th>
+                      <th scope="col">Balance</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {schedule.rows.map((row) => (
+                      <tr key={row.period}>
+                        <th scope="row">{row.period}</th>
+                        <td>{formatAmount(row.payment)}</td>
+                        <td>{formatAmount(row.interest)}</td>
+                        <td>{formatAmount(row.principal)}</td>
+                        <td>{formatAmount(row.balance)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          ) : (
+            <p className="financial-error">{error}</p>
+          ))}
+      </details>
+    </div>
+  );
+}
+
+export default FinancialPanel;
@@ -0,0 +1,69 @@
+import React from 'react';
+import KeyGrid from './KeyGrid';
+import { FRACTION_DISPLAYS, formatFraction, parseFraction } from '../utils/fractions';
+
+// PUBLIC_INTERFACE
+function FractionPanel({ value, display, precision, onAction, formatValue }) {
+  /**
+   * Fraction mode controls: the a b/c key for typing fractions and mixed numbers, powers,
+   * the display key, and the value as a fraction, a mixed number and a decimal with the
+   * form results are shown in marked.
+   * @param {string} value - current entry text ("7/3", or "1 2/" while typing)
+   * @param {'fraction'|'mixed'|'decimal'} display - how results are shown
+   * @param {number} precision - decimal places of the decimal form
+   * @param {(type: string, payload?: any) => void} onAction - engine action dispatcher
+   * @param {(text: string, form: string) => string} formatValue - display formatting for
+   *   a value in one of the forms
+   */
+  const fraction = parseFraction(value);
+
+  return (
+    <div className="converter-panel fraction-panel" role="group" aria-label="Fractions">
+      <KeyGrid columns={3} className="fraction-grid" label="Fraction keys">
+        <button
+          type="button"
+          className="btn control"
+          aria-label="Fraction bar"
+          title="a b/c: start the denominator; again for a mixed number (1 a b/c 2 a b/c 3 is 1 2/3)"
+          onClick={() => onAction('fractionBar')}
+        >
+          a b/c
+        </button>
+        <button
+          type="button"
+          className="btn operator"
+          aria-label="Power"
+          title="Power: whole exponents keep the result exact"
+          onClick={() => onAction('operator', '^')}
+        >
+          xʸ
+        </button>
+        <button
+          type="button"
+          className="btn control"
+          aria-label="Switch fraction display"
+          title="F↔D: show results as a fraction, a mixed number or a decimal"
+          onClick={() => onAction('cycleFractionDisplay')}
+        >
+          F↔D
+        </button>
+      </KeyGrid>
+
+      <dl className="fraction-forms">
+        {FRACTION_DISPLAYS.map(([id, label]) => (
+          <div key={id} className={id === display ? 'active' : ''}>
+            <dt>
+              {label}
+              {id === display && <span className="visually-hidden"> (shown)</span>}
+            </dt>
+            <dd data-testid={`fraction-${id}`}>
+              {fraction ? formatValue(formatFraction(fraction, id, precision), id) : '—'}
+            </dd>
+          </div>
+        ))}
+      </dl>
+    </div>
+  );
+}
+
+export default FractionPanel;
@@ -0,0 +1,484 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { parseDecimal, toDecimalString } from '../utils/decimal';
+import { ExpressionError } from '../utils/expression';
+import {
+  DEFAULT_VIEW,
+  MAX_GRAPHS,
+  MAX_GRAPH_LENGTH,
+  compileGraph,
+  curveSegments,
+  findIntersections,
+  findRoots,
+  graphValue,
+  niceTicks,
+  panView,
+  sampleGraph,
+  snapValue,
+  zoomView,
+} from '../utils/graph';
+
+// Drawing size of the canvas in pixels; CSS scales it to the panel width.
+const CANVAS_WIDTH = 480;
+const CANVAS_HEIGHT = 320;
+
+// How each curve is drawn: [theme color variable, dash pattern, pattern name]. The dash
+// patterns tell the curves apart without relying on color.
+const CURVE_STYLES = [
+  ['--color-primary', [], 'solid'],
+  ['--color-success', [8, 4], 'dashed'],
+  ['--color-error', [2, 4], 'dotted'],
+  ['--color-secondary', [10, 4, 2, 4], 'dash-dot'],
+];
+
+// Zoom factor of one step in or out, and the share of the view one arrow key pans.
+const ZOOM_STEP = 0.5;
+const PAN_STEP = 0.1;
+
+// Pixels the trace moves per arrow key.
+const TRACE_STEP = 4;
+
+/**
+ * Utility: A view coordinate as canonical decimal text.
+ * @param {number} value
+ * @returns {string}
+ */
+function coordinateText(value) {
+  return toDecimalString(parseDecimal(value));
+}
+
+/**
+ * Utility: Draw the grid, axes with tick labels, the sampled curves and the trace marker.
+ * @param {HTMLCanvasElement} canvas
+ * @param {object} view - {xMin, xMax, yMin, yMax}
+ * @param {Array<object|null>} samples - sampleGraph() result per curve
+ * @param {{index: number, x: number, y: number|null}|null} marker - the traced point
+ * @param {(value: string) => string} formatValue - tick label formatting
+ */
+function drawGraph(canvas, view, samples, marker, formatValue) {
+  // Not every environment can draw (jsdom in tests)
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return;
+  const styles = window.getComputedStyle(canvas);
+  const color = (name, fallback) => styles.getPropertyValue(name).trim() || fallback;
+  const { xMin, xMax, yMin, yMax } = view;
+  const px = (x) => ((x - xMin) / (xMax - xMin)) * CANVAS_WIDTH;
+  // Points far off screen are pulled in so the line still leaves the view at the right angle
+  const py = (y) => {
+    const pixel = (1 - (y - yMin) / (yMax - yMin)) * CANVAS_HEIGHT;
+    return Math.min(3 * CANVAS_HEIGHT, Math.max(-2 * CANVAS_HEIGHT, pixel));
+  };
+
+  ctx.setLineDash([]);
+  ctx.fillStyle = color('--color-surface', '#ffffff');
+  ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+
+  // Grid lines at the ticks, then the axes where they are in view, labelled at the ticks
+  const xTicks = niceTicks(xMin, xMax);
+  const yTicks = niceTicks(yMin, yMax, 8);
+  const xAxis = Math.min(CANVAS_HEIGHT - 14, Math.max(2, py(0)));
+  const yAxis = Math.min(CANVAS_WIDTH - 40, Math.max(2, px(0)));
+  ctx.lineWidth = 1;
+  ctx.strokeStyle = color('--color-border-subtle', '#eeeeee');
+  ctx.beginPath();
+  xTicks.forEach((x) => {
+    ctx.moveTo(px(x), 0);
+    ctx.lineTo(px(x), CANVAS_HEIGHT);
+  });
+  yTicks.forEach((y) => {
+    ctx.moveTo(0, py(y));
+    ctx.lineTo(CANVAS_WIDTH, py(y));
+  });
+  ctx.stroke();
+  ctx.strokeStyle = color('--color-border', '#999999');
+  ctx.beginPath();
+  ctx.moveTo(0, py(0));
+  ctx.lineTo(CANVAS_WIDTH, py(0));
+  ctx.moveTo(px(0), 0);
+  ctx.lineTo(px(0), CANVAS_HEIGHT);
+  ctx.stroke();
+  ctx.fillStyle = color('--color-text', '#333333');
+  ctx.font = '11px sans-serif';
+  ctx.textBaseline = 'top';
+  xTicks
+    .filter((x) => x !== 0)
+    .forEach((x) => ctx.fillText(formatValue(coordinateText(x)), px(x) + 2, xAxis + 2));
+  yTicks
+    .filter((y) => y !== 0)
+    .forEach((y) => ctx.fillText(formatValue(coordinateText(y)), yAxis + 3, py(y) + 2));
+
+  ctx.lineWidth = 2;
+  samples.forEach((sample, index) => {
+    if (!sample) return;
+    const [name, dash] = CURVE_STYLES[index];
+    ctx.strokeStyle = color(name, '#1976d2');
+    ctx.setLineDash(dash);
+    ctx.beginPath();
+    curveSegments(sample.points).forEach((segment) => {
+      segment.forEach(({ x, y }, i) => (i ? ctx.lineTo(px(x), py(y)) : ctx.moveTo(px(x), py(y))));
+    });
+    ctx.stroke();
+  });
+
+  if (marker && marker.y !== null) {
+    ctx.setLineDash([]);
+    ctx.fillStyle = color(CURVE_STYLES[marker.index][0], '#1976d2');
+    ctx.beginPath();
+    ctx.arc(px(marker.x), py(marker.y), 4, 0, 2 * Math.PI);
+    ctx.fill();
+  }
+}
+
+// PUBLIC_INTERFACE
+function GraphPanel({ expressions, options, onAction, formatValue }) {
+  /**
+   * Graph mode: up to MAX_GRAPHS expressions of x plotted on a canvas that pans (drag or
+   * arrow keys) and zooms (wheel, + and −), a trace that follows the pointer or the
+   * arrow keys and reads out the point, and the roots and intersections in view. Curves
+   * are evaluated like typed expressions: they may use the variables and functions
+   * defined, and have gaps where the calculator reports an error.
+   * @param {string[]} expressions - graph expressions, see 'graphSet' in
+   *   src/utils/engine.js
+   * @param {object} options - how expressions are evaluated, from getExpressionOptions()
+   *   in src/utils/engine.js
+   * @param {(type: string, payload?: any) => void} onAction - engine action dispatcher
+   * @param {(value: string) => string} formatValue - display formatting for values
+   */
+  const canvasRef = useRef(null);
+  const drag = useRef(null);
+  const [view, setView] = useState(DEFAULT_VIEW);
+  const [tracing, setTracing] = useState(false);
+  const [selected, setSelected] = useState(0);
+  const [traceX, setTraceX] = useState(0);
+  const [found, setFound] = useState(null);
+
+  const curves = useMemo(
+    () =>
+      expressions.map((text) => {
+        try {
+          return { fn: compileGraph(text, options), error: null };
+        } catch (err) {
+          if (!(err instanceof ExpressionError)) throw err;
+          return { fn: null, error: err.message };
+        }
+      }),
+    [expressions, options]
+  );
+  const samples = useMemo(
+    () => curves.map(({ fn }) => (fn ? sampleGraph(fn, view) : null)),
+    [curves, view]
+  );
+
+  const current = Math.min(selected, Math.max(0, curves.length - 1));
+  const curve = curves[current];
+  const traceText = coordinateText(traceX);
+  const traceY =
+    tracing && curve && curve.fn ? graphValue(curve.fn, traceText, options.precision) : null;
+  const marker =
+    tracing && curve ? { index: current, x: traceX, y: traceY && Number(traceY) } : null;
+  // Roots and intersections are for the curves and view they were found in
+  const results = found && found.curves === curves && found.view === view ? found : null;
+
+  useEffect(() => {
+    drawGraph(canvasRef.current, view, samples, marker, formatValue);
+  });
+
+  // Wheel zoom about the pointer; React's wheel listener is passive and cannot stop the
+  // page from scrolling
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const rect = canvas.getBoundingClientRect();
+      setView((v) => {
+        const x = v.xMin + ((e.clientX - rect.left) / rect.width) * (v.xMax - v.xMin);
+        const y = v.yMax - ((e.clientY - rect.top) / rect.height) * (v.yMax - v.yMin);
+        return zoomView(v, e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP, { x, y });
+      });
+    };
+    canvas.addEventListener('wheel', onWheel, { passive: false });
+    return () => canvas.removeEventListener('wheel', onWheel);
+  }, []);
+
+  const commit = (index, text) => {
+    if (text === (expressions[index] || '')) return;
+    setFound(null);
+    onAction('graphSet', { index, text });
+  };
+
+  // The x under the pointer, to the digits a pixel can tell apart
+  const pointerX = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const x = view.xMin + ((e.clientX - rect.left) / rect.width) * (view.xMax - view.xMin);
+    return snapValue(x, view.xMax - view.xMin, rect.width || CANVAS_WIDTH);
+  };
+
+  const onPointerDown = (e) => {
+    if (tracing) {
+      setTraceX(pointerX(e));
+      return;
+    }
+    drag.current = { x: e.clientX, y: e.clientY, view };
+    if (e.target.setPointerCapture) e.target.setPointerCapture(e.pointerId);
+  };
+
+  const onPointerMove = (e) => {
+    if (tracing) {
+      if (e.buttons || e.pointerType === 'mouse') setTraceX(pointerX(e));
+      return;
+    }
+    if (!drag.current) return;
+    const rect = canvasRef.current.getBoundingClientRect();
+    const start = drag.current.view;
+    const dx = ((drag.current.x - e.clientX) / rect.width) * (start.xMax - start.xMin);
+    const dy = ((e.clientY - drag.current.y) / rect.height) * (start.yMax - start.yMin);
+    setView(panView(start, dx, dy));
+  };
+
+  const moveTrace = (steps) => {
+    const span = view.xMax - view.xMin;
+    setTraceX(snapValue(traceX + (steps * TRACE_STEP * span) / CANVAS_WIDTH, span, CANVAS_WIDTH));
+  };
+
+  const startTrace = (index, x) => {
+    setSelected(index);
+    setTraceX(Number(x));
+    setTracing(true);
+  };
+
+  const toggleTrace = () => {
+    if (!tracing) {
+      const span = view.xMax - view.xMin;
+      setTraceX(snapValue(view.xMin + span / 2, span, CANVAS_WIDTH));
+    }
+    setTracing(!tracing);
+  };
+
+  // Pan and zoom keys, or trace keys while tracing; they stay out of the keypad shortcuts
+  const onKeyDown = (e) => {
+    const width = view.xMax - view.xMin;
+    const height = view.yMax - view.yMin;
+    const keys = {
+      '+': () => setView(zoomView(view, ZOOM_STEP)),
+      '=': () => setView(zoomView(view, ZOOM_STEP)),
+      '-': () => setView(zoomView(view, 1 / ZOOM_STEP)),
+      Home: () => setView(DEFAULT_VIEW),
+      ArrowLeft: () => (tracing ? moveTrace(-1) : setView(panView(view, -width * PAN_STEP, 0))),
+      ArrowRight: () => (tracing ? moveTrace(1) : setView(panView(view, width * PAN_STEP, 0))),
+      ArrowUp: () =>
+        tracing && curves.length
+          ? setSelected((current + curves.length - 1) % curves.length)
+          : setView(panView(view, 0, height * PAN_STEP)),
+      ArrowDown: () =>
+        tracing && curves.length
+          ? setSelected((current + 1) % curves.length)
+          : setView(panView(view, 0, -height * PAN_STEP)),
+    };
+    if (!keys[e.key]) return;
+    e.preventDefault();
+    e.stopPropagation();
+    keys[e.key]();
+  };
+
+  const showRoots = () => {
+    setFound({
+      curves,
+      view,
+      title: `Roots of y${current + 1}`,
+      index: current,
+      points: findRoots(curve.fn, view, { precision: options.precision }),
+    });
+  };
+
+  const showIntersections = () => {
+    const points = curves
+      .filter(({ fn }, index) => fn && index !== current)
+      .flatMap(({ fn }) => findIntersections(curve.fn, fn, view, { precision: options.precision }))
+      .sort((a, b) => Number(a.x) - Number(b.x));
+    setFound({ curves, view, title: `Intersections with y${current + 1}`, index: current, points });
+  };
+
+  const plotted = expressions.map((text, index) => `y${index + 1} = ${text}`).join(', ');
+  const rangeText = (min, max) =>
+    `${formatValue(coordinateText(min))} to ${formatValue(coordinateText(max))}`;
+  const plottedCount = curves.filter(({ fn }) => fn).length;
+  const rows = expressions.length < MAX_GRAPHS ? [...expressions, ''] : expressions;
+
+  return (
+    <div className="converter-panel graph-panel" role="group" aria-label="Graph">
+      <ol className="graph-list">
+        {rows.map((text, index) => {
+          const [, , pattern] = CURVE_STYLES[index];
+          const problem = curves[index] && (curves[index].error || (samples[index] || {}).error);
+          return (
+            // Expressions are edited in place, so the position is their identity; the
+            // text resets the field
+            <li key={`${index}:${text}`}>
+              <label htmlFor={`graph-${index}`}>
+                <span className={`graph-swatch graph-swatch-${index}`} title={pattern} />
+                {`y${index + 1} =`}
+              </label>
+              <input
+                id={`graph-${index}`}
+                type="text"
+                defaultValue={text}
+                maxLength={MAX_GRAPH_LENGTH}
+                placeholder={index === expressions.length ? 'x ^ 2 − 4, sin(x)' : undefined}
+                spellCheck={false}
+                autoComplete="off"
+                aria-invalid={Boolean(problem)}
+                aria-describedby={problem ? `graph-${index}-error` : undefined}
+                onBlur={(e) => commit(index, e.target.value.trim())}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') e.target.blur();
+                }}
+              />
+              {problem && (
+                <span id={`graph-${index}-error`} className="stat-error">
+                  {problem}
+                </span>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+
+      <canvas
+        ref={canvasRef}
+        className={`graph-canvas ${tracing ? 'tracing' : ''}`}
+        width={CANVAS_WIDTH}
+        height={CANVAS_HEIGHT}
+        role="img"
+        tabIndex={0}
+        aria-label={`Graph of ${plotted || 'nothing yet'}, x from ${rangeText(
+          view.xMin,
+          view.xMax
+        )}, y from ${rangeText(view.yMin, view.yMax)}`}
+        aria-describedby="graph-keys"
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={() => {
+          drag.current = null;
+        }}
+        onKeyDown={onKeyDown}
+      />
+      <p id="graph-keys" className="stat-note">
+        Drag or use the arrow keys to pan; the wheel, + and − zoom; Home resets. While tracing,
+        ← → move along the curve and ↑ ↓ change curves.
+      </p>
+
+      <div className="graph-actions" role="group" aria-label="Graph view">
+        <button
+          type="button"
+          className="btn control small"
+          aria-label="Zoom in"
+          onClick={() => setView(zoomView(view, ZOOM_STEP))}
+        >
+          +
+        </button>
+        <button
+          type="button"
+          className="btn control small"
+          aria-label="Zoom out"
+          onClick={() => setView(zoomView(view, 1 / ZOOM_STEP))}
+        >
+          −
+        </button>
+        <button type="button" className="btn control small" onClick={() => setView(DEFAULT_VIEW)}>
+          Reset view
+        </button>
+        <button
+          type="button"
+          className={`btn control small ${tracing ? 'active' : ''}`}
+          aria-pressed={tracing}
+          disabled={curves.length === 0}
+          onClick={toggleTrace}
+        >
+          Trace
+        </button>
+        {curves.length > 1 && (
+          <select
+            aria-label="Curve"
+            value={current}
+            onChange={(e) => setSelected(Number(e.target.value))}
+          >
+            {curves.map((_, index) => (
+              <option key={index} value={index}>
+                y{index + 1}
+              </option>
+            ))}
+          </select>
+        )}
+        <button
+          type="button"
+          className="btn control small"
+          disabled={!curve || !curve.fn}
+          onClick={showRoots}
+        >
+          Roots
+        </button>
+        <button
+          type="button"
+          className="btn control small"
+          disabled={!curve || !curve.fn || plottedCount < 2}
+          onClick={showIntersections}
+        >
+          Intersections
+        </button>
+      </div>
+
+      {tracing && curve && (
+        <div className="graph-trace">
+          <output aria-label="Traced point" aria-live="polite">
+            y{current + 1}: x = {formatValue(traceText)}, y ={' '}
+            {traceY === null ? 'undefined' : formatValue(traceY)}
+          </output>
+          <button
+            type="button"
+            className="btn control small"
+            aria-label={`Use x ${formatValue(traceText)}`}
+            title="Put the traced x on the display"
+            onClick={() => onAction('graphUse', { index: current, x: traceText, axis: 'x' })}
+          >
+            Use x
+          </button>
+          <button
+            type="button"
+            className="btn control small"
+            aria-label={traceY === null ? 'Use y' : `Use y ${formatValue(traceY)}`}
+            title="Put the traced y on the display"
+            disabled={traceY === null}
+            onClick={() => onAction('graphUse', { index: current, x: traceText, axis: 'y' })}
+          >
+            Use y
+          </button>
+        </div>
+      )}
+
+      {results && (
+        <div className="graph-results">
+          <span className="stat-note">
+            {results.title}: {results.points.length ? '' : 'none in view'}
+          </span>
+          {results.points.length > 0 && (
+            <ul className="graph-points">
+              {results.points.map(({ x, y }) => (
+                <li key={`${x}:${y}`}>
+                  <button
+                    type="button"
+                    className="stat-value"
+                    title="Trace this point"
+                    onClick={() => startTrace(results.index, x)}
+                  >
+                    ({formatValue(x)}, {formatValue(y)})
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default GraphPanel;
@@ -0,0 +1,80 @@
+import React from 'react';
+import { downloadFile } from '../utils/download';
+import { historyToCSV, historyToJSON } from '../utils/history';
+
+// PUBLIC_INTERFACE
+function HistoryPanel({ entries, onRecall, onClear, formatText = (text) => text }) {
+  /**
+   * Calculation history tape, newest first.
+   * @param {Array<{id: string, expression: string, result: string}>} entries - oldest first
+   * @param {(entry) => void} onRecall - called when an entry is clicked
+   * @param {() => void} onClear - called when the tape is cleared
+   * @param {(text: string) => string} [formatText] - display formatting for numbers
+   *   (exports always use the raw values)
+   */
+  const isEmpty = entries.length === 0;
+
+  return (
+    <aside className="history-panel" aria-label="History">
+      <div className="history-header">
+        <h2 className="history-title">History</h2>
+        <div className="history-actions" role="group" aria-label="History actions">
+          <button
+            type="button"
+            className="btn control small"
+            aria-label="Export history as CSV"
+            disabled={isEmpty}
+            onClick={() => downloadFile('calculator-history.csv', historyToCSV(entries), 'text/csv')}
+          >
+            CSV
+          </button>
+          <button
+            type="button"
+            className="btn control small"
+            aria-label="Export history as JSON"
+            disabled={isEmpty}
+            onClick={() =>
+              downloadFile('calculator-history.json', historyToJSON(entries), 'application/json')
+            }
+          >
+            JSON
+          </button>
+          <button
+            type="button"
+            className="btn control small"
+            aria-label="Clear history"
+            disabled={isEmpty}
+            onClick={onClear}
+          >
+            Clear
+          </button>
+        </div>
+      </div>
+      {isEmpty ? (
+        <p className="history-empty">No calculations yet</p>
+      ) : (
+        <ol className="history-list">
+          {[...entries].reverse().map((entry) => {
+            const expression = formatText(entry.expression);
+            const result = formatText(entry.result);
+            return (
+              <li key={entry.id}>
+                <button
+                  type="button"
+                  className="history-entry"
+                  aria-label={`Recall ${expression} = ${result}`}
+                  onClick={() => onRecall(entry)}
+                >
+                  <span className="history-expression">{expression} =</span>
+                  <span className="history-result">{result}</span>
+                </button>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </aside>
+  );
+}
+
+export default HistoryPanel;
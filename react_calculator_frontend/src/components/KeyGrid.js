@@ -0,0 +1,67 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { nextGridIndex } from '../utils/rovingFocus';
+
+// PUBLIC_INTERFACE
+function KeyGrid({ columns, className, label, children }) {
+  /**
+   * Keypad container with a roving tabindex: Tab enters the grid at the last key
+   * used, the arrow keys (plus Home/End, Ctrl+Home/End) move between keys.
+   * @param {number} columns - keys per row, matching the CSS grid
+   * @param {string} className
+   * @param {string} label - accessible name of the group
+   * @param {React.ReactNode} children - the key buttons, row by row
+   */
+  const ref = useRef(null);
+  const [active, setActive] = useState(0);
+  const keys = () => Array.from(ref.current.querySelectorAll('button'));
+
+  // Keep exactly one enabled key in the tab order
+  useEffect(() => {
+    const buttons = keys();
+    let current = Math.min(active, buttons.length - 1);
+    if (buttons[current] && buttons[current].disabled) {
+      current = buttons.findIndex((button) => !button.disabled);
+    }
+    buttons.forEach((button, i) => {
+      button.tabIndex = i === current ? 0 : -1;
+    });
+  });
+
+  const onKeyDown = (e) => {
+    const buttons = keys();
+    const index = buttons.indexOf(e.target);
+    if (index < 0) return;
+    const next = nextGridIndex(index, e.key, {
+      count: buttons.length,
+      columns,
+      ctrlKey: e.ctrlKey || e.metaKey,
+      isDisabled: (i) => buttons[i].disabled,
+    });
+    if (next === null) return;
+    // Navigation keys stay inside the grid instead of reaching the keyboard shortcuts
+    e.preventDefault();
+    e.stopPropagation();
+    setActive(next);
+    buttons[next].focus();
+  };
+
+  const onFocus = (e) => {
+    const index = keys().indexOf(e.target);
+    if (index >= 0) setActive(index);
+  };
+
+  return (
+    <div
+      ref={ref}
+      className={className}
+      role="group"
+      aria-label={label}
+      onKeyDown={onKeyDown}
+      onFocus={onFocus}
+    >
+      {children}
+    </div>
+  );
+}
+
+export default KeyGrid;
@@ -0,0 +1,161 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { formatKey, keyFromEvent } from '../utils/keybindings';
+
+// PUBLIC_INTERFACE
+function KeyboardHelp({ bindings, onRebind, onReset, onClose }) {
+  /**
+   * Modal overlay listing every keyboard shortcut, grouped like the keypad. "Change"
+   * captures the next key press for a command; keys already used by another command
+   * are reported with the option to move them.
+   * @param {Array} bindings - commands from resolveBindings()
+   * @param {(commandId: string, key: string, options?: {replace?: boolean}) => {conflicts?: Array}} onRebind
+   *   applies a new key, or returns the conflicting commands without changing anything
+   * @param {() => void} onReset - restore the default bindings
+   * @param {() => void} onClose
+   */
+  const dialogRef = useRef(null);
+  // Command whose new key is being captured, and a key that clashed with other commands
+  const [capturing, setCapturing] = useState(null);
+  const [conflict, setConflict] = useState(null);
+
+  // Focus the dialog while open and hand focus back to where it was afterwards
+  useEffect(() => {
+    const previous = document.activeElement;
+    dialogRef.current.focus();
+    return () => {
+      if (previous && previous.focus) previous.focus();
+    };
+  }, []);
+
+  const groups = [];
+  bindings.forEach((command) => {
+    let group = groups.find((g) => g.name === command.group);
+    if (!group) {
+      group = { name: command.group, commands: [] };
+      groups.push(group);
+    }
+    group.commands.push(command);
+  });
+
+  const labelOf = (id) => bindings.find((c) => c.id === id).label;
+
+  const applyKey = (commandId, key, options) => {
+    const { conflicts } = onRebind(commandId, key, options) || {};
+    if (conflicts && conflicts.length) {
+      setConflict({ commandId, key, conflicts });
+    } else {
+      setConflict(null);
+    }
+    setCapturing(null);
+  };
+
+  const onKeyDown = (e) => {
+    if (capturing) {
+      e.preventDefault();
+      e.stopPropagation();
+      const key = keyFromEvent(e);
+      if (e.key === 'Escape') setCapturing(null);
+      else if (key) applyKey(capturing, key);
+      return;
+    }
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      onClose();
+    }
+  };
+
+  return (
+    <div
+      className="help-backdrop"
+      onClick={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <div
+        ref={dialogRef}
+        className="help-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="keyboard-help-title"
+        tabIndex={-1}
+        onKeyDown={onKeyDown}
+      >
+        <div className="history-header">
+          <h2 id="keyboard-help-title" className="history-title">
+            Keyboard shortcuts
+          </h2>
+          <div className="history-actions">
+            <button type="button" className="btn control small" onClick={onReset}>
+              Reset all
+            </button>
+            <button
+              type="button"
+              className="btn control small"
+              aria-label="Close keyboard shortcuts"
+              onClick={onClose}
+            >
+              ✕
+            </button>
+          </div>
+        </div>
+
+        {conflict && (
+          <div className="help-conflict" role="alert">
+            <span>
+              “{formatKey(conflict.key)}” is already used by{' '}
+              {conflict.conflicts.map((c) => c.label).join(', ')}.
+            </span>
+            <button
+              type="button"
+              className="btn control small"
+              onClick={() => applyKey(conflict.commandId, conflict.key, { replace: true })}
+            >
+              Use for {labelOf(conflict.commandId)}
+            </button>
+            <button type="button" className="btn control small" onClick={() => setConflict(null)}>
+              Cancel
+            </button>
+          </div>
+        )}
+
+        <div className="help-groups">
+          {groups.map((group) => (
+            <section key={group.name} className="help-group">
+              <h3>{group.name}</h3>
+              <table>
+                <tbody>
+                  {group.commands.map((command) => (
+                    <tr key={command.id}>
+                      <th scope="row">{command.label}</th>
+                      <td data-testid={`keys-${command.id}`}>
+                        {command.keys.length
+                          ? command.keys.map((key) => <kbd key={key}>{formatKey(key)}</kbd>)
+                          : '—'}
+                      </td>
+                      <td>
+                        <button
+                          type="button"
+                          className="btn control small"
+                          aria-label={`Change shortcut for ${command.label}`}
+                          aria-pressed={capturing === command.id}
+                          onClick={() => {
+                            setConflict(null);
+                            setCapturing(capturing === command.id ? null : command.id);
+                          }}
+                        >
+                          {capturing === command.id ? 'Press a key…' : 'Change'}
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </section>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default KeyboardHelp;
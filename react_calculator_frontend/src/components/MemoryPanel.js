@@ -0,0 +1,77 @@
+import React from 'react';
+
+// Per-register keys: [label, aria-label prefix, register key].
+const REGISTER_KEYS = [
+  ['MR', 'Recall', 'MR'],
+  ['M+', 'Add to', 'M+'],
+  ['M−', 'Subtract from', 'M-'],
+  ['✕', 'Delete', 'MD'],
+];
+
+// PUBLIC_INTERFACE
+function MemoryPanel({ registers, onAction, formatValue = (value) => value }) {
+  /**
+   * Memory registers, newest (top of the stack) first, each with its own
+   * recall/add/subtract/delete keys and an editable name.
+   * @param {Array<{id: string, name: string, value: string}>} registers - oldest first
+   * @param {(type: string, payload?: any) => void} onAction - engine action dispatcher
+   * @param {(value: string) => string} [formatValue] - display formatting for register values
+   */
+  const isEmpty = registers.length === 0;
+
+  return (
+    <aside className="memory-panel" aria-label="Memory">
+      <div className="history-header">
+        <h2 className="history-title">Memory</h2>
+        <button
+          type="button"
+          className="btn control small"
+          aria-label="Clear all memory"
+          disabled={isEmpty}
+          onClick={() => onAction('memory', 'MC')}
+        >
+          Clear
+        </button>
+      </div>
+      {isEmpty ? (
+        <p className="history-empty">Nothing in memory</p>
+      ) : (
+        <ol className="memory-list">
+          {[...registers].reverse().map((register, index) => {
+            const label = register.name.trim() || `Register ${registers.length - index}`;
+            return (
+              <li key={register.id} className="memory-entry">
+                <input
+                  type="text"
+                  className="memory-name"
+                  aria-label={`Name for ${label}`}
+                  placeholder={`Register ${registers.length - index}`}
+                  value={register.name}
+                  onChange={(e) => onAction('memoryRename', { id: register.id, name: e.target.value })}
+                />
+                <span className="memory-value" data-testid="memory-value">
+                  {formatValue(register.value)}
+                </span>
+                <div className="memory-actions" role="group" aria-label={`${label} keys`}>
+                  {REGISTER_KEYS.map(([text, verb, key]) => (
+                    <button
+                      key={key}
+                      type="button"
+                      className="btn control small"
+                      aria-label={`${verb} ${label}`}
+                      onClick={() => onAction('memoryRegister', { id: register.id, key })}
+                    >
+                      {text}
+                    </button>
+                  ))}
+                </div>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </aside>
+  );
+}
+
+export default MemoryPanel;
@@ -0,0 +1,69 @@
+import React from 'react';
+import { downloadFile } from '../utils/download';
+import { BUILT_IN_PALETTES, PALETTE_COLORS, THEME_MODES, paletteToJSON } from '../utils/theme';
+
+// PUBLIC_INTERFACE
+function PaletteEditor({ palette, onChange, onImport }) {
+  /**
+   * Editor for the custom theme: a colour picker per palette colour, a built-in theme
+   * to start from, and palette import/export as JSON.
+   * @param {Object<string, string>} palette - '#RRGGBB' colours by key (see PALETTE_COLORS)
+   * @param {(palette: Object<string, string>) => void} onChange - called with the whole new palette
+   * @param {(file: File) => void} onImport - called with a palette file chosen by the user
+   */
+  return (
+    <div className="palette-editor" role="group" aria-label="Custom palette">
+      <div className="palette-colors">
+        {PALETTE_COLORS.map(([key, label]) => (
+          <label key={key} className="palette-color">
+            <input
+              type="color"
+              value={palette[key]}
+              onChange={(e) => onChange({ ...palette, [key]: e.target.value.toUpperCase() })}
+            />
+            {label}
+          </label>
+        ))}
+      </div>
+      <div className="palette-actions">
+        <select
+          aria-label="Start from theme"
+          value=""
+          onChange={(e) => {
+            if (e.target.value) onChange({ ...BUILT_IN_PALETTES[e.target.value] });
+          }}
+        >
+          <option value="">Start from…</option>
+          {THEME_MODES.filter(([mode]) => mode in BUILT_IN_PALETTES).map(([mode, label]) => (
+            <option key={mode} value={mode}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <label className="btn control small file-btn">
+          Import palette
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={(e) => {
+              const [file] = e.target.files;
+              if (file) onImport(file);
+              e.target.value = '';
+            }}
+          />
+        </label>
+        <button
+          type="button"
+          className="btn control small"
+          onClick={() =>
+            downloadFile('calculator-palette.json', paletteToJSON(palette), 'application/json')
+          }
+        >
+          Export palette
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default PaletteEditor;
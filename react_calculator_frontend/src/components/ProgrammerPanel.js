@@ -0,0 +1,102 @@
+import React from 'react';
+import { BASES, WORD_SIZES, formatInBase, isValidDigit, parseInBase } from '../utils/programmer';
+
+// Bitwise keys: [label, aria-label, action type, payload].
+const BITWISE_KEYS = [
+  ['AND', 'Bitwise AND', 'operator', 'AND'],
+  ['OR', 'Bitwise OR', 'operator', 'OR'],
+  ['XOR', 'Bitwise XOR', 'operator', 'XOR'],
+  ['NOT', 'Bitwise NOT', 'bitwiseNot'],
+  ['<<', 'Shift left', 'operator', '<<'],
+  ['>>', 'Shift right', 'operator', '>>'],
+];
+
+const HEX_DIGITS = ['A', 'B', 'C', 'D', 'E', 'F'];
+
+// PUBLIC_INTERFACE
+function ProgrammerPanel({ value, inputBase, wordSize, signed, onAction }) {
+  /**
+   * Programmer mode controls: the value in all four bases (click a row to make it
+   * the input base), word size and signedness, bitwise keys and hex digits A-F.
+   * @param {string} value - current entry text in the input base
+   * @param {'HEX'|'DEC'|'OCT'|'BIN'} inputBase
+   * @param {number} wordSize - 8, 16, 32 or 64
+   * @param {boolean} signed
+   * @param {(type: string, payload?: any) => void} onAction - engine action dispatcher
+   */
+  const options = { wordSize, signed };
+  const parsed = parseInBase(value, inputBase, options);
+
+  return (
+    <div className="programmer-panel" role="group" aria-label="Programmer keys">
+      <div className="base-list" role="group" aria-label="Input base">
+        {Object.keys(BASES).map((base) => (
+          <button
+            key={base}
+            type="button"
+            className={`base-row ${base === inputBase ? 'active' : ''}`}
+            aria-pressed={base === inputBase}
+            aria-label={`${base} input`}
+            onClick={() => onAction('setInputBase', base)}
+          >
+            <span className="base-name">{base}</span>
+            <span className="base-value" data-testid={`base-${base}`}>
+              {parsed === null ? '' : formatInBase(parsed, base, options)}
+            </span>
+          </button>
+        ))}
+      </div>
+
+      <div className="word-controls">
+        <select
+          aria-label="Word size"
+          value={wordSize}
+          onChange={(e) => onAction('setWordSize', Number(e.target.value))}
+        >
+          {WORD_SIZES.map((bits) => (
+            <option key={bits} value={bits}>
+              {bits}-bit
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          className={`btn control small mode-toggle ${signed ? 'active' : ''}`}
+          aria-pressed={signed}
+          aria-label="Signed"
+          onClick={() => onAction('toggleSigned')}
+        >
+          {signed ? 'Signed' : 'Unsigned'}
+        </button>
+      </div>
+
+      <div className="bitwise-grid">
+        {BITWISE_KEYS.map(([label, ariaLabel, type, payload]) => (
+          <button
+            key={label}
+            type="button"
+            className="btn operator"
+            aria-label={ariaLabel}
+            onClick={() => onAction(type, payload)}
+          >
+            {label}
+          </button>
+        ))}
+        {HEX_DIGITS.map((digit) => (
+          <button
+            key={digit}
+            type="button"
+            className="btn"
+            aria-label={`Digit ${digit}`}
+            disabled={!isValidDigit(digit, inputBase)}
+            onClick={() => onAction('digit', digit)}
+          >
+            {digit}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default ProgrammerPanel;
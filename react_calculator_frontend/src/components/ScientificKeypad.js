@@ -0,0 +1,67 @@
+import React from 'react';
+import KeyGrid from './KeyGrid';
+
+// Scientific keys in display order: [label, aria-label, action type, payload].
+const SCIENTIFIC_KEYS = [
+  ['sin', 'Sine', 'function', 'sin'],
+  ['cos', 'Cosine', 'function', 'cos'],
+  ['tan', 'Tangent', 'function', 'tan'],
+  ['ln', 'Natural logarithm', 'function', 'ln'],
+  ['log', 'Base-10 logarithm', 'function', 'log'],
+  ['sin⁻¹', 'Arcsine', 'function', 'asin'],
+  ['cos⁻¹', 'Arccosine', 'function', 'acos'],
+  ['tan⁻¹', 'Arctangent', 'function', 'atan'],
+  ['x²', 'Square', 'function', 'square'],
+  ['xʸ', 'Power', 'operator', '^'],
+  ['1/x', 'Reciprocal', 'function', 'reciprocal'],
+  ['n!', 'Factorial', 'function', 'factorial'],
+  ['π', 'Pi', 'constant', 'pi'],
+  ['e', "Euler's number", 'constant', 'e'],
+  ['EXP', 'Exponent', 'exponent'],
+];
+
+// PUBLIC_INTERFACE
+function ScientificKeypad({ angleMode, notation, onAction }) {
+  /**
+   * Scientific function keys plus the DEG/RAD/GRAD angle-mode and AUTO/ENG notation keys.
+   * @param {'DEG'|'RAD'|'GRAD'} angleMode - current angle unit, shown on the mode key
+   * @param {'AUTO'|'ENG'} notation - current display notation, shown on the notation key
+   * @param {(type: string, payload?: string) => void} onAction - engine action dispatcher
+   */
+  return (
+    <KeyGrid columns={5} className="scientific-grid" label="Scientific keys">
+      {SCIENTIFIC_KEYS.map(([label, ariaLabel, type, payload]) => (
+        <button
+          key={label}
+          type="button"
+          className={`btn control ${type === 'operator' ? 'operator' : ''}`}
+          aria-label={ariaLabel}
+          title={ariaLabel}
+          onClick={() => onAction(type, payload)}
+        >
+          {label}
+        </button>
+      ))}
+      <button
+        type="button"
+        className="btn control angle-mode-btn"
+        aria-label={`Angle mode ${angleMode}, switch to next`}
+        title="Cycle angle mode (DEG, RAD, GRAD)"
+        onClick={() => onAction('cycleAngleMode')}
+      >
+        {angleMode}
+      </button>
+      <button
+        type="button"
+        className="btn control notation-btn"
+        aria-label={`Notation ${notation}, switch to next`}
+        title="Cycle result notation (AUTO, ENG)"
+        onClick={() => onAction('cycleNotation')}
+      >
+        {notation}
+      </button>
+    </KeyGrid>
+  );
+}
+
+export default ScientificKeypad;
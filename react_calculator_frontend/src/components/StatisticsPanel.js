@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import KeyGrid from './KeyGrid';
+import {
+  REGRESSION,
+  STATISTICS,
+  StatisticsError,
+  formatDataPoint,
+  parseDataList,
+  parseDataPoint,
+} from '../utils/statistics';
+
+// PUBLIC_INTERFACE
+function StatisticsPanel({ data, pendingX, statistics, onAction, formatValue }) {
+  /**
+   * Statistics mode: Σ+ / Σ− and x,y keys for the keypad entry, the editable data list,
+   * CSV paste, and the summary and regression values, which put themselves on the
+   * display when clicked.
+   * @param {Array<{x: string|null, y: string}>} data - the data list
+   * @param {string|null} pendingX - x entered with the x,y key, waiting for its y
+   * @param {{summary: object|null, regression: object|null, error: string|null}} statistics -
+   *   from getStatistics() in src/utils/engine.js
+   * @param {(type: string, payload?: any) => void} onAction - engine action dispatcher
+   * @param {(value: string) => string} formatValue - display formatting for values
+   */
+  const [pasteText, setPasteText] = useState('');
+  const [pasteError, setPasteError] = useState(null);
+  const [editError, setEditError] = useState(null);
+  const { summary, regression, error } = statistics;
+
+  const loadPaste = (replace) => {
+    let points;
+    try {
+      points = parseDataList(pasteText);
+    } catch (err) {
+      if (!(err instanceof StatisticsError)) throw err;
+      setPasteError(err.message);
+      return;
+    }
+    setPasteError(null);
+    setPasteText('');
+    onAction('statLoad', { points, replace });
+  };
+
+  const editPoint = (index, text) => {
+    if (text === formatDataPoint(data[index])) return;
+    if (!parseDataPoint(text)) {
+      setEditError(`Point ${index + 1}: '${text}' is not a value or an x,y pair`);
+      return;
+    }
+    setEditError(null);
+    onAction('statUpdate', { index, text });
+  };
+
+  // Summary and regression values; each recalls itself onto the display
+  const valueList = (entries, values) => (
+    <dl className="stat-values">
+      {entries.map(([id, label]) => {
+        const value = values[id];
+        let text = '—';
+        if (Array.isArray(value)) text = value.length ? value.map(formatValue).join('; ') : 'none';
+        else if (value !== null) text = formatValue(value);
+        return (
+          <div key={id}>
+            <dt>{label}</dt>
+            <dd>
+              {typeof value === 'string' ? (
+                <button
+                  type="button"
+                  className="stat-value"
+                  aria-label={`Use ${label} ${text}`}
+                  title="Put this value on the display"
+                  onClick={() => onAction('statRecall', id)}
+                >
+                  {text}
+                </button>
+              ) : (
+                text
+              )}
+            </dd>
+          </div>
+        );
+      })}
+    </dl>
+  );
+
+  return (
+    <div className="converter-panel stat-panel" role="group" aria-label="Statistics">
+      <KeyGrid columns={4} className="stat-grid" label="Statistics keys">
+        <button
+          type="button"
+          className="btn control"
+          aria-label="Add data point"
+          title="Σ+: add the displayed value (or the x,y pair) to the data list"
+          onClick={() => onAction('statAdd')}
+        >
+          Σ+
+        </button>
+        <button
+          type="button"
+          className="btn control"
+          aria-label="Remove data point"
+          title="Σ−: remove the displayed value (or the x,y pair) from the data list"
+          onClick={() => onAction('statRemove')}
+        >
+          Σ−
+        </button>
+        <button
+          type="button"
+          className={`btn control ${pendingX !== null ? 'active' : ''}`}
+          aria-label="Enter x of a pair"
+          title="x,y: use the displayed value as x; the next value entered is y"
+          onClick={() => onAction('statPairX')}
+        >
+          x,y
+        </button>
+        <button
+          type="button"
+          className="btn control"
+          aria-label="Clear data list"
+          disabled={data.length === 0 && pendingX === null}
+          onClick={() => onAction('statClear')}
+        >
+          CLR Σ
+        </button>
+      </KeyGrid>
+
+      <div className="stat-data">
+        <span className="stat-note">Data ({data.length})</span>
+        {data.length > 0 && (
+          <ol className="stat-list">
+            {data.map((point, index) => {
+              const text = formatDataPoint(point);
+              return (
+                // Points repeat, so the position is their identity; the text resets the field
+                <li key={`${index}:${text}`}>
+                  <input
+                    type="text"
+                    inputMode="decimal"
+                    aria-label={`Data point ${index + 1}`}
+                    defaultValue={text}
+                    spellCheck={false}
+                    onBlur={(e) => editPoint(index, e.target.value.trim())}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') e.target.blur();
+                    }}
+                  />
+                  <button
+                    type="button"
+                    className="btn control small"
+                    aria-label={`Remove data point ${index + 1}`}
+                    onClick={() => onAction('statDelete', index)}
+                  >
+                    ×
+                  </button>
+                </li>
+              );
+            })}
+          </ol>
+        )}
+        {editError && <span className="stat-error">{editError}</span>}
+      </div>
+
+      <div className="stat-paste">
+        <label htmlFor="stat-paste">Paste data: one value or x,y pair per line (CSV)</label>
+        <textarea
+          id="stat-paste"
+          rows={2}
+          spellCheck={false}
+          value={pasteText}
+          aria-invalid={pasteError !== null}
+          aria-describedby={pasteError ? 'stat-paste-error' : undefined}
+          onChange={(e) => setPasteText(e.target.value)}
+        />
+        <div className="stat-actions">
+          <button
+            type="button"
+            className="btn control small"
+            disabled={!pasteText.trim()}
+            onClick={() => loadPaste(false)}
+          >
+            Append
+          </button>
+          <button
+            type="button"
+            className="btn control small"
+            disabled={!pasteText.trim()}
+            onClick={() => loadPaste(true)}
+          >
+            Replace
+          </button>
+          {pasteError && (
+            <span id="stat-paste-error" className="stat-error">
+              {pasteError}
+            </span>
+          )}
+        </div>
+      </div>
+
+      {summary && valueList(STATISTICS, summary)}
+      <p className="stat-note">Linear regression y = a·x + b (x is the position without a pair)</p>
+      {regression ? valueList(REGRESSION, regression) : <p className="stat-note">{error}</p>}
+    </div>
+  );
+}
+
+export default StatisticsPanel;
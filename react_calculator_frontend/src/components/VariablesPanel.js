@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { ANSWER_NAME, formatDefinition } from '../utils/variables';
+
+// PUBLIC_INTERFACE
+function VariablesPanel({ definitions, ans, onAction, interpret, formatValue = (value) => value }) {
+  /**
+   * Variables and functions: a line that defines one ("rate = 0.0725", "tax(x) = x × rate")
+   * or evaluates an expression that uses them ("tax(ans)"), and the definitions with `ans`
+   * first. A variable puts its value on the display when clicked.
+   * @param {Array<{name: string, params: string[]|null, body: string, value?: string}>}
+   *   definitions - oldest first
+   * @param {string} ans - the last result
+   * @param {(type: string, payload?: any) => void} onAction - engine action dispatcher
+   * @param {(text: string) => {action?: object, error?: string}} interpret - reads the line
+   *   like pasted text (see interpretPaste in src/utils/clipboard.js)
+   * @param {(value: string) => string} [formatValue] - display formatting for values
+   */
+  const [text, setText] = useState('');
+  const [error, setError] = useState(null);
+
+  const submit = (e) => {
+    e.preventDefault();
+    const { action, error: problem } = interpret(text);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    setError(null);
+    setText('');
+    onAction(action.type, action.payload);
+  };
+
+  // A value that puts itself on the display
+  const recallButton = (name, value) => (
+    <button
+      type="button"
+      className="variable-use"
+      aria-label={`Use ${name} ${formatValue(value)}`}
+      title="Put this value on the display"
+      onClick={() => onAction('variableRecall', name)}
+    >
+      <span className="variable-name">{name}</span> = {formatValue(value)}
+    </button>
+  );
+
+  return (
+    <aside className="variables-panel" aria-label="Variables">
+      <div className="history-header">
+        <h2 className="history-title">Variables</h2>
+        <button
+          type="button"
+          className="btn control small"
+          aria-label="Clear all variables"
+          disabled={definitions.length === 0}
+          onClick={() => onAction('variableClear')}
+        >
+          Clear
+        </button>
+      </div>
+
+      <form className="variable-form" onSubmit={submit}>
+        <label htmlFor="variable-line">Define or evaluate</label>
+        <div className="variable-line">
+          <input
+            id="variable-line"
+            type="text"
+            placeholder="rate = 0.0725, tax(x) = x × rate, tax(ans)"
+            spellCheck={false}
+            autoComplete="off"
+            value={text}
+            aria-invalid={error !== null}
+            aria-describedby={error ? 'variable-line-error' : undefined}
+            onChange={(e) => setText(e.target.value)}
+          />
+          <button type="submit" className="btn control small" disabled={!text.trim()}>
+            Enter
+          </button>
+        </div>
+        {error && (
+          <span id="variable-line-error" className="stat-error">
+            {error}
+          </span>
+        )}
+      </form>
+
+      <ul className="variable-list">
+        <li className="variable-entry">{recallButton(ANSWER_NAME, ans)}</li>
+        {definitions.map((definition) => (
+          <li key={definition.name} className="variable-entry">
+            {definition.params === null ? (
+              recallButton(definition.name, definition.value)
+            ) : (
+              <span className="variable-function">{formatDefinition(definition)}</span>
+            )}
+            <button
+              type="button"
+              className="btn control small"
+              aria-label={`Delete ${definition.name}`}
+              onClick={() => onAction('variableDelete', definition.name)}
+            >
+              ✕
+            </button>
+          </li>
+        ))}
+      </ul>
+    </aside>
+  );
+}
+
+export default VariablesPanel;
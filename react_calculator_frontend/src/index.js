@@ -2,10 +2,18 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
+import { embedTargetOrigin, isEmbedMode } from './utils/share';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    <App
+      embed={isEmbedMode(window.location.search)}
+      targetOrigin={embedTargetOrigin(window.location.search, document.referrer)}
+    />
   </React.StrictMode>
 );
+
+// Precache the build for offline use; the app offers a reload when a new version is waiting
+serviceWorkerRegistration.register();
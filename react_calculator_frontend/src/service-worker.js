@@ -0,0 +1,65 @@
+/**
+ * Service worker: makes the calculator installable and fully usable offline.
+ *
+ * The build (scripts, styles, index.html and bundled rate tables) is precached; the
+ * list is injected into self.__WB_MANIFEST by the build (react-scripts uses this file
+ * automatically). Icons and the manifest from public/ and the Inter web font are
+ * cached on first use. A new build installs in the background and waits until the app
+ * asks it to take over (see src/serviceWorkerRegistration.js), so a running
+ * calculator never switches code mid-calculation.
+ */
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst, StaleWhileRevalidate } from 'workbox-strategies';
+
+// Message the page posts to activate a waiting update.
+const SKIP_WAITING = 'SKIP_WAITING';
+
+// Font files kept, and for how long; the font is only styling, the app works without it.
+const MAX_FONT_FILES = 20;
+const FONT_MAX_AGE_SECONDS = 365 * 24 * 60 * 60;
+
+// eslint-disable-next-line no-undef, no-restricted-globals
+const worker = self;
+// eslint-disable-next-line no-undef
+const publicUrl = process.env.PUBLIC_URL;
+
+// The build looks for this exact expression to inject the precache list
+// eslint-disable-next-line no-undef, no-restricted-globals
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Page loads get the precached index.html, except for files (paths with an extension)
+registerRoute(({ request, url }) => {
+  if (request.mode !== 'navigate') return false;
+  if (url.pathname.startsWith('/_')) return false;
+  return !/\/[^/?]+\.[^/]+$/.test(url.pathname);
+}, createHandlerBoundToURL(`${publicUrl}/index.html`));
+
+// Icons, manifest and other files from public/ that are not part of the build
+registerRoute(
+  ({ url }) =>
+    url.origin === worker.location.origin && /\.(?:png|svg|ico|json)$/.test(url.pathname),
+  new StaleWhileRevalidate({ cacheName: 'static-files' })
+);
+
+// Google Fonts: the stylesheet may change, the font files it points to do not
+registerRoute(
+  ({ url }) => url.origin === 'https://fonts.googleapis.com',
+  new StaleWhileRevalidate({ cacheName: 'font-stylesheets' })
+);
+registerRoute(
+  ({ url }) => url.origin === 'https://fonts.gstatic.com',
+  new CacheFirst({
+    cacheName: 'font-files',
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: MAX_FONT_FILES, maxAgeSeconds: FONT_MAX_AGE_SECONDS }),
+    ],
+  })
+);
+
+worker.addEventListener('message', (event) => {
+  if (event.data && event.data.type === SKIP_WAITING) worker.skipWaiting();
+});
@@ -0,0 +1,104 @@
+/**
+ * Service worker registration and update prompts.
+ *
+ * src/service-worker.js precaches the build, so after the first visit the calculator
+ * loads and works without a network. When a new build is deployed the browser installs
+ * it in the background, where it waits: subscribeToUpdates() tells the app, which offers
+ * a reload, and applyUpdate() lets the new worker take over and reloads the page.
+ * Settings and memory are in localStorage, so the reload comes back where the user was.
+ *
+ * The worker is only registered in production builds; `npm start` and tests never see it.
+ */
+
+// Message the worker listens for to activate a waiting update (see src/service-worker.js).
+const SKIP_WAITING = 'SKIP_WAITING';
+
+// Callbacks waiting for an update, and the registration holding the update found so far.
+const listeners = new Set();
+let pendingRegistration = null;
+
+/**
+ * Utility: Tell subscribers a new version is installed and waiting, and again (with null)
+ * once it stops waiting because another tab activated it.
+ * @param {ServiceWorkerRegistration} registration
+ */
+function notifyUpdate(registration) {
+  const { waiting } = registration;
+  pendingRegistration = registration;
+  listeners.forEach((listener) => listener(registration));
+  waiting.addEventListener('statechange', () => {
+    // A newer build replacing this one is reported as an update of its own
+    if (pendingRegistration !== registration || registration.waiting) return;
+    pendingRegistration = null;
+    listeners.forEach((listener) => listener(null));
+  });
+}
+
+// PUBLIC_INTERFACE
+export function watchForUpdates(registration, container = window.navigator.serviceWorker) {
+  /**
+   * Report an update waiting in a registration now, or once one finishes installing.
+   * A worker installed while no page is controlled is the first install, not an update.
+   * @param {ServiceWorkerRegistration} registration
+   * @param {ServiceWorkerContainer} [container] - supplies the controlling worker
+   */
+  const check = () => {
+    if (registration.waiting && container.controller) notifyUpdate(registration);
+  };
+  check();
+  registration.addEventListener('updatefound', () => {
+    const installing = registration.installing;
+    if (!installing) return;
+    installing.addEventListener('statechange', () => {
+      if (installing.state === 'installed') check();
+    });
+  });
+}
+
+// PUBLIC_INTERFACE
+export function register() {
+  /**
+   * Register the service worker once the page has loaded, in production builds served
+   * from the app's own origin.
+   */
+  // eslint-disable-next-line no-undef
+  const { NODE_ENV, PUBLIC_URL } = process.env;
+  if (NODE_ENV !== 'production' || !('serviceWorker' in window.navigator)) return;
+  // A worker cannot serve an app whose files come from another origin (e.g. a CDN)
+  if (new window.URL(PUBLIC_URL, window.location.href).origin !== window.location.origin) return;
+
+  window.addEventListener('load', () => {
+    window.navigator.serviceWorker
+      .register(`${PUBLIC_URL}/service-worker.js`)
+      .then((registration) => watchForUpdates(registration))
+      .catch(() => {
+        // Offline support is best-effort; the calculator works without it.
+      });
+  });
+}
+
+// PUBLIC_INTERFACE
+export function subscribeToUpdates(listener) {
+  /**
+   * Be told when a new version is waiting; called straight away if one already is, and
+   * with null when it is no longer waiting.
+   * @param {(registration: ServiceWorkerRegistration|null) => void} listener
+   * @returns {() => void} unsubscribe
+   */
+  listeners.add(listener);
+  if (pendingRegistration) listener(pendingRegistration);
+  return () => listeners.delete(listener);
+}
+
+// PUBLIC_INTERFACE
+export function applyUpdate(registration, container = window.navigator.serviceWorker) {
+  /**
+   * Activate the waiting version and reload the page once it controls it.
+   * @param {ServiceWorkerRegistration} registration - from subscribeToUpdates()
+   * @param {ServiceWorkerContainer} [container] - fires controllerchange on takeover
+   */
+  const { waiting } = registration;
+  if (!waiting) return;
+  container.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  waiting.postMessage({ type: SKIP_WAITING });
+}
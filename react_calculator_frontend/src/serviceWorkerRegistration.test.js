@@ -0,0 +1,58 @@
+import { applyUpdate, subscribeToUpdates, watchForUpdates } from './serviceWorkerRegistration';
+
+/**
+ * Stand-ins for the service worker objects: event targets with the properties read.
+ */
+function fakeWorker(state) {
+  const worker = Object.assign(new window.EventTarget(), { state, messages: [] });
+  worker.postMessage = (message) => worker.messages.push(message);
+  return worker;
+}
+
+function fakeRegistration(fields = {}) {
+  return Object.assign(new window.EventTarget(), { waiting: null, installing: null }, fields);
+}
+
+test('an installed worker is only reported as an update when a page is controlled', () => {
+  const seen = [];
+  const unsubscribe = subscribeToUpdates((registration) => seen.push(registration));
+
+  // First install: nothing controls the page yet
+  const first = fakeRegistration({ waiting: fakeWorker('installed') });
+  watchForUpdates(first, { controller: null });
+  expect(seen).toEqual([]);
+
+  const registration = fakeRegistration();
+  watchForUpdates(registration, { controller: fakeWorker('activated') });
+  const installing = fakeWorker('installing');
+  registration.installing = installing;
+  registration.dispatchEvent(new window.Event('updatefound'));
+  expect(seen).toEqual([]);
+
+  Object.assign(installing, { state: 'installed' });
+  Object.assign(registration, { installing: null, waiting: installing });
+  installing.dispatchEvent(new window.Event('statechange'));
+  expect(seen).toEqual([registration]);
+  unsubscribe();
+
+  // Late subscribers hear about the waiting update straight away
+  const late = [];
+  const unsubscribeLate = subscribeToUpdates((r) => late.push(r));
+  expect(late).toEqual([registration]);
+
+  // Activated from another tab
+  Object.assign(installing, { state: 'activated' });
+  Object.assign(registration, { waiting: null });
+  installing.dispatchEvent(new window.Event('statechange'));
+  expect(late).toEqual([registration, null]);
+  unsubscribeLate();
+});
+
+test('applying an update tells the waiting worker to take over', () => {
+  const waiting = fakeWorker('installed');
+  const container = new window.EventTarget();
+  applyUpdate(fakeRegistration({ waiting }), container);
+  expect(waiting.messages).toEqual([{ type: 'SKIP_WAITING' }]);
+  applyUpdate(fakeRegistration(), container);
+  expect(waiting.messages).toHaveLength(1);
+});
@@ -3,3 +3,28 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// The app saves its settings (modes, units, word size...) to localStorage and the
+// calculation to the URL hash on every change; start each test from a fresh calculator
+// rather than what the previous test left behind.
+// eslint-disable-next-line no-undef
+afterEach(() => {
+  window.localStorage.clear();
+  window.history.replaceState(null, '', '/');
+});
+
+/**
+ * An in-memory stand-in for localStorage, for the load/save tests of the modules that
+ * persist through src/utils/storage; data holds what is stored, for tests that inspect
+ * or corrupt it.
+ */
+export function memoryStorage(initial = {}) {
+  const data = { ...initial };
+  return {
+    getItem: (key) => (key in data ? data[key] : null),
+    setItem: (key, value) => {
+      data[key] = String(value);
+    },
+    data,
+  };
+}
@@ -0,0 +1,200 @@
+/**
+ * Screen-reader announcements.
+ *
+ * The display shows symbols ("−", "÷", "Error") that screen readers read out poorly
+ * or without context. describeChange() turns a state transition into a short message
+ * in display notation ("8 ÷ 0: cannot divide by zero", "5 + 3 = 8") and speakText()
+ * reads its symbols as words ("8 divided by 0: cannot divide by zero"). The app
+ * formats the numbers for the locale in between.
+ */
+import { isError, isInitialState } from './engine';
+import { TVM_REGISTERS } from './financial';
+
+// Words for the operators and symbols that appear in display text.
+const SPOKEN_SYMBOLS = {
+  '+': 'plus',
+  '−': 'minus',
+  '×': 'times',
+  '÷': 'divided by',
+  '^': 'to the power of',
+  '=': 'equals',
+  '√': 'square root of',
+  '(': 'open bracket',
+  ')': 'close bracket',
+  AND: 'and',
+  OR: 'or',
+  XOR: 'exclusive or',
+  '<<': 'shifted left by',
+  '>>': 'shifted right by',
+  MU: 'with a markup of',
+  MG: 'at a margin of',
+  '+TAX': 'plus tax at',
+  '−TAX': 'minus tax at',
+};
+
+// Scientific functions as spoken before their argument.
+const SPOKEN_FUNCTIONS = {
+  sin: 'sine of',
+  cos: 'cosine of',
+  tan: 'tangent of',
+  asin: 'arcsine of',
+  acos: 'arccosine of',
+  atan: 'arctangent of',
+  ln: 'natural log of',
+  log: 'log of',
+  square: 'square of',
+  reciprocal: 'reciprocal of',
+  factorial: 'factorial of',
+};
+
+// A formatted number: sign, digits with any locale grouping, optional exponent.
+const SPOKEN_NUMBER = /^([-−]?)(\d[\d.,'’\u00A0\u202F]*)(?:e([+-])(\d+))?$/;
+
+// A fraction, "-7/3", or one whose denominator is still being typed, "7/".
+const SPOKEN_FRACTION = /^([-−]?)(\d[\d.,'’\u00A0\u202F]*)\/(\d[\d.,'’\u00A0\u202F]*)?$/;
+
+// The space between the whole part and the fraction of a mixed number, "2 1/3".
+const MIXED_NUMBER = /(\d) (?=\d[\d.,'’\u00A0\u202F]*\/)/g;
+
+/**
+ * Utility: Read one space-separated token of display text.
+ * @param {string} token - e.g. "÷", "-1.5e+20", "Cannot"
+ * @returns {string}
+ */
+function speakToken(token) {
+  if (Object.prototype.hasOwnProperty.call(SPOKEN_SYMBOLS, token)) return SPOKEN_SYMBOLS[token];
+  const fraction = SPOKEN_FRACTION.exec(token);
+  if (fraction) {
+    const [, sign, numerator, denominator] = fraction;
+    return `${sign ? 'minus ' : ''}${numerator} over${denominator ? ` ${denominator}` : ''}`;
+  }
+  const number = SPOKEN_NUMBER.exec(token);
+  if (!number) return token;
+  const [, sign, digits, exponentSign, exponent] = number;
+  let spoken = `${sign ? 'minus ' : ''}${digits}`;
+  if (exponent !== undefined) {
+    spoken += ` times 10 to the power of ${exponentSign === '-' ? 'minus ' : ''}${exponent}`;
+  }
+  return spoken;
+}
+
+// PUBLIC_INTERFACE
+export function speakText(text) {
+  /**
+   * Rewrite display text for speech: operators become words, negative numbers,
+   * exponents and fractions are spelled out. Words and punctuation are kept.
+   * @param {string} text - e.g. "-8 ÷ 0: cannot divide by zero", "2 1/3 + 1/6"
+   * @returns {string} e.g. "minus 8 divided by 0: cannot divide by zero",
+   *   "2 and 1 over 3 plus 1 over 6"
+   */
+  return String(text)
+    .replace(MIXED_NUMBER, '$1 and ')
+    .split(' ')
+    .filter(Boolean)
+    .map((token) => {
+      const [, body, punctuation] = /^(.*?)([:,]?)$/.exec(token);
+      return speakToken(body) + punctuation;
+    })
+    .join(' ');
+}
+
+/**
+ * Utility: The calculation an action failed on, in display notation.
+ * @returns {string} '' when it cannot be told
+ */
+function failedCalculation(before, after, action) {
+  const { previousValue, operation, currentInput, repeatOperation } = before;
+  const pending = previousValue !== null && operation;
+  switch (action.type) {
+    case 'equals':
+      if (after.expressionMode) return after.lastExpression;
+      if (pending) return `${previousValue} ${operation} ${currentInput}`;
+      if (repeatOperation) {
+        return `${currentInput} ${repeatOperation.operation} ${repeatOperation.operand}`;
+      }
+      return '';
+    case 'operator':
+      return pending ? `${previousValue} ${operation} ${currentInput}` : '';
+    case 'sqrt':
+      return `√ ${currentInput}`;
+    case 'function': {
+      const name = SPOKEN_FUNCTIONS[action.payload];
+      return name ? `${name} ${currentInput}` : '';
+    }
+    case 'inputExpression':
+      return action.payload;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Utility: Why a calculation failed, for errors the engine shows without a message.
+ */
+function errorReason(before, action) {
+  if (action.type !== 'equals' && action.type !== 'operator') return 'invalid input';
+  // Without a pending operation '=' repeated the last one
+  const { operation, operand } = before.operation
+    ? { operation: before.operation, operand: before.currentInput }
+    : before.repeatOperation || {};
+  return operation === '÷' && Number(operand) === 0 ? 'cannot divide by zero' : 'invalid input';
+}
+
+// PUBLIC_INTERFACE
+export function describeChange(before, after, action) {
+  /**
+   * Describe what an action did, for a screen-reader live region.
+   * @param {object} before - engine state before the action
+   * @param {object} after - engine state after it
+   * @param {{type: string, payload?: any}} action
+   * @returns {string} display-notation message, e.g. "5 + 3 = 8", "8 ÷", "Memory 12";
+   *   '' when nothing worth announcing changed
+   */
+  if (before === after) return '';
+  const last = (list) => list[list.length - 1];
+
+  if (isError(after.currentInput)) {
+    if (isError(before.currentInput) && before.errorMessage === after.errorMessage) return '';
+    const message = after.errorMessage || errorReason(before, action);
+    const reason = message.charAt(0).toLowerCase() + message.slice(1);
+    const calculation = failedCalculation(before, after, action);
+    return calculation ? `${calculation}: ${reason}` : `Error: ${reason}`;
+  }
+
+  const entry = last(after.history);
+  if (entry && entry !== last(before.history)) {
+    // Date calculations leave the entry as the amount; the result is only on the tape
+    return `${entry.expression} = ${after.dateMode ? entry.result : after.currentInput}`;
+  }
+
+  if (action.type === 'memory' && after.memory !== before.memory) {
+    return after.memory.length ? `Memory ${last(after.memory).value}` : 'Memory cleared';
+  }
+  if (action.type === 'tvmRegister' && after.tvm !== before.tvm) {
+    const [, label] = TVM_REGISTERS.find(([id]) => id === action.payload);
+    return `${label} ${after.tvm[action.payload]}`;
+  }
+  if (action.type === 'tvmCompute') {
+    return after.tvmCompute ? 'Compute: press the register to solve for' : 'Compute cancelled';
+  }
+  if (action.type === 'cashFlowAdd' && after.cashFlows !== before.cashFlows) {
+    return `CF${after.cashFlows.length - 1} ${last(after.cashFlows)}`;
+  }
+  const { statX, statData } = before;
+  if (after.statData !== statData && (action.type === 'statAdd' || action.type === 'statRemove')) {
+    const verb = action.type === 'statAdd' ? 'Added' : 'Removed';
+    const point = statX === null ? before.currentInput : `${statX}, ${before.currentInput}`;
+    return `${verb} ${point}, n = ${after.statData.length}`;
+  }
+  if (action.type === 'statPairX' && after.statX !== null) return `x = ${after.statX}`;
+  if (action.type === 'clear') return isInitialState(after) ? 'Cleared' : after.currentInput;
+  const { operation, previousValue } = after;
+  if (operation && (operation !== before.operation || previousValue !== before.previousValue)) {
+    return `${previousValue} ${operation}`;
+  }
+  if (after.expressionTokens !== before.expressionTokens && after.expressionTokens.length) {
+    return after.expressionTokens.join(' ');
+  }
+  if (after.currentInput !== before.currentInput) return after.currentInput;
+  return '';
+}
@@ -0,0 +1,68 @@
+import { describeChange, speakText } from './announce';
+import { createInitialState, reduce } from './engine';
+
+/**
+ * Apply actions and describe the last one, as the app's live region does.
+ */
+function announce(actions) {
+  let state = createInitialState();
+  let message = '';
+  actions.forEach((action) => {
+    const next = reduce(state, action);
+    message = describeChange(state, next, action);
+    state = next;
+  });
+  return message;
+}
+
+const digit = (payload) => ({ type: 'digit', payload });
+const operator = (payload) => ({ type: 'operator', payload });
+const equals = { type: 'equals', timestamp: 0 };
+
+test('symbols, signs and exponents are read as words', () => {
+  expect(speakText('-8 ÷ 0: cannot divide by zero')).toBe(
+    'minus 8 divided by 0: cannot divide by zero'
+  );
+  expect(speakText('2 × ( 3 − 1 ) = 4')).toBe(
+    '2 times open bracket 3 minus 1 close bracket equals 4'
+  );
+  expect(speakText('1,5e-7')).toBe('1,5 times 10 to the power of minus 7');
+  expect(speakText('FF AND 0F')).toBe('FF and 0F');
+  expect(speakText('-7/3 + 2 1/')).toBe('minus 7 over 3 plus 2 and 1 over');
+});
+
+test('results, pending operations and entries are described', () => {
+  expect(announce([digit('8'), operator('÷')])).toBe('8 ÷');
+  expect(announce([digit('5'), operator('+'), digit('3'), equals])).toBe('5 + 3 = 8');
+  expect(announce([digit('4'), digit('2')])).toBe('42');
+  expect(announce([digit('4'), { type: 'clear' }])).toBe('Cleared');
+  expect(announce([digit('4'), { type: 'memory', payload: 'MS' }])).toBe('Memory 4');
+  expect(announce([digit('4'), { type: 'toggleScientificMode' }])).toBe('');
+  const dateMode = [
+    { type: 'toggleDateMode' },
+    { type: 'setDate', payload: { side: 'start', date: '2026-01-01' } },
+  ];
+  expect(announce([...dateMode, digit('9'), operator('+'), equals])).toBe(
+    '2026-01-01 + 9 days = 2026-01-10'
+  );
+  const register = { type: 'tvmRegister', payload: 'IY' };
+  expect(announce([{ type: 'toggleFinancialMode' }, digit('6'), register])).toBe('I/Y 6');
+  expect(announce([digit('2'), operator('MU'), digit('5'), equals])).toBe('2 MU 5 = 2.1');
+  expect(speakText('200 MU 25 = 250')).toBe('200 with a markup of 25 equals 250');
+  const statistics = [{ type: 'toggleStatMode' }, digit('3'), { type: 'statPairX' }];
+  expect(announce(statistics)).toBe('x = 3');
+  expect(announce([...statistics, digit('5'), { type: 'statAdd' }])).toBe('Added 3, 5, n = 1');
+});
+
+test('errors say which calculation failed and why', () => {
+  expect(announce([digit('8'), operator('÷'), digit('0'), equals])).toBe(
+    '8 ÷ 0: cannot divide by zero'
+  );
+  expect(announce([digit('4'), { type: 'toggleSign' }, { type: 'sqrt' }])).toBe(
+    '√ -4: invalid input'
+  );
+  expect(announce([digit('0'), { type: 'function', payload: 'ln' }])).toBe(
+    'natural log of 0: invalid input'
+  );
+  expect(announce([{ type: 'inputExpression', payload: '9^9^9' }])).toBe('9^9^9: overflow');
+});
@@ -0,0 +1,166 @@
+/**
+ * Clipboard helpers: what Ctrl+C copies and how pasted text becomes an engine action.
+ *
+ * Copying yields the raw value ("1234567.89", the entry digits in programmer mode, the
+ * fraction as shown in fraction mode) so it pastes cleanly into other programs. Pasted text may be a single number in
+ * the selected locale's notation, a whole expression or a variable or function definition
+ * ("rate = 0,0725"); expressions are normalized (locale numbers, Unicode operators, a
+ * trailing "=") and left to the engine to evaluate. Numbers in the plain form copying
+ * yields are read as such in every locale, so a copied value pastes back unchanged.
+ */
+import { parseDecimal, toDecimalString } from './decimal';
+import { getDateCalculation, getFractionText } from './engine';
+import { ExpressionError, parse, tokenize } from './expression';
+import { formatFraction, parseFraction } from './fractions';
+import { parseLocaleNumber } from './locale';
+import { BASES, parseInBase } from './programmer';
+import { formatDefinition, parseDefinition } from './variables';
+
+// Longest pasted text that is considered; anything longer is rejected outright.
+export const MAX_PASTE_LENGTH = 1000;
+
+// A name, left as it is, or a number as it may appear in pasted text: digits with
+// grouping/decimal marks and an optional exponent ("1.234,5", "1,234.5", "1’234", "2.5e-3").
+const PASTED_TOKEN = /[A-Za-z_]\w*|(?:\d[\d.,'’]*|[.,]\d[\d.,'’]*)(?:e[+-]?\d+)?/gi;
+
+// The plain decimal text clipboardValue copies, e.g. "-1234.5".
+const COPIED_NUMBER = /^-?\d+(?:\.\d+)?$/;
+
+// Locale whose notation is the canonical one: '.' as the decimal point, no grouping.
+const CANONICAL_LOCALE = 'en-US';
+
+// Prefixes that select a base for pasted programmer values.
+const PREFIXED_BASES = { '0x': 'HEX', '0o': 'OCT', '0b': 'BIN' };
+
+// Typographic operators accepted in pasted expressions, mapped to calculator symbols.
+const OPERATOR_REPLACEMENTS = [
+  [/[−–—]/g, '−'],
+  [/[·⋅∙]/g, '×'],
+  [/[∕⁄]/g, '÷'],
+];
+
+// PUBLIC_INTERFACE
+export function clipboardValue(state) {
+  /**
+   * The unformatted value Ctrl+C copies: canonical decimal text, the entry digits in
+   * programmer mode, the value as shown in fraction mode ("7/3", "2 1/3") or the result
+   * (an ISO date or a number) in date mode.
+   * @param {object} state - engine state
+   * @returns {string|null} null in the error state
+   */
+  if (state.dateMode) return getDateCalculation(state).result;
+  if (state.currentInput === 'Error') return null;
+  if (state.programmerMode) return state.currentInput;
+  if (state.fractionMode) return getFractionText(state);
+  const dec = parseDecimal(state.currentInput);
+  return dec ? toDecimalString(dec) : null;
+}
+
+/**
+ * Utility: Read pasted programmer text in the input base (or the base its prefix names).
+ * @returns {string|null} the value as decimal text, or null when it is not an integer
+ */
+function parseProgrammerText(text, { inputBase, wordSize, signed }) {
+  const cleaned = text.replace(/[\s_]/g, '');
+  const prefix = PREFIXED_BASES[cleaned.slice(0, 2).toLowerCase()];
+  const base = prefix || inputBase;
+  const value = parseInBase(prefix ? cleaned.slice(2) : cleaned, base, { wordSize, signed });
+  return value === null ? null : value.toString(10);
+}
+
+/**
+ * Utility: Read one pasted number: text in the plain form the calculator copies as it is
+ * (so "1.234" copied is 1.234 even in de-DE, where '.' groups digits), anything else in
+ * the locale's notation.
+ * @returns {string|null} canonical decimal text, or null when the text is not a number
+ */
+function readPastedNumber(text, locale) {
+  return parseLocaleNumber(text, COPIED_NUMBER.test(text) ? CANONICAL_LOCALE : locale);
+}
+
+// PUBLIC_INTERFACE
+export function normalizeExpression(text, locale) {
+  /**
+   * Normalize pasted expression text for the expression parser: numbers in the
+   * locale's notation become canonical, typographic operators become calculator
+   * symbols and a trailing "=" is dropped. Commas that end a number separate arguments
+   * ("max(1, 2)").
+   * @param {string} text - e.g. "1.234,5 × (2 − 1) ="
+   * @param {string} locale
+   * @returns {string} token values joined by spaces, e.g. "1234.5 × ( 2 − 1 )"
+   * @throws {ExpressionError} on malformed numbers, characters outside the syntax or
+   *   an incomplete expression (so nothing is entered when the paste is unusable)
+   */
+  let normalized = text.trim().replace(/=\s*$/, '');
+  OPERATOR_REPLACEMENTS.forEach(([pattern, symbol]) => {
+    normalized = normalized.replace(pattern, symbol);
+  });
+  normalized = normalized.replace(PASTED_TOKEN, (match) => {
+    if (/^[A-Za-z_]/.test(match)) return match;
+    const [, number, separators] = /^(.*?)(,*)$/.exec(match);
+    const canonical = readPastedNumber(number, locale);
+    if (canonical === null) throw new ExpressionError(`Invalid number '${number}'`);
+    return ` ${canonical} ${separators}`;
+  });
+  const tokens = tokenize(normalized);
+  parse(tokens);
+  return tokens.map((token) => token.value).join(' ');
+}
+
+// PUBLIC_INTERFACE
+export function interpretPaste(
+  text,
+  {
+    locale,
+    programmerMode = false,
+    fractionMode = false,
+    inputBase = 'DEC',
+    wordSize = 64,
+    signed = true,
+  }
+) {
+  /**
+   * Turn pasted text into the engine action that enters it.
+   * - a single number → { type: 'inputValue', payload: canonical decimal }
+   * - an expression → { type: 'inputExpression', payload: normalized expression }
+   * - a definition → { type: 'variableDefine', payload: definition with a normalized body }
+   * Programmer mode accepts one integer in the input base (or with a 0x/0o/0b prefix);
+   * fraction mode one number, fraction ("2/3", "1 2/3") or repeating decimal ("0.1(6)").
+   * Definitions are taken in every mode.
+   * @param {string} text
+   * @param {{locale: string, programmerMode?: boolean, fractionMode?: boolean, inputBase?: string, wordSize?: number, signed?: boolean}} options
+   * @returns {{action?: {type: string, payload: string}, error?: string}} error is user-facing
+   */
+  const trimmed = String(text || '').trim();
+  if (!trimmed) return { error: 'Clipboard is empty' };
+  if (trimmed.length > MAX_PASTE_LENGTH) return { error: 'Pasted text is too long' };
+  try {
+    const definition = parseDefinition(trimmed);
+    if (definition) {
+      const body = normalizeExpression(definition.body, locale);
+      const payload = formatDefinition({ ...definition, body });
+      return { action: { type: 'variableDefine', payload } };
+    }
+  } catch (err) {
+    if (!(err instanceof ExpressionError)) throw err;
+    return { error: err.message };
+  }
+  if (programmerMode) {
+    const value = parseProgrammerText(trimmed, { inputBase, wordSize, signed });
+    if (value === null) return { error: `Not a ${inputBase} integer (base ${BASES[inputBase]})` };
+    return { action: { type: 'inputValue', payload: value } };
+  }
+  const number = readPastedNumber(trimmed, locale);
+  if (fractionMode && number === null) {
+    const fraction = parseFraction(trimmed);
+    if (!fraction) return { error: 'Not a number or a fraction' };
+    return { action: { type: 'inputValue', payload: formatFraction(fraction) } };
+  }
+  if (number !== null) return { action: { type: 'inputValue', payload: number } };
+  try {
+    return { action: { type: 'inputExpression', payload: normalizeExpression(trimmed, locale) } };
+  } catch (err) {
+    if (!(err instanceof ExpressionError)) throw err;
+    return { error: err.message };
+  }
+}
@@ -0,0 +1,89 @@
+import { createInitialState, reduce } from './engine';
+import { MAX_PASTE_LENGTH, clipboardValue, interpretPaste, normalizeExpression } from './clipboard';
+
+test('copied values are canonical and unformatted', () => {
+  let state = createInitialState();
+  ['1', '2', '3', '4', '.', '5', '0'].forEach((d) => {
+    state = reduce(state, { type: d === '.' ? 'decimal' : 'digit', payload: d });
+  });
+  expect(clipboardValue(state)).toBe('1234.5');
+  const programmer = reduce(state, { type: 'toggleProgrammerMode' });
+  expect(clipboardValue(reduce(programmer, { type: 'setInputBase', payload: 'HEX' }))).toBe('4D2');
+  expect(clipboardValue({ ...state, currentInput: 'Error' })).toBeNull();
+  const dates = reduce(createInitialState({ today: '2026-01-01' }), { type: 'toggleDateMode' });
+  expect(clipboardValue(reduce(dates, { type: 'setDateOperation', payload: 'add' }))).toBe(
+    '2026-01-01'
+  );
+});
+
+test('copied values paste back unchanged in every locale', () => {
+  ['1234.5', '1.234', '-0.5', '3.14', '1234'].forEach((value) => {
+    const state = reduce(createInitialState(), { type: 'inputValue', payload: value });
+    const copied = clipboardValue(state);
+    ['de-DE', 'de-CH', 'fr-FR', 'en-IN'].forEach((locale) => {
+      expect(interpretPaste(copied, { locale }).action).toEqual({
+        type: 'inputValue',
+        payload: value,
+      });
+    });
+  });
+  // Grouped text is still read in the locale's notation
+  expect(interpretPaste('1.234,5', { locale: 'de-DE' }).action.payload).toBe('1234.5');
+  expect(normalizeExpression('1234.5 × 2', 'de-DE')).toBe('1234.5 × 2');
+});
+
+test('pasted expressions are normalized for the parser', () => {
+  expect(normalizeExpression('1.234,5 × (2 − 1) =', 'de-DE')).toBe('1234.5 × ( 2 − 1 )');
+  expect(normalizeExpression('2*3 / 4 - 1', 'en-US')).toBe('2 × 3 ÷ 4 − 1');
+  expect(normalizeExpression('1,5e3 · 2 – 1', 'de-DE')).toBe('1.5e3 × 2 − 1');
+  expect(() => normalizeExpression('1.2.3 + 1', 'en-US')).toThrow("Invalid number '1.2.3'");
+  expect(() => normalizeExpression('2 +', 'en-US')).toThrow();
+});
+
+test('interpretPaste picks an action or explains the problem', () => {
+  expect(interpretPaste(' 1,234.5 ', { locale: 'en-US' })).toEqual({
+    action: { type: 'inputValue', payload: '1234.5' },
+  });
+  expect(interpretPaste('2 + 3', { locale: 'en-US' })).toEqual({
+    action: { type: 'inputExpression', payload: '2 + 3' },
+  });
+  expect(interpretPaste('   ', { locale: 'en-US' })).toEqual({ error: 'Clipboard is empty' });
+  expect(interpretPaste('1'.repeat(MAX_PASTE_LENGTH + 1), { locale: 'en-US' })).toEqual({
+    error: 'Pasted text is too long',
+  });
+  expect(interpretPaste('2 + banana!', { locale: 'en-US' }).error).toBeTruthy();
+});
+
+test('pasted definitions and names', () => {
+  expect(interpretPaste('rate = 0,0725', { locale: 'de-DE' })).toEqual({
+    action: { type: 'variableDefine', payload: 'rate = 0.0725' },
+  });
+  expect(interpretPaste('tax(x) = x * rate2', { locale: 'en-US', programmerMode: true })).toEqual({
+    action: { type: 'variableDefine', payload: 'tax(x) = x × rate2' },
+  });
+  expect(interpretPaste('ans = 2', { locale: 'en-US' })).toEqual({
+    error: "'ans' is reserved for the last result",
+  });
+  expect(normalizeExpression('max(1,5; 2) =', 'de-DE')).toBe('max ( 1.5 , 2 )');
+  expect(normalizeExpression('f(1,234, 2)', 'en-US')).toBe('f ( 1234 , 2 )');
+  expect(normalizeExpression('2x3', 'en-US')).toBe('2 × 3');
+});
+
+test('programmer pastes are integers in the input base or with a prefix', () => {
+  const options = { locale: 'en-US', programmerMode: true, inputBase: 'HEX' };
+  expect(interpretPaste('ff', options).action).toEqual({ type: 'inputValue', payload: '255' });
+  expect(interpretPaste('0b1010', options).action.payload).toBe('10');
+  expect(interpretPaste('FF_FF', options).action.payload).toBe('65535');
+  expect(interpretPaste('1.5', options)).toEqual({ error: 'Not a HEX integer (base 16)' });
+});
+
+test('fraction pastes are numbers, fractions or repeating decimals', () => {
+  const options = { locale: 'de-DE', fractionMode: true };
+  expect(interpretPaste('1,25', options).action).toEqual({ type: 'inputValue', payload: '1.25' });
+  expect(interpretPaste('-2 2/4', options).action.payload).toBe('-5/2');
+  expect(interpretPaste('0.1(6)', options).action.payload).toBe('1/6');
+  expect(interpretPaste('1 + 2', options)).toEqual({ error: 'Not a number or a fraction' });
+  const state = { ...createInitialState(), fractionMode: true, currentInput: '7/3' };
+  expect(clipboardValue(state)).toBe('7/3');
+  expect(clipboardValue({ ...state, fractionDisplay: 'mixed' })).toBe('2 1/3');
+});
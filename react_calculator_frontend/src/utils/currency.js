@@ -0,0 +1,232 @@
+/**
+ * Offline currency conversion from rate tables.
+ *
+ * A rate table lists how many units of each currency one unit of a base currency buys,
+ * plus the date the rates were taken ("as of"). A default table ships with the app
+ * (src/data/currency-rates.json); users can import their own as JSON or CSV, which is
+ * kept in localStorage. Rates stay decimal strings and conversions use the exact
+ * decimal arithmetic, never parseFloat.
+ *
+ * JSON: { "base": "EUR", "asOf": "2026-10-01", "rates": { "USD": "1.0954", ... } }
+ *       ("date" is accepted for "asOf"; rates may also be JSON numbers)
+ * CSV:  currency,rate,date
+ *       USD,1.0954,2026-10-01
+ */
+import bundledRates from '../data/currency-rates.json';
+import {
+  DEFAULT_PRECISION,
+  divide,
+  isNegative,
+  isZero,
+  multiply,
+  parseDecimal,
+  toDecimalString,
+} from './decimal';
+import { defaultStorage, readJSON, writeJSON } from './storage';
+
+// localStorage key holding an imported rate table (absent while the bundled one is used).
+export const RATES_STORAGE_KEY = 'calculator.rates';
+
+// Largest rate file accepted for import, in characters.
+export const MAX_RATE_TABLE_LENGTH = 100000;
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// PUBLIC_INTERFACE
+export class RateTableError extends Error {
+  /**
+   * Error raised for rate tables that cannot be imported.
+   * The message is user-facing and shown under the display.
+   * @param {string} message - descriptive message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'RateTableError';
+  }
+}
+
+/**
+ * Utility: Check an ISO date (YYYY-MM-DD) that names a real day.
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isValidDate(value) {
+  if (typeof value !== 'string' || !ISO_DATE.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Utility: Validate raw [code, rate] pairs into a rate table.
+ * @param {Array<[string, any]>} pairs
+ * @param {{base?: string|null, asOf: any, source: string}} meta
+ * @returns {{base: string|null, asOf: string, rates: Object<string, string>, source: string}}
+ * @throws {RateTableError}
+ */
+function buildTable(pairs, { base = null, asOf, source }) {
+  if (!isValidDate(asOf)) {
+    throw new RateTableError('Missing or invalid "as of" date (use YYYY-MM-DD)');
+  }
+  const rates = {};
+  pairs.forEach(([rawCode, rawRate]) => {
+    const code = String(rawCode).trim().toUpperCase();
+    if (!CURRENCY_CODE.test(code)) throw new RateTableError(`Invalid currency code '${rawCode}'`);
+    const numeric = typeof rawRate === 'string' || typeof rawRate === 'number';
+    const rate = numeric ? parseDecimal(rawRate) : null;
+    if (!rate || isZero(rate) || isNegative(rate)) {
+      throw new RateTableError(`Invalid rate for ${code}`);
+    }
+    if (code in rates) throw new RateTableError(`${code} is listed twice`);
+    rates[code] = toDecimalString(rate);
+  });
+  const baseCode = base ? String(base).trim().toUpperCase() : null;
+  if (baseCode) {
+    if (!CURRENCY_CODE.test(baseCode)) throw new RateTableError(`Invalid currency code '${base}'`);
+    if (!(baseCode in rates)) rates[baseCode] = '1';
+  }
+  if (Object.keys(rates).length < 2) {
+    throw new RateTableError('A rate table needs at least two currencies');
+  }
+  return { base: baseCode, asOf, rates, source };
+}
+
+/**
+ * Utility: Read a JSON rate table.
+ * @throws {RateTableError}
+ */
+function parseJSONTable(text, source) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new RateTableError('Not valid JSON');
+  }
+  if (!data || typeof data !== 'object' || !data.rates || typeof data.rates !== 'object') {
+    throw new RateTableError('JSON rate table needs a "rates" object');
+  }
+  const asOf = data.asOf || data.date;
+  return buildTable(Object.entries(data.rates), { base: data.base, asOf, source });
+}
+
+/**
+ * Utility: Read a CSV rate table: currency and rate columns plus a date column,
+ * with or without a header row. Commas, semicolons and tabs separate fields;
+ * blank lines and lines starting with '#' are skipped.
+ * @throws {RateTableError}
+ */
+function parseCSVTable(text, source) {
+  const rows = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'))
+    .map((line) => line.split(/[,;\t]/).map((cell) => cell.trim().replace(/^"(.*)"$/, '$1')));
+  if (rows.length === 0) throw new RateTableError('Rate table is empty');
+  let columns = { code: 0, rate: 1, date: 2 };
+  if (!parseDecimal(rows[0][1] || '')) {
+    const header = rows.shift().map((cell) => cell.toLowerCase().replace(/[\s_-]/g, ''));
+    const find = (names) => header.findIndex((cell) => names.includes(cell));
+    columns = {
+      code: find(['currency', 'code']),
+      rate: find(['rate']),
+      date: find(['date', 'asof']),
+    };
+    if (columns.code < 0 || columns.rate < 0) {
+      throw new RateTableError('CSV header needs "currency" and "rate" columns');
+    }
+  }
+  // Rates taken on different days: the table is only as current as its oldest rate.
+  const dates = rows.map((row) => row[columns.date]).filter(Boolean).sort();
+  const pairs = rows.map((row) => [row[columns.code] || '', row[columns.rate] || '']);
+  return buildTable(pairs, { asOf: dates[0], source });
+}
+
+// PUBLIC_INTERFACE
+export function parseRateTable(text, source = 'imported') {
+  /**
+   * Parse an imported rate table, JSON or CSV (detected from the content).
+   * @param {string} text
+   * @param {string} [source] - where the table came from, e.g. "imported"
+   * @returns {{base: string|null, asOf: string, rates: Object<string, string>, source: string}}
+   * @throws {RateTableError} with a user-facing message
+   */
+  const trimmed = String(text || '').trim();
+  if (!trimmed) throw new RateTableError('Rate table is empty');
+  if (trimmed.length > MAX_RATE_TABLE_LENGTH) throw new RateTableError('Rate table is too large');
+  return trimmed.startsWith('{') ? parseJSONTable(trimmed, source) : parseCSVTable(trimmed, source);
+}
+
+// Rate table bundled with the app, used until the user imports one.
+export const DEFAULT_RATE_TABLE = parseRateTable(JSON.stringify(bundledRates), 'bundled');
+
+// PUBLIC_INTERFACE
+export function currencyCodes(table) {
+  /**
+   * Currency codes in a table, sorted alphabetically.
+   * @returns {string[]}
+   */
+  return Object.keys(table.rates).sort();
+}
+
+// PUBLIC_INTERFACE
+export function hasCurrency(table, code) {
+  /** True when the table lists a rate for `code`. */
+  return Object.prototype.hasOwnProperty.call(table.rates, code);
+}
+
+// PUBLIC_INTERFACE
+export function defaultCurrencyPair(table) {
+  /**
+   * Currencies a table starts with: USD → EUR when both are listed, otherwise the
+   * first two codes.
+   * @returns {[string, string]} [from, to]
+   */
+  const codes = currencyCodes(table);
+  return codes.includes('USD') && codes.includes('EUR') ? ['USD', 'EUR'] : [codes[0], codes[1]];
+}
+
+// PUBLIC_INTERFACE
+export function convertCurrency(amount, from, to, table, precision = DEFAULT_PRECISION) {
+  /**
+   * Convert an amount between two currencies of a table: amount × rate[to] ÷ rate[from].
+   * @param {string|object} amount - decimal text (e.g. the current entry) or decimal
+   * @param {string} from - currency code
+   * @param {string} to - currency code
+   * @param {{rates: Object<string, string>}} table
+   * @param {number} [precision] - decimal places kept (significant digits below 0.1)
+   * @returns {string|null} canonical decimal text; null for unknown codes or non-numbers
+   */
+  const dec = parseDecimal(amount);
+  if (!dec || !hasCurrency(table, from) || !hasCurrency(table, to)) return null;
+  const rateFrom = parseDecimal(table.rates[from]);
+  const rateTo = parseDecimal(table.rates[to]);
+  return toDecimalString(divide(multiply(dec, rateTo), rateFrom, precision));
+}
+
+// PUBLIC_INTERFACE
+export function loadRateTable(storage = defaultStorage()) {
+  /**
+   * The imported rate table from storage, or the bundled one when none (or a corrupt
+   * one) is stored.
+   * @param {Storage|null} storage
+   * @returns {object} rate table
+   */
+  const stored = readJSON(RATES_STORAGE_KEY, storage);
+  if (!stored || typeof stored !== 'object') return DEFAULT_RATE_TABLE;
+  try {
+    return parseRateTable(JSON.stringify(stored), 'imported');
+  } catch (err) {
+    if (!(err instanceof RateTableError)) throw err;
+    return DEFAULT_RATE_TABLE;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function saveRateTable(table, storage = defaultStorage()) {
+  /**
+   * Persist an imported rate table; the bundled table clears the stored one.
+   * @param {object} table
+   * @param {Storage|null} storage
+   */
+  writeJSON(RATES_STORAGE_KEY, table.source === 'bundled' ? null : table, storage);
+}
@@ -0,0 +1,81 @@
+import {
+  DEFAULT_RATE_TABLE,
+  RATES_STORAGE_KEY,
+  RateTableError,
+  convertCurrency,
+  currencyCodes,
+  defaultCurrencyPair,
+  loadRateTable,
+  parseRateTable,
+  saveRateTable,
+} from './currency';
+import { memoryStorage } from '../setupTests';
+
+test('the bundled table is valid and starts with USD → EUR', () => {
+  expect(DEFAULT_RATE_TABLE).toMatchObject({ base: 'EUR', asOf: '2026-10-01', source: 'bundled' });
+  expect(DEFAULT_RATE_TABLE.rates.EUR).toBe('1');
+  expect(defaultCurrencyPair(DEFAULT_RATE_TABLE)).toEqual(['USD', 'EUR']);
+});
+
+test('JSON tables accept string or number rates and add the base', () => {
+  const table = parseRateTable('{"base":"usd","date":"2026-09-30","rates":{"EUR":0.9,"JPY":"150"}}');
+  expect(table).toEqual({
+    base: 'USD',
+    asOf: '2026-09-30',
+    rates: { EUR: '0.9', JPY: '150', USD: '1' },
+    source: 'imported',
+  });
+  expect(currencyCodes(table)).toEqual(['EUR', 'JPY', 'USD']);
+});
+
+test('CSV tables work with or without a header and use the oldest date', () => {
+  const withHeader = parseRateTable('Currency;Rate;As of\nUSD;1;2026-09-30\n"EUR";0.9;2026-09-29\n');
+  expect(withHeader.asOf).toBe('2026-09-29');
+  expect(withHeader.rates).toEqual({ USD: '1', EUR: '0.9' });
+  const bare = parseRateTable('# rates per USD\nUSD,1,2026-09-30\nGBP,0.75,2026-09-30');
+  expect(bare.rates).toEqual({ USD: '1', GBP: '0.75' });
+  expect(bare.base).toBeNull();
+});
+
+test('unusable tables are rejected with a reason', () => {
+  const reason = (text) => {
+    try {
+      parseRateTable(text);
+    } catch (err) {
+      expect(err).toBeInstanceOf(RateTableError);
+      return err.message;
+    }
+    return null;
+  };
+  expect(reason('')).toBe('Rate table is empty');
+  expect(reason('{"rates": ')).toBe('Not valid JSON');
+  expect(reason('{"asOf":"2026-10-01"}')).toBe('JSON rate table needs a "rates" object');
+  expect(reason('{"rates":{"USD":1,"EUR":0.9}}')).toMatch(/"as of" date/);
+  expect(reason('{"asOf":"2026-02-30","rates":{"USD":1,"EUR":0.9}}')).toMatch(/"as of" date/);
+  expect(reason('USD,1,2026-10-01\nEURO,0.9,2026-10-01')).toBe("Invalid currency code 'EURO'");
+  expect(reason('USD,1,2026-10-01\nEUR,-0.9,2026-10-01')).toBe('Invalid rate for EUR');
+  expect(reason('USD,1,2026-10-01\nUSD,2,2026-10-01')).toBe('USD is listed twice');
+  expect(reason('USD,1,2026-10-01')).toBe('A rate table needs at least two currencies');
+  expect(reason('name,value\nUSD,1')).toBe('CSV header needs "currency" and "rate" columns');
+});
+
+test('conversions go through exact decimals', () => {
+  const table = parseRateTable('USD,1,2026-10-01\nEUR,0.9,2026-10-01\nJPY,150,2026-10-01');
+  expect(convertCurrency('100', 'USD', 'EUR', table)).toBe('90');
+  expect(convertCurrency('0.1', 'EUR', 'JPY', table)).toBe('16.6666666667');
+  expect(convertCurrency('90', 'EUR', 'USD', table)).toBe('100');
+  expect(convertCurrency('1', 'USD', 'XYZ', table)).toBeNull();
+  expect(convertCurrency('1', 'USD', 'toString', table)).toBeNull();
+});
+
+test('imported tables persist and the bundled one clears storage', () => {
+  const storage = memoryStorage();
+  expect(loadRateTable(storage)).toBe(DEFAULT_RATE_TABLE);
+  const table = parseRateTable('USD,1,2026-10-01\nEUR,0.9,2026-10-01');
+  saveRateTable(table, storage);
+  expect(loadRateTable(storage)).toEqual(table);
+  saveRateTable(DEFAULT_RATE_TABLE, storage);
+  expect(storage.data[RATES_STORAGE_KEY]).toBe('null');
+  expect(loadRateTable(storage)).toBe(DEFAULT_RATE_TABLE);
+  expect(loadRateTable(memoryStorage({ [RATES_STORAGE_KEY]: '{"rates":{}}' }))).toBe(DEFAULT_RATE_TABLE);
+});
@@ -0,0 +1,388 @@
+/**
+ * Calendar arithmetic for date mode: the difference between two dates, and a date plus
+ * or minus a duration, optionally counted in business days.
+ *
+ * Dates are ISO calendar days ("2026-10-19") without a time of day, handled as day
+ * numbers (days since 1970-01-01) so time zones and daylight-saving changes never shift
+ * a result. Business days are Monday to Friday except the holidays in a user-supplied
+ * list. Years 1 to 9999 are supported.
+ *
+ * Holiday list: one date per line (or separated by commas), optionally followed by a
+ * name; '#' starts a comment.
+ *   2026-12-25 Christmas Day
+ *   2026-12-26, 2027-01-01
+ */
+import {
+  DEFAULT_PRECISION,
+  add,
+  divide,
+  negate,
+  parseDecimal,
+  roundToPrecision,
+  toDecimalString,
+} from './decimal';
+import { defaultStorage, readJSON, writeJSON } from './storage';
+
+// Date mode operations in selector order: [id, label].
+export const DATE_OPERATIONS = [
+  ['difference', 'Difference'],
+  ['add', 'Add'],
+  ['subtract', 'Subtract'],
+];
+
+// Units for differences and durations: [id, label].
+export const DATE_UNITS = [
+  ['days', 'Days'],
+  ['weeks', 'Weeks'],
+  ['months', 'Months'],
+];
+
+// localStorage key holding the holiday list (sorted ISO dates).
+export const HOLIDAYS_STORAGE_KEY = 'calculator.holidays';
+
+// Most holidays a list may hold.
+export const MAX_HOLIDAYS = 1000;
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+// A holiday list entry: the date, then an optional name.
+const HOLIDAY_ENTRY = /^(\d{4}-\d{2}-\d{2})(?:\s+.*)?$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_YEAR = 1;
+const MAX_YEAR = 9999;
+
+// PUBLIC_INTERFACE
+export class DateError extends Error {
+  /**
+   * Error raised for date calculations that have no answer and holiday lists that
+   * cannot be read. The message is user-facing and shown on the display.
+   * @param {string} message - descriptive message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'DateError';
+  }
+}
+
+/**
+ * Utility: Day number of a calendar date. setUTCFullYear keeps years below 100 as they
+ * are (Date.UTC would read 26 as 1926).
+ * @param {number} year
+ * @param {number} monthIndex - 0 for January; may run past 11 or below 0
+ * @param {number} day - 0 is the last day of the month before
+ * @returns {number}
+ */
+function toDayNumber(year, monthIndex, day) {
+  const date = new Date(0);
+  date.setUTCFullYear(year, monthIndex, day);
+  return Math.round(date.getTime() / DAY_MS);
+}
+
+/**
+ * Utility: Calendar fields of a day number.
+ * @returns {{year: number, monthIndex: number, day: number}}
+ */
+function calendarParts(dayNumber) {
+  const date = new Date(dayNumber * DAY_MS);
+  return { year: date.getUTCFullYear(), monthIndex: date.getUTCMonth(), day: date.getUTCDate() };
+}
+
+const MIN_DAY = toDayNumber(MIN_YEAR, 0, 1);
+const MAX_DAY = toDayNumber(MAX_YEAR, 11, 31);
+
+/**
+ * Utility: Check that a computed day lies within the supported years.
+ * @returns {number} the day number
+ * @throws {DateError}
+ */
+function checkDay(dayNumber) {
+  if (dayNumber < MIN_DAY || dayNumber > MAX_DAY) throw new DateError('Date out of range');
+  return dayNumber;
+}
+
+/**
+ * Utility: Day of the week, 0 (Sunday) to 6 (Saturday); 1970-01-01 was a Thursday.
+ */
+function weekday(dayNumber) {
+  return (((dayNumber + 4) % 7) + 7) % 7;
+}
+
+/**
+ * Utility: Monday to Friday and not a holiday.
+ * @param {number} dayNumber
+ * @param {Set<number>} holidays - day numbers
+ */
+function isBusinessDay(dayNumber, holidays) {
+  const day = weekday(dayNumber);
+  return day !== 0 && day !== 6 && !holidays.has(dayNumber);
+}
+
+/**
+ * Utility: Holiday list as a set of day numbers.
+ * @param {string[]} holidays - ISO dates
+ * @returns {Set<number>}
+ */
+function holidaySet(holidays) {
+  return new Set(holidays.map(parseISODate).filter((day) => day !== null));
+}
+
+/**
+ * Utility: The same day of the month some months later (or earlier), moved back to the
+ * month's last day when it is shorter: 31 January + 1 month = 28 February.
+ * @throws {DateError} when the result is out of range
+ */
+function addMonths(dayNumber, months) {
+  const { year, monthIndex, day } = calendarParts(dayNumber);
+  const total = year * 12 + monthIndex + months;
+  const newYear = Math.floor(total / 12);
+  const newMonth = total - newYear * 12;
+  if (newYear < MIN_YEAR || newYear > MAX_YEAR) throw new DateError('Date out of range');
+  const monthLength = calendarParts(toDayNumber(newYear, newMonth + 1, 0)).day;
+  return toDayNumber(newYear, newMonth, Math.min(day, monthLength));
+}
+
+/**
+ * Utility: Business days after `from` up to and including `to` (from <= to), so that
+ * adding the count to `from` in business days lands on `to` when it is a business day.
+ */
+function countBusinessDays(from, to, holidays) {
+  const weeks = Math.floor((to - from) / 7);
+  let count = weeks * 5;
+  for (let day = from + weeks * 7 + 1; day <= to; day += 1) {
+    if (weekday(day) !== 0 && weekday(day) !== 6) count += 1;
+  }
+  holidays.forEach((day) => {
+    if (day > from && day <= to && weekday(day) !== 0 && weekday(day) !== 6) count -= 1;
+  });
+  return count;
+}
+
+/**
+ * Utility: Move a number of business days forward (or back when negative), skipping
+ * weekends and holidays. Zero leaves the date as it is.
+ */
+function addBusinessDays(start, amount, holidays) {
+  const step = amount < 0 ? -1 : 1;
+  let remaining = Math.abs(amount);
+  let day = start;
+  while (remaining > 0) {
+    day = checkDay(day + step);
+    if (isBusinessDay(day, holidays)) remaining -= 1;
+  }
+  return day;
+}
+
+/**
+ * Utility: Whole months plus the remaining days as a fraction of the month that follows,
+ * from `from` to `to` (from <= to): 15 January to 1 March is 1 + 14/28 months.
+ * @returns {object} decimal
+ */
+function monthsBetween(from, to, precision) {
+  const start = calendarParts(from);
+  const end = calendarParts(to);
+  let months = (end.year - start.year) * 12 + end.monthIndex - start.monthIndex;
+  if (addMonths(from, months) > to) months -= 1;
+  const anchor = addMonths(from, months);
+  const wholeMonths = parseDecimal(String(months));
+  if (anchor === to) return wholeMonths;
+  const monthLength = addMonths(from, months + 1) - anchor;
+  const fraction = divide(parseDecimal(String(to - anchor)), parseDecimal(String(monthLength)), precision);
+  return add(wholeMonths, fraction);
+}
+
+/**
+ * Utility: Read a date, or fail with a message naming it.
+ * @returns {number} day number
+ * @throws {DateError}
+ */
+function requireDate(isoDate) {
+  const day = parseISODate(isoDate);
+  if (day === null) throw new DateError(`Invalid date '${isoDate}'`);
+  return day;
+}
+
+/**
+ * Utility: Read a duration amount: a whole number, possibly negative.
+ * @param {string} amount - canonical decimal text
+ * @returns {number}
+ * @throws {DateError}
+ */
+function requireAmount(amount) {
+  const dec = parseDecimal(amount);
+  const text = dec ? toDecimalString(dec) : '';
+  if (!/^-?\d+$/.test(text)) throw new DateError('Enter a whole number of days, weeks or months');
+  const value = Number(text);
+  // Anything longer than the supported calendar cannot land in range
+  if (Math.abs(value) > MAX_DAY - MIN_DAY) throw new DateError('Date out of range');
+  return value;
+}
+
+// PUBLIC_INTERFACE
+export function parseISODate(text) {
+  /**
+   * Read an ISO calendar date.
+   * @param {string} text - YYYY-MM-DD, e.g. "2026-02-28"
+   * @returns {number|null} day number (days since 1970-01-01); null when the text is
+   *   not a real day between the years 1 and 9999
+   */
+  const match = ISO_DATE.exec(typeof text === 'string' ? text : '');
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  if (year < MIN_YEAR || month < 1 || month > 12 || day < 1) return null;
+  const dayNumber = toDayNumber(year, month - 1, day);
+  // Day 31 of a 30-day month rolls over into the next month
+  return calendarParts(dayNumber).day === day ? dayNumber : null;
+}
+
+// PUBLIC_INTERFACE
+export function formatISODate(dayNumber) {
+  /**
+   * Write a day number as an ISO calendar date.
+   * @param {number} dayNumber - days since 1970-01-01
+   * @returns {string} YYYY-MM-DD
+   */
+  const { year, monthIndex, day } = calendarParts(dayNumber);
+  const pad = (value, length) => String(value).padStart(length, '0');
+  return `${pad(year, 4)}-${pad(monthIndex + 1, 2)}-${pad(day, 2)}`;
+}
+
+// PUBLIC_INTERFACE
+export function todayISO(now = new Date()) {
+  /**
+   * Today's date in the user's time zone.
+   * @param {Date} [now]
+   * @returns {string} YYYY-MM-DD
+   */
+  return formatISODate(toDayNumber(now.getFullYear(), now.getMonth(), now.getDate()));
+}
+
+// PUBLIC_INTERFACE
+export function dateDifference(
+  start,
+  end,
+  { unit = 'days', businessDays = false, holidays = [], precision = DEFAULT_PRECISION } = {}
+) {
+  /**
+   * The time from one date to another; negative when `end` comes first.
+   * @param {string} start - YYYY-MM-DD
+   * @param {string} end - YYYY-MM-DD
+   * @param {{unit?: string, businessDays?: boolean, holidays?: string[], precision?: number}} options
+   *   unit - 'days', 'weeks' (fractional) or 'months' (whole months plus the remaining
+   *   days as a fraction of the next month)
+   *   businessDays - with 'days': count the business days after `start` up to and
+   *   including `end`, leaving out weekends and `holidays`
+   *   precision - decimal places kept for fractional weeks and months
+   * @returns {string} canonical decimal text, e.g. "63" or "2.5"
+   * @throws {DateError} for an invalid date
+   */
+  const from = requireDate(start);
+  const to = requireDate(end);
+  const [earlier, later] = from <= to ? [from, to] : [to, from];
+  let result;
+  if (unit === 'weeks') {
+    result = divide(parseDecimal(String(later - earlier)), parseDecimal('7'), precision);
+  } else if (unit === 'months') {
+    result = monthsBetween(earlier, later, precision);
+  } else if (businessDays) {
+    result = parseDecimal(String(countBusinessDays(earlier, later, holidaySet(holidays))));
+  } else {
+    result = parseDecimal(String(later - earlier));
+  }
+  const rounded = roundToPrecision(result, precision);
+  return toDecimalString(from <= to ? rounded : negate(rounded));
+}
+
+// PUBLIC_INTERFACE
+export function addDuration(start, amount, { unit = 'days', businessDays = false, holidays = [] } = {}) {
+  /**
+   * A date moved by a duration: "2026-01-01" + 90 business days = "2026-05-08".
+   * @param {string} start - YYYY-MM-DD
+   * @param {string} amount - whole number of units, canonical decimal text; negative moves back
+   * @param {{unit?: string, businessDays?: boolean, holidays?: string[]}} options
+   *   unit - 'days', 'weeks' or 'months' (the same day of the month, or the month's last
+   *   day when it is shorter)
+   *   businessDays - with 'days': count only business days, skipping weekends and `holidays`
+   * @returns {string} YYYY-MM-DD
+   * @throws {DateError} for an invalid date, a fractional amount or a result out of range
+   */
+  const from = requireDate(start);
+  const value = requireAmount(amount);
+  if (unit === 'weeks') return formatISODate(checkDay(from + value * 7));
+  if (unit === 'months') return formatISODate(addMonths(from, value));
+  if (businessDays) return formatISODate(addBusinessDays(from, value, holidaySet(holidays)));
+  return formatISODate(checkDay(from + value));
+}
+
+// PUBLIC_INTERFACE
+export function subtractDuration(start, amount, options = {}) {
+  /**
+   * A date moved back by a duration; see addDuration() for the options.
+   * @param {string} start - YYYY-MM-DD
+   * @param {string} amount - whole number of units, canonical decimal text
+   * @returns {string} YYYY-MM-DD
+   * @throws {DateError}
+   */
+  const dec = parseDecimal(amount);
+  return addDuration(start, dec ? toDecimalString(negate(dec)) : amount, options);
+}
+
+// PUBLIC_INTERFACE
+export function normalizeHolidays(list) {
+  /**
+   * Check a holiday list held in state or storage.
+   * @param {any} list
+   * @returns {string[]|null} the dates sorted without duplicates; null unless `list` is
+   *   an array of at most MAX_HOLIDAYS valid ISO dates
+   */
+  if (!Array.isArray(list) || list.length > MAX_HOLIDAYS) return null;
+  if (!list.every((date) => parseISODate(date) !== null)) return null;
+  return [...new Set(list)].sort();
+}
+
+// PUBLIC_INTERFACE
+export function parseHolidayList(text) {
+  /**
+   * Read a holiday list typed or pasted by the user (see the module comment).
+   * @param {string} text
+   * @returns {string[]} ISO dates, sorted without duplicates
+   * @throws {DateError} naming the first entry that is not a date
+   */
+  const dates = new Set();
+  String(text)
+    .split(/\r?\n/)
+    .forEach((line, index) => {
+      line
+        .replace(/#.*$/, '')
+        .split(/[,;]/)
+        .map((entry) => entry.trim())
+        .filter(Boolean)
+        .forEach((entry) => {
+          const match = HOLIDAY_ENTRY.exec(entry);
+          if (!match || parseISODate(match[1]) === null) {
+            throw new DateError(`Line ${index + 1}: '${entry}' is not a date (use YYYY-MM-DD)`);
+          }
+          dates.add(match[1]);
+        });
+    });
+  if (dates.size > MAX_HOLIDAYS) throw new DateError(`At most ${MAX_HOLIDAYS} holidays are allowed`);
+  return [...dates].sort();
+}
+
+// PUBLIC_INTERFACE
+export function loadHolidays(storage = defaultStorage()) {
+  /**
+   * Read the persisted holiday list.
+   * @param {Storage|null} storage
+   * @returns {string[]} ISO dates; empty when none (or a corrupt list) is stored
+   */
+  return normalizeHolidays(readJSON(HOLIDAYS_STORAGE_KEY, storage)) || [];
+}
+
+// PUBLIC_INTERFACE
+export function saveHolidays(holidays, storage = defaultStorage()) {
+  /**
+   * Persist the holiday list.
+   * @param {string[]} holidays - ISO dates
+   * @param {Storage|null} storage
+   */
+  writeJSON(HOLIDAYS_STORAGE_KEY, holidays, storage);
+}
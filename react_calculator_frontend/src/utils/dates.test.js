@@ -0,0 +1,85 @@
+import {
+  DateError,
+  HOLIDAYS_STORAGE_KEY,
+  addDuration,
+  dateDifference,
+  formatISODate,
+  loadHolidays,
+  parseHolidayList,
+  parseISODate,
+  saveHolidays,
+  subtractDuration,
+  todayISO,
+} from './dates';
+import { memoryStorage } from '../setupTests';
+
+test('ISO dates round-trip through day numbers, including early years', () => {
+  expect(parseISODate('1970-01-01')).toBe(0);
+  expect(formatISODate(parseISODate('2024-02-29'))).toBe('2024-02-29');
+  expect(formatISODate(parseISODate('0026-06-01'))).toBe('0026-06-01');
+  expect(parseISODate('2026-02-29')).toBeNull();
+  expect(parseISODate('2026-13-01')).toBeNull();
+  expect(parseISODate('0000-01-01')).toBeNull();
+  expect(parseISODate('26-1-1')).toBeNull();
+  expect(todayISO(new Date(2026, 9, 19, 23, 30))).toBe('2026-10-19');
+});
+
+test('differences in days, weeks and months', () => {
+  expect(dateDifference('2026-01-01', '2026-04-05')).toBe('94');
+  expect(dateDifference('2026-04-05', '2026-01-01')).toBe('-94');
+  expect(dateDifference('2026-01-01', '2026-01-11', { unit: 'weeks', precision: 4 })).toBe('1.4286');
+  expect(dateDifference('2026-01-15', '2026-03-15', { unit: 'months' })).toBe('2');
+  expect(dateDifference('2026-01-15', '2026-03-01', { unit: 'months' })).toBe('1.5');
+  expect(dateDifference('2026-01-31', '2026-02-28', { unit: 'months' })).toBe('1');
+  expect(dateDifference('2026-03-01', '2026-01-15', { unit: 'months' })).toBe('-1.5');
+});
+
+test('business-day differences skip weekends and weekday holidays', () => {
+  // Monday to the Friday after next
+  expect(dateDifference('2026-10-19', '2026-10-30', { businessDays: true })).toBe('9');
+  expect(dateDifference('2026-10-30', '2026-10-19', { businessDays: true })).toBe('-9');
+  // A Saturday holiday changes nothing
+  const holidays = ['2026-10-21', '2026-10-24'];
+  expect(dateDifference('2026-10-19', '2026-10-30', { businessDays: true, holidays })).toBe('8');
+  // Only counted for days
+  expect(dateDifference('2026-10-19', '2026-10-26', { unit: 'weeks', businessDays: true })).toBe('1');
+});
+
+test('adding and subtracting durations', () => {
+  expect(addDuration('2026-01-01', '90')).toBe('2026-04-01');
+  expect(addDuration('2026-01-01', '90', { businessDays: true })).toBe('2026-05-07');
+  expect(addDuration('2026-01-01', '90', { businessDays: true, holidays: ['2026-01-02'] })).toBe(
+    '2026-05-08'
+  );
+  expect(addDuration('2026-10-23', '1', { businessDays: true })).toBe('2026-10-26');
+  expect(subtractDuration('2026-10-26', '1', { businessDays: true })).toBe('2026-10-23');
+  expect(addDuration('2026-01-31', '1', { unit: 'months' })).toBe('2026-02-28');
+  expect(subtractDuration('2024-03-31', '1', { unit: 'months' })).toBe('2024-02-29');
+  expect(addDuration('2026-01-01', '-2', { unit: 'weeks' })).toBe('2025-12-18');
+});
+
+test('durations reject fractions and dates out of range', () => {
+  expect(() => addDuration('2026-01-01', '1.5')).toThrow('Enter a whole number');
+  expect(() => addDuration('9999-12-31', '1')).toThrow('Date out of range');
+  expect(() => subtractDuration('0001-01-31', '1', { unit: 'months' })).toThrow(DateError);
+  expect(() => addDuration('2026-01-01', '1e30')).toThrow('Date out of range');
+  expect(() => dateDifference('2026-02-30', '2026-03-01')).toThrow("Invalid date '2026-02-30'");
+});
+
+test('holiday lists accept names, comments and commas', () => {
+  const text = '# Office holidays\n2026-12-25 Christmas Day\n2026-12-26, 2026-01-01\n\n2026-12-25';
+  expect(parseHolidayList(text)).toEqual(['2026-01-01', '2026-12-25', '2026-12-26']);
+  expect(parseHolidayList('')).toEqual([]);
+  expect(() => parseHolidayList('2026-01-01\n25/12/2026')).toThrow(
+    "Line 2: '25/12/2026' is not a date (use YYYY-MM-DD)"
+  );
+});
+
+test('holiday lists persist and ignore corrupt storage', () => {
+  const storage = memoryStorage();
+  expect(loadHolidays(storage)).toEqual([]);
+  saveHolidays(['2026-12-25'], storage);
+  expect(loadHolidays(storage)).toEqual(['2026-12-25']);
+  expect(loadHolidays(memoryStorage({ [HOLIDAYS_STORAGE_KEY]: '["someday"]' }))).toEqual([]);
+  expect(loadHolidays(null)).toEqual([]);
+});
@@ -0,0 +1,312 @@
+/**
+ * Arbitrary-precision decimal arithmetic.
+ *
+ * A decimal is represented as a plain object `{ coef, scale }` where `coef` is a BigInt
+ * and `scale` the number of digits after the decimal point, so the value is coef / 10^scale.
+ * Addition, subtraction and multiplication are exact; division and square root are
+ * rounded (half away from zero) to a caller-supplied number of decimal places, or to
+ * that many significant digits for results below 0.1 so tiny values do not collapse to 0.
+ */
+
+// Default number of decimal places kept by division, square root and display rounding.
+export const DEFAULT_PRECISION = 10;
+
+// Largest decimal exponent a result may have; see checkRange().
+export const MAX_EXPONENT = 9999;
+
+// RangeError messages raised by checkRange().
+export const OVERFLOW = 'Overflow';
+export const UNDERFLOW = 'Underflow';
+
+// Exponents in parsed text beyond this are rejected rather than expanded into huge BigInts.
+const MAX_PARSE_EXPONENT = 2 * MAX_EXPONENT;
+
+const DECIMAL_PATTERN = /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+/**
+ * Utility: 10^n as a BigInt.
+ * @param {number} n - non-negative exponent
+ * @returns {bigint}
+ */
+function pow10(n) {
+  return 10n ** BigInt(n);
+}
+
+/**
+ * Utility: Absolute value of a BigInt.
+ * @param {bigint} n
+ * @returns {bigint}
+ */
+function absBig(n) {
+  return n < 0n ? -n : n;
+}
+
+/**
+ * Utility: Integer division rounding half away from zero.
+ * @param {bigint} num
+ * @param {bigint} den - non-zero divisor
+ * @returns {bigint}
+ */
+function divRound(num, den) {
+  const q = num / den;
+  const r = num % den;
+  if (r === 0n) return q;
+  if (absBig(r) * 2n >= absBig(den)) {
+    return (num < 0n) !== (den < 0n) ? q - 1n : q + 1n;
+  }
+  return q;
+}
+
+/**
+ * Utility: Integer square root (floor) of a non-negative BigInt via Newton's method.
+ * @param {bigint} n
+ * @returns {bigint}
+ */
+function isqrt(n) {
+  if (n < 2n) return n;
+  // Seed above the root (2^ceil(bits/2) >= sqrt(n)) so the iteration decreases monotonically.
+  let x = 1n << BigInt(Math.ceil(n.toString(2).length / 2));
+  for (;;) {
+    const y = (x + n / x) / 2n;
+    if (y >= x) return x;
+    x = y;
+  }
+}
+
+/**
+ * Utility: Strip trailing zeros from the coefficient, lowering the scale.
+ * @param {{coef: bigint, scale: number}} d
+ * @returns {{coef: bigint, scale: number}}
+ */
+function normalize(d) {
+  let { coef, scale } = d;
+  if (coef === 0n) return { coef: 0n, scale: 0 };
+  while (scale > 0 && coef % 10n === 0n) {
+    coef /= 10n;
+    scale -= 1;
+  }
+  return { coef, scale };
+}
+
+/**
+ * Utility: Decimal places that keep `precision` places, or `precision` significant
+ * digits for a value whose leading digit is at 10^m with m below -1.
+ * @param {number} m - magnitude (exponent of the leading digit)
+ * @param {number} precision
+ * @returns {number}
+ */
+function decimalsFor(m, precision) {
+  return m < -1 ? precision - m - 1 : precision;
+}
+
+/**
+ * Utility: Quotient a ÷ b rounded to exactly `decimals` places.
+ * @returns {{coef: bigint, scale: number}}
+ */
+function quotient(a, b, decimals) {
+  // a/b = (a.coef * 10^b.scale) / (b.coef * 10^a.scale); shift by decimals before dividing.
+  const num = a.coef * pow10(b.scale + decimals);
+  const den = b.coef * pow10(a.scale);
+  return normalize({ coef: divRound(num, den), scale: decimals });
+}
+
+/**
+ * Utility: Bring two decimals to a common scale.
+ * @returns {[bigint, bigint, number]} aligned coefficients and the shared scale
+ */
+function align(a, b) {
+  const scale = Math.max(a.scale, b.scale);
+  return [a.coef * pow10(scale - a.scale), b.coef * pow10(scale - b.scale), scale];
+}
+
+// PUBLIC_INTERFACE
+export function parseDecimal(value) {
+  /**
+   * Parse a string, number or decimal into a decimal.
+   * Accepts plain and exponent notation ("-12.5", ".5", "3.", "1e-7").
+   * @param {string|number|{coef: bigint, scale: number}} value
+   * @returns {{coef: bigint, scale: number}|null} null when the input is not a finite number
+   */
+  if (value && typeof value === 'object' && typeof value.coef === 'bigint') return value;
+  if (typeof value === 'number' && !Number.isFinite(value)) return null;
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+  const match = DECIMAL_PATTERN.exec(String(value).trim());
+  if (!match) return null;
+  const [, sign, intPart = '', fracPart = '', expPart] = match;
+  if (!intPart && !fracPart) return null;
+  if (expPart && Math.abs(parseInt(expPart, 10)) > MAX_PARSE_EXPONENT) return null;
+  let coef = BigInt(`${intPart}${fracPart}` || '0');
+  let scale = fracPart.length - (expPart ? parseInt(expPart, 10) : 0);
+  if (scale < 0) {
+    coef *= pow10(-scale);
+    scale = 0;
+  }
+  if (sign === '-') coef = -coef;
+  return normalize({ coef, scale });
+}
+
+// PUBLIC_INTERFACE
+export function parseLiteral(text) {
+  /**
+   * Parse number text the user typed or pasted ("1.5e-7") like parseDecimal, except that
+   * exponents too large for it ("1e99999") are out of range rather than invalid.
+   * @param {string} text
+   * @returns {{coef: bigint, scale: number}|null} null when the text is not a number
+   * @throws {RangeError} OVERFLOW / UNDERFLOW for a non-zero value with such an exponent
+   */
+  const value = parseDecimal(text);
+  const match = value ? null : DECIMAL_PATTERN.exec(String(text).trim());
+  if (!match || !match[4]) return value;
+  const [, , intPart = '', fracPart = '', expPart] = match;
+  if (!intPart && !fracPart) return null;
+  if (/^0*$/.test(`${intPart}${fracPart}`)) return parseDecimal('0');
+  throw new RangeError(expPart.startsWith('-') ? UNDERFLOW : OVERFLOW);
+}
+
+// PUBLIC_INTERFACE
+export function toDecimalString(d) {
+  /**
+   * Render a decimal as a plain string without exponent or trailing zeros.
+   * @param {{coef: bigint, scale: number}} d
+   * @returns {string}
+   */
+  const { coef, scale } = normalize(d);
+  const digits = absBig(coef).toString();
+  const sign = coef < 0n ? '-' : '';
+  if (scale === 0) return `${sign}${digits}`;
+  const padded = digits.padStart(scale + 1, '0');
+  return `${sign}${padded.slice(0, -scale)}.${padded.slice(-scale)}`;
+}
+
+// PUBLIC_INTERFACE
+export function toNumber(d) {
+  /** Convert a decimal to the nearest JavaScript number. */
+  return Number(toDecimalString(d));
+}
+
+// PUBLIC_INTERFACE
+export function magnitude(d) {
+  /**
+   * Exponent of the leading digit, floor(log10(|d|)): 2 for 123.4, -3 for 0.005.
+   * @returns {number|null} null for zero
+   */
+  if (d.coef === 0n) return null;
+  return absBig(d.coef).toString().length - 1 - d.scale;
+}
+
+// PUBLIC_INTERFACE
+export function checkRange(d) {
+  /**
+   * Return `d` when its magnitude is within ±MAX_EXPONENT.
+   * @throws {RangeError} OVERFLOW for |d| ≥ 10^(MAX_EXPONENT + 1), UNDERFLOW for
+   *   non-zero |d| < 10^-MAX_EXPONENT
+   */
+  const m = magnitude(d);
+  if (m !== null && m > MAX_EXPONENT) throw new RangeError(OVERFLOW);
+  if (m !== null && m < -MAX_EXPONENT) throw new RangeError(UNDERFLOW);
+  return d;
+}
+
+// PUBLIC_INTERFACE
+export function isZero(d) {
+  /** True when the decimal equals zero. */
+  return d.coef === 0n;
+}
+
+// PUBLIC_INTERFACE
+export function isNegative(d) {
+  /** True when the decimal is strictly below zero. */
+  return d.coef < 0n;
+}
+
+// PUBLIC_INTERFACE
+export function compare(a, b) {
+  /**
+   * Compare two decimals.
+   * @returns {-1|0|1}
+   */
+  const [x, y] = align(a, b);
+  if (x === y) return 0;
+  return x < y ? -1 : 1;
+}
+
+// PUBLIC_INTERFACE
+export function negate(d) {
+  /** Return -d. */
+  return { coef: -d.coef, scale: d.scale };
+}
+
+// PUBLIC_INTERFACE
+export function add(a, b) {
+  /** Exact sum a + b. */
+  const [x, y, scale] = align(a, b);
+  return normalize({ coef: x + y, scale });
+}
+
+// PUBLIC_INTERFACE
+export function subtract(a, b) {
+  /** Exact difference a - b. */
+  const [x, y, scale] = align(a, b);
+  return normalize({ coef: x - y, scale });
+}
+
+// PUBLIC_INTERFACE
+export function multiply(a, b) {
+  /** Exact product a × b. */
+  return normalize({ coef: a.coef * b.coef, scale: a.scale + b.scale });
+}
+
+// PUBLIC_INTERFACE
+export function divide(a, b, precision = DEFAULT_PRECISION) {
+  /**
+   * Quotient a ÷ b rounded to `precision` decimal places (significant digits below 0.1).
+   * @throws {RangeError} when b is zero
+   */
+  if (isZero(b)) throw new RangeError('Division by zero');
+  if (isZero(a)) return { coef: 0n, scale: 0 };
+  // The quotient's magnitude is the difference of magnitudes or one less; try the
+  // finer scale first and redo the division if the result needs fewer places.
+  const estimate = magnitude(a) - magnitude(b);
+  const decimals = decimalsFor(estimate - 1, precision);
+  const q = quotient(a, b, decimals);
+  const needed = decimalsFor(magnitude(q), precision);
+  return needed === decimals ? q : quotient(a, b, needed);
+}
+
+// PUBLIC_INTERFACE
+export function round(d, decimals = DEFAULT_PRECISION) {
+  /** Round to `decimals` places, half away from zero. */
+  if (d.scale <= decimals) return d;
+  return normalize({ coef: divRound(d.coef, pow10(d.scale - decimals)), scale: decimals });
+}
+
+// PUBLIC_INTERFACE
+export function roundToPrecision(d, precision = DEFAULT_PRECISION) {
+  /**
+   * Round to `precision` decimal places, or `precision` significant digits below 0.1,
+   * the same rule divide() and sqrt() follow.
+   */
+  return isZero(d) ? d : round(d, decimalsFor(magnitude(d), precision));
+}
+
+// PUBLIC_INTERFACE
+export function sqrt(d, precision = DEFAULT_PRECISION) {
+  /**
+   * Square root rounded to `precision` decimal places (significant digits below 0.1).
+   * @throws {RangeError} when d is negative
+   */
+  if (isNegative(d)) throw new RangeError('Square root of a negative number');
+  if (isZero(d)) return d;
+  const places = decimalsFor(Math.floor(magnitude(d) / 2), precision);
+  // Two guard digits absorb the truncation of the integer square root before rounding.
+  const target = places + 2;
+  let scale = d.scale;
+  let coef = d.coef;
+  if (scale % 2 !== 0) {
+    coef *= 10n;
+    scale += 1;
+  }
+  const shift = Math.max(0, 2 * target - scale);
+  const root = isqrt(coef * pow10(shift));
+  return round(normalize({ coef: root, scale: (scale + shift) / 2 }), places);
+}
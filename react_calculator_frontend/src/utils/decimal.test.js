@@ -0,0 +1,94 @@
+import {
+  MAX_EXPONENT,
+  add,
+  checkRange,
+  compare,
+  divide,
+  magnitude,
+  multiply,
+  parseDecimal,
+  parseLiteral,
+  round,
+  roundToPrecision,
+  sqrt,
+  subtract,
+  toDecimalString,
+} from './decimal';
+
+const d = (s) => parseDecimal(s);
+const str = toDecimalString;
+
+test('parses plain and exponent notation', () => {
+  expect(str(d('-12.500'))).toBe('-12.5');
+  expect(str(d('.5'))).toBe('0.5');
+  expect(str(d('3.'))).toBe('3');
+  expect(str(d('1e-7'))).toBe('0.0000001');
+  expect(str(d('1.5e3'))).toBe('1500');
+  expect(str(d(0.25))).toBe('0.25');
+  expect(d('abc')).toBeNull();
+  expect(d('.')).toBeNull();
+  expect(d(Infinity)).toBeNull();
+});
+
+test('addition and subtraction are exact', () => {
+  expect(str(add(d('0.1'), d('0.2')))).toBe('0.3');
+  expect(str(subtract(d('0.3'), d('0.1')))).toBe('0.2');
+  expect(str(add(d('123456789012345678901234567890'), d('1')))).toBe('123456789012345678901234567891');
+  expect(str(subtract(d('0.1'), d('0.1')))).toBe('0');
+});
+
+test('multiplication is exact', () => {
+  expect(str(multiply(d('1.1'), d('1.1')))).toBe('1.21');
+  expect(str(multiply(d('19.99'), d('3')))).toBe('59.97');
+  expect(str(multiply(d('-0.5'), d('0.5')))).toBe('-0.25');
+});
+
+test('division rounds half away from zero to the requested precision', () => {
+  expect(str(divide(d('1'), d('3')))).toBe('0.3333333333');
+  expect(str(divide(d('2'), d('3'), 4))).toBe('0.6667');
+  expect(str(divide(d('-2'), d('3'), 4))).toBe('-0.6667');
+  expect(str(divide(d('10'), d('4')))).toBe('2.5');
+  expect(() => divide(d('1'), d('0'))).toThrow(RangeError);
+});
+
+test('round and compare', () => {
+  expect(str(round(d('2.345'), 2))).toBe('2.35');
+  expect(str(round(d('-2.345'), 2))).toBe('-2.35');
+  expect(str(round(d('2.344'), 2))).toBe('2.34');
+  expect(compare(d('1.10'), d('1.1'))).toBe(0);
+  expect(compare(d('-1'), d('0.5'))).toBe(-1);
+});
+
+test('square root', () => {
+  expect(str(sqrt(d('9')))).toBe('3');
+  expect(str(sqrt(d('2')))).toBe('1.4142135624');
+  expect(str(sqrt(d('0.0625')))).toBe('0.25');
+  expect(str(sqrt(d('1e40')))).toBe('100000000000000000000');
+  expect(() => sqrt(d('-1'))).toThrow(RangeError);
+});
+
+test('tiny quotients and roots keep significant digits instead of collapsing to 0', () => {
+  expect(str(divide(d('1'), d('3e12')))).toBe('0.0000000000003333333333');
+  expect(str(divide(d('1'), d('30'), 4))).toBe('0.03333');
+  expect(str(divide(d('1'), d('9.9')))).toBe('0.101010101');
+  expect(str(divide(d('0'), d('7')))).toBe('0');
+  expect(str(sqrt(d('1e-30')))).toBe('0.000000000000001');
+  expect(str(roundToPrecision(d('0.00012345678901234'), 4))).toBe('0.0001235');
+  expect(str(roundToPrecision(d('12.34567'), 2))).toBe('12.35');
+});
+
+test('magnitude, range checks and huge exponents', () => {
+  expect(magnitude(d('123.4'))).toBe(2);
+  expect(magnitude(d('-0.005'))).toBe(-3);
+  expect(magnitude(d('0'))).toBeNull();
+  expect(() => checkRange(d(`1e${MAX_EXPONENT}`))).not.toThrow();
+  expect(() => checkRange(d(`1e${MAX_EXPONENT + 1}`))).toThrow('Overflow');
+  expect(() => checkRange(d(`-1e-${MAX_EXPONENT + 1}`))).toThrow('Underflow');
+  expect(d('1e999999999')).toBeNull();
+  // Typed or pasted literals that large are out of range rather than invalid
+  expect(() => parseLiteral('1e99999')).toThrow('Overflow');
+  expect(() => parseLiteral('-2.5e-99999')).toThrow('Underflow');
+  expect(str(parseLiteral('0e99999'))).toBe('0');
+  expect(str(parseLiteral('1.5e3'))).toBe('1500');
+  expect(parseLiteral('e99999')).toBeNull();
+});
@@ -0,0 +1,21 @@
+/**
+ * Browser file downloads for exports (history, palettes).
+ */
+
+// PUBLIC_INTERFACE
+export function downloadFile(filename, content, mimeType) {
+  /**
+   * Offer text content as a file download.
+   * @param {string} filename
+   * @param {string} content
+   * @param {string} mimeType
+   */
+  const url = window.URL.createObjectURL(new window.Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+}
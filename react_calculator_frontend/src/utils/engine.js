@@ -0,0 +1,2416 @@
+/**
+ * Framework-free calculator engine.
+ *
+ * The whole calculator is a plain state object driven by a pure reducer:
+ *
+ *   let state = createInitialState();
+ *   state = reduce(state, { type: 'digit', payload: '7' });
+ *
+ * Actions mirror the keypad: { type, payload }, e.g. { type: 'operator', payload: '+' }.
+ * The reducer never touches the DOM or storage, so it can drive a React component,
+ * a CLI or a worker alike. Persistence (history, memory, variables) is left to the host.
+ */
+import {
+  DEFAULT_PRECISION,
+  OVERFLOW,
+  UNDERFLOW,
+  add,
+  checkRange,
+  divide,
+  isNegative,
+  isZero,
+  multiply,
+  negate,
+  parseDecimal,
+  parseLiteral,
+  roundToPrecision,
+  sqrt,
+  subtract,
+  toDecimalString,
+} from './decimal';
+import { DEFAULT_RATE_TABLE, convertCurrency, defaultCurrencyPair, hasCurrency } from './currency';
+import {
+  DATE_OPERATIONS,
+  DATE_UNITS,
+  DateError,
+  addDuration,
+  dateDifference,
+  normalizeHolidays,
+  parseISODate,
+  subtractDuration,
+  todayISO,
+} from './dates';
+import { ExpressionError, evaluateExpression } from './expression';
+import {
+  FINANCIAL_OPERATORS,
+  FinancialError,
+  MAX_CASH_FLOWS,
+  PAYMENTS_PER_YEAR,
+  TVM_REGISTERS,
+  amortizationSchedule,
+  applyFinancialOperator,
+  compoundInterest,
+  internalRateOfReturn,
+  netPresentValue,
+  solveTVM,
+} from './financial';
+import {
+  FRACTION_DISPLAYS,
+  FractionError,
+  applyFractionOperation,
+  decimalToFraction,
+  formatFraction,
+  fractionToDecimal,
+  parseFraction,
+} from './fractions';
+import { MAX_GRAPHS, MAX_GRAPH_LENGTH, compileGraph, graphValue } from './graph';
+import { appendHistoryEntry, createHistoryEntry } from './history';
+import { normalizeRegisterName, pushRegister } from './memory';
+import {
+  BASES,
+  PROGRAMMER_OPERATORS,
+  WORD_SIZES,
+  applyProgrammerOperation,
+  bitwiseNot,
+  fitsWord,
+  formatInBase,
+  isValidDigit,
+  parseInBase,
+  withBasePrefix,
+  wrapToWord,
+} from './programmer';
+import { NOTATIONS, nextNotation } from './notation';
+import {
+  MAX_DATA_POINTS,
+  StatisticsError,
+  linearRegression,
+  parseDataPoint,
+  summarize,
+} from './statistics';
+import {
+  ANGLE_MODES,
+  CONSTANT_NAMES,
+  FUNCTION_NAMES,
+  applyFunction,
+  constantValue,
+  nextAngleMode,
+  power,
+} from './scientific';
+import { UNIT_CATEGORIES, convertUnit, findCategory, findUnit } from './units';
+import { ANSWER_NAME, defineName, definitionScope } from './variables';
+
+// Action types accepted by reduce().
+export const ACTIONS = [
+  'digit',
+  'inputValue',
+  'inputExpression',
+  'loadCalculation',
+  'decimal',
+  'operator',
+  'equals',
+  'clear',
+  'delete',
+  'toggleSign',
+  'percent',
+  'sqrt',
+  'exponent',
+  'memory',
+  'memoryRegister',
+  'memoryRename',
+  'paren',
+  'toggleExpressionMode',
+  'historyRecall',
+  'historyClear',
+  'toggleScientificMode',
+  'cycleAngleMode',
+  'cycleNotation',
+  'function',
+  'constant',
+  'toggleProgrammerMode',
+  'setInputBase',
+  'setWordSize',
+  'toggleSigned',
+  'bitwiseNot',
+  'toggleConverterMode',
+  'setUnitCategory',
+  'setUnit',
+  'swapUnits',
+  'toggleCurrencyMode',
+  'setCurrency',
+  'swapCurrencies',
+  'setRateTable',
+  'applyConversion',
+  'toggleDateMode',
+  'setDateOperation',
+  'setDate',
+  'setDateUnit',
+  'toggleBusinessDays',
+  'setHolidays',
+  'toggleFinancialMode',
+  'tvmCompute',
+  'tvmRegister',
+  'tvmClear',
+  'setPaymentsPerYear',
+  'togglePaymentTiming',
+  'cashFlowAdd',
+  'cashFlowRemove',
+  'cashFlowClear',
+  'npv',
+  'irr',
+  'toggleStatMode',
+  'statAdd',
+  'statRemove',
+  'statPairX',
+  'statUpdate',
+  'statDelete',
+  'statLoad',
+  'statClear',
+  'statRecall',
+  'toggleFractionMode',
+  'fractionBar',
+  'cycleFractionDisplay',
+  'variableDefine',
+  'variableDelete',
+  'variableClear',
+  'variableRecall',
+  'toggleGraphMode',
+  'graphSet',
+  'graphUse',
+  'undo',
+  'redo',
+];
+
+// Default number of steps kept for undo.
+export const DEFAULT_UNDO_DEPTH = 50;
+
+// State that undo and redo restore: the value being worked on, pending operations,
+// memory, variables and the settings that decide how the entry is read. Display preferences
+// (scientific layout, angle mode, notation, converters) and the history tape are not undone.
+const UNDOABLE_FIELDS = [
+  'currentInput',
+  'previousValue',
+  'operation',
+  'overwrite',
+  'errorMessage',
+  'expressionMode',
+  'expressionTokens',
+  'lastExpression',
+  'repeatOperation',
+  'memory',
+  'definitions',
+  'ans',
+  'programmerMode',
+  'inputBase',
+  'wordSize',
+  'signed',
+  'fractionMode',
+  'tvm',
+  'cashFlows',
+  'statData',
+  'statX',
+];
+
+// Settings the host keeps across visits (see src/utils/settings.js): modes and how values
+// are shown and read. The entry, pending operations and undo steps start afresh.
+export const SETTINGS_FIELDS = [
+  'expressionMode',
+  'scientificMode',
+  'angleMode',
+  'notation',
+  'programmerMode',
+  'inputBase',
+  'wordSize',
+  'signed',
+  'converterMode',
+  'unitCategory',
+  'fromUnit',
+  'toUnit',
+  'currencyMode',
+  'fromCurrency',
+  'toCurrency',
+  'dateMode',
+  'dateOperation',
+  'dateUnit',
+  'businessDays',
+  'financialMode',
+  'paymentsPerYear',
+  'paymentsAtStart',
+  'statMode',
+  'fractionMode',
+  'fractionDisplay',
+  'graphMode',
+  'graphExpressions',
+];
+
+// Exponent being typed after EXP, e.g. "1.5e-7": [, sign, digits].
+const EXPONENT_ENTRY = /e([+-])(\d*)$/;
+
+// Exponent digits accepted after EXP (enough for ±MAX_EXPONENT).
+const MAX_EXPONENT_DIGITS = 4;
+
+// TVM registers of a fresh state and after 'tvmClear'.
+const EMPTY_TVM = { N: '0', IY: '0', PV: '0', PMT: '0', FV: '0' };
+
+/**
+ * Utility: Format a value for display by rounding to the configured precision
+ * (significant digits for tiny values) and trimming trailing zeroes and the decimal
+ * dot if unnecessary.
+ * @param {number|string|object} value - numeric value, string or decimal
+ * @param {number} precision - decimal places to keep
+ * @returns {string} formatted display string
+ */
+function formatResult(value, precision = DEFAULT_PRECISION) {
+  if (value === 'Error') return 'Error';
+  const dec = parseDecimal(value);
+  if (!dec) return 'Error';
+  return toDecimalString(roundToPrecision(dec, precision));
+}
+
+/**
+ * Utility: Perform an arithmetic operation using exact decimal arithmetic.
+ * @param {string} aStr - left operand as string
+ * @param {string} bStr - right operand as string
+ * @param {'+'|'−'|'×'|'÷'|'^'|'MU'|'MG'|'+TAX'|'−TAX'} op - operator
+ * @param {number} precision - decimal places kept by division and the formatted result
+ * @returns {string} result as formatted string
+ * @throws {RangeError} on divide by zero, power domain errors, or results beyond
+ *   ±MAX_EXPONENT (OVERFLOW / UNDERFLOW)
+ * @throws {FinancialError} for margins of 100% or more
+ */
+function performOperation(aStr, bStr, op, precision = DEFAULT_PRECISION) {
+  const a = parseDecimal(aStr || '0');
+  const b = parseDecimal(bStr || '0');
+  if (!a || !b) throw new RangeError('Invalid operand');
+
+  let res;
+  switch (op) {
+    case '+':
+      res = add(a, b);
+      break;
+    case '−':
+      res = subtract(a, b);
+      break;
+    case '×':
+      res = multiply(a, b);
+      break;
+    case '÷':
+      res = divide(a, b, precision);
+      break;
+    case '^':
+      res = power(a, b, precision);
+      break;
+    case 'MU':
+    case 'MG':
+    case '+TAX':
+    case '−TAX':
+      res = applyFinancialOperator(a, b, op, precision);
+      break;
+    default:
+      return formatResult(bStr || aStr || '0', precision);
+  }
+  return formatResult(checkRange(res), precision);
+}
+
+/**
+ * Utility: Check if an expression token is a binary operator symbol.
+ * @param {string|undefined} token
+ * @returns {boolean}
+ */
+function isOperatorToken(token) {
+  return token === '+' || token === '−' || token === '×' || token === '÷' || token === '^';
+}
+
+/**
+ * Utility: Word-size options for programmer arithmetic.
+ * @param {object} state
+ * @returns {{wordSize: number, signed: boolean}}
+ */
+function wordOptions(state) {
+  return { wordSize: state.wordSize, signed: state.signed };
+}
+
+/**
+ * Utility: Programmer mode operation on entry texts in the current input base.
+ * @returns {string} result in the input base, or 'Error'
+ */
+function performProgrammerOperation(state, aStr, bStr, op) {
+  const options = wordOptions(state);
+  const a = parseInBase(aStr || '0', state.inputBase, options);
+  const b = parseInBase(bStr || '0', state.inputBase, options);
+  if (a === null || b === null) return 'Error';
+  try {
+    return formatInBase(applyProgrammerOperation(op, a, b, options), state.inputBase, options);
+  } catch (err) {
+    if (err instanceof RangeError) return 'Error';
+    throw err;
+  }
+}
+
+/**
+ * Utility: Fraction mode operation on entry texts ("7/3", "1 2/3", "0.25").
+ * @returns {string} the result as a canonical fraction, e.g. "5/6"
+ * @throws {RangeError} on divide by zero or an incomplete entry
+ * @throws {FractionError} for fractional exponents and results too long to keep exactly
+ */
+function performFractionOperation(aStr, bStr, op) {
+  const a = parseFraction(aStr || '0');
+  const b = parseFraction(bStr || '0');
+  if (!a || !b) throw new RangeError('Invalid operand');
+  return formatFraction(applyFractionOperation(a, b, op));
+}
+
+/**
+ * Utility: Whether a fraction is still being typed and waits for its denominator
+ * ("2/", "1 2/"); operators and '=' wait for it too.
+ */
+function awaitsDenominator(state) {
+  return state.fractionMode && !state.overwrite && state.currentInput.endsWith('/');
+}
+
+/**
+ * Utility: Whether the entry is written in another notation than decimal: words in
+ * the input base (programmer mode) or fractions (fraction mode). Memory, history and
+ * the other modes convert to and from decimals.
+ */
+function convertsEntry(state) {
+  return state.programmerMode || state.fractionMode;
+}
+
+/**
+ * Utility: Convert a decimal string to entry text: a programmer word, truncating any
+ * fraction, or in fraction mode the fraction it stands for (see decimalToFraction).
+ * @returns {string|null} null when the value is not a number
+ */
+function decimalToEntry(state, value) {
+  if (state.fractionMode) {
+    const fraction = decimalToFraction(value, state.precision);
+    return fraction && formatFraction(fraction);
+  }
+  const dec = parseDecimal(value);
+  if (!dec) return null;
+  const integer = parseInBase(toDecimalString(dec).split('.')[0], 'DEC', wordOptions(state));
+  return formatInBase(integer, state.inputBase, wordOptions(state));
+}
+
+/**
+ * Utility: Convert programmer or fraction entry text to a decimal string; fractions are
+ * rounded to the precision.
+ * @returns {string|null} null when the text is not valid in the input base, or not a
+ *   complete fraction
+ */
+function entryToDecimal(state, text) {
+  if (state.fractionMode) {
+    const fraction = parseFraction(text);
+    return fraction && fractionToDecimal(fraction, state.precision);
+  }
+  const value = parseInBase(text, state.inputBase, wordOptions(state));
+  return value === null ? null : value.toString(10);
+}
+
+// PUBLIC_INTERFACE
+export function isError(input) {
+  /**
+   * Check if a display value is the error sentinel.
+   * @param {string} input
+   * @returns {boolean}
+   */
+  return input === 'Error';
+}
+
+/**
+ * Utility: Apply previously saved settings (see SETTINGS_FIELDS) to a fresh state.
+ * Unknown or invalid values, units of another category and currencies missing from the
+ * rate table keep their defaults; mode combinations the toggles rule out are resolved
+ * the way the toggles resolve them.
+ * @param {object} state - fresh state
+ * @param {object} settings - saved settings, possibly partial or stale
+ * @returns {object} state
+ */
+function restoreSettings(state, settings) {
+  const restored = { ...state };
+  [
+    'expressionMode',
+    'scientificMode',
+    'programmerMode',
+    'signed',
+    'converterMode',
+    'currencyMode',
+    'dateMode',
+    'businessDays',
+    'financialMode',
+    'paymentsAtStart',
+    'statMode',
+    'fractionMode',
+    'graphMode',
+  ]
+    .filter((key) => typeof settings[key] === 'boolean')
+    .forEach((key) => {
+      restored[key] = settings[key];
+    });
+  if (ANGLE_MODES.includes(settings.angleMode)) restored.angleMode = settings.angleMode;
+  if (NOTATIONS.includes(settings.notation)) restored.notation = settings.notation;
+  if (Object.prototype.hasOwnProperty.call(BASES, settings.inputBase)) {
+    restored.inputBase = settings.inputBase;
+  }
+  if (WORD_SIZES.includes(settings.wordSize)) restored.wordSize = settings.wordSize;
+  if (DATE_OPERATIONS.some(([id]) => id === settings.dateOperation)) {
+    restored.dateOperation = settings.dateOperation;
+  }
+  if (DATE_UNITS.some(([id]) => id === settings.dateUnit)) restored.dateUnit = settings.dateUnit;
+  if (PAYMENTS_PER_YEAR.includes(settings.paymentsPerYear)) {
+    restored.paymentsPerYear = settings.paymentsPerYear;
+  }
+  if (FRACTION_DISPLAYS.some(([id]) => id === settings.fractionDisplay)) {
+    restored.fractionDisplay = settings.fractionDisplay;
+  }
+  const { graphExpressions } = settings;
+  if (
+    Array.isArray(graphExpressions) &&
+    graphExpressions.length <= MAX_GRAPHS &&
+    graphExpressions.every((text) => typeof text === 'string' && isGraphText(text))
+  ) {
+    restored.graphExpressions = graphExpressions;
+  }
+
+  const { unitCategory, fromUnit, toUnit, fromCurrency, toCurrency } = settings;
+  if (findUnit(unitCategory, fromUnit) && findUnit(unitCategory, toUnit)) {
+    Object.assign(restored, { unitCategory, fromUnit, toUnit });
+  }
+  if (hasCurrency(state.rateTable, fromCurrency) && hasCurrency(state.rateTable, toCurrency)) {
+    Object.assign(restored, { fromCurrency, toCurrency });
+  }
+
+  // Programmer and fraction mode turn the other modes off (programmer mode wins), and
+  // only one converter shows at a time
+  if (restored.programmerMode) restored.fractionMode = false;
+  if (restored.programmerMode || restored.fractionMode) {
+    Object.assign(restored, {
+      expressionMode: false,
+      converterMode: false,
+      currencyMode: false,
+      dateMode: false,
+      financialMode: false,
+      statMode: false,
+    });
+  }
+  // Date, financial and statistics mode share the panel area; the first one wins
+  if (restored.dateMode) restored.financialMode = false;
+  if (restored.dateMode || restored.financialMode) restored.statMode = false;
+  if (restored.dateMode || restored.financialMode || restored.statMode) {
+    Object.assign(restored, { expressionMode: false, converterMode: false, currencyMode: false });
+  }
+  if (restored.converterMode) restored.currencyMode = false;
+  return restored;
+}
+
+// PUBLIC_INTERFACE
+export function createInitialState({
+  precision = DEFAULT_PRECISION,
+  history = [],
+  memory = [],
+  definitions = [],
+  rateTable = DEFAULT_RATE_TABLE,
+  holidays = [],
+  undoDepth = DEFAULT_UNDO_DEPTH,
+  settings = null,
+  today = todayISO(),
+} = {}) {
+  /**
+   * Build a fresh calculator state.
+   * @param {{precision?: number, history?: Array, memory?: Array, definitions?: Array,
+   *   rateTable?: object, holidays?: string[], undoDepth?: number, settings?: object,
+   *   today?: string}} options
+   *   precision - decimal places kept by division, square root and display rounding
+   *   history - previously persisted history entries
+   *   memory - previously persisted memory registers, oldest first
+   *   definitions - previously persisted variables and functions (see src/utils/variables.js)
+   *   rateTable - currency rate table (see src/utils/currency.js); the bundled one by default
+   *   holidays - ISO dates left out of business-day counts in date mode
+   *   undoDepth - most steps kept for undo
+   *   settings - previously persisted SETTINGS_FIELDS; invalid values are ignored
+   *   today - YYYY-MM-DD, the date mode's starting dates; the local date by default
+   * @returns {object} state
+   */
+  const [fromCurrency, toCurrency] = defaultCurrencyPair(rateTable);
+  const state = {
+    currentInput: '0',
+    previousValue: null,
+    operation: null,
+    overwrite: true, // replace display on next digit
+    errorMessage: null, // descriptive detail for 'Error'
+    // Expression mode: the whole expression is built as tokens and evaluated on equals
+    expressionMode: false,
+    expressionTokens: [],
+    lastExpression: '',
+    // Operator and operand of the last '=', applied again by the next '=' (chaining mode)
+    repeatOperation: null,
+    memory, // registers {id, name, value}; the last one is the top of the stack
+    // Variables {name, params: null, body, value} and functions {name, params, body} for
+    // expressions, and `ans`, the last result of equals or an evaluated expression
+    definitions,
+    ans: '0',
+    // Scientific layout and the unit used by trigonometric functions
+    scientificMode: false,
+    angleMode: 'DEG',
+    notation: 'AUTO', // display notation for results: AUTO (exponent past the digit budget) or ENG
+    // Programmer mode: integer entry in inputBase, wrapped to wordSize bits
+    programmerMode: false,
+    inputBase: 'DEC',
+    wordSize: 64,
+    signed: true,
+    // Unit converter: the entry is read in fromUnit and shown converted to toUnit
+    converterMode: false,
+    unitCategory: UNIT_CATEGORIES[0].id,
+    fromUnit: UNIT_CATEGORIES[0].defaults[0],
+    toUnit: UNIT_CATEGORIES[0].defaults[1],
+    // Currency converter: like the unit converter, with rates from rateTable
+    currencyMode: false,
+    rateTable,
+    fromCurrency,
+    toCurrency,
+    // Date mode: the difference between two dates, or startDate plus or minus the entry
+    // as a duration in dateUnit; business days skip weekends and holidays
+    dateMode: false,
+    dateOperation: 'difference',
+    startDate: today,
+    endDate: today,
+    dateUnit: 'days',
+    businessDays: false,
+    holidays: normalizeHolidays(holidays) || [],
+    // Financial mode: the TVM registers (canonical decimals; IY is the annual rate in
+    // percent), payments per year and their timing, and the cash flows for NPV and IRR
+    financialMode: false,
+    tvm: EMPTY_TVM,
+    paymentsPerYear: 12,
+    paymentsAtStart: false,
+    tvmCompute: false, // CPT pressed: the next register key computes instead of storing
+    cashFlows: [],
+    // Statistics mode: the data list ({x, y} points, x null for a plain value) and an x
+    // waiting for its y after the x,y key
+    statMode: false,
+    statData: [],
+    statX: null,
+    // Fraction mode: exact fractions; the entry holds fraction text ("7/3", "1 2/3" while
+    // typing) and results show as a fraction, a mixed number or a decimal
+    fractionMode: false,
+    fractionDisplay: 'fraction',
+    // Graph mode: expressions of x plotted alongside whichever mode is on
+    graphMode: false,
+    graphExpressions: [],
+    history,
+    precision,
+    // Snapshots of UNDOABLE_FIELDS before each change (oldest first) and of undone changes
+    undoStack: [],
+    redoStack: [],
+    undoDepth,
+  };
+  return settings && typeof settings === 'object' ? restoreSettings(state, settings) : state;
+}
+
+// PUBLIC_INTERFACE
+export function isInitialState(state) {
+  /** True when nothing is entered or pending (the clear key then acts as All Clear). */
+  return (
+    state.currentInput === '0' &&
+    !state.previousValue &&
+    !state.operation &&
+    state.expressionTokens.length === 0
+  );
+}
+
+// PUBLIC_INTERFACE
+export function getLastOperationText(state) {
+  /**
+   * Text for the secondary display line: the error detail, the date calculation in
+   * date mode, an x waiting for its y in statistics mode, the expression being built
+   * (or the last evaluated one), the pending chained operation, or the last calculation
+   * while '=' can repeat it.
+   * @returns {string}
+   */
+  if (isError(state.currentInput) && state.errorMessage) return state.errorMessage;
+  if (state.statMode && state.statX !== null) return `(${state.statX}, y)`;
+  if (state.dateMode) {
+    const calculation = getDateCalculation(state);
+    return calculation.error || `${calculation.expression} =`;
+  }
+  if (state.expressionMode) {
+    if (state.expressionTokens.length) return state.expressionTokens.join(' ');
+    return state.lastExpression ? `${state.lastExpression} =` : '';
+  }
+  if (state.previousValue && state.operation) {
+    let previous = formatResult(state.previousValue, state.precision);
+    if (state.programmerMode) previous = state.previousValue;
+    if (state.fractionMode) previous = showFraction(state, state.previousValue);
+    return `${previous} ${state.operation}`;
+  }
+  if (state.repeatOperation && state.lastExpression) return `${state.lastExpression} =`;
+  return '';
+}
+
+/**
+ * Utility: Fraction entry text in the fractionDisplay form; text that is not a complete
+ * fraction is kept as it is.
+ */
+function showFraction(state, text) {
+  const fraction = parseFraction(text);
+  return fraction ? formatFraction(fraction, state.fractionDisplay, state.precision) : text;
+}
+
+// PUBLIC_INTERFACE
+export function getFractionText(state) {
+  /**
+   * The value fraction mode shows: the entry as it is typed ("1 2/"), or a result in the
+   * fractionDisplay form, e.g. "7/3", "2 1/3" or "2.3333333333".
+   * @returns {string|null} null outside fraction mode and in the error state
+   */
+  if (!state.fractionMode || isError(state.currentInput)) return null;
+  return state.overwrite ? showFraction(state, state.currentInput) : state.currentInput;
+}
+
+// PUBLIC_INTERFACE
+export function getConvertedValue(state) {
+  /**
+   * The current value converted from fromUnit to toUnit, updated live as digits are entered.
+   * @returns {string|null} canonical decimal text; null in the error state, in
+   *   programmer mode or when the result is out of range
+   */
+  if (isError(state.currentInput) || state.programmerMode) return null;
+  try {
+    const { currentInput, unitCategory, fromUnit, toUnit, precision } = state;
+    return convertUnit(currentInput, unitCategory, fromUnit, toUnit, precision);
+  } catch (err) {
+    if (err instanceof RangeError) return null;
+    throw err;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function getCurrencyConversion(state) {
+  /**
+   * The current value converted from fromCurrency to toCurrency with the rate table.
+   * @returns {string|null} canonical decimal text; null in the error state or in programmer mode
+   */
+  if (isError(state.currentInput) || state.programmerMode) return null;
+  const { currentInput, fromCurrency, toCurrency, rateTable, precision } = state;
+  return convertCurrency(currentInput, fromCurrency, toCurrency, rateTable, precision);
+}
+
+/**
+ * Utility: A duration as written in date calculations, e.g. "90 business days", "1 month".
+ */
+function durationText(amount, unit, businessDays) {
+  const singular = amount === '1' || amount === '-1';
+  const word = singular ? unit.slice(0, -1) : unit;
+  return `${amount} ${businessDays ? `business ${word}` : word}`;
+}
+
+// PUBLIC_INTERFACE
+export function getDateCalculation(state) {
+  /**
+   * The date mode calculation, updated live as the dates, unit and entry change. The
+   * difference is taken from startDate to endDate; add and subtract move startDate by
+   * the entry, a whole number of dateUnit. Business days only apply to days.
+   * @returns {{expression: string, result: string|null, isDate: boolean, error: string|null}}
+   *   canonical text with ISO dates, e.g. { expression: '2026-01-01 + 90 business days',
+   *   result: '2026-05-07', isDate: true, error: null }; result is null and error holds
+   *   the reason when there is no answer
+   */
+  const { dateOperation, startDate, endDate, dateUnit, holidays, precision } = state;
+  const businessDays = state.businessDays && dateUnit === 'days';
+  const options = { unit: dateUnit, businessDays, holidays, precision };
+  const isDate = dateOperation !== 'difference';
+  let expression;
+  let result = null;
+  let error = null;
+  try {
+    if (isDate) {
+      const amount = state.currentInput;
+      const sign = dateOperation === 'add' ? '+' : '−';
+      expression = `${startDate} ${sign} ${durationText(amount, dateUnit, businessDays)}`;
+      result = (dateOperation === 'add' ? addDuration : subtractDuration)(startDate, amount, options);
+    } else {
+      const label = businessDays ? 'Business days' : DATE_UNITS.find(([id]) => id === dateUnit)[1];
+      expression = `${label} from ${startDate} to ${endDate}`;
+      result = dateDifference(startDate, endDate, options);
+    }
+  } catch (err) {
+    if (!(err instanceof DateError || err instanceof RangeError)) throw err;
+    error = err.message;
+  }
+  return { expression, result, isDate, error };
+}
+
+/**
+ * Utility: Options of the TVM functions in src/utils/financial.js.
+ */
+function tvmOptions(state) {
+  const { paymentsPerYear, paymentsAtStart, precision } = state;
+  return { paymentsPerYear, paymentsAtStart, precision };
+}
+
+// PUBLIC_INTERFACE
+export function getAmortizationSchedule(state) {
+  /**
+   * The amortization schedule of the loan in the TVM registers (N payments of PMT on PV
+   * at I/Y).
+   * @returns {{schedule: object|null, error: string|null}} schedule as returned by
+   *   amortizationSchedule() in src/utils/financial.js; null, with the reason in error,
+   *   when the registers do not describe a schedule
+   */
+  try {
+    return { schedule: amortizationSchedule(state.tvm, tvmOptions(state)), error: null };
+  } catch (err) {
+    if (!(err instanceof FinancialError || err instanceof RangeError)) throw err;
+    return { schedule: null, error: err.message };
+  }
+}
+
+// PUBLIC_INTERFACE
+export function getCompoundInterest(state) {
+  /**
+   * PV compounded at I/Y for N periods, P/Y periods a year.
+   * @returns {{balance: string, interest: string}|null} canonical decimal text; null when
+   *   the registers have no answer
+   */
+  const { tvm, paymentsPerYear, precision } = state;
+  const values = { principal: tvm.PV, annualRate: tvm.IY, periods: tvm.N };
+  try {
+    return compoundInterest({ ...values, periodsPerYear: paymentsPerYear }, precision);
+  } catch (err) {
+    if (err instanceof FinancialError || err instanceof RangeError) return null;
+    throw err;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function getStatistics(state) {
+  /**
+   * Summary values and the regression line of the statistics data list, updated as
+   * points are added, edited and removed.
+   * @returns {{summary: object|null, regression: object|null, error: string|null}}
+   *   summary and regression as returned by summarize() and linearRegression() in
+   *   src/utils/statistics.js; each is null when it has no answer (an empty list, a
+   *   single point), with the reason for the regression in error
+   */
+  const { statData, precision } = state;
+  const attempt = (compute) => {
+    try {
+      return { value: compute(statData, precision), error: null };
+    } catch (err) {
+      if (!(err instanceof StatisticsError || err instanceof RangeError)) throw err;
+      return { value: null, error: err.message };
+    }
+  };
+  const summary = attempt(summarize);
+  const regression = attempt(linearRegression);
+  return { summary: summary.value, regression: regression.value, error: regression.error };
+}
+
+// PUBLIC_INTERFACE
+export function getExpressionOptions(state) {
+  /**
+   * How typed, pasted and graphed expressions are evaluated: the precision, the angle
+   * mode, and the variables and functions defined with `ans` bound to the last result.
+   * @returns {{precision: number, angleMode: string, variables: object, functions: object}}
+   *   options for evaluateExpression() in src/utils/expression.js and compileGraph() in
+   *   src/utils/graph.js
+   */
+  const { precision, angleMode, definitions, ans } = state;
+  return { precision, angleMode, ...definitionScope(definitions, ans) };
+}
+
+/**
+ * Enter the error state: show 'Error', drop any pending operation or expression.
+ * @param {object} state
+ * @param {string|null} message - optional descriptive detail shown above the value
+ */
+function enterError(state, message = null) {
+  return {
+    ...state,
+    currentInput: 'Error',
+    errorMessage: message,
+    previousValue: null,
+    operation: null,
+    repeatOperation: null,
+    expressionTokens: [],
+    overwrite: true,
+  };
+}
+
+/**
+ * Utility: Enter the error state for a failed computation. Overflow, underflow,
+ * financial and fraction errors keep their message; other RangeErrors (÷0, domain
+ * errors) show a bare 'Error'.
+ * @param {object} state
+ * @param {Error} err - anything other than a RangeError, FinancialError or FractionError
+ *   is rethrown
+ */
+function failComputation(state, err) {
+  if (err instanceof FinancialError || err instanceof FractionError) {
+    return enterError(state, err.message);
+  }
+  if (!(err instanceof RangeError)) throw err;
+  return enterError(state, err.message === OVERFLOW || err.message === UNDERFLOW ? err.message : null);
+}
+
+/**
+ * Utility: Id for the history entry or memory register an action adds: the one the
+ * dispatcher put on the action, or else the first "<prefix>-<n>" not in use, so the
+ * reducer stays pure.
+ * @param {Array<{id: string}>} items - entries or registers already there
+ * @param {string} [id] - action.id
+ * @param {string} prefix
+ * @returns {string}
+ */
+function newItemId(items, id, prefix) {
+  if (typeof id === 'string' && id) return id;
+  const used = new Set(items.map((item) => item.id));
+  let n = items.length + 1;
+  while (used.has(`${prefix}-${n}`)) n += 1;
+  return `${prefix}-${n}`;
+}
+
+/**
+ * Utility: Record a completed calculation on the history tape.
+ * @param {{timestamp?: number, id?: string}} stamp - the action, with the completion time
+ *   (0 when missing) and entry id the dispatcher put on it
+ */
+function recordHistory(state, expression, result, { timestamp = 0, id } = {}) {
+  const entryId = newItemId(state.history, id, 'entry');
+  return appendHistoryEntry(
+    state.history,
+    createHistoryEntry(expression, result, timestamp, entryId)
+  );
+}
+
+function clear(state) {
+  if (isInitialState(state)) {
+    // All clear
+    return {
+      ...state,
+      currentInput: '0',
+      errorMessage: null,
+      previousValue: null,
+      operation: null,
+      repeatOperation: null,
+      expressionTokens: [],
+      lastExpression: '',
+      overwrite: true,
+    };
+  }
+  // Clear entry (a retained '=' operation is kept for the next value)
+  return { ...state, currentInput: '0', errorMessage: null, overwrite: true };
+}
+
+function deleteLast(state) {
+  const { currentInput, overwrite } = state;
+  if (isError(currentInput)) return state;
+  if (overwrite) return { ...state, currentInput: '0' };
+  // Removing the exponent's only digit removes the exponent
+  if (/e[+-]\d$/.test(currentInput)) return { ...state, currentInput: currentInput.slice(0, -3) };
+  if (currentInput.length <= 1 || (currentInput.length === 2 && currentInput.startsWith('-'))) {
+    return { ...state, currentInput: '0', overwrite: true };
+  }
+  // Removing the bar of a mixed number ("1 2/") leaves the fraction "1/2"
+  const next = currentInput.slice(0, -1).replace(/^(-?\d+) (\d+)$/, '$1/$2');
+  return { ...state, currentInput: next };
+}
+
+function toggleSign(state) {
+  const { currentInput } = state;
+  if (isError(currentInput)) return state;
+  if (state.programmerMode) {
+    const value = parseInBase(currentInput, state.inputBase, wordOptions(state));
+    if (value === null) return state;
+    const negated = wrapToWord(-value, wordOptions(state));
+    return { ...state, currentInput: formatInBase(negated, state.inputBase, wordOptions(state)) };
+  }
+  const negated = currentInput.startsWith('-') ? currentInput.slice(1) : `-${currentInput}`;
+  if (state.fractionMode) {
+    // Fractions are signed as a whole, also while being typed ("-1 2/")
+    const value = parseFraction(currentInput);
+    return { ...state, currentInput: value && value.num === 0n ? '0' : negated };
+  }
+  // While an exponent is being typed, +/- flips the exponent's sign
+  if (!state.overwrite && EXPONENT_ENTRY.test(currentInput)) {
+    const flipped = currentInput.replace(/e([+-])/, (m, sign) => (sign === '+' ? 'e-' : 'e+'));
+    return { ...state, currentInput: flipped };
+  }
+  // Do not create "-0"
+  const dec = parseDecimal(currentInput);
+  if (!dec || isZero(dec)) return { ...state, currentInput: '0' };
+  return { ...state, currentInput: negated };
+}
+
+function percent(state) {
+  const { currentInput, previousValue, operation, precision } = state;
+  if (isError(currentInput) || state.programmerMode) return state;
+  if (state.fractionMode) return fractionPercent(state);
+  const curr = parseDecimal(currentInput || '0');
+  if (!curr) return state;
+  const hundred = parseDecimal('100');
+  let value;
+  if (previousValue !== null && operation) {
+    const base = parseDecimal(previousValue || '0');
+    value = divide(multiply(base, curr), hundred, precision);
+  } else {
+    value = divide(curr, hundred, precision);
+  }
+  try {
+    checkRange(value);
+  } catch (err) {
+    return failComputation(state, err);
+  }
+  return { ...state, currentInput: formatResult(value, precision), overwrite: true };
+}
+
+/**
+ * Utility: Percent in fraction mode, exactly: the entry as hundredths, of the pending
+ * operand when there is one.
+ */
+function fractionPercent(state) {
+  const { currentInput, previousValue, operation } = state;
+  let value;
+  try {
+    value = performFractionOperation(currentInput, '100', '÷');
+    if (previousValue !== null && operation) {
+      value = performFractionOperation(previousValue, value, '×');
+    }
+  } catch (err) {
+    return failComputation(state, err);
+  }
+  return { ...state, currentInput: value, overwrite: true };
+}
+
+function inputDecimal(state) {
+  const { currentInput, overwrite } = state;
+  if (isError(currentInput) || state.programmerMode) return state;
+  if (overwrite) return { ...state, currentInput: '0.', overwrite: false };
+  // A fraction being typed ("1/2") takes no decimal point
+  if (/[./]/.test(currentInput) || EXPONENT_ENTRY.test(currentInput)) return state;
+  return { ...state, currentInput: `${currentInput}.` };
+}
+
+/**
+ * Append a digit to the entry. Programmer mode also accepts A-F, rejects digits
+ * outside the input base and ignores digits that would overflow the word size.
+ */
+function inputDigit(state, digit) {
+  const { currentInput, overwrite } = state;
+  if (isError(currentInput) || typeof digit !== 'string') return state;
+  if (state.programmerMode ? !isValidDigit(digit, state.inputBase) : !/^[0-9]$/.test(digit)) {
+    return state;
+  }
+  const exponent = !overwrite && EXPONENT_ENTRY.exec(currentInput);
+  if (exponent) {
+    // Typing into the exponent: replace the placeholder 0, cap the number of digits
+    if (exponent[2] === '0') return { ...state, currentInput: currentInput.slice(0, -1) + digit };
+    if (exponent[2].length >= MAX_EXPONENT_DIGITS) return state;
+    return { ...state, currentInput: currentInput + digit };
+  }
+  let next;
+  if (overwrite || currentInput === '0') {
+    // Prevent multiple leading zeros
+    next = digit;
+  } else {
+    next = currentInput + digit;
+  }
+  if (state.programmerMode && !fitsWord(next, state.inputBase, wordOptions(state))) return state;
+  return { ...state, currentInput: next, overwrite: false };
+}
+
+/**
+ * EXP key: start typing a power-of-ten exponent for the entry ("1.5" → "1.5e+0").
+ * Digits then replace the 0, +/- flips the exponent's sign and ⌫ removes it again.
+ * Without an entry in progress the mantissa is 1, so EXP 6 enters 1e+6.
+ */
+function inputExponent(state) {
+  const { currentInput, overwrite } = state;
+  if (isError(currentInput) || convertsEntry(state)) return state;
+  if (overwrite) return { ...state, currentInput: '1e+0', overwrite: false };
+  if (EXPONENT_ENTRY.test(currentInput)) return state;
+  const mantissa = currentInput.endsWith('.') ? currentInput.slice(0, -1) : currentInput;
+  return { ...state, currentInput: `${mantissa}e+0` };
+}
+
+/**
+ * Replace the entry with a whole value, e.g. a pasted number, as if it had been typed:
+ * further digits extend it and equals or an operator commits it.
+ * Payload: canonical decimal text ("-1234.5"); invalid values are ignored, values out of
+ * range ("1e20000") show Overflow or Underflow.
+ * Works from the error state too. Programmer mode truncates to an integer in the input base;
+ * fraction mode also takes fractions ("2/3", "1 2/3") and repeating decimals ("0.1(6)"),
+ * exactly.
+ */
+function inputValue(state, value) {
+  if (state.fractionMode) {
+    const fraction = typeof value === 'string' ? parseFraction(value) : null;
+    if (!fraction) return state;
+    const entry = formatFraction(fraction);
+    return { ...state, currentInput: entry, errorMessage: null, overwrite: false };
+  }
+  let dec;
+  try {
+    dec = typeof value === 'string' ? parseLiteral(value) : null;
+    if (!dec) return state;
+    checkRange(dec);
+  } catch (err) {
+    return failComputation(state, err);
+  }
+  const entry = state.programmerMode ? decimalToEntry(state, value) : toDecimalString(dec);
+  return { ...state, currentInput: entry, errorMessage: null, overwrite: false };
+}
+
+/**
+ * Evaluate a whole expression, e.g. a pasted "2 + 3 × 4" or "tax(ans)", and enter its
+ * result like inputValue so a pending operation can still use it. Names are the
+ * variables and functions defined and `ans`, which then holds the result. The calculation
+ * is recorded on the history tape; parse and evaluation errors (unknown names, recursion)
+ * keep their descriptive message. Ignored in programmer and fraction mode.
+ */
+function inputExpression(state, text, stamp) {
+  if (typeof text !== 'string' || convertsEntry(state)) return state;
+  const options = getExpressionOptions(state);
+  const { precision } = state;
+  let result;
+  try {
+    result = formatResult(checkRange(evaluateExpression(text, options)), precision);
+  } catch (err) {
+    if (err instanceof RangeError) return failComputation(state, err);
+    if (!(err instanceof ExpressionError)) throw err;
+    return enterError(state, err.message);
+  }
+  const history = recordHistory(state, text, result, stamp);
+  return inputValue({ ...state, history, ans: result }, result);
+}
+
+/**
+ * Utility: A shared or pasted value as a canonical decimal within range.
+ * @returns {string|null} null when invalid or out of range
+ */
+function sharedDecimal(value) {
+  const dec = typeof value === 'string' ? parseDecimal(value) : null;
+  if (!dec) return null;
+  try {
+    return toDecimalString(checkRange(dec));
+  } catch (err) {
+    if (err instanceof RangeError) return null;
+    throw err;
+  }
+}
+
+/**
+ * Restore a calculation from a shared link (see src/utils/share.js): a pending
+ * "previousValue operation" and the entry after it, or just a value.
+ * Payload: { previousValue, operation, currentInput }; currentInput may be null after a
+ * bare operator. Programmer, fraction and expression mode are left, since links carry
+ * decimal chaining calculations; anything invalid leaves the state unchanged.
+ */
+function loadCalculation(state, payload = {}) {
+  const { previousValue = null, operation = null, currentInput = null } = payload;
+  const pending = operation !== null;
+  const left = pending ? sharedDecimal(previousValue) : null;
+  const entry = currentInput === null ? null : sharedDecimal(currentInput);
+  if (currentInput !== null && entry === null) return state;
+  const known = isOperatorToken(operation) || FINANCIAL_OPERATORS.includes(operation);
+  if (pending ? !known || left === null : entry === null) return state;
+  return {
+    ...state,
+    currentInput: entry === null ? left : entry,
+    previousValue: left,
+    operation: pending ? operation : null,
+    // The entry after an operator keeps being typed; a lone value reads as a result
+    overwrite: !pending || entry === null,
+    errorMessage: null,
+    expressionMode: false,
+    expressionTokens: [],
+    lastExpression: '',
+    repeatOperation: null,
+    programmerMode: false,
+    fractionMode: false,
+    dateMode: false,
+    financialMode: false,
+    statMode: false,
+  };
+}
+
+/**
+ * Expression mode: append an operator, committing the entry being typed.
+ * - Pressing operators back to back replaces the previous one.
+ * - After '(' the operator is kept so '−' and '+' act as signs.
+ */
+function appendExpressionOperator(state, op) {
+  const { expressionTokens, currentInput, overwrite } = state;
+  const last = expressionTokens[expressionTokens.length - 1];
+  let tokens;
+  if (!overwrite || expressionTokens.length === 0) {
+    tokens = [...expressionTokens, currentInput, op];
+  } else if (isOperatorToken(last)) {
+    tokens = [...expressionTokens.slice(0, -1), op];
+  } else {
+    tokens = [...expressionTokens, op];
+  }
+  return { ...state, expressionTokens: tokens, overwrite: true };
+}
+
+/**
+ * Expression mode: append a parenthesis.
+ * An opening parenthesis directly after a number or ')' implies multiplication.
+ */
+function appendParen(state, paren) {
+  const { expressionTokens, currentInput, overwrite } = state;
+  if (isError(currentInput) || !state.expressionMode) return state;
+  const last = expressionTokens[expressionTokens.length - 1];
+  let tokens;
+  if (paren === '(') {
+    if (!overwrite) tokens = [...expressionTokens, currentInput, '×', '('];
+    else if (last === ')') tokens = [...expressionTokens, '×', '('];
+    else tokens = [...expressionTokens, '('];
+  } else if (!overwrite) {
+    tokens = [...expressionTokens, currentInput, ')'];
+  } else {
+    tokens = [...expressionTokens, ')'];
+  }
+  return { ...state, expressionTokens: tokens, overwrite: true };
+}
+
+/**
+ * Expression mode: evaluate the complete expression with operator precedence.
+ * Parse and evaluation errors keep their descriptive message for the display.
+ */
+function evaluateExpressionTokens(state, stamp) {
+  const { expressionTokens, currentInput, overwrite, precision } = state;
+  if (expressionTokens.length === 0) return state;
+  const last = expressionTokens[expressionTokens.length - 1];
+  const tokens = !overwrite || last !== ')' ? [...expressionTokens, currentInput] : expressionTokens;
+  const text = tokens.join(' ');
+  let result;
+  try {
+    result = formatResult(
+      checkRange(evaluateExpression(text, getExpressionOptions(state))),
+      precision
+    );
+  } catch (err) {
+    if (err instanceof RangeError) return { ...failComputation(state, err), lastExpression: text };
+    if (!(err instanceof ExpressionError)) throw err;
+    return { ...enterError(state, err.message), lastExpression: text };
+  }
+  return {
+    ...state,
+    currentInput: result,
+    expressionTokens: [],
+    lastExpression: text,
+    history: recordHistory(state, text, result, stamp),
+    ans: result,
+    overwrite: true,
+  };
+}
+
+/**
+ * Switch between chaining (left-to-right) and expression (precedence) modes.
+ * Any pending operation or expression is dropped; the displayed value is kept.
+ */
+function toggleExpressionMode(state) {
+  if (convertsEntry(state)) return state;
+  return {
+    ...state,
+    expressionMode: !state.expressionMode,
+    dateMode: false,
+    financialMode: false,
+    statMode: false,
+    previousValue: null,
+    operation: null,
+    repeatOperation: null,
+    expressionTokens: [],
+    lastExpression: '',
+    overwrite: true,
+  };
+}
+
+/**
+ * Utility: In date mode '+' and '−' pick add and subtract; the entry becomes the amount
+ * and the next digit starts a new one. Other operators do nothing.
+ */
+function setDateOperationFromKey(state, op) {
+  const dateOperation = { '+': 'add', '−': 'subtract' }[op];
+  if (!dateOperation) return state;
+  return { ...state, dateOperation, overwrite: true };
+}
+
+function inputOperator(state, op) {
+  const { currentInput, previousValue, operation, overwrite, precision, programmerMode } = state;
+  if (isError(currentInput)) return state;
+  // Bitwise operators need integer words; power and the pricing operators need real numbers.
+  const pricing = FINANCIAL_OPERATORS.includes(op);
+  const realOnly = op === '^' || pricing;
+  const allowed = PROGRAMMER_OPERATORS.includes(op) ? programmerMode : !(programmerMode && realOnly);
+  if (!allowed) return state;
+  // Pricing operators are not part of the expression grammar, nor exact
+  if (pricing && (state.expressionMode || state.fractionMode)) return state;
+  if (awaitsDenominator(state)) return state;
+  if (state.dateMode) return setDateOperationFromKey(state, op);
+  if (state.expressionMode) return appendExpressionOperator(state, op);
+  if (previousValue === null) {
+    // A new calculation replaces the one '=' would repeat
+    return {
+      ...state,
+      previousValue: currentInput,
+      operation: op,
+      repeatOperation: null,
+      overwrite: true,
+    };
+  }
+  if (overwrite) {
+    // Updating the operator without changing current input
+    return { ...state, operation: op };
+  }
+  // Compute chaining
+  let result;
+  try {
+    if (programmerMode) {
+      result = performProgrammerOperation(state, previousValue, currentInput, operation);
+    } else if (state.fractionMode) {
+      result = performFractionOperation(previousValue, currentInput, operation);
+    } else {
+      result = performOperation(previousValue, currentInput, operation, precision);
+    }
+  } catch (err) {
+    return failComputation(state, err);
+  }
+  if (result === 'Error') return enterError(state);
+  return { ...state, previousValue: result, currentInput: result, operation: op, overwrite: true };
+}
+
+/**
+ * Equals: complete the pending operation, or without one apply the operator and operand
+ * of the last '=' again to the value shown. Pressing '=' repeatedly therefore repeats
+ * the operation (5 + 3 = = = → 8, 11, 14), and a new number followed by '=' uses the
+ * same operand as a constant (2 × 1.2 = → 2.4, then 10 = → 12, 20 = → 24).
+ */
+function equals(state, stamp) {
+  const { currentInput, previousValue, operation, overwrite, repeatOperation } = state;
+  if (isError(currentInput) || awaitsDenominator(state)) return state;
+  if (state.dateMode) return completeDateCalculation(state, stamp);
+  if (state.expressionMode) return evaluateExpressionTokens(state, stamp);
+  if (previousValue === null || !operation) {
+    if (!repeatOperation) return state;
+    const { operation: repeated, operand } = repeatOperation;
+    return completeOperation(state, currentInput, repeated, operand, stamp);
+  }
+  // Ignore equals if no new number entered
+  if (overwrite) return state;
+  return completeOperation(state, previousValue, operation, currentInput, stamp);
+}
+
+/**
+ * Utility: Equals in date mode: record the date calculation on the history tape. The
+ * next digit starts a new amount.
+ */
+function completeDateCalculation(state, stamp) {
+  const { expression, result } = getDateCalculation(state);
+  if (result === null) return state;
+  return { ...state, history: recordHistory(state, expression, result, stamp), overwrite: true };
+}
+
+/**
+ * Utility: Evaluate `left operation right` for equals, record it on the history tape and
+ * retain the operator and operand for the next '='. In programmer mode the history entry
+ * writes operands with their base prefix (0x, 0o, 0b) and the result in decimal so it
+ * can be recalled in any mode; fraction mode writes its operands as fractions
+ * ("1/3 × 3") and the result in decimal too.
+ */
+function completeOperation(state, left, operation, right, stamp) {
+  const { precision, programmerMode, inputBase } = state;
+  let result;
+  let expression;
+  let recorded;
+  if (programmerMode) {
+    result = performProgrammerOperation(state, left, right, operation);
+    if (result === 'Error') return enterError(state);
+    expression = [
+      withBasePrefix(left, inputBase),
+      operation,
+      withBasePrefix(right, inputBase),
+    ].join(' ');
+    recorded = entryToDecimal(state, result);
+  } else if (state.fractionMode) {
+    try {
+      result = performFractionOperation(left, right, operation);
+    } catch (err) {
+      return failComputation(state, err);
+    }
+    // Operands are canonical fractions whatever way they were typed
+    const canonical = (text) => formatFraction(parseFraction(text));
+    expression = `${canonical(left)} ${operation} ${canonical(right)}`;
+    recorded = entryToDecimal(state, result);
+  } else {
+    try {
+      result = performOperation(left, right, operation, precision);
+    } catch (err) {
+      return failComputation(state, err);
+    }
+    expression = `${formatResult(left, precision)} ${operation} ${formatResult(right, precision)}`;
+    recorded = result;
+  }
+  return {
+    ...state,
+    currentInput: result,
+    previousValue: null,
+    operation: null,
+    repeatOperation: { operation, operand: right },
+    lastExpression: expression,
+    history: recordHistory(state, expression, recorded, stamp),
+    ans: recorded,
+    overwrite: true,
+  };
+}
+
+/**
+ * Apply square root to the current input.
+ * - If current input is negative or NaN, show 'Error' and clear op flags.
+ * - If valid, replace current input with sqrt(value), keep prev/op unchanged.
+ * - Set overwrite=true so next digit replaces the result.
+ */
+function squareRoot(state) {
+  if (convertsEntry(state)) return state;
+  const val = parseDecimal(state.currentInput);
+  if (!val || isNegative(val)) return enterError(state);
+  return {
+    ...state,
+    currentInput: formatResult(sqrt(val, state.precision), state.precision),
+    overwrite: true,
+  };
+}
+
+/**
+ * Apply a scientific function (sin, ln, x², n!, ...) to the current input.
+ * Domain errors behave like square root: show 'Error' and clear op flags;
+ * results out of range show the overflow/underflow message.
+ */
+function scientificFunction(state, name) {
+  if (!FUNCTION_NAMES.includes(name) || convertsEntry(state)) return state;
+  const val = parseDecimal(state.currentInput);
+  if (!val) return enterError(state);
+  let result;
+  try {
+    result = applyFunction(name, val, { angleMode: state.angleMode, precision: state.precision });
+    checkRange(result);
+  } catch (err) {
+    return failComputation(state, err);
+  }
+  return { ...state, currentInput: formatResult(result, state.precision), overwrite: true };
+}
+
+/**
+ * Replace the current input with a constant (π or e); the next digit starts a new entry.
+ */
+function insertConstant(state, name) {
+  if (isError(state.currentInput) || !CONSTANT_NAMES.includes(name) || convertsEntry(state)) {
+    return state;
+  }
+  return {
+    ...state,
+    currentInput: formatResult(constantValue(name, state.precision), state.precision),
+    overwrite: true,
+  };
+}
+
+/**
+ * Utility: The current value as a decimal for memory arithmetic; programmer
+ * entries are converted from the input base, fractions rounded to the precision.
+ * @returns {object|null} null in the error state or for invalid entries
+ */
+function memoryOperand(state) {
+  if (isError(state.currentInput)) return null;
+  return parseDecimal(
+    convertsEntry(state) ? entryToDecimal(state, state.currentInput) : state.currentInput
+  );
+}
+
+/**
+ * Utility: Put a register value into the current input (converted to the input
+ * base in programmer mode, to a fraction in fraction mode); the next digit starts a
+ * new entry.
+ */
+function recallValue(state, value) {
+  const recalled = convertsEntry(state)
+    ? decimalToEntry(state, value)
+    : formatResult(value, state.precision);
+  return { ...state, currentInput: recalled, errorMessage: null, overwrite: true };
+}
+
+/**
+ * Utility: Replace the value of one register with `register.value ± operand`.
+ */
+function adjustRegister(state, id, operand, combine) {
+  const memory = state.memory.map((r) =>
+    r.id === id ? { ...r, value: toDecimalString(combine(parseDecimal(r.value), operand)) } : r
+  );
+  return { ...state, memory, overwrite: true };
+}
+
+/**
+ * Handle memory keys.
+ * Actions:
+ * - MC: clear all registers
+ * - MR: recall the top register (0 when memory is empty) and set overwrite=true
+ * - M+: add current value to the top register (ignored if Error/NaN)
+ * - M-: subtract current value from the top register (ignored if Error/NaN)
+ * - MS: push current value as a new register (ignored if Error/NaN)
+ * M+ and M- on empty memory push a register holding ±value, like MS.
+ * M+, M- and MS set overwrite=true so the next digit starts a new entry.
+ * Memory arithmetic is exact decimal arithmetic. A new register takes the id on the action.
+ */
+function memory(state, action, id) {
+  const top = state.memory[state.memory.length - 1];
+  const registerId = newItemId(state.memory, id, 'register');
+  const push = (value) => pushRegister(state.memory, value, registerId);
+  if (action === 'MC') return { ...state, memory: [] };
+  if (action === 'MR') return recallValue(state, top ? top.value : '0');
+  const val = memoryOperand(state);
+  if (!val) return state;
+  switch (action) {
+    case 'M+':
+      if (top) return adjustRegister(state, top.id, val, add);
+      return { ...state, memory: push(toDecimalString(val)), overwrite: true };
+    case 'M-':
+      if (top) return adjustRegister(state, top.id, val, subtract);
+      return { ...state, memory: push(toDecimalString(negate(val))), overwrite: true };
+    case 'MS':
+      return { ...state, memory: push(toDecimalString(val)), overwrite: true };
+    default:
+      return state;
+  }
+}
+
+/**
+ * Handle the per-register keys of the memory panel.
+ * Payload: { id, key } with key MR, M+, M- (as for the top register) or MD (delete).
+ */
+function memoryRegister(state, { id, key } = {}) {
+  const register = state.memory.find((r) => r.id === id);
+  if (!register) return state;
+  if (key === 'MR') return recallValue(state, register.value);
+  if (key === 'MD') return { ...state, memory: state.memory.filter((r) => r.id !== id) };
+  const val = memoryOperand(state);
+  if (!val) return state;
+  if (key === 'M+') return adjustRegister(state, id, val, add);
+  if (key === 'M-') return adjustRegister(state, id, val, subtract);
+  return state;
+}
+
+/**
+ * Rename a register. Payload: { id, name }; an empty name is kept while the
+ * user is typing and the panel falls back to showing a placeholder.
+ */
+function memoryRename(state, { id, name } = {}) {
+  if (typeof name !== 'string' || !state.memory.some((r) => r.id === id)) return state;
+  const cleaned = normalizeRegisterName(name);
+  return {
+    ...state,
+    memory: state.memory.map((r) => (r.id === id ? { ...r, name: cleaned } : r)),
+  };
+}
+
+/**
+ * Recall a history entry's result into the current input.
+ * Works from the error state too; the next digit starts a new entry.
+ * Date results only recall in date mode, as the start date.
+ */
+function historyRecall(state, entry) {
+  if (!entry) return state;
+  // A date result becomes the start date in date mode; elsewhere it has no value
+  if (parseISODate(entry.result) !== null) {
+    return state.dateMode ? { ...state, startDate: entry.result } : state;
+  }
+  const recalled = convertsEntry(state) ? decimalToEntry(state, entry.result) : entry.result;
+  if (recalled === null) return state;
+  return { ...state, currentInput: recalled, errorMessage: null, overwrite: true };
+}
+
+/**
+ * Enter or leave programmer mode. The displayed value is carried over (truncated
+ * to an integer on entry); pending operations and expression mode are dropped.
+ * Not available in fraction mode.
+ */
+function toggleProgrammerMode(state) {
+  if (state.fractionMode) return state;
+  const entering = !state.programmerMode;
+  let currentInput = '0';
+  if (!isError(state.currentInput)) {
+    const converted = entering
+      ? decimalToEntry(state, state.currentInput)
+      : entryToDecimal(state, state.currentInput);
+    currentInput = converted === null ? '0' : converted;
+  }
+  return {
+    ...state,
+    programmerMode: entering,
+    converterMode: false,
+    currencyMode: false,
+    dateMode: false,
+    financialMode: false,
+    statMode: false,
+    expressionMode: false,
+    expressionTokens: [],
+    lastExpression: '',
+    currentInput,
+    errorMessage: null,
+    previousValue: null,
+    operation: null,
+    repeatOperation: null,
+    overwrite: true,
+  };
+}
+
+/**
+ * Utility: Re-express the entry and pending operand after a base or word change.
+ * @param {object} state - state before the change
+ * @param {object} changes - new inputBase / wordSize / signed
+ */
+function reinterpretWords(state, changes) {
+  const next = { ...state, ...changes };
+  const convert = (text) => {
+    if (text === null || isError(text)) return text;
+    const value = parseInBase(text, state.inputBase, wordOptions(state));
+    if (value === null) return text;
+    return formatInBase(wrapToWord(value, wordOptions(next)), next.inputBase, wordOptions(next));
+  };
+  return {
+    ...next,
+    currentInput: convert(state.currentInput),
+    previousValue: convert(state.previousValue),
+    repeatOperation: state.repeatOperation && {
+      ...state.repeatOperation,
+      operand: convert(state.repeatOperation.operand),
+    },
+  };
+}
+
+function setInputBase(state, base) {
+  if (!state.programmerMode || !(base in BASES)) return state;
+  return { ...reinterpretWords(state, { inputBase: base }), overwrite: true };
+}
+
+function setWordSize(state, wordSize) {
+  if (!state.programmerMode || !WORD_SIZES.includes(wordSize)) return state;
+  return { ...reinterpretWords(state, { wordSize }), overwrite: true };
+}
+
+function toggleSigned(state) {
+  if (!state.programmerMode) return state;
+  return { ...reinterpretWords(state, { signed: !state.signed }), overwrite: true };
+}
+
+function applyBitwiseNot(state) {
+  if (!state.programmerMode || isError(state.currentInput)) return state;
+  const value = parseInBase(state.currentInput, state.inputBase, wordOptions(state));
+  if (value === null) return state;
+  const inverted = bitwiseNot(value, wordOptions(state));
+  return {
+    ...state,
+    currentInput: formatInBase(inverted, state.inputBase, wordOptions(state)),
+    overwrite: true,
+  };
+}
+
+/**
+ * Show or hide the unit converter. The keypad and entry are unchanged; the converter
+ * replaces the currency converter and is not available in programmer or fraction mode.
+ */
+function toggleConverterMode(state) {
+  if (convertsEntry(state)) return state;
+  return {
+    ...state,
+    converterMode: !state.converterMode,
+    currencyMode: false,
+    dateMode: false,
+    financialMode: false,
+    statMode: false,
+  };
+}
+
+/**
+ * Switch the converter to another category, starting from its default pair of units.
+ */
+function setUnitCategory(state, categoryId) {
+  const category = findCategory(categoryId);
+  if (!category) return state;
+  const [fromUnit, toUnit] = category.defaults;
+  return { ...state, unitCategory: category.id, fromUnit, toUnit };
+}
+
+/**
+ * Pick the unit on one side of the converter.
+ * Payload: { side: 'from'|'to', unit } with a unit of the current category.
+ */
+function setUnit(state, { side, unit } = {}) {
+  if (!findUnit(state.unitCategory, unit)) return state;
+  if (side === 'from') return { ...state, fromUnit: unit };
+  if (side === 'to') return { ...state, toUnit: unit };
+  return state;
+}
+
+/**
+ * Swap the converter's units; the converted value becomes the entry so the pair on
+ * screen is simply mirrored. The next digit starts a new entry.
+ */
+function swapUnits(state) {
+  const swapped = { ...state, fromUnit: state.toUnit, toUnit: state.fromUnit };
+  return withConvertedEntry(swapped, getConvertedValue(state));
+}
+
+/**
+ * Utility: Make a converted value the entry; the next digit starts a new entry.
+ * @param {object} state
+ * @param {string|null} converted - left as is when null
+ */
+function withConvertedEntry(state, converted) {
+  if (converted === null) return state;
+  return { ...state, currentInput: converted, errorMessage: null, overwrite: true };
+}
+
+/**
+ * Show or hide the currency converter; the counterpart of toggleConverterMode.
+ */
+function toggleCurrencyMode(state) {
+  if (convertsEntry(state)) return state;
+  return {
+    ...state,
+    currencyMode: !state.currencyMode,
+    converterMode: false,
+    dateMode: false,
+    financialMode: false,
+    statMode: false,
+  };
+}
+
+/**
+ * Pick the currency on one side of the currency converter.
+ * Payload: { side: 'from'|'to', code } with a code listed in the rate table.
+ */
+function setCurrency(state, { side, code } = {}) {
+  if (!hasCurrency(state.rateTable, code)) return state;
+  if (side === 'from') return { ...state, fromCurrency: code };
+  if (side === 'to') return { ...state, toCurrency: code };
+  return state;
+}
+
+/**
+ * Swap the currencies, carrying the converted amount over like swapUnits.
+ */
+function swapCurrencies(state) {
+  const swapped = { ...state, fromCurrency: state.toCurrency, toCurrency: state.fromCurrency };
+  return withConvertedEntry(swapped, getCurrencyConversion(state));
+}
+
+/**
+ * Replace the rate table (payload from parseRateTable, or DEFAULT_RATE_TABLE).
+ * The selected currencies are kept when the new table lists them.
+ */
+function setRateTable(state, table) {
+  if (!table || typeof table !== 'object' || !table.rates || !table.asOf) return state;
+  const [fromDefault, toDefault] = defaultCurrencyPair(table);
+  return {
+    ...state,
+    rateTable: table,
+    fromCurrency: hasCurrency(table, state.fromCurrency) ? state.fromCurrency : fromDefault,
+    toCurrency: hasCurrency(table, state.toCurrency) ? state.toCurrency : toDefault,
+  };
+}
+
+/**
+ * Push the converted value of the open converter (currency or unit) into the entry.
+ */
+function applyConversion(state) {
+  if (state.currencyMode) return withConvertedEntry(state, getCurrencyConversion(state));
+  if (state.converterMode) return withConvertedEntry(state, getConvertedValue(state));
+  return state;
+}
+
+/**
+ * Show or hide date mode. Entering it drops any pending operation and leaves expression
+ * mode and the converters; the entry stays and becomes the amount for add and subtract.
+ * Not available in programmer or fraction mode.
+ */
+function toggleDateMode(state) {
+  if (convertsEntry(state)) return state;
+  if (state.dateMode) return { ...state, dateMode: false };
+  return {
+    ...state,
+    dateMode: true,
+    financialMode: false,
+    statMode: false,
+    expressionMode: false,
+    converterMode: false,
+    currencyMode: false,
+    expressionTokens: [],
+    lastExpression: '',
+    previousValue: null,
+    operation: null,
+    repeatOperation: null,
+    overwrite: true,
+  };
+}
+
+/**
+ * Pick the date calculation: 'difference', 'add' or 'subtract'.
+ */
+function setDateOperation(state, dateOperation) {
+  if (!DATE_OPERATIONS.some(([id]) => id === dateOperation)) return state;
+  return { ...state, dateOperation };
+}
+
+/**
+ * Set one of the dates. Payload: { side: 'start'|'end', date } with date as YYYY-MM-DD.
+ */
+function setDate(state, { side, date } = {}) {
+  if (parseISODate(date) === null) return state;
+  if (side === 'start') return { ...state, startDate: date };
+  if (side === 'end') return { ...state, endDate: date };
+  return state;
+}
+
+/**
+ * Pick the unit of differences and durations: 'days', 'weeks' or 'months'.
+ */
+function setDateUnit(state, dateUnit) {
+  if (!DATE_UNITS.some(([id]) => id === dateUnit)) return state;
+  return { ...state, dateUnit };
+}
+
+/**
+ * Replace the holiday list (payload from parseHolidayList in src/utils/dates.js).
+ */
+function setHolidays(state, holidays) {
+  const normalized = normalizeHolidays(holidays);
+  return normalized ? { ...state, holidays: normalized } : state;
+}
+
+/**
+ * Show or hide financial mode. Entering it leaves expression mode, date mode and the
+ * converters; the entry and any pending operation stay, so a computed value can feed
+ * a calculation. Not available in programmer or fraction mode.
+ */
+function toggleFinancialMode(state) {
+  if (convertsEntry(state)) return state;
+  if (state.financialMode) return { ...state, financialMode: false, tvmCompute: false };
+  return {
+    ...state,
+    financialMode: true,
+    statMode: false,
+    expressionMode: false,
+    expressionTokens: [],
+    lastExpression: '',
+    converterMode: false,
+    currencyMode: false,
+    dateMode: false,
+  };
+}
+
+/**
+ * A TVM register key (payload: 'N', 'IY', 'PV', 'PMT' or 'FV'): stores the entry in the
+ * register, or after CPT computes the register from the other four. A computed value
+ * shows on the display and is recorded on the history tape, e.g.
+ * "PMT(N=360; I/Y=6; PV=200000; FV=0; P/Y=12)"; BGN marks payments at the start of each
+ * period.
+ */
+function tvmRegister(state, id, stamp) {
+  const register = TVM_REGISTERS.find(([key]) => key === id);
+  if (!state.financialMode || !register) return state;
+  if (state.tvmCompute) return computeTVM(state, register, stamp);
+  const value = isError(state.currentInput) ? null : parseDecimal(state.currentInput);
+  if (!value) return state;
+  return { ...state, tvm: { ...state.tvm, [id]: toDecimalString(value) }, overwrite: true };
+}
+
+/**
+ * Utility: Compute a TVM register (see tvmRegister).
+ * @param {[string, string]} register - [id, label] from TVM_REGISTERS
+ */
+function computeTVM(state, [id, label], stamp) {
+  const { tvm, paymentsPerYear, paymentsAtStart } = state;
+  let value;
+  try {
+    value = solveTVM(id, tvm, tvmOptions(state));
+  } catch (err) {
+    return failComputation({ ...state, tvmCompute: false }, err);
+  }
+  const inputs = TVM_REGISTERS.filter(([key]) => key !== id).map(
+    ([key, name]) => `${name}=${tvm[key]}`
+  );
+  inputs.push(`P/Y=${paymentsPerYear}`);
+  if (paymentsAtStart) inputs.push('BGN');
+  const expression = `${label}(${inputs.join('; ')})`;
+  return {
+    ...state,
+    tvm: { ...tvm, [id]: value },
+    tvmCompute: false,
+    currentInput: value,
+    errorMessage: null,
+    overwrite: true,
+    history: recordHistory(state, expression, value, stamp),
+  };
+}
+
+/**
+ * Set the payments (and compounding periods) per year, one of PAYMENTS_PER_YEAR.
+ */
+function setPaymentsPerYear(state, paymentsPerYear) {
+  if (!PAYMENTS_PER_YEAR.includes(paymentsPerYear)) return state;
+  return { ...state, paymentsPerYear };
+}
+
+/**
+ * Append the entry to the cash-flow list (CF0 first), up to MAX_CASH_FLOWS.
+ */
+function cashFlowAdd(state) {
+  const { currentInput, cashFlows } = state;
+  if (!state.financialMode || isError(currentInput) || cashFlows.length >= MAX_CASH_FLOWS) {
+    return state;
+  }
+  const value = parseDecimal(currentInput);
+  if (!value) return state;
+  return { ...state, cashFlows: [...cashFlows, toDecimalString(value)], overwrite: true };
+}
+
+/**
+ * Remove one cash flow. Payload: its index in the list.
+ */
+function cashFlowRemove(state, index) {
+  if (!Number.isInteger(index) || index < 0 || index >= state.cashFlows.length) return state;
+  return { ...state, cashFlows: state.cashFlows.filter((_, i) => i !== index) };
+}
+
+/**
+ * Net present value ('npv', with the entry as the discount rate per period in percent)
+ * or internal rate of return ('irr') of the cash-flow list. The result shows on the
+ * display and is recorded on the history tape, e.g. "NPV at 10%: -1000; 500; 600".
+ */
+function cashFlowCalculation(state, type, stamp) {
+  const { currentInput, cashFlows, precision } = state;
+  if (!state.financialMode || isError(currentInput)) return state;
+  let value;
+  let expression;
+  try {
+    if (type === 'npv') {
+      const rate = formatResult(currentInput, precision);
+      value = netPresentValue(rate, cashFlows, precision);
+      expression = `NPV at ${rate}%: ${cashFlows.join('; ')}`;
+    } else {
+      value = internalRateOfReturn(cashFlows, precision);
+      expression = `IRR: ${cashFlows.join('; ')}`;
+    }
+  } catch (err) {
+    return failComputation(state, err);
+  }
+  return {
+    ...state,
+    currentInput: value,
+    errorMessage: null,
+    overwrite: true,
+    history: recordHistory(state, expression, value, stamp),
+  };
+}
+
+/**
+ * Show or hide statistics mode. Entering it leaves expression mode, date mode, financial
+ * mode and the converters; the data list is kept. Not available in programmer or
+ * fraction mode.
+ */
+function toggleStatMode(state) {
+  if (convertsEntry(state)) return state;
+  if (state.statMode) return { ...state, statMode: false, statX: null };
+  return {
+    ...state,
+    statMode: true,
+    expressionMode: false,
+    expressionTokens: [],
+    lastExpression: '',
+    converterMode: false,
+    currencyMode: false,
+    dateMode: false,
+    financialMode: false,
+  };
+}
+
+/**
+ * Utility: The data point the keypad entry stands for: the entry as y, paired with an
+ * x entered with the x,y key.
+ * @returns {{x: string|null, y: string}|null} null when the entry is not a number
+ */
+function entryPoint(state) {
+  const value = isError(state.currentInput) ? null : parseDecimal(state.currentInput);
+  return value ? { x: state.statX, y: toDecimalString(value) } : null;
+}
+
+/**
+ * Utility: A data point with canonical decimals within range.
+ * @returns {{x: string|null, y: string}|null} null when invalid
+ */
+function canonicalPoint(point) {
+  if (!point || typeof point !== 'object') return null;
+  const y = sharedDecimal(point.y);
+  const x = point.x === null ? null : sharedDecimal(point.x);
+  return y === null || (point.x !== null && x === null) ? null : { x, y };
+}
+
+/**
+ * Utility: Take a changed data list after Σ+ or Σ−; the display shows the number of points.
+ */
+function withCount(state, statData) {
+  const currentInput = String(statData.length);
+  return { ...state, statData, statX: null, currentInput, overwrite: true };
+}
+
+/**
+ * Σ+: append the entry (or the pair after x,y) to the data list, up to MAX_DATA_POINTS.
+ * The next digit starts a new entry.
+ */
+function statAdd(state) {
+  const point = state.statMode && entryPoint(state);
+  if (!point || state.statData.length >= MAX_DATA_POINTS) return state;
+  return withCount(state, [...state.statData, point]);
+}
+
+/**
+ * Σ−: remove the last data point equal to the entry (or the pair after x,y), the way a
+ * mistaken Σ+ is taken back. Nothing happens when the list does not hold it.
+ */
+function statRemove(state) {
+  const point = state.statMode && entryPoint(state);
+  if (!point) return state;
+  // Points are canonical, so equal numbers have equal text
+  const index = state.statData.map((p) => p.x === point.x && p.y === point.y).lastIndexOf(true);
+  if (index < 0) return state;
+  return withCount(state, state.statData.filter((_, i) => i !== index));
+}
+
+/**
+ * The x,y key: keep the entry as the x of the next point; the entry typed after it is y.
+ */
+function statPairX(state) {
+  const point = state.statMode && entryPoint(state);
+  if (!point) return state;
+  return { ...state, statX: point.y, overwrite: true };
+}
+
+/**
+ * Replace one data point from the list view. Payload: { index, text } with text as
+ * parseDataPoint() in src/utils/statistics.js reads it ("4.5" or "2, 4.5").
+ */
+function statUpdate(state, { index, text } = {}) {
+  const point = canonicalPoint(parseDataPoint(text));
+  if (!point || !Number.isInteger(index) || index < 0 || index >= state.statData.length) {
+    return state;
+  }
+  return { ...state, statData: state.statData.map((p, i) => (i === index ? point : p)) };
+}
+
+/**
+ * Remove one data point from the list view. Payload: its index.
+ */
+function statDelete(state, index) {
+  if (!Number.isInteger(index) || index < 0 || index >= state.statData.length) return state;
+  return { ...state, statData: state.statData.filter((_, i) => i !== index) };
+}
+
+/**
+ * Load pasted data points. Payload: { points, replace } with points from parseDataList()
+ * in src/utils/statistics.js; they are appended unless replace is set. Lists that would
+ * exceed MAX_DATA_POINTS are ignored.
+ */
+function statLoad(state, { points, replace = false } = {}) {
+  const loaded = Array.isArray(points) ? points.map(canonicalPoint) : [null];
+  if (loaded.includes(null)) return state;
+  const statData = replace ? loaded : [...state.statData, ...loaded];
+  if (statData.length > MAX_DATA_POINTS) return state;
+  return { ...state, statData, statX: null };
+}
+
+/**
+ * Put a summary or regression value (payload: its id, e.g. 'mean' or 'slope') on the
+ * display.
+ */
+function statRecall(state, id) {
+  const { summary, regression } = getStatistics(state);
+  const values = { ...summary, ...regression };
+  const value = values[id];
+  return typeof value === 'string' ? recallValue(state, value) : state;
+}
+
+/**
+ * Enter or leave fraction mode. The displayed value is carried over: a decimal becomes
+ * the fraction it stands for (0.3333333333 → 1/3, see decimalToFraction in
+ * src/utils/fractions.js) and a fraction is rounded on the way back. Pending operations
+ * are dropped and the modes that read decimals are left. Not available in programmer mode.
+ */
+function toggleFractionMode(state) {
+  if (state.programmerMode) return state;
+  const entering = !state.fractionMode;
+  let currentInput = '0';
+  if (!isError(state.currentInput)) {
+    const converted = entering
+      ? decimalToEntry({ ...state, fractionMode: true }, state.currentInput)
+      : entryToDecimal(state, state.currentInput);
+    currentInput = converted === null ? '0' : converted;
+  }
+  return {
+    ...state,
+    fractionMode: entering,
+    converterMode: false,
+    currencyMode: false,
+    dateMode: false,
+    financialMode: false,
+    statMode: false,
+    expressionMode: false,
+    expressionTokens: [],
+    lastExpression: '',
+    currentInput,
+    errorMessage: null,
+    previousValue: null,
+    operation: null,
+    repeatOperation: null,
+    overwrite: true,
+  };
+}
+
+/**
+ * The a b/c key: after the numerator it starts the denominator ("2" → "2/"); pressed
+ * again after that denominator it makes a mixed number, the fraction so far turning into
+ * the whole part and the numerator ("1/2" → "1 2/", then 3 gives 1 2/3).
+ */
+function fractionBar(state) {
+  const { currentInput, overwrite } = state;
+  if (!state.fractionMode || isError(currentInput) || overwrite) return state;
+  if (/^-?\d+$/.test(currentInput)) return { ...state, currentInput: `${currentInput}/` };
+  const mixed = currentInput.replace(/^(-?\d+)\/(\d+)$/, '$1 $2/');
+  return mixed === currentInput ? state : { ...state, currentInput: mixed };
+}
+
+/**
+ * The display key of fraction mode: show results as the next of FRACTION_DISPLAYS
+ * (fraction, mixed number, decimal). The value itself stays exact.
+ */
+function cycleFractionDisplay(state) {
+  if (!state.fractionMode) return state;
+  const ids = FRACTION_DISPLAYS.map(([id]) => id);
+  return { ...state, fractionDisplay: ids[(ids.indexOf(state.fractionDisplay) + 1) % ids.length] };
+}
+
+/**
+ * Define a variable or function, or replace the one with the same name.
+ * Payload: definition text with canonical numbers, "rate = 0.0725" or "tax(x) = x × rate"
+ * (see defineName in src/utils/variables.js). Works in every mode; errors (syntax, unknown
+ * names in a variable's value, recursion) show on the display.
+ */
+function variableDefine(state, text) {
+  if (typeof text !== 'string') return state;
+  const { precision, angleMode, ans } = state;
+  const options = { precision, angleMode, ans };
+  try {
+    return { ...state, definitions: defineName(state.definitions, text, options) };
+  } catch (err) {
+    if (err instanceof RangeError) return failComputation(state, err);
+    if (!(err instanceof ExpressionError)) throw err;
+    return enterError(state, err.message);
+  }
+}
+
+/**
+ * Put a variable's value (payload: its name, or 'ans' for the last result) on the display.
+ */
+function variableRecall(state, name) {
+  if (name === ANSWER_NAME) return recallValue(state, state.ans);
+  const variable = state.definitions.find((d) => d.name === name && d.params === null);
+  return variable ? recallValue(state, variable.value) : state;
+}
+
+/**
+ * Utility: Whether text fits as a graph expression; its syntax is checked when plotted.
+ */
+function isGraphText(text) {
+  return text.trim() === text && text !== '' && text.length <= MAX_GRAPH_LENGTH;
+}
+
+/**
+ * Change the graph expressions. Payload: { index, text }; the text replaces the
+ * expression at index, is appended when index is the count (up to MAX_GRAPHS), and
+ * removes the expression when blank. Text that is too long is ignored; malformed text is
+ * kept so it can be corrected, and the graph panel shows why it is not plotted.
+ */
+function graphSet(state, payload) {
+  const { index, text } = payload || {};
+  const expressions = state.graphExpressions;
+  if (typeof text !== 'string' || !Number.isInteger(index)) return state;
+  if (index < 0 || index > expressions.length) return state;
+  const trimmed = text.trim();
+  if (!trimmed) {
+    return { ...state, graphExpressions: expressions.filter((_, i) => i !== index) };
+  }
+  if (!isGraphText(trimmed) || (index === expressions.length && index >= MAX_GRAPHS)) {
+    return state;
+  }
+  const graphExpressions = [...expressions];
+  graphExpressions[index] = trimmed;
+  return { ...state, graphExpressions };
+}
+
+/**
+ * Put a traced point of a graph on the display. Payload: { index, x, axis }, where axis
+ * is 'x' for the x coordinate or 'y' (the default) for the curve's value at x. Ignored
+ * where the curve is undefined.
+ */
+function graphUse(state, payload) {
+  const { index, x, axis = 'y' } = payload || {};
+  const text = state.graphExpressions[index];
+  const at = sharedDecimal(x);
+  if (typeof text !== 'string' || at === null) return state;
+  if (axis === 'x') return recallValue(state, at);
+  let y;
+  try {
+    y = graphValue(compileGraph(text, getExpressionOptions(state)), at, state.precision);
+  } catch (err) {
+    if (!(err instanceof ExpressionError)) throw err;
+    return state;
+  }
+  return y === null ? state : recallValue(state, y);
+}
+
+/**
+ * Utility: Copy the fields undo restores.
+ * @returns {object} snapshot
+ */
+function snapshot(state) {
+  const taken = {};
+  UNDOABLE_FIELDS.forEach((field) => {
+    taken[field] = state[field];
+  });
+  return taken;
+}
+
+/**
+ * Utility: Whether an action changed anything undo restores. Fields are compared by
+ * identity: the reducer replaces arrays instead of mutating them.
+ */
+function changedUndoable(before, after) {
+  return UNDOABLE_FIELDS.some((field) => before[field] !== after[field]);
+}
+
+/**
+ * Utility: Undo the last change: restore the newest snapshot and keep the current state for redo.
+ */
+function undo(state) {
+  if (state.undoStack.length === 0) return state;
+  const previous = state.undoStack[state.undoStack.length - 1];
+  return {
+    ...state,
+    ...previous,
+    undoStack: state.undoStack.slice(0, -1),
+    redoStack: [...state.redoStack, snapshot(state)],
+  };
+}
+
+/**
+ * Utility: Redo the last undone change.
+ */
+function redo(state) {
+  if (state.redoStack.length === 0) return state;
+  const next = state.redoStack[state.redoStack.length - 1];
+  return {
+    ...state,
+    ...next,
+    undoStack: [...state.undoStack, snapshot(state)],
+    redoStack: state.redoStack.slice(0, -1),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function reduce(state, action) {
+  /**
+   * Apply one action to the calculator state; returns a new state object
+   * (or the same one when the action is a no-op).
+   * Every action that changes the value, pending operation or memory can be undone
+   * ('undo') and redone ('redo'); a new change discards the redo steps.
+   * @param {object} state - from createInitialState() or a previous reduce()
+   * The reducer is pure: the dispatcher stamps each action with the time and a fresh id.
+   * @param {{type: string, payload?: any, timestamp?: number, id?: string}} action
+   *   timestamp - completion time recorded on history entries by 'equals',
+   *   'inputExpression', 'tvmRegister', 'npv' and 'irr' (0 when missing)
+   *   id - id of the history entry or memory register the action adds (one derived from
+   *   the ids in use when missing)
+   * @returns {object} next state
+   */
+  if (action.type === 'undo') return undo(state);
+  if (action.type === 'redo') return redo(state);
+  const next = applyAction(state, action);
+  if (next === state || !changedUndoable(state, next)) return next;
+  const undoStack = [...state.undoStack, snapshot(state)];
+  return {
+    ...next,
+    undoStack: undoStack.length > state.undoDepth ? undoStack.slice(-state.undoDepth) : undoStack,
+    redoStack: [],
+  };
+}
+
+/**
+ * Utility: Apply one keypad action (everything except undo and redo).
+ */
+function applyAction(state, action) {
+  const { type, payload } = action;
+  switch (type) {
+    case 'digit':
+      return inputDigit(state, payload);
+    case 'inputValue':
+      return inputValue(state, payload);
+    case 'inputExpression':
+      return inputExpression(state, payload, action);
+    case 'loadCalculation':
+      return loadCalculation(state, payload);
+    case 'decimal':
+      return inputDecimal(state);
+    case 'operator':
+      return inputOperator(state, payload);
+    case 'equals':
+      return equals(state, action);
+    case 'clear':
+      return clear(state);
+    case 'delete':
+      return deleteLast(state);
+    case 'toggleSign':
+      return toggleSign(state);
+    case 'percent':
+      return percent(state);
+    case 'sqrt':
+      return squareRoot(state);
+    case 'exponent':
+      return inputExponent(state);
+    case 'memory':
+      return memory(state, payload, action.id);
+    case 'memoryRegister':
+      return memoryRegister(state, payload);
+    case 'memoryRename':
+      return memoryRename(state, payload);
+    case 'paren':
+      return appendParen(state, payload);
+    case 'toggleExpressionMode':
+      return toggleExpressionMode(state);
+    case 'historyRecall':
+      return historyRecall(state, payload);
+    case 'historyClear':
+      return { ...state, history: [] };
+    case 'toggleScientificMode':
+      return { ...state, scientificMode: !state.scientificMode };
+    case 'cycleAngleMode':
+      return { ...state, angleMode: nextAngleMode(state.angleMode) };
+    case 'cycleNotation':
+      return { ...state, notation: nextNotation(state.notation) };
+    case 'function':
+      return scientificFunction(state, payload);
+    case 'constant':
+      return insertConstant(state, payload);
+    case 'toggleProgrammerMode':
+      return toggleProgrammerMode(state);
+    case 'setInputBase':
+      return setInputBase(state, payload);
+    case 'setWordSize':
+      return setWordSize(state, payload);
+    case 'toggleSigned':
+      return toggleSigned(state);
+    case 'bitwiseNot':
+      return applyBitwiseNot(state);
+    case 'toggleConverterMode':
+      return toggleConverterMode(state);
+    case 'setUnitCategory':
+      return setUnitCategory(state, payload);
+    case 'setUnit':
+      return setUnit(state, payload);
+    case 'swapUnits':
+      return swapUnits(state);
+    case 'toggleCurrencyMode':
+      return toggleCurrencyMode(state);
+    case 'setCurrency':
+      return setCurrency(state, payload);
+    case 'swapCurrencies':
+      return swapCurrencies(state);
+    case 'setRateTable':
+      return setRateTable(state, payload);
+    case 'applyConversion':
+      return applyConversion(state);
+    case 'toggleDateMode':
+      return toggleDateMode(state);
+    case 'setDateOperation':
+      return setDateOperation(state, payload);
+    case 'setDate':
+      return setDate(state, payload);
+    case 'setDateUnit':
+      return setDateUnit(state, payload);
+    case 'toggleBusinessDays':
+      return { ...state, businessDays: !state.businessDays };
+    case 'setHolidays':
+      return setHolidays(state, payload);
+    case 'toggleFinancialMode':
+      return toggleFinancialMode(state);
+    case 'tvmCompute':
+      return state.financialMode ? { ...state, tvmCompute: !state.tvmCompute } : state;
+    case 'tvmRegister':
+      return tvmRegister(state, payload, action);
+    case 'tvmClear':
+      return { ...state, tvm: EMPTY_TVM, tvmCompute: false };
+    case 'setPaymentsPerYear':
+      return setPaymentsPerYear(state, payload);
+    case 'togglePaymentTiming':
+      return { ...state, paymentsAtStart: !state.paymentsAtStart };
+    case 'cashFlowAdd':
+      return cashFlowAdd(state);
+    case 'cashFlowRemove':
+      return cashFlowRemove(state, payload);
+    case 'cashFlowClear':
+      return state.cashFlows.length ? { ...state, cashFlows: [] } : state;
+    case 'npv':
+    case 'irr':
+      return cashFlowCalculation(state, type, action);
+    case 'toggleStatMode':
+      return toggleStatMode(state);
+    case 'statAdd':
+      return statAdd(state);
+    case 'statRemove':
+      return statRemove(state);
+    case 'statPairX':
+      return statPairX(state);
+    case 'statUpdate':
+      return statUpdate(state, payload);
+    case 'statDelete':
+      return statDelete(state, payload);
+    case 'statLoad':
+      return statLoad(state, payload);
+    case 'statClear':
+      return state.statData.length || state.statX !== null
+        ? { ...state, statData: [], statX: null }
+        : state;
+    case 'statRecall':
+      return statRecall(state, payload);
+    case 'toggleFractionMode':
+      return toggleFractionMode(state);
+    case 'fractionBar':
+      return fractionBar(state);
+    case 'cycleFractionDisplay':
+      return cycleFractionDisplay(state);
+    case 'variableDefine':
+      return variableDefine(state, payload);
+    case 'variableDelete':
+      return { ...state, definitions: state.definitions.filter((d) => d.name !== payload) };
+    case 'variableClear':
+      return { ...state, definitions: [] };
+    case 'variableRecall':
+      return variableRecall(state, payload);
+    case 'toggleGraphMode':
+      return { ...state, graphMode: !state.graphMode };
+    case 'graphSet':
+      return graphSet(state, payload);
+    case 'graphUse':
+      return graphUse(state, payload);
+    default:
+      return state;
+  }
+}
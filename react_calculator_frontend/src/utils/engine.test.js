@@ -0,0 +1,844 @@
+import { parseRateTable } from './currency';
+import {
+  ACTIONS,
+  createInitialState,
+  getAmortizationSchedule,
+  getCompoundInterest,
+  getConvertedValue,
+  getCurrencyConversion,
+  getDateCalculation,
+  getFractionText,
+  getLastOperationText,
+  getStatistics,
+  isInitialState,
+  reduce,
+} from './engine';
+
+/**
+ * Feed keypad presses through the reducer.
+ * Each press is shorthand: a digit ('0'-'9', 'A'-'F'), '.', '=', a parenthesis, an operator,
+ * or a full action object.
+ */
+function press(keys, state = createInitialState()) {
+  return keys.reduce((s, key) => {
+    if (typeof key === 'object') return reduce(s, key);
+    if (/^[0-9A-F]$/.test(key)) return reduce(s, { type: 'digit', payload: key });
+    if (key === '.') return reduce(s, { type: 'decimal' });
+    if (key === '=') return reduce(s, { type: 'equals', timestamp: 0 });
+    if (key === '(' || key === ')') return reduce(s, { type: 'paren', payload: key });
+    return reduce(s, { type: 'operator', payload: key });
+  }, state);
+}
+
+test('initial state', () => {
+  const state = createInitialState();
+  expect(state.currentInput).toBe('0');
+  expect(isInitialState(state)).toBe(true);
+  expect(getLastOperationText(state)).toBe('');
+});
+
+test('every action type is handled without throwing on the initial state', () => {
+  ACTIONS.forEach((type) => {
+    expect(() => reduce(createInitialState(), { type, payload: undefined })).not.toThrow();
+  });
+});
+
+test('unknown actions return the same state', () => {
+  const state = createInitialState();
+  expect(reduce(state, { type: 'nope' })).toBe(state);
+});
+
+test('digit entry, leading zeros and overwrite', () => {
+  expect(press(['0', '0', '7']).currentInput).toBe('7');
+  expect(press(['1', '.', '5', '.']).currentInput).toBe('1.5');
+  expect(press(['.', '5']).currentInput).toBe('0.5');
+});
+
+test('chaining evaluates left to right and records history', () => {
+  const state = press(['2', '+', '3', '×']);
+  expect(state.currentInput).toBe('5');
+  expect(getLastOperationText(state)).toBe('5 ×');
+  const done = press(['4', '='], state);
+  expect(done.currentInput).toBe('20');
+  expect(done.history.map((e) => [e.expression, e.result, e.timestamp])).toEqual([['5 × 4', '20', 0]]);
+});
+
+test('changing the operator before entering a number replaces it', () => {
+  expect(press(['6', '+', '×', '2', '=']).currentInput).toBe('12');
+});
+
+test('equals without a new number is ignored', () => {
+  const state = press(['6', '+']);
+  expect(press(['='], state)).toBe(state);
+});
+
+test('divide by zero enters the error state; input is ignored until clear', () => {
+  const state = press(['8', '÷', '0', '=']);
+  expect(state.currentInput).toBe('Error');
+  expect(press(['5', '+'], state)).toBe(state);
+  const cleared = reduce(state, { type: 'clear' });
+  expect(cleared.currentInput).toBe('0');
+});
+
+test('clear is clear-entry first, then all clear', () => {
+  const pending = press(['4', '+', '5']);
+  const entryCleared = reduce(pending, { type: 'clear' });
+  expect(entryCleared.currentInput).toBe('0');
+  expect(entryCleared.previousValue).toBe('4');
+  expect(press(['3', '='], entryCleared).currentInput).toBe('7');
+});
+
+test('delete trims the entry and resets to 0', () => {
+  expect(reduce(press(['1', '2', '3']), { type: 'delete' }).currentInput).toBe('12');
+  const negative = reduce(press(['5']), { type: 'toggleSign' });
+  expect(reduce(negative, { type: 'delete' }).currentInput).toBe('0');
+});
+
+test('toggle sign never produces -0', () => {
+  expect(reduce(createInitialState(), { type: 'toggleSign' }).currentInput).toBe('0');
+  expect(reduce(press(['2']), { type: 'toggleSign' }).currentInput).toBe('-2');
+});
+
+test('percent standalone and relative to the pending operand', () => {
+  expect(reduce(press(['5']), { type: 'percent' }).currentInput).toBe('0.05');
+  expect(reduce(press(['2', '0', '0', '+', '1', '0']), { type: 'percent' }).currentInput).toBe('20');
+});
+
+test('square root and its domain error', () => {
+  expect(reduce(press(['1', '6']), { type: 'sqrt' }).currentInput).toBe('4');
+  const negative = reduce(press(['4']), { type: 'toggleSign' });
+  expect(reduce(negative, { type: 'sqrt' }).currentInput).toBe('Error');
+});
+
+test('memory keys', () => {
+  let state = press(['5']);
+  state = reduce(state, { type: 'memory', payload: 'MS' });
+  state = press(['2'], state);
+  state = reduce(state, { type: 'memory', payload: 'M+' });
+  state = press(['.', '5'], state);
+  state = reduce(state, { type: 'memory', payload: 'M-' });
+  expect(state.memory.map((r) => r.value)).toEqual(['6.5']);
+  state = reduce(state, { type: 'memory', payload: 'MR' });
+  expect(state.currentInput).toBe('6.5');
+  state = reduce(state, { type: 'memory', payload: 'MC' });
+  expect(state.memory).toEqual([]);
+  expect(reduce(state, { type: 'memory', payload: 'MR' }).currentInput).toBe('0');
+});
+
+test('MS pushes registers and MR, M+ and M- act on the newest one', () => {
+  let state = reduce(press(['4']), { type: 'memory', payload: 'MS' });
+  state = reduce(press(['9'], state), { type: 'memory', payload: 'MS' });
+  expect(state.memory.map((r) => [r.name, r.value])).toEqual([
+    ['M1', '4'],
+    ['M2', '9'],
+  ]);
+  state = reduce(press(['1'], state), { type: 'memory', payload: 'M+' });
+  expect(state.memory.map((r) => r.value)).toEqual(['4', '10']);
+  expect(reduce(state, { type: 'memory', payload: 'MR' }).currentInput).toBe('10');
+});
+
+test('M+ and M- on empty memory start a register', () => {
+  expect(reduce(press(['3']), { type: 'memory', payload: 'M+' }).memory[0].value).toBe('3');
+  expect(reduce(press(['3']), { type: 'memory', payload: 'M-' }).memory[0].value).toBe('-3');
+  expect(reduce(createInitialState(), { type: 'memory', payload: 'M+' }).memory).toHaveLength(1);
+});
+
+test('reduce is pure: history and memory ids and times come from the action', () => {
+  const state = press(['7', '+', '5']);
+  const equals = { type: 'equals', timestamp: 1000, id: 'e1' };
+  expect(reduce(state, equals)).toEqual(reduce(state, equals));
+  expect(reduce(state, equals).history[0]).toMatchObject({ id: 'e1', timestamp: 1000 });
+  expect(reduce(state, { type: 'memory', payload: 'MS', id: 'r1' }).memory[0].id).toBe('r1');
+  // Without them ids follow the ones in use, and the same action gives the same state
+  const ms = { type: 'memory', payload: 'MS' };
+  expect(press([ms, ms], state).memory.map((r) => r.id)).toEqual(['register-1', 'register-2']);
+  expect(reduce(state, { type: 'equals' })).toEqual(reduce(state, { type: 'equals' }));
+});
+
+test('per-register recall, add, subtract, delete and rename', () => {
+  let state = reduce(press(['4']), { type: 'memory', payload: 'MS' });
+  state = reduce(press(['9'], state), { type: 'memory', payload: 'MS' });
+  const [first, second] = state.memory;
+  state = reduce(press(['2'], state), { type: 'memoryRegister', payload: { id: first.id, key: 'M+' } });
+  state = reduce(state, { type: 'memoryRegister', payload: { id: second.id, key: 'M-' } });
+  expect(state.memory.map((r) => r.value)).toEqual(['6', '7']);
+  state = reduce(state, { type: 'memoryRegister', payload: { id: first.id, key: 'MR' } });
+  expect(state.currentInput).toBe('6');
+  state = reduce(state, { type: 'memoryRename', payload: { id: first.id, name: '  Tax   rate' } });
+  expect(state.memory[0].name).toBe('Tax rate');
+  state = reduce(state, { type: 'memoryRegister', payload: { id: first.id, key: 'MD' } });
+  expect(state.memory.map((r) => r.name)).toEqual(['M2']);
+  expect(reduce(state, { type: 'memoryRegister', payload: { id: 'missing', key: 'MD' } })).toBe(state);
+});
+
+test('memory is kept in decimal in programmer mode', () => {
+  let state = reduce(createInitialState(), { type: 'toggleProgrammerMode' });
+  state = reduce(state, { type: 'setInputBase', payload: 'HEX' });
+  state = reduce(press(['F', 'F'], state), { type: 'memory', payload: 'MS' });
+  expect(state.memory[0].value).toBe('255');
+  state = reduce(state, { type: 'setInputBase', payload: 'BIN' });
+  expect(reduce(state, { type: 'memory', payload: 'MR' }).currentInput).toBe('11111111');
+});
+
+test('expression mode with precedence and parentheses', () => {
+  const expr = reduce(createInitialState(), { type: 'toggleExpressionMode' });
+  const state = press(['2', '×', '(', '3', '+', '4', ')', '−', '1'], expr);
+  expect(getLastOperationText(state)).toBe('2 × ( 3 + 4 ) −');
+  const done = press(['='], state);
+  expect(done.currentInput).toBe('13');
+  expect(getLastOperationText(done)).toBe('2 × ( 3 + 4 ) − 1 =');
+  expect(done.history[0].expression).toBe('2 × ( 3 + 4 ) − 1');
+
+  // Typed expressions are evaluated like pasted ones: angle mode, variables and functions
+  const defined = press([{ type: 'variableDefine', payload: 'rate = 2' }], expr);
+  const typed = { ...defined, expressionTokens: ['sin', '(', '90', ')', '×', 'rate', '+'] };
+  expect(press(['1', '='], typed).currentInput).toBe('3');
+  expect(reduce(defined, { type: 'inputExpression', payload: 'sin(90) × rate + 1' })).toMatchObject({
+    currentInput: '3',
+  });
+});
+
+test('expression mode errors carry a message', () => {
+  const expr = reduce(createInitialState(), { type: 'toggleExpressionMode' });
+  const state = press(['(', '1', '÷', '0', ')', '='], expr);
+  expect(state.currentInput).toBe('Error');
+  expect(getLastOperationText(state)).toBe('Cannot divide by zero');
+});
+
+test('history recall and clear', () => {
+  const state = press(['7', '+', '5', '=', '9']);
+  const recalled = reduce(state, { type: 'historyRecall', payload: state.history[0] });
+  expect(recalled.currentInput).toBe('12');
+  expect(reduce(recalled, { type: 'historyClear' }).history).toEqual([]);
+});
+
+test('precision option', () => {
+  expect(press(['1', '÷', '3', '='], createInitialState({ precision: 3 })).currentInput).toBe('0.333');
+});
+
+test('scientific functions apply to the current input in the current angle mode', () => {
+  expect(reduce(press(['3', '0']), { type: 'function', payload: 'sin' }).currentInput).toBe('0.5');
+  const rad = reduce(press(['0']), { type: 'cycleAngleMode' });
+  expect(rad.angleMode).toBe('RAD');
+  expect(reduce(rad, { type: 'function', payload: 'cos' }).currentInput).toBe('1');
+});
+
+test('scientific domain errors behave like square root', () => {
+  const state = press(['5', '+', '0']);
+  const ln = reduce(state, { type: 'function', payload: 'ln' });
+  expect(ln.currentInput).toBe('Error');
+  expect(ln.previousValue).toBeNull();
+  expect(ln.operation).toBeNull();
+});
+
+test('power operator in chaining mode and constants', () => {
+  expect(press(['2', '^', '1', '0', '=']).currentInput).toBe('1024');
+  const pi = reduce(createInitialState({ precision: 5 }), { type: 'constant', payload: 'pi' });
+  expect(pi.currentInput).toBe('3.14159');
+  expect(press(['2'], pi).currentInput).toBe('2');
+});
+
+test('programmer mode: hex entry, bitwise operators and base conversion', () => {
+  let state = reduce(createInitialState(), { type: 'toggleProgrammerMode' });
+  state = reduce(state, { type: 'setInputBase', payload: 'HEX' });
+  state = press(['F', 'F', 'AND', '0', 'F', '='], state);
+  expect(state.currentInput).toBe('F');
+  expect(state.history[0]).toMatchObject({ expression: '0xFF AND 0xF', result: '15' });
+  state = reduce(state, { type: 'setInputBase', payload: 'BIN' });
+  expect(state.currentInput).toBe('1111');
+  expect(press(['2'], state).currentInput).toBe('1111');
+});
+
+test('programmer mode: word size limits entry and NOT wraps', () => {
+  let state = reduce(createInitialState(), { type: 'toggleProgrammerMode' });
+  state = reduce(state, { type: 'setWordSize', payload: 8 });
+  state = press(['1', '2', '7', '9'], state);
+  expect(state.currentInput).toBe('127');
+  state = reduce(state, { type: 'bitwiseNot' });
+  expect(state.currentInput).toBe('-128');
+  state = reduce(state, { type: 'toggleSigned' });
+  expect(state.currentInput).toBe('128');
+});
+
+test('programmer mode carries integers in and out and ignores decimal-only keys', () => {
+  let state = press(['4', '2', '.', '9']);
+  state = reduce(state, { type: 'toggleProgrammerMode' });
+  expect(state.currentInput).toBe('42');
+  expect(reduce(state, { type: 'decimal' })).toBe(state);
+  expect(reduce(state, { type: 'sqrt' })).toBe(state);
+  expect(reduce(state, { type: 'operator', payload: '^' })).toBe(state);
+  expect(reduce(createInitialState(), { type: 'operator', payload: 'AND' }).operation).toBeNull();
+  state = reduce(state, { type: 'setInputBase', payload: 'HEX' });
+  state = reduce(state, { type: 'toggleProgrammerMode' });
+  expect(state.currentInput).toBe('42');
+});
+
+test('inputValue replaces the entry as if it had been typed', () => {
+  let state = press(['5', '+']);
+  state = reduce(state, { type: 'inputValue', payload: '1234.50' });
+  expect(state.currentInput).toBe('1234.5');
+  state = press(['1', '='], state);
+  expect(state.currentInput).toBe('1239.51');
+  expect(reduce(state, { type: 'inputValue', payload: 'abc' })).toBe(state);
+
+  const error = press(['1', '÷', '0', '=']);
+  expect(reduce(error, { type: 'inputValue', payload: '7' }).currentInput).toBe('7');
+});
+
+test('inputExpression evaluates a whole expression and records it', () => {
+  let state = press(['5', '×']);
+  state = reduce(state, { type: 'inputExpression', payload: '2 + 3 × 4', timestamp: 1000 });
+  expect(state.currentInput).toBe('14');
+  expect(state.history[state.history.length - 1]).toMatchObject({
+    expression: '2 + 3 × 4',
+    result: '14',
+    timestamp: 1000,
+  });
+  expect(press(['='], state).currentInput).toBe('70');
+
+  const failed = reduce(createInitialState(), { type: 'inputExpression', payload: '1 ÷ (2 − 2)' });
+  expect(failed.currentInput).toBe('Error');
+  expect(failed.history).toEqual([]);
+  const programmer = press([{ type: 'toggleProgrammerMode' }]);
+  expect(reduce(programmer, { type: 'inputExpression', payload: '1 + 1' })).toBe(programmer);
+});
+
+test('variables, functions and ans in evaluated expressions', () => {
+  const define = (text) => ({ type: 'variableDefine', payload: text });
+  const evaluate = (text) => ({ type: 'inputExpression', payload: text, timestamp: 0 });
+  let state = press([define('rate = 0.0725'), define('tax(x) = x × rate'), '2', '0', '0']);
+  expect(state.currentInput).toBe('200');
+  expect(state.definitions.map((d) => d.name)).toEqual(['rate', 'tax']);
+  // ans follows equals and evaluated expressions
+  state = press(['+', '5', '0', '=', evaluate('tax(ans)')], state);
+  expect(state.currentInput).toBe('18.125');
+  expect(state.ans).toBe('18.125');
+  state = press([define('total = ans × 2'), { type: 'variableRecall', payload: 'total' }], state);
+  expect(state.currentInput).toBe('36.25');
+
+  const unknown = reduce(state, evaluate('tax(fee)'));
+  expect(unknown.currentInput).toBe('Error');
+  expect(unknown.errorMessage).toBe("Unknown name 'fee'");
+  const recursive = press(
+    [define('fee(x) = tax(x) + net(x)'), define('net(x) = fee(x) − 1')],
+    state
+  );
+  expect(recursive.errorMessage).toBe('Recursion: net → fee → net');
+  expect(recursive.definitions.map((d) => d.name)).toEqual(['rate', 'tax', 'total', 'fee']);
+
+  state = press([{ type: 'variableDelete', payload: 'rate' }, evaluate('tax(1)')], state);
+  expect(state.errorMessage).toBe("Unknown name 'rate'");
+  expect(press([{ type: 'undo' }, { type: 'undo' }], state).definitions).toHaveLength(3);
+  expect(reduce(state, { type: 'variableClear' }).definitions).toEqual([]);
+});
+
+test('EXP enters an exponent that +/- and delete edit', () => {
+  const exp = { type: 'exponent' };
+  let state = press(['1', '.', '5', exp]);
+  expect(state.currentInput).toBe('1.5e+0');
+  state = press(['1', '2', { type: 'toggleSign' }], state);
+  expect(state.currentInput).toBe('1.5e-12');
+  expect(press(['.', '3'], state).currentInput).toBe('1.5e-123');
+  expect(press(['3', '4', '5'], state).currentInput).toBe('1.5e-1234');
+  state = press([{ type: 'delete' }, { type: 'delete' }], state);
+  expect(state.currentInput).toBe('1.5');
+  expect(press(['×', exp, '3', '='], state).currentInput).toBe('1500');
+});
+
+test('results beyond the exponent range show overflow and underflow messages', () => {
+  const exp = { type: 'exponent' };
+  const overflow = press([exp, '9', '9', '9', '9', '×', '1', '0', '=']);
+  expect(overflow.currentInput).toBe('Error');
+  expect(getLastOperationText(overflow)).toBe('Overflow');
+  const underflow = press([exp, '9', '9', '9', '9', { type: 'toggleSign' }, '÷', '1', '0', '=']);
+  expect(getLastOperationText(underflow)).toBe('Underflow');
+  const square = reduce(press([exp, '6', '0', '0', '0']), { type: 'function', payload: 'square' });
+  expect(getLastOperationText(square)).toBe('Overflow');
+  expect(getLastOperationText(press(['1', '÷', '0', '=']))).toBe('');
+
+  // Pasted or defined literals beyond the range report it instead of failing
+  const outOfRange = (action) => {
+    const state = reduce(createInitialState(), action);
+    return [state.currentInput, state.errorMessage];
+  };
+  expect(outOfRange({ type: 'inputExpression', payload: '1e99999 + 1' })).toEqual([
+    'Error',
+    'Overflow',
+  ]);
+  expect(outOfRange({ type: 'variableDefine', payload: 'a = 1e99999 + 1' })).toEqual([
+    'Error',
+    'Overflow',
+  ]);
+  expect(outOfRange({ type: 'inputValue', payload: '1e20000' })).toEqual(['Error', 'Overflow']);
+  expect(outOfRange({ type: 'inputValue', payload: '1e-20000' })).toEqual(['Error', 'Underflow']);
+});
+
+test('tiny results are kept rather than rounded to 0', () => {
+  expect(press(['1', '÷', '3', '0', '0', '0', '0', '0', '0', '0', '0', '0', '0', '0', '=']).currentInput).toBe(
+    '0.000000000003333333333'
+  );
+});
+
+test('unit converter converts the entry live and swaps units', () => {
+  let state = press([
+    { type: 'toggleConverterMode' },
+    { type: 'setUnitCategory', payload: 'temperature' },
+  ]);
+  expect(state).toMatchObject({ converterMode: true, fromUnit: 'C', toUnit: 'F' });
+  state = press(['1', '0', '0'], state);
+  expect(getConvertedValue(state)).toBe('212');
+  state = reduce(state, { type: 'swapUnits' });
+  expect(state).toMatchObject({ currentInput: '212', fromUnit: 'F', toUnit: 'C', overwrite: true });
+  expect(getConvertedValue(state)).toBe('100');
+
+  state = reduce(state, { type: 'setUnit', payload: { side: 'to', unit: 'K' } });
+  expect(getConvertedValue(state)).toBe('373.15');
+  expect(reduce(state, { type: 'setUnit', payload: { side: 'to', unit: 'ft' } })).toBe(state);
+  expect(getConvertedValue(press(['1', '÷', '0', '='], state))).toBeNull();
+
+  const programmer = reduce(state, { type: 'toggleProgrammerMode' });
+  expect(programmer.converterMode).toBe(false);
+  expect(reduce(programmer, { type: 'toggleConverterMode' })).toBe(programmer);
+});
+
+test('currency converter converts with the rate table and pushes results back', () => {
+  const rateTable = parseRateTable('USD,1,2026-10-01\nEUR,0.9,2026-10-01\nGBP,0.75,2026-10-01');
+  const modes = [{ type: 'toggleConverterMode' }, { type: 'toggleCurrencyMode' }];
+  let state = press(modes, createInitialState({ rateTable }));
+  expect(state).toMatchObject({ currencyMode: true, converterMode: false });
+  expect(state).toMatchObject({ fromCurrency: 'USD', toCurrency: 'EUR' });
+  state = press(['2', '0'], state);
+  expect(getCurrencyConversion(state)).toBe('18');
+  state = reduce(state, { type: 'setCurrency', payload: { side: 'to', code: 'GBP' } });
+  expect(getCurrencyConversion(state)).toBe('15');
+  expect(reduce(state, { type: 'setCurrency', payload: { side: 'to', code: 'XYZ' } })).toBe(state);
+
+  const applied = reduce(state, { type: 'applyConversion' });
+  expect(applied).toMatchObject({ currentInput: '15', overwrite: true, fromCurrency: 'USD' });
+  const swapped = reduce(state, { type: 'swapCurrencies' });
+  expect(swapped).toMatchObject({ currentInput: '15', fromCurrency: 'GBP', toCurrency: 'USD' });
+
+  const other = parseRateTable('GBP,1,2026-10-02\nJPY,190,2026-10-02');
+  state = reduce(state, { type: 'setRateTable', payload: other });
+  expect(state).toMatchObject({ fromCurrency: 'GBP', toCurrency: 'GBP' });
+  expect(state.rateTable).toBe(other);
+  expect(reduce(state, { type: 'setRateTable', payload: { rates: {} } })).toBe(state);
+});
+
+test('repeated equals repeats the last operation and keeps its operand as a constant', () => {
+  let state = press(['5', '+', '3', '=', '=', '=']);
+  expect(state.currentInput).toBe('14');
+  expect(getLastOperationText(state)).toBe('11 + 3 =');
+  expect(state.history.map((e) => e.expression)).toEqual(['5 + 3', '8 + 3', '11 + 3']);
+
+  // A new number followed by '=' uses the same operation
+  state = press(['2', '×', '1', '.', '5', '=', '4', '=']);
+  expect(state.currentInput).toBe('6');
+  expect(getLastOperationText(state)).toBe('4 × 1.5 =');
+
+  // Both operands show as formatted numbers, not as typed
+  const typed = press(['1', '.', '1', '−', '0', '.', '3', '0', '=']);
+  expect(getLastOperationText(typed)).toBe('1.1 − 0.3 =');
+  const repeated = press(['='], typed);
+  expect(getLastOperationText(repeated)).toBe('0.8 − 0.3 =');
+  expect(repeated.history.map((e) => e.expression)).toEqual(['1.1 − 0.3', '0.8 − 0.3']);
+
+  // An operator starts a new calculation; all clear forgets the operation
+  expect(press(['+'], state).repeatOperation).toBeNull();
+  expect(getLastOperationText(press(['+'], state))).toBe('6 +');
+  const cleared = press([{ type: 'clear' }], state);
+  expect(cleared.repeatOperation).not.toBeNull();
+  expect(getLastOperationText(press(['='], cleared))).toBe('0 × 1.5 =');
+  const allCleared = press([{ type: 'clear' }, { type: 'clear' }, '='], state);
+  expect(allCleared.repeatOperation).toBeNull();
+  expect(getLastOperationText(allCleared)).toBe('');
+  expect(press(['1', '÷', '0', '=', '=']).repeatOperation).toBeNull();
+});
+
+test('repeated equals works on programmer words', () => {
+  let state = press([{ type: 'toggleProgrammerMode' }, { type: 'setInputBase', payload: 'HEX' }]);
+  state = press(['F', '+', '1', '=', '='], state);
+  expect(state.currentInput).toBe('11');
+  expect(getLastOperationText(state)).toBe('0x10 + 0x1 =');
+  expect(state.history.map((e) => e.result)).toEqual(['16', '17']);
+  state = reduce(state, { type: 'setInputBase', payload: 'BIN' });
+  expect(press(['='], state).currentInput).toBe('10010');
+});
+
+test('undo and redo step through value, operation and memory changes', () => {
+  let state = press(['1', '2', '+', '3']);
+  state = reduce(state, { type: 'clear' });
+  expect(state.currentInput).toBe('0');
+  state = reduce(state, { type: 'undo' });
+  expect(state).toMatchObject({ currentInput: '3', previousValue: '12', operation: '+' });
+  state = reduce(state, { type: 'undo' });
+  expect(state).toMatchObject({ currentInput: '12', operation: '+', overwrite: true });
+  state = reduce(state, { type: 'redo' });
+  expect(state.currentInput).toBe('3');
+
+  // A new change discards what was undone
+  state = press(['4'], reduce(state, { type: 'undo' }));
+  expect(state.redoStack).toEqual([]);
+  expect(reduce(state, { type: 'redo' })).toBe(state);
+
+  state = reduce(state, { type: 'memory', payload: 'MS' });
+  expect(state.memory).toHaveLength(1);
+  expect(reduce(state, { type: 'undo' }).memory).toEqual([]);
+});
+
+test('undo ignores display settings and keeps a bounded number of steps', () => {
+  let state = press(['1', '2', '3'], createInitialState({ undoDepth: 2 }));
+  expect(state.undoStack).toHaveLength(2);
+  const settings = reduce(state, { type: 'toggleScientificMode' });
+  expect(settings.undoStack).toBe(state.undoStack);
+  state = press([{ type: 'undo' }, { type: 'undo' }, { type: 'undo' }], state);
+  expect(state.currentInput).toBe('1');
+  expect(reduce(createInitialState(), { type: 'undo' }).currentInput).toBe('0');
+});
+
+test('saved settings are restored, with invalid or conflicting values left at defaults', () => {
+  const rateTable = parseRateTable('USD,1,2026-10-01\nEUR,0.9,2026-10-01');
+  const state = createInitialState({
+    rateTable,
+    settings: {
+      programmerMode: true,
+      expressionMode: true,
+      inputBase: 'HEX',
+      wordSize: 16,
+      signed: 'no',
+      angleMode: 'TURNS',
+      notation: 'ENG',
+      unitCategory: 'mass',
+      fromUnit: 'm',
+      toUnit: 'kg',
+      fromCurrency: 'EUR',
+      toCurrency: 'USD',
+    },
+  });
+  expect(state).toMatchObject({
+    programmerMode: true,
+    expressionMode: false,
+    inputBase: 'HEX',
+    wordSize: 16,
+    signed: true,
+    angleMode: 'DEG',
+    notation: 'ENG',
+    unitCategory: 'length',
+    fromCurrency: 'EUR',
+    toCurrency: 'USD',
+    currentInput: '0',
+  });
+  const unknownCurrency = createInitialState({ settings: { fromCurrency: 'XXX', toCurrency: 'USD' } });
+  expect(unknownCurrency.fromCurrency).toBe(createInitialState().fromCurrency);
+  const bothConverters = createInitialState({ settings: { converterMode: true, currencyMode: true } });
+  expect(bothConverters).toMatchObject({ converterMode: true, currencyMode: false });
+});
+
+test('date mode takes differences and moves dates by the entry', () => {
+  let state = reduce(createInitialState({ today: '2026-01-01' }), { type: 'toggleDateMode' });
+  state = reduce(state, { type: 'setDate', payload: { side: 'end', date: '2026-04-05' } });
+  expect(getLastOperationText(state)).toBe('Days from 2026-01-01 to 2026-04-05 =');
+  expect(getDateCalculation(state)).toMatchObject({ result: '94', isDate: false, error: null });
+  state = reduce(state, { type: 'toggleBusinessDays' });
+  expect(getDateCalculation(state).result).toBe('66');
+  state = reduce(state, { type: 'setHolidays', payload: ['2026-01-02'] });
+  expect(getDateCalculation(state)).toMatchObject({
+    expression: 'Business days from 2026-01-01 to 2026-04-05',
+    result: '65',
+  });
+
+  // '+' picks add; the entry is the amount and '=' records the calculation
+  state = press(['9', '0', '+', '='], state);
+  expect(state.dateOperation).toBe('add');
+  expect(state.history[state.history.length - 1]).toMatchObject({
+    expression: '2026-01-01 + 90 business days',
+    result: '2026-05-08',
+  });
+  state = reduce(state, { type: 'setDateUnit', payload: 'months' });
+  state = press(['1', '−'], state);
+  expect(getDateCalculation(state)).toMatchObject({
+    expression: '2026-01-01 − 1 month',
+    result: '2025-12-01',
+  });
+
+  // No answer: the reason replaces the calculation and '=' records nothing
+  state = press(['.', '5'], state);
+  expect(getDateCalculation(state).result).toBeNull();
+  expect(getLastOperationText(state)).toBe('Enter a whole number of days, weeks or months');
+  expect(press(['='], state).history).toBe(state.history);
+});
+
+test('date mode excludes the other modes and recalls dates as the start date', () => {
+  const converter = reduce(createInitialState(), { type: 'toggleConverterMode' });
+  let state = press(['7', '+'], converter);
+  state = reduce(state, { type: 'toggleDateMode' });
+  expect(state).toMatchObject({ dateMode: true, converterMode: false, operation: null });
+  expect(reduce(state, { type: 'toggleExpressionMode' }).dateMode).toBe(false);
+  expect(reduce(state, { type: 'toggleProgrammerMode' }).dateMode).toBe(false);
+  const programmer = reduce(createInitialState(), { type: 'toggleProgrammerMode' });
+  expect(reduce(programmer, { type: 'toggleDateMode' })).toBe(programmer);
+
+  const entry = { expression: '2026-01-01 + 1 day', result: '2026-01-02', timestamp: 0 };
+  expect(reduce(state, { type: 'historyRecall', payload: entry }).startDate).toBe('2026-01-02');
+  const standard = createInitialState();
+  expect(reduce(standard, { type: 'historyRecall', payload: entry })).toBe(standard);
+  expect(reduce(state, { type: 'setDate', payload: { side: 'start', date: '2026-02-30' } })).toBe(
+    state
+  );
+  expect(reduce(state, { type: 'setHolidays', payload: ['soon'] })).toBe(state);
+
+  const restored = createInitialState({
+    settings: { dateMode: true, expressionMode: true, dateOperation: 'add', dateUnit: 'years' },
+  });
+  expect(restored).toMatchObject({
+    dateMode: true,
+    expressionMode: false,
+    dateOperation: 'add',
+    dateUnit: 'days',
+  });
+});
+
+test('financial mode stores and computes TVM registers and records them', () => {
+  let state = reduce(createInitialState(), { type: 'toggleFinancialMode' });
+  const store = (payload) => ({ type: 'tvmRegister', payload });
+  state = press(['3', '6', '0', store('N'), '6', store('IY'), '2', '0', '0', '0', '0', '0'], state);
+  state = reduce(state, store('PV'));
+  expect(state.tvm).toEqual({ N: '360', IY: '6', PV: '200000', PMT: '0', FV: '0' });
+  state = press([{ type: 'tvmCompute' }, { ...store('PMT'), timestamp: 0 }], state);
+  expect(state).toMatchObject({ currentInput: '-1199.1010503055', tvmCompute: false });
+  expect(state.tvm.PMT).toBe('-1199.1010503055');
+  expect(state.history[state.history.length - 1].expression).toBe(
+    'PMT(N=360; I/Y=6; PV=200000; FV=0; P/Y=12)'
+  );
+  expect(getAmortizationSchedule(state).schedule.totalInterest).toBe('231676.38');
+  const loan = { ...state.tvm, IY: '7', PV: '1000000000000', PMT: '-6653024951.7918314692' };
+  const lastBalance = (precision) =>
+    getAmortizationSchedule({ ...state, tvm: loan, precision }).schedule.rows[359].balance;
+  expect([lastBalance(10), lastBalance(2)]).toEqual(['0.00', '-3.28']);
+  expect(getCompoundInterest(state).balance).toBe('1204515.0424526432');
+
+  // Computing against the registers' sign convention has no answer
+  state = press(['5', store('PMT'), { type: 'tvmCompute' }, store('IY')], state);
+  expect(state.currentInput).toBe('Error');
+  expect(getLastOperationText(state)).toBe('No interest rate balances these values');
+  state = reduce(state, { type: 'tvmClear' });
+  expect(state.tvm.N).toBe('0');
+  expect(getAmortizationSchedule(state)).toMatchObject({ schedule: null });
+  // Undo brings the registers back
+  expect(reduce(state, { type: 'undo' }).tvm.N).toBe('360');
+});
+
+test('financial mode: NPV and IRR of the cash-flow list and pricing operators', () => {
+  let state = reduce(createInitialState(), { type: 'toggleFinancialMode' });
+  const addFlow = (keys) => [...keys, { type: 'cashFlowAdd' }];
+  state = press(
+    [
+      ...addFlow(['1', '0', '0', '0', { type: 'toggleSign' }]),
+      ...addFlow(['5', '0', '0']),
+      ...addFlow(['6', '0', '0']),
+      ...addFlow(['7']),
+    ],
+    state
+  );
+  state = reduce(state, { type: 'cashFlowRemove', payload: 3 });
+  expect(state.cashFlows).toEqual(['-1000', '500', '600']);
+  state = press(['1', '0', { type: 'npv', timestamp: 0 }], state);
+  expect(state.currentInput).toBe('-49.5867768595');
+  expect(state.history[state.history.length - 1].expression).toBe('NPV at 10%: -1000; 500; 600');
+  state = reduce(state, { type: 'irr', timestamp: 0 });
+  expect(state.currentInput).toBe('6.3941029805');
+  state = reduce(state, { type: 'cashFlowClear' });
+  expect(reduce(state, { type: 'irr' })).toMatchObject({
+    currentInput: 'Error',
+    errorMessage: 'IRR needs both incoming and outgoing cash flows',
+  });
+
+  expect(press(['2', '0', '0', 'MU', '2', '5', '='], state).currentInput).toBe('250');
+  expect(press(['8', '0', 'MG', '1', '0', '0', '='], state).errorMessage).toBe(
+    'Margin must be below 100%'
+  );
+  const expression = reduce(createInitialState(), { type: 'toggleExpressionMode' });
+  expect(press(['8', '+TAX'], expression).expressionTokens).toEqual([]);
+
+  // Only one of date mode, financial mode and the converters shows at a time
+  expect(reduce(state, { type: 'toggleDateMode' }).financialMode).toBe(false);
+  expect(reduce(state, { type: 'toggleCurrencyMode' }).financialMode).toBe(false);
+  const restored = createInitialState({
+    settings: { financialMode: true, converterMode: true, paymentsPerYear: 3 },
+  });
+  expect(restored).toMatchObject({
+    financialMode: true,
+    converterMode: false,
+    paymentsPerYear: 12,
+  });
+});
+
+test('statistics mode collects values and pairs from the keypad', () => {
+  let state = reduce(createInitialState(), { type: 'toggleStatMode' });
+  const add = { type: 'statAdd' };
+  state = press(['2', add, '4', add, '4', add, '5', add], state);
+  expect(state.currentInput).toBe('4');
+  expect(getStatistics(state).summary).toMatchObject({ mean: '3.75', median: '4' });
+
+  // Σ− takes back the value on the display
+  state = press(['4', { type: 'statRemove' }], state);
+  expect(state.statData.map((point) => point.y)).toEqual(['2', '4', '5']);
+  expect(press(['9', { type: 'statRemove' }], state).statData).toBe(state.statData);
+
+  // x,y keeps an x for the next value
+  state = press([{ type: 'statClear' }, '1', { type: 'statPairX' }], state);
+  expect(getLastOperationText(state)).toBe('(1, y)');
+  state = press(['2', add, '2', { type: 'statPairX' }, '4', add], state);
+  state = reduce(state, { type: 'statLoad', payload: { points: [{ x: '3', y: '7.0' }] } });
+  expect(state.statData).toEqual([
+    { x: '1', y: '2' },
+    { x: '2', y: '4' },
+    { x: '3', y: '7' },
+  ]);
+  expect(getStatistics(state).regression.slope).toBe('2.5');
+  state = reduce(state, { type: 'statRecall', payload: 'intercept' });
+  expect(state).toMatchObject({ currentInput: '-0.6666666667', overwrite: true });
+
+  // Editing, removing and undoing list changes
+  state = reduce(state, { type: 'statUpdate', payload: { index: 2, text: '3, 10' } });
+  expect(state.statData[2]).toEqual({ x: '3', y: '10' });
+  expect(reduce(state, { type: 'statUpdate', payload: { index: 2, text: 'ten' } })).toBe(state);
+  state = reduce(state, { type: 'statDelete', payload: 0 });
+  expect(getStatistics(state)).toMatchObject({ regression: { slope: '6' } });
+  state = reduce(state, { type: 'statDelete', payload: 0 });
+  expect(getStatistics(state)).toMatchObject({
+    regression: null,
+    error: 'Regression needs at least 2 data points',
+  });
+  expect(reduce(state, { type: 'undo' }).statData).toHaveLength(2);
+  const invalid = { points: [{ x: null, y: 'lots' }] };
+  expect(reduce(state, { type: 'statLoad', payload: invalid })).toBe(state);
+
+  expect(reduce(state, { type: 'toggleFinancialMode' }).statMode).toBe(false);
+  const restored = createInitialState({ settings: { statMode: true, dateMode: true } });
+  expect(restored).toMatchObject({ statMode: false, dateMode: true });
+});
+
+test('fraction mode: exact arithmetic, a b/c entry and display forms', () => {
+  const bar = { type: 'fractionBar' };
+  const fractions = reduce(createInitialState(), { type: 'toggleFractionMode' });
+  const lastEntry = (s) => s.history[s.history.length - 1];
+  let state = press(['1', '÷', '3', '×', '3', '='], fractions);
+  expect(state.currentInput).toBe('1');
+  expect(lastEntry(state)).toMatchObject({ expression: '1/3 × 3', result: '1' });
+
+  // 1 2/3 + 1/2, with the a b/c key
+  state = press(['1', bar, '2', bar, '3', '+', '1', bar, '2'], state);
+  expect(state.currentInput).toBe('1/2');
+  expect(getLastOperationText(state)).toBe('5/3 +');
+  // Operators and '=' wait for the denominator of a fraction being typed
+  const open = press(['2', bar], state);
+  expect(press(['×'], open)).toBe(open);
+  expect(press(['='], open)).toBe(open);
+  expect(press(['1', bar, '2', bar, '÷'], fractions)).toMatchObject({
+    currentInput: '1 2/',
+    previousValue: null,
+    errorMessage: null,
+  });
+  state = press(['='], state);
+  expect(getFractionText(state)).toBe('13/6');
+  expect(lastEntry(state)).toMatchObject({ expression: '5/3 + 1/2', result: '2.1666666667' });
+  state = reduce(state, { type: 'cycleFractionDisplay' });
+  expect(getFractionText(state)).toBe('2 1/6');
+  expect(getLastOperationText(state)).toBe('5/3 + 1/2 =');
+  state = reduce(state, { type: 'cycleFractionDisplay' });
+  expect(getFractionText(state)).toBe('2.1666666667');
+
+  // ⌫ takes back the mixed-number bar, +/- signs the whole fraction, decimals are exact
+  state = press([{ type: 'clear' }, '1', bar, '2', bar, { type: 'delete' }], state);
+  expect(reduce(state, { type: 'toggleSign' }).currentInput).toBe('-1/2');
+  state = press([{ type: 'clear' }, '0', '.', '2', '5', '+', '1', bar, '3', '='], state);
+  expect(state.currentInput).toBe('7/12');
+  expect(press(['5', { type: 'percent' }], state).currentInput).toBe('1/20');
+  expect(reduce(state, { type: 'inputValue', payload: '0.1(6)' }).currentInput).toBe('1/6');
+  expect(press(['2', '^', '1', bar, '2', '='], fractions)).toMatchObject({
+    currentInput: 'Error',
+    errorMessage: 'Fraction powers need a whole exponent',
+  });
+
+  // Decimals carried in become the fraction they stand for; memory holds decimals
+  state = reduce(press(['2', '÷', '3', '=']), { type: 'toggleFractionMode' });
+  expect(state.currentInput).toBe('2/3');
+  state = press([{ type: 'memory', payload: 'MS' }, '1', { type: 'memory', payload: 'MR' }], state);
+  expect(state.memory[0].value).toBe('0.6666666667');
+  expect(state.currentInput).toBe('2/3');
+  expect(reduce(state, { type: 'toggleFractionMode' }).currentInput).toBe('0.6666666667');
+
+  expect(reduce(state, { type: 'toggleProgrammerMode' })).toBe(state);
+  expect(reduce(state, { type: 'toggleStatMode' })).toBe(state);
+  const settings = { fractionMode: true, fractionDisplay: 'mixed', statMode: true };
+  expect(createInitialState({ settings })).toMatchObject({
+    fractionMode: true,
+    fractionDisplay: 'mixed',
+    statMode: false,
+  });
+  expect(createInitialState({ settings: { ...settings, programmerMode: true } }).fractionMode).toBe(
+    false
+  );
+});
+
+test('graph mode keeps expressions of x and puts traced points on the display', () => {
+  const set = (index, text) => ({ type: 'graphSet', payload: { index, text } });
+  const use = (payload) => ({ type: 'graphUse', payload: { index: 0, ...payload } });
+  let state = press([
+    { type: 'toggleGraphMode' },
+    { type: 'variableDefine', payload: 'k = 3' },
+    set(0, ' x ^ 2 × k '),
+    set(1, 'sqrt(x'),
+    set(3, 'x'),
+  ]);
+  expect(state.graphMode).toBe(true);
+  expect(state.graphExpressions).toEqual(['x ^ 2 × k', 'sqrt(x']);
+  expect(reduce(state, set(0, 'x'.repeat(201)))).toBe(state);
+
+  expect(reduce(state, use({ x: '1.5' })).currentInput).toBe('6.75');
+  expect(reduce(state, use({ x: '1.5', axis: 'x' })).currentInput).toBe('1.5');
+  // Malformed expressions and undefined points leave the display alone
+  expect(reduce(state, use({ index: 1, x: '4' }))).toBe(state);
+  state = reduce(state, set(0, 'sqrt(x)'));
+  expect(reduce(state, use({ x: '-4' }))).toBe(state);
+  expect(reduce(state, set(1, '')).graphExpressions).toEqual(['sqrt(x)']);
+
+  const restored = createInitialState({
+    settings: { graphMode: true, graphExpressions: state.graphExpressions },
+  });
+  expect(restored).toMatchObject({ graphMode: true, graphExpressions: ['sqrt(x)', 'sqrt(x'] });
+  const invalid = createInitialState({ settings: { graphExpressions: ['x', 42] } });
+  expect(invalid.graphExpressions).toEqual([]);
+});
+
+test('shared calculations load as a pending operation or a lone value', () => {
+  const programmer = reduce(createInitialState(), { type: 'toggleProgrammerMode' });
+  let state = reduce(programmer, {
+    type: 'loadCalculation',
+    payload: { previousValue: '7', operation: '×', currentInput: '5' },
+  });
+  expect(state).toMatchObject({ previousValue: '7', operation: '×', currentInput: '5' });
+  expect(state.programmerMode).toBe(false);
+  expect(press(['0', '='], state).currentInput).toBe('350');
+
+  state = reduce(createInitialState(), {
+    type: 'loadCalculation',
+    payload: { previousValue: '7', operation: '÷', currentInput: null },
+  });
+  expect(press(['2', '='], state).currentInput).toBe('3.5');
+
+  state = reduce(createInitialState(), { type: 'loadCalculation', payload: { currentInput: '1e3' } });
+  expect(state).toMatchObject({ currentInput: '1000', operation: null, overwrite: true });
+
+  const initial = createInitialState();
+  const invalid = [
+    { currentInput: 'abc' },
+    { previousValue: '7', operation: 'AND', currentInput: '1' },
+    { previousValue: 'x', operation: '+' },
+    { currentInput: '1e99999' },
+  ];
+  invalid.forEach((payload) => {
+    expect(reduce(initial, { type: 'loadCalculation', payload })).toBe(initial);
+  });
+});
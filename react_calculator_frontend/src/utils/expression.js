@@ -0,0 +1,367 @@
+/**
+ * Expression tokenizer, parser and evaluator.
+ *
+ * Expressions use the calculator's own operator symbols (+ − × ÷ ^) with the ASCII
+ * forms (- * /) accepted as aliases, parentheses for grouping and unary signs.
+ * ^ (power) is right-associative and binds tighter than a leading sign, so -2 ^ 2 = -4.
+ * Names stand for variables ("rate") and call functions ("tax(100)", arguments separated
+ * by ',' or ';'); their values come from the caller, see evaluate() and
+ * src/utils/variables.js. The keypad's functions (sqrt, sin, ln...) and constants (pi, e)
+ * are built in, with the keypad's domain rules. Parsing is precedence climbing over
+ * BINARY_OPERATORS; evaluation uses the exact decimal arithmetic in ./decimal.
+ */
+import {
+  DEFAULT_PRECISION,
+  add,
+  divide,
+  isZero,
+  multiply,
+  negate,
+  parseLiteral,
+  sqrt,
+  subtract,
+} from './decimal';
+import { CONSTANT_NAMES, applyFunction, constantValue, power } from './scientific';
+
+// Functions of one argument every expression may call: the square root and the named
+// scientific functions of the keypad.
+export const BUILTIN_FUNCTIONS = ['sqrt', 'sin', 'cos', 'tan', 'asin', 'acos', 'atan', 'ln', 'log'];
+
+// Constants every expression may use.
+export const BUILTIN_CONSTANTS = CONSTANT_NAMES;
+
+// Binary operators by symbol: higher precedence binds tighter.
+const BINARY_OPERATORS = {
+  '+': { precedence: 1, associativity: 'left', apply: (a, b) => add(a, b) },
+  '−': { precedence: 1, associativity: 'left', apply: (a, b) => subtract(a, b) },
+  '×': { precedence: 2, associativity: 'left', apply: (a, b) => multiply(a, b) },
+  '÷': {
+    precedence: 2,
+    associativity: 'left',
+    apply: (a, b, precision) => {
+      if (isZero(b)) throw new ExpressionError('Cannot divide by zero');
+      return divide(a, b, precision);
+    },
+  },
+  '^': {
+    precedence: 4,
+    associativity: 'right',
+    apply: (a, b, precision) => {
+      try {
+        return power(a, b, precision);
+      } catch (err) {
+        if (err instanceof RangeError) throw new ExpressionError(err.message);
+        throw err;
+      }
+    },
+  },
+};
+
+// Binding strength of a leading sign: tighter than × and ÷, looser than ^.
+const UNARY_PRECEDENCE = 3;
+
+// Prefix operators allowed in front of an operand.
+const UNARY_OPERATORS = {
+  '+': (a) => a,
+  '−': (a) => negate(a),
+};
+
+const OPERATOR_ALIASES = { '-': '−', '*': '×', '/': '÷', x: '×', X: '×' };
+
+// Decimal literal with an optional exponent as typed with the EXP key ("1.5e-7").
+const NUMBER_PATTERN = /^(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/;
+
+// Variable, function or parameter name ("rate", "tax", "x_2").
+const NAME_PATTERN = /^[A-Za-z_]\w*/;
+
+// Argument separators; ';' suits locales that write decimal commas.
+const SEPARATORS = [',', ';'];
+
+// Token types an operand ends with.
+const OPERAND_ENDS = ['number', 'name', 'rparen'];
+
+// PUBLIC_INTERFACE
+export class ExpressionError extends Error {
+  /**
+   * Error raised for malformed or unevaluable expressions.
+   * The message is user-facing and shown in the calculator display.
+   * @param {string} message - descriptive message
+   * @param {number|null} position - character offset in the source text, when known
+   */
+  constructor(message, position = null) {
+    super(message);
+    this.name = 'ExpressionError';
+    this.position = position;
+  }
+}
+
+/**
+ * Utility: Own property of a lookup table, so names like 'constructor' are not found on
+ * the prototype.
+ * @returns {any} undefined when the table has no such name
+ */
+function lookup(table, name) {
+  return Object.prototype.hasOwnProperty.call(table, name) ? table[name] : undefined;
+}
+
+/**
+ * Utility: Describe a token for error messages.
+ * @param {{type: string, value: string}|undefined} token
+ * @returns {string}
+ */
+function describe(token) {
+  return token ? `'${token.value}'` : 'end of expression';
+}
+
+// PUBLIC_INTERFACE
+export function tokenize(text) {
+  /**
+   * Split expression text into tokens.
+   * An 'x' right after an operand is the multiplication sign ("2 x 3"); anywhere else it
+   * starts a name ("tax(x)").
+   * @param {string} text - expression source, e.g. "2 + 3 × (4 − 1)" or "tax(x) × 2"
+   * @returns {{type: 'number'|'name'|'operator'|'lparen'|'rparen'|'comma', value: string,
+   *   position: number}[]} separators all have the value ','
+   * @throws {ExpressionError} on characters that are not part of the expression syntax
+   */
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i += 1;
+      continue;
+    }
+    const number = NUMBER_PATTERN.exec(text.slice(i));
+    if (number) {
+      tokens.push({ type: 'number', value: number[0], position: i });
+      i += number[0].length;
+      continue;
+    }
+    const last = tokens[tokens.length - 1];
+    const times = (ch === 'x' || ch === 'X') && last && OPERAND_ENDS.includes(last.type);
+    const name = times ? null : NAME_PATTERN.exec(text.slice(i));
+    if (name) {
+      tokens.push({ type: 'name', value: name[0], position: i });
+      i += name[0].length;
+      continue;
+    }
+    const op = OPERATOR_ALIASES[ch] || ch;
+    if (SEPARATORS.includes(ch)) {
+      tokens.push({ type: 'comma', value: ',', position: i });
+    } else if (BINARY_OPERATORS[op] || UNARY_OPERATORS[op]) {
+      tokens.push({ type: 'operator', value: op, position: i });
+    } else if (ch === '(') {
+      tokens.push({ type: 'lparen', value: ch, position: i });
+    } else if (ch === ')') {
+      tokens.push({ type: 'rparen', value: ch, position: i });
+    } else {
+      throw new ExpressionError(`Unexpected character '${ch}'`, i);
+    }
+    i += 1;
+  }
+  return tokens;
+}
+
+// PUBLIC_INTERFACE
+export function parse(tokens) {
+  /**
+   * Build an abstract syntax tree from tokens, honouring precedence and associativity.
+   * Node shapes:
+   * - { type: 'number', value: string }
+   * - { type: 'name', name: string }
+   * - { type: 'call', name: string, args: object[] }
+   * - { type: 'unary', op, operand }
+   * - { type: 'binary', op, left, right }
+   * @param {ReturnType<typeof tokenize>} tokens
+   * @returns {object} AST root
+   * @throws {ExpressionError} on syntax errors
+   */
+  let index = 0;
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+
+  const parsePrimary = () => {
+    const token = next();
+    if (!token) throw new ExpressionError('Expression is incomplete');
+    if (token.type === 'number') return { type: 'number', value: token.value };
+    if (token.type === 'name') {
+      if (!peek() || peek().type !== 'lparen') return { type: 'name', name: token.value };
+      return { type: 'call', name: token.value, args: parseArguments(next()) };
+    }
+    if (token.type === 'operator' && UNARY_OPERATORS[token.value]) {
+      return { type: 'unary', op: token.value, operand: parseBinary(UNARY_PRECEDENCE) };
+    }
+    if (token.type === 'lparen') {
+      if (peek() && peek().type === 'rparen') {
+        throw new ExpressionError('Empty parentheses', peek().position);
+      }
+      const inner = parseBinary(1);
+      const closing = next();
+      if (!closing) throw new ExpressionError('Missing closing parenthesis', token.position);
+      if (closing.type !== 'rparen') {
+        throw new ExpressionError(`Expected ')' but found ${describe(closing)}`, closing.position);
+      }
+      return inner;
+    }
+    if (token.type === 'rparen') {
+      throw new ExpressionError("Unexpected ')'", token.position);
+    }
+    throw new ExpressionError(`Expected a number but found ${describe(token)}`, token.position);
+  };
+
+  // Arguments of a call up to its closing parenthesis; `opening` is the '(' token
+  const parseArguments = (opening) => {
+    const args = [];
+    if (peek() && peek().type === 'rparen') {
+      next();
+      return args;
+    }
+    for (;;) {
+      args.push(parseBinary(1));
+      const separator = next();
+      if (!separator) throw new ExpressionError('Missing closing parenthesis', opening.position);
+      if (separator.type === 'rparen') return args;
+      if (separator.type !== 'comma') {
+        throw new ExpressionError(
+          `Expected ',' or ')' but found ${describe(separator)}`,
+          separator.position
+        );
+      }
+    }
+  };
+
+  const parseBinary = (minPrecedence) => {
+    let left = parsePrimary();
+    for (;;) {
+      const token = peek();
+      if (!token || token.type !== 'operator') break;
+      const info = BINARY_OPERATORS[token.value];
+      if (!info || info.precedence < minPrecedence) break;
+      next();
+      const nextMin = info.associativity === 'left' ? info.precedence + 1 : info.precedence;
+      left = { type: 'binary', op: token.value, left, right: parseBinary(nextMin) };
+    }
+    return left;
+  };
+
+  if (tokens.length === 0) throw new ExpressionError('Expression is empty');
+  const ast = parseBinary(1);
+  const rest = peek();
+  if (rest) {
+    if (rest.type === 'rparen') throw new ExpressionError("Unmatched ')'", rest.position);
+    throw new ExpressionError(`Unexpected ${describe(rest)}`, rest.position);
+  }
+  return ast;
+}
+
+/**
+ * Utility: Apply a built-in function with the keypad's domain rules: √ of a negative
+ * number, ln of 0 or tan of 90° are errors, as on the keypad.
+ */
+function applyBuiltin(name, value, { precision = DEFAULT_PRECISION, angleMode = 'DEG' }) {
+  try {
+    if (name === 'sqrt') return sqrt(value, precision);
+    return applyFunction(name, value, { angleMode, precision });
+  } catch (err) {
+    if (err instanceof RangeError) throw new ExpressionError(err.message);
+    throw err;
+  }
+}
+
+/**
+ * Utility: Evaluate a call of a user function: its body with the parameters bound to the
+ * arguments. `options.calling` lists the functions being evaluated, so a function that
+ * ends up calling itself is reported instead of recursing forever.
+ */
+function callFunction({ name, args }, options) {
+  const { variables = {}, functions = {}, locals = {}, calling = [] } = options;
+  const fn = lookup(functions, name);
+  if (!fn && BUILTIN_FUNCTIONS.includes(name)) {
+    if (args.length !== 1) throw new ExpressionError(`${name}() takes 1 argument`);
+    return applyBuiltin(name, evaluate(args[0], options), options);
+  }
+  if (!fn) {
+    if (lookup(locals, name) || lookup(variables, name)) {
+      throw new ExpressionError(`'${name}' is not a function`);
+    }
+    throw new ExpressionError(`Unknown function '${name}'`);
+  }
+  if (args.length !== fn.params.length) {
+    const count = fn.params.length;
+    throw new ExpressionError(`${name}() takes ${count} argument${count === 1 ? '' : 's'}`);
+  }
+  if (calling.includes(name)) {
+    const cycle = [...calling.slice(calling.indexOf(name)), name];
+    throw new ExpressionError(`Recursion: ${cycle.join(' → ')}`);
+  }
+  const values = args.map((arg) => evaluate(arg, options));
+  const bindings = {};
+  fn.params.forEach((param, index) => {
+    bindings[param] = values[index];
+  });
+  return evaluate(parse(tokenize(fn.body)), {
+    ...options,
+    locals: bindings,
+    calling: [...calling, name],
+  });
+}
+
+// PUBLIC_INTERFACE
+export function evaluate(ast, options = {}) {
+  /**
+   * Evaluate an AST with exact decimal arithmetic.
+   * @param {object} ast - tree produced by parse()
+   * @param {{precision?: number, angleMode?: string, variables?: object, functions?: object}}
+   *   options
+   *   precision - decimal places kept by division
+   *   angleMode - unit of the trigonometric functions, 'DEG' by default
+   *   variables - decimal value of each variable name
+   *   functions - { params: string[], body: string } of each function name; the body is
+   *     expression text that sees its parameters and the variables
+   * @returns {{coef: bigint, scale: number}} decimal result
+   * @throws {ExpressionError} on division by zero, arguments outside a built-in function's
+   *   domain, unknown names, calls with the wrong number of arguments and recursion
+   * @throws {RangeError} OVERFLOW / UNDERFLOW for number literals too large or small to
+   *   hold ("1e99999")
+   */
+  const { precision = DEFAULT_PRECISION, variables = {}, functions = {}, locals = {} } = options;
+  switch (ast.type) {
+    case 'number':
+      return parseLiteral(ast.value);
+    case 'name': {
+      const value = lookup(locals, ast.name) || lookup(variables, ast.name);
+      if (value) return value;
+      if (BUILTIN_CONSTANTS.includes(ast.name)) return constantValue(ast.name, precision);
+      if (lookup(functions, ast.name) || BUILTIN_FUNCTIONS.includes(ast.name)) {
+        throw new ExpressionError(`'${ast.name}' is a function: call it as ${ast.name}(…)`);
+      }
+      throw new ExpressionError(`Unknown name '${ast.name}'`);
+    }
+    case 'call':
+      return callFunction(ast, options);
+    case 'unary':
+      return UNARY_OPERATORS[ast.op](evaluate(ast.operand, options));
+    case 'binary':
+      return BINARY_OPERATORS[ast.op].apply(
+        evaluate(ast.left, options),
+        evaluate(ast.right, options),
+        precision
+      );
+    default:
+      throw new ExpressionError(`Unknown node '${ast.type}'`);
+  }
+}
+
+// PUBLIC_INTERFACE
+export function evaluateExpression(text, options = {}) {
+  /**
+   * Tokenize, parse and evaluate expression text in one step.
+   * @param {string} text
+   * @param {{precision?: number, angleMode?: string, variables?: object, functions?: object}}
+   *   options - see evaluate()
+   * @returns {{coef: bigint, scale: number}} decimal result
+   * @throws {ExpressionError}
+   */
+  return evaluate(parse(tokenize(text)), options);
+}
@@ -0,0 +1,121 @@
+import { toDecimalString } from './decimal';
+import { ExpressionError, evaluateExpression, parse, tokenize } from './expression';
+
+const evalStr = (text, options) => toDecimalString(evaluateExpression(text, options));
+
+test('tokenizes numbers, operators and parentheses with ASCII aliases', () => {
+  expect(tokenize('2 * (3.5 - .5)').map((t) => t.value)).toEqual(['2', '×', '(', '3.5', '−', '.5', ')']);
+  expect(() => tokenize('2 $ 3')).toThrow("Unexpected character '$'");
+});
+
+test('multiplication and division bind tighter than addition and subtraction', () => {
+  expect(evalStr('2 + 3 × 4')).toBe('14');
+  expect(evalStr('10 − 6 ÷ 2')).toBe('7');
+});
+
+test('operators of equal precedence are left-associative', () => {
+  expect(evalStr('10 − 4 − 3')).toBe('3');
+  expect(evalStr('64 ÷ 4 ÷ 2')).toBe('8');
+});
+
+test('parentheses group terms', () => {
+  expect(evalStr('(2 + 3) × 4')).toBe('20');
+  expect(evalStr('2 × ((1 + 1) × (3 − 1))')).toBe('8');
+});
+
+test('unary signs', () => {
+  expect(evalStr('−2 × 3')).toBe('-6');
+  expect(evalStr('4 − -2')).toBe('6');
+  expect(evalStr('−(1 + 2)')).toBe('-3');
+});
+
+test('evaluation uses exact decimals and the given precision', () => {
+  expect(evalStr('0.1 + 0.2')).toBe('0.3');
+  expect(evalStr('2 ÷ 3', { precision: 3 })).toBe('0.667');
+});
+
+test('syntax errors are descriptive ExpressionErrors', () => {
+  const message = (text) => {
+    try {
+      parse(tokenize(text));
+    } catch (err) {
+      expect(err).toBeInstanceOf(ExpressionError);
+      return err.message;
+    }
+    return null;
+  };
+  expect(message('')).toBe('Expression is empty');
+  expect(message('(2 + 3')).toBe('Missing closing parenthesis');
+  expect(message('2 + 3)')).toBe("Unmatched ')'");
+  expect(message('2 +')).toBe('Expression is incomplete');
+  expect(message('2 × × 3')).toBe("Expected a number but found '×'");
+  expect(message('()')).toBe('Empty parentheses');
+  expect(message('2 3')).toBe("Unexpected '3'");
+});
+
+test('division by zero is reported', () => {
+  expect(() => evaluateExpression('1 ÷ (2 − 2)')).toThrow('Cannot divide by zero');
+});
+
+test('power is right-associative and binds tighter than a leading sign', () => {
+  expect(evalStr('2 ^ 3 ^ 2')).toBe('512');
+  expect(evalStr('−2 ^ 2')).toBe('-4');
+  expect(evalStr('2 × 3 ^ 2')).toBe('18');
+  expect(evalStr('2 ^ −1')).toBe('0.5');
+  expect(() => evaluateExpression('0 ^ −1')).toThrow(ExpressionError);
+});
+
+test('numbers may carry an exponent entered with EXP', () => {
+  expect(tokenize('1.5e+3 × 2e-1').map((t) => t.value)).toEqual(['1.5e+3', '×', '2e-1']);
+  expect(evalStr('1.5e+3 × 2e-1')).toBe('300');
+  expect(() => evaluateExpression('10 ^ 10000')).toThrow('Overflow');
+});
+
+test('names are variables and function calls, with x as a name or the times sign', () => {
+  expect(tokenize('tax(x; 2) x 3').map((t) => `${t.type}:${t.value}`)).toEqual([
+    'name:tax',
+    'lparen:(',
+    'name:x',
+    'comma:,',
+    'number:2',
+    'rparen:)',
+    'operator:×',
+    'number:3',
+  ]);
+  const options = {
+    variables: { rate: { coef: 725n, scale: 4 } },
+    functions: {
+      tax: { params: ['x'], body: 'x × rate' },
+      gross: { params: ['x', 'y'], body: 'x + tax(x) + y' },
+    },
+  };
+  expect(evalStr('tax(200)', options)).toBe('14.5');
+  expect(evalStr('gross(200, 1) − rate', options)).toBe('215.4275');
+  expect(() => evaluateExpression('tax(1, 2)', options)).toThrow('tax() takes 1 argument');
+  expect(() => evaluateExpression('rate(2)', options)).toThrow("'rate' is not a function");
+  expect(() => evaluateExpression('tax + 1', options)).toThrow("'tax' is a function");
+  expect(() => evaluateExpression('fee(1)', options)).toThrow("Unknown function 'fee'");
+  expect(() => evaluateExpression('2 × constructor', options)).toThrow(
+    "Unknown name 'constructor'"
+  );
+  expect(() => parse(tokenize('tax(1 2)'))).toThrow("Expected ',' or ')' but found '2'");
+});
+
+test('functions that call themselves are reported', () => {
+  const functions = {
+    f: { params: ['n'], body: 'g(n) + 1' },
+    g: { params: ['n'], body: 'f(n)' },
+  };
+  expect(() => evaluateExpression('f(1)', { functions })).toThrow('Recursion: f → g → f');
+});
+
+test('built-in functions and constants follow the keypad domain rules', () => {
+  expect(evalStr('sqrt(16) + 2 × pi', { precision: 4 })).toBe('10.2832');
+  expect(evalStr('sin(x)', { angleMode: 'RAD', variables: { x: { coef: 0n, scale: 0 } } })).toBe('0');
+  expect(evalStr('cos(60)')).toBe('0.5');
+  expect(() => evaluateExpression('sqrt(−4)')).toThrow('Square root of a negative number');
+  expect(() => evaluateExpression('ln(0)')).toThrow(ExpressionError);
+  expect(() => evaluateExpression('tan(90)')).toThrow('Tangent is undefined for this angle');
+  expect(() => evaluateExpression('sqrt(1, 2)')).toThrow('sqrt() takes 1 argument');
+  expect(() => evaluateExpression('sqrt + 1')).toThrow("'sqrt' is a function");
+});
@@ -0,0 +1,484 @@
+/**
+ * Financial functions: time value of money (TVM), compound interest, amortization
+ * schedules, NPV and IRR over a cash-flow list, and markup, margin and tax operators.
+ *
+ * Values are canonical decimal strings in and out, and the arithmetic is the exact
+ * decimal arithmetic of ./decimal: powers of (1 + i) are built by repeated squaring and
+ * every intermediate result keeps GUARD_DIGITS more places than the requested precision,
+ * so 0.1 % of a million is never 999.9999999. Rates (I/Y, IRR) that have no closed form
+ * are found with a bracketing root finder in the same arithmetic.
+ *
+ * Cash-flow sign convention, as on financial calculators: money received is positive,
+ * money paid out negative. A loan of 200000 (PV) is repaid with a negative PMT:
+ *
+ *   PV·(1 + i)^N + PMT·(1 + i·t)·((1 + i)^N − 1) / i + FV = 0
+ *
+ * where i = I/Y ÷ 100 ÷ P/Y is the rate per period and t is 1 when payments are made at
+ * the start of each period (BGN) and 0 at the end (END).
+ */
+import {
+  DEFAULT_PRECISION,
+  add,
+  checkRange,
+  compare,
+  divide,
+  isNegative,
+  isZero,
+  multiply,
+  negate,
+  parseDecimal,
+  round,
+  roundToPrecision,
+  subtract,
+  toDecimalString,
+  toNumber,
+} from './decimal';
+
+// TVM registers in keypad order: [id, label].
+export const TVM_REGISTERS = [
+  ['N', 'N'],
+  ['IY', 'I/Y'],
+  ['PV', 'PV'],
+  ['PMT', 'PMT'],
+  ['FV', 'FV'],
+];
+
+// Payments (and compounding periods) per year offered by the P/Y selector.
+export const PAYMENTS_PER_YEAR = [1, 2, 4, 12, 26, 52, 365];
+
+// Binary operators for pricing, used like + and × (200 MU 25 = 250):
+// MU adds a markup, MG prices for a margin on the selling price, +TAX adds tax and −TAX
+// takes included tax back out; the right operand is a percentage.
+export const FINANCIAL_OPERATORS = ['MU', 'MG', '+TAX', '−TAX'];
+
+// Longest amortization schedule, in periods (100 years of monthly payments).
+export const MAX_SCHEDULE_PERIODS = 1200;
+
+// Decimal places of the amounts in an amortization schedule.
+export const SCHEDULE_DECIMALS = 2;
+
+// Most cash flows NPV and IRR work on.
+export const MAX_CASH_FLOWS = 100;
+
+// Extra decimal places carried through intermediate results.
+const GUARD_DIGITS = 10;
+
+// Root finder steps before a rate is reported as not found.
+const MAX_ITERATIONS = 200;
+
+// Rates per period tried when looking for a sign change to start the root finder from.
+const RATE_GRID = [
+  '-0.99', '-0.9', '-0.75', '-0.5', '-0.25', '-0.1', '-0.05', '-0.01', '0', '0.01', '0.02',
+  '0.05', '0.1', '0.15', '0.2', '0.3', '0.5', '0.75', '1', '2', '5', '10',
+].map(parseDecimal);
+
+const ZERO = parseDecimal('0');
+const ONE = parseDecimal('1');
+const PERCENT = parseDecimal('0.01');
+
+// PUBLIC_INTERFACE
+export class FinancialError extends Error {
+  /**
+   * Error raised for financial calculations that have no answer, e.g. a rate that cannot
+   * be found. The message is user-facing and shown on the display.
+   * @param {string} message - descriptive message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'FinancialError';
+  }
+}
+
+/**
+ * Utility: Read a value as a decimal.
+ * @param {string} value - canonical decimal text
+ * @param {string} name - shown in the error, e.g. "PV"
+ * @throws {FinancialError}
+ */
+function toDecimal(value, name) {
+  const dec = parseDecimal(value);
+  if (!dec) throw new FinancialError(`${name} is not a number`);
+  return dec;
+}
+
+/**
+ * Utility: Sign of a decimal: -1, 0 or 1.
+ */
+function sign(d) {
+  if (isZero(d)) return 0;
+  return isNegative(d) ? -1 : 1;
+}
+
+/**
+ * Utility: |d| < 10^-places.
+ */
+function isNegligible(d, places) {
+  const abs = isNegative(d) ? negate(d) : d;
+  return compare(abs, parseDecimal(`1e-${places}`)) < 0;
+}
+
+/**
+ * Utility: A result as canonical text, rounded to the requested precision.
+ */
+function result(d, precision) {
+  return toDecimalString(roundToPrecision(d, precision));
+}
+
+/**
+ * Utility: Rate per period from an annual percentage: I/Y ÷ 100 ÷ P/Y.
+ */
+function periodicRate(annualPercent, paymentsPerYear, work) {
+  return divide(multiply(annualPercent, PERCENT), parseDecimal(String(paymentsPerYear)), work);
+}
+
+/**
+ * Utility: (1 + rate)^periods. Whole numbers of periods use repeated squaring rounded to
+ * `work` places; fractional ones fall back to floating point.
+ * @throws {FinancialError} when 1 + rate is not positive
+ * @throws {RangeError} when the result is not finite
+ */
+function growth(rate, periods, work) {
+  const base = add(ONE, rate);
+  if (sign(base) <= 0) throw new FinancialError('Interest rate must be above -100%');
+  if (periods.scale !== 0) {
+    const value = Math.pow(toNumber(base), toNumber(periods));
+    const dec = parseDecimal(value);
+    if (!dec || (value === 0 && !isZero(base))) throw new RangeError('Overflow');
+    return round(dec, work);
+  }
+  let power = ONE;
+  let square = base;
+  // checkRange stops a long loan at a high rate before the digits run away
+  for (let k = Math.abs(toNumber(periods)); k > 0; k = Math.floor(k / 2)) {
+    if (k % 2 === 1) power = checkRange(round(multiply(power, square), work));
+    if (k > 1) square = checkRange(round(multiply(square, square), work));
+  }
+  return isNegative(periods) ? divide(ONE, power, work) : power;
+}
+
+/**
+ * Utility: The TVM equation's left-hand side for a rate per period (0 when balanced).
+ * @param {object} tvm - decimals N, PV, PMT, FV
+ * @param {object} rate - decimal rate per period
+ * @param {boolean} paymentsAtStart
+ * @param {number} work - decimal places carried
+ */
+function tvmBalance({ N, PV, PMT, FV }, rate, paymentsAtStart, work) {
+  if (isZero(rate)) return add(add(PV, multiply(PMT, N)), FV);
+  const g = growth(rate, N, work);
+  const payments = multiply(annuityFactor(rate, paymentsAtStart), subtract(g, ONE));
+  const annuity = divide(payments, rate, work);
+  return add(add(round(multiply(PV, g), work), round(multiply(PMT, annuity), work)), FV);
+}
+
+/**
+ * Utility: 1 + i·t: payments at the start of a period earn one period's interest more.
+ */
+function annuityFactor(rate, paymentsAtStart) {
+  return paymentsAtStart ? add(ONE, rate) : ONE;
+}
+
+/**
+ * Utility: Find a root of f (a rate per period) with the Illinois variant of regula
+ * falsi, starting from the sign change in RATE_GRID closest to 0.
+ * @param {(rate: object) => object} f
+ * @param {number} precision - the root is refined to about precision + 2 places
+ * @param {string} failure - message when no root is found
+ * @returns {object} decimal rate per period
+ * @throws {FinancialError}
+ */
+function findRate(f, precision, failure) {
+  const work = precision + GUARD_DIGITS;
+  const safe = (rate) => {
+    try {
+      return f(rate);
+    } catch (err) {
+      if (err instanceof RangeError) return null;
+      throw err;
+    }
+  };
+  const values = RATE_GRID.map((rate) => ({ rate, value: safe(rate) }));
+  const brackets = [];
+  values.forEach((point, index) => {
+    if (point.value !== null && isZero(point.value)) brackets.push([point, point]);
+    const next = values[index + 1];
+    if (!next || point.value === null || next.value === null) return;
+    if (sign(point.value) * sign(next.value) < 0) brackets.push([point, next]);
+  });
+  if (!brackets.length) throw new FinancialError(failure);
+  const distance = ([low, high]) => Math.abs(toNumber(low.rate) + toNumber(high.rate));
+  brackets.sort((x, y) => distance(x) - distance(y));
+  let [{ rate: a, value: fa }, { rate: b, value: fb }] = brackets[0];
+  if (isZero(fa)) return a;
+
+  try {
+    for (let i = 0; i < MAX_ITERATIONS; i += 1) {
+      const step = divide(multiply(fb, subtract(b, a)), subtract(fb, fa), work);
+      const c = round(subtract(b, step), work);
+      const fc = f(c);
+      if (isZero(fc) || isNegligible(subtract(c, b), precision + 2)) return c;
+      if (sign(fc) !== sign(fb)) {
+        a = b;
+        fa = fb;
+      } else {
+        fa = divide(fa, parseDecimal('2'), work);
+      }
+      b = c;
+      fb = fc;
+    }
+  } catch (err) {
+    if (!(err instanceof RangeError)) throw err;
+  }
+  throw new FinancialError(failure);
+}
+
+// PUBLIC_INTERFACE
+export function solveTVM(
+  target,
+  registers,
+  { paymentsPerYear = 12, paymentsAtStart = false, precision = DEFAULT_PRECISION } = {}
+) {
+  /**
+   * Compute one TVM register from the other four.
+   * @param {'N'|'IY'|'PV'|'PMT'|'FV'} target
+   * @param {{N: string, IY: string, PV: string, PMT: string, FV: string}} registers -
+   *   canonical decimal text; I/Y is the annual rate in percent; the target is ignored
+   * @param {{paymentsPerYear?: number, paymentsAtStart?: boolean, precision?: number}} options
+   * @returns {string} canonical decimal text, e.g. solveTVM('PMT', { N: '360', IY: '6',
+   *   PV: '200000', FV: '0' }) → "-1199.1010503055"
+   * @throws {FinancialError} when the registers allow no answer
+   * @throws {RangeError} on overflow
+   */
+  const work = precision + GUARD_DIGITS;
+  const values = {};
+  TVM_REGISTERS.forEach(([id, label]) => {
+    values[id] = id === target ? null : toDecimal(registers[id], label);
+  });
+  const { N, PV, PMT, FV } = values;
+  const rate = target === 'IY' ? null : periodicRate(values.IY, paymentsPerYear, work);
+  // The equation is linear in PV, PMT and FV: solve from its value without the target
+  const balance = (changes) => tvmBalance({ ...values, ...changes }, rate, paymentsAtStart, work);
+
+  switch (target) {
+    case 'FV':
+      return result(negate(balance({ FV: ZERO })), precision);
+    case 'PV': {
+      const g = isZero(rate) ? ONE : growth(rate, N, work);
+      return result(negate(divide(balance({ PV: ZERO }), g, work)), precision);
+    }
+    case 'PMT': {
+      const perPayment = balance({ PV: ZERO, PMT: ONE, FV: ZERO });
+      if (isZero(perPayment)) throw new FinancialError('PMT needs N above 0');
+      return result(negate(divide(balance({ PMT: ZERO }), perPayment, work)), precision);
+    }
+    case 'N': {
+      if (isZero(rate)) {
+        if (isZero(PMT)) throw new FinancialError('N needs a rate or a payment');
+        return result(negate(divide(add(PV, FV), PMT, work)), precision);
+      }
+      const payment = multiply(PMT, annuityFactor(rate, paymentsAtStart));
+      const ratio = divide(
+        subtract(payment, multiply(FV, rate)),
+        add(payment, multiply(PV, rate)),
+        work
+      );
+      const periods =
+        sign(ratio) > 0 ? Math.log(toNumber(ratio)) / Math.log(toNumber(add(ONE, rate))) : NaN;
+      if (!Number.isFinite(periods)) {
+        throw new FinancialError('No number of periods balances these values');
+      }
+      return result(parseDecimal(periods.toPrecision(15)), precision);
+    }
+    case 'IY': {
+      const periodic = findRate(
+        (r) => tvmBalance({ N, PV, PMT, FV }, r, paymentsAtStart, work),
+        precision,
+        'No interest rate balances these values'
+      );
+      const annual = multiply(periodic, parseDecimal(String(paymentsPerYear * 100)));
+      return result(annual, precision);
+    }
+    default:
+      throw new FinancialError(`Unknown register '${target}'`);
+  }
+}
+
+// PUBLIC_INTERFACE
+export function compoundInterest(
+  { principal, annualRate, periods, periodsPerYear = 12 },
+  precision = DEFAULT_PRECISION
+) {
+  /**
+   * Balance and interest earned on a principal compounded periodsPerYear times a year.
+   * @param {{principal: string, annualRate: string, periods: string,
+   *   periodsPerYear?: number}} values - annualRate in percent; periods is the number of
+   *   compounding periods
+   * @param {number} [precision]
+   * @returns {{balance: string, interest: string}} e.g. 1000 at 5% yearly for 10 periods →
+   *   { balance: "1628.8946267774", interest: "628.8946267774" }
+   * @throws {FinancialError}
+   */
+  const work = precision + GUARD_DIGITS;
+  const amount = toDecimal(principal, 'PV');
+  const rate = periodicRate(toDecimal(annualRate, 'I/Y'), periodsPerYear, work);
+  const balance = round(multiply(amount, growth(rate, toDecimal(periods, 'N'), work)), work);
+  return {
+    balance: result(balance, precision),
+    interest: result(subtract(balance, amount), precision),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function amortizationSchedule(
+  registers,
+  { paymentsPerYear = 12, paymentsAtStart = false, precision = DEFAULT_PRECISION } = {}
+) {
+  /**
+   * Period-by-period split of each payment into interest and principal.
+   * @param {{N: string, IY: string, PV: string, PMT: string}} registers - as for solveTVM();
+   *   N must be a whole number of periods from 1 to MAX_SCHEDULE_PERIODS
+   * @param {{paymentsPerYear?: number, paymentsAtStart?: boolean, precision?: number}} options
+   *   - precision sets the places the rate and balances are carried to, as for solveTVM()
+   * @returns {{rows: Array<{period: number, payment: string, interest: string,
+   *   principal: string, balance: string}>, totalInterest: string, totalPrincipal: string}}
+   *   amounts rounded to SCHEDULE_DECIMALS places; the balance is carried unrounded, so
+   *   the last one shows what is left over (FV)
+   * @throws {FinancialError}
+   */
+  const work = precision + GUARD_DIGITS;
+  const periods = toDecimal(registers.N, 'N');
+  const count = toNumber(periods);
+  if (periods.scale !== 0 || count < 1 || count > MAX_SCHEDULE_PERIODS) {
+    throw new FinancialError(
+      `The schedule needs N to be a whole number from 1 to ${MAX_SCHEDULE_PERIODS}`
+    );
+  }
+  const rate = periodicRate(toDecimal(registers.IY, 'I/Y'), paymentsPerYear, work);
+  const payment = toDecimal(registers.PMT, 'PMT');
+  const growthFactor = add(ONE, rate);
+  // Amounts keep their trailing zeros: "-1199.10"
+  const money = (d) => {
+    const [whole, fraction = ''] = toDecimalString(round(d, SCHEDULE_DECIMALS)).split('.');
+    return `${whole}.${fraction.padEnd(SCHEDULE_DECIMALS, '0')}`;
+  };
+  const rows = [];
+  let balance = toDecimal(registers.PV, 'PV');
+  let totalInterest = ZERO;
+  for (let period = 1; period <= count; period += 1) {
+    const next = paymentsAtStart
+      ? round(multiply(add(balance, payment), growthFactor), work)
+      : round(add(multiply(balance, growthFactor), payment), work);
+    const interest = subtract(subtract(next, balance), payment);
+    rows.push({
+      period,
+      payment: money(payment),
+      interest: money(interest),
+      principal: money(subtract(balance, next)),
+      balance: money(next),
+    });
+    totalInterest = add(totalInterest, interest);
+    balance = next;
+  }
+  return {
+    rows,
+    totalInterest: money(totalInterest),
+    totalPrincipal: money(subtract(toDecimal(registers.PV, 'PV'), balance)),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function scheduleToCSV(schedule) {
+  /**
+   * Serialize an amortization schedule as CSV with a header row.
+   * @param {{rows: Array}} schedule - from amortizationSchedule()
+   * @returns {string}
+   */
+  const rows = schedule.rows.map((row) =>
+    [row.period, row.payment, row.interest, row.principal, row.balance].join(',')
+  );
+  return ['period,payment,interest,principal,balance', ...rows].join('\r\n');
+}
+
+/**
+ * Utility: Net present value of cash flows (the first one now, one per period after it).
+ */
+function presentValue(rate, flows, work) {
+  const discount = add(ONE, rate);
+  if (sign(discount) <= 0) throw new FinancialError('Discount rate must be above -100%');
+  let factor = ONE;
+  let total = ZERO;
+  flows.forEach((flow, index) => {
+    if (index > 0) factor = divide(factor, discount, work);
+    total = add(total, round(multiply(flow, factor), work));
+  });
+  return total;
+}
+
+// PUBLIC_INTERFACE
+export function netPresentValue(ratePercent, cashFlows, precision = DEFAULT_PRECISION) {
+  /**
+   * Net present value of a cash-flow list at a discount rate.
+   * @param {string} ratePercent - discount rate per period, in percent
+   * @param {string[]} cashFlows - CF0 (now), CF1 (after one period), ...
+   * @param {number} [precision]
+   * @returns {string} e.g. netPresentValue('10', ['-1000', '500', '600']) → "-49.5867768595"
+   * @throws {FinancialError}
+   */
+  if (!cashFlows.length) throw new FinancialError('Add cash flows first');
+  const work = precision + GUARD_DIGITS;
+  const rate = multiply(toDecimal(ratePercent, 'Rate'), PERCENT);
+  const flows = cashFlows.map((flow, index) => toDecimal(flow, `CF${index}`));
+  return result(presentValue(rate, flows, work), precision);
+}
+
+// PUBLIC_INTERFACE
+export function internalRateOfReturn(cashFlows, precision = DEFAULT_PRECISION) {
+  /**
+   * The discount rate at which a cash-flow list's net present value is 0. With several
+   * such rates, the one closest to 0 is returned.
+   * @param {string[]} cashFlows - CF0 (now), CF1 (after one period), ...
+   * @param {number} [precision]
+   * @returns {string} rate per period in percent, e.g. ['-1000', '600', '600'] → "13.0662386292"
+   * @throws {FinancialError} without both a positive and a negative flow, or when no
+   *   rate is found
+   */
+  const flows = cashFlows.map((flow, index) => toDecimal(flow, `CF${index}`));
+  if (!flows.some((flow) => sign(flow) > 0) || !flows.some((flow) => sign(flow) < 0)) {
+    throw new FinancialError('IRR needs both incoming and outgoing cash flows');
+  }
+  const work = precision + GUARD_DIGITS;
+  const npv = (rate) => presentValue(rate, flows, work);
+  const rate = findRate(npv, precision, 'No IRR found for these cash flows');
+  return result(multiply(rate, parseDecimal('100')), precision);
+}
+
+// PUBLIC_INTERFACE
+export function applyFinancialOperator(amount, percent, op, precision = DEFAULT_PRECISION) {
+  /**
+   * Apply a pricing operator (see FINANCIAL_OPERATORS).
+   * @param {{coef: bigint, scale: number}} amount - left operand, e.g. a cost
+   * @param {{coef: bigint, scale: number}} percent - right operand, a percentage
+   * @param {'MU'|'MG'|'+TAX'|'−TAX'} op
+   * @param {number} [precision] - decimal places kept by division
+   * @returns {{coef: bigint, scale: number}} e.g. 80 MG 20 → 100 (a 20% margin on 100 is 20)
+   * @throws {FinancialError} for a margin of 100% or more, or a tax rate of -100% or less
+   */
+  const fraction = multiply(percent, PERCENT);
+  switch (op) {
+    case 'MU':
+    case '+TAX':
+      return multiply(amount, add(ONE, fraction));
+    case 'MG': {
+      const share = subtract(ONE, fraction);
+      if (sign(share) <= 0) throw new FinancialError('Margin must be below 100%');
+      return divide(amount, share, precision);
+    }
+    case '−TAX': {
+      const gross = add(ONE, fraction);
+      if (sign(gross) <= 0) throw new FinancialError('Tax rate must be above -100%');
+      return divide(amount, gross, precision);
+    }
+    default:
+      throw new FinancialError(`Unknown operator '${op}'`);
+  }
+}
@@ -0,0 +1,90 @@
+import { parseDecimal, toDecimalString } from './decimal';
+import {
+  FinancialError,
+  amortizationSchedule,
+  applyFinancialOperator,
+  compoundInterest,
+  internalRateOfReturn,
+  netPresentValue,
+  scheduleToCSV,
+  solveTVM,
+} from './financial';
+
+// A 30-year monthly mortgage of 200000 at 6%
+const MORTGAGE = { N: '360', IY: '6', PV: '200000', PMT: '-1199.1010503055', FV: '0' };
+
+test('each TVM register is solved from the other four', () => {
+  expect(solveTVM('PMT', MORTGAGE)).toBe('-1199.1010503055');
+  expect(solveTVM('PMT', MORTGAGE, { paymentsAtStart: true })).toBe('-1193.1353734383');
+  expect(solveTVM('IY', MORTGAGE)).toBe('6');
+  expect(solveTVM('PV', MORTGAGE, { precision: 4 })).toBe('200000');
+  expect(solveTVM('N', MORTGAGE, { precision: 4 })).toBe('360');
+  const savings = { N: '10', IY: '5', PV: '-1000', PMT: '-100', FV: '0' };
+  expect(solveTVM('FV', savings, { paymentsPerYear: 1 })).toBe('2886.6838803323');
+});
+
+test('TVM edge cases: zero rates and registers without an answer', () => {
+  expect(solveTVM('N', { N: '0', IY: '0', PV: '1000', PMT: '-100', FV: '0' })).toBe('10');
+  expect(solveTVM('IY', { N: '5', IY: '0', PV: '-1000', PMT: '0', FV: '1000' })).toBe('0');
+  expect(() => solveTVM('PMT', { ...MORTGAGE, N: '0' })).toThrow('PMT needs N above 0');
+  expect(() => solveTVM('IY', { N: '5', IY: '0', PV: '1000', PMT: '0', FV: '1000' })).toThrow(
+    FinancialError
+  );
+  expect(() => solveTVM('FV', { ...MORTGAGE, N: '1e9' })).toThrow('Overflow');
+});
+
+test('amortization schedules split payments into interest and principal', () => {
+  const schedule = amortizationSchedule(MORTGAGE);
+  expect(schedule.rows).toHaveLength(360);
+  expect(schedule.rows[0]).toEqual({
+    period: 1,
+    payment: '-1199.10',
+    interest: '1000.00',
+    principal: '199.10',
+    balance: '199800.90',
+  });
+  expect(schedule.rows[359].balance).toBe('0.00');
+  expect(schedule).toMatchObject({ totalInterest: '231676.38', totalPrincipal: '200000.00' });
+  expect(scheduleToCSV({ rows: schedule.rows.slice(0, 1) })).toBe(
+    'period,payment,interest,principal,balance\r\n1,-1199.10,1000.00,199.10,199800.90'
+  );
+  expect(() => amortizationSchedule({ ...MORTGAGE, N: '12.5' })).toThrow(
+    'needs N to be a whole number'
+  );
+});
+
+test('amortization schedules carry the rate and balances to the requested precision', () => {
+  const loan = { N: '360', IY: '7', PV: '1000000000000', PMT: '-6653024951.7918314692' };
+  expect(amortizationSchedule(loan).rows[359].balance).toBe('0.00');
+  expect(amortizationSchedule(loan, { precision: 2 }).rows[359].balance).toBe('-3.28');
+  expect(amortizationSchedule(loan, { precision: 30 }).rows[359].balance).toBe('0.00');
+});
+
+test('compound interest', () => {
+  const values = { principal: '1000', annualRate: '5', periods: '10', periodsPerYear: 1 };
+  expect(compoundInterest(values)).toEqual({
+    balance: '1628.8946267774',
+    interest: '628.8946267774',
+  });
+});
+
+test('NPV and IRR over a cash-flow list', () => {
+  expect(netPresentValue('10', ['-1000', '500', '600'])).toBe('-49.5867768595');
+  expect(() => netPresentValue('10', [])).toThrow('Add cash flows first');
+  expect(internalRateOfReturn(['-1000', '600', '600'])).toBe('13.0662386292');
+  // Two rates balance these flows (10% and 20%); the one closest to 0 is taken
+  expect(internalRateOfReturn(['-100', '230', '-132'])).toBe('10');
+  expect(() => internalRateOfReturn(['100', '200'])).toThrow(
+    'IRR needs both incoming and outgoing cash flows'
+  );
+});
+
+test('markup, margin and tax operators', () => {
+  const apply = (amount, percent, op) =>
+    toDecimalString(applyFinancialOperator(parseDecimal(amount), parseDecimal(percent), op));
+  expect(apply('200', '25', 'MU')).toBe('250');
+  expect(apply('80', '20', 'MG')).toBe('100');
+  expect(apply('100', '19', '+TAX')).toBe('119');
+  expect(apply('119', '19', '−TAX')).toBe('100');
+  expect(() => apply('80', '100', 'MG')).toThrow('Margin must be below 100%');
+});
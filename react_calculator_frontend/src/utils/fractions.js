@@ -0,0 +1,242 @@
+/**
+ * Exact rational arithmetic for fraction mode.
+ *
+ * A fraction is a plain object `{ num, den }` of BigInts in lowest terms with a positive
+ * denominator, so 1 ÷ 3 × 3 is exactly 1 and equal values have equal text. Fractions
+ * are written "7/3" (canonical), "2 1/3" (mixed number) or as a rounded decimal.
+ *
+ * Decimals convert both ways: "0.125" is exactly 1/8, and a repeating decimal is
+ * written with its period in parentheses, "0.1(6)" for 1/6. A decimal that was rounded
+ * to the display precision ("0.3333333333") reads back as the simplest fraction that
+ * rounds to it, see decimalToFraction().
+ */
+import { DEFAULT_PRECISION, divide, magnitude, parseDecimal, toDecimalString } from './decimal';
+
+// How fraction mode shows values, in the order the display key cycles: [id, label].
+export const FRACTION_DISPLAYS = [
+  ['fraction', 'Fraction'],
+  ['mixed', 'Mixed number'],
+  ['decimal', 'Decimal'],
+];
+
+// Most digits a numerator or denominator may have.
+export const MAX_FRACTION_DIGITS = 100;
+
+// Largest exponent for bases other than 0 and ±1; 2^400 already has 121 digits.
+const MAX_POWER = 400n;
+
+// "7/3", "-2 1/3": [, sign, whole, numerator, denominator].
+const FRACTION_PATTERN = /^([+-])?(?:(\d+)\s+)?(\d+)\/(\d+)$/;
+
+// "0.1(6)", "-.(3)": [, sign, integer digits, other decimals, repeating digits].
+const REPEATING_PATTERN = /^([+-])?(\d*)\.(\d*)\((\d+)\)$/;
+
+// PUBLIC_INTERFACE
+export class FractionError extends Error {
+  /**
+   * Error raised for fraction results that cannot be kept exactly. The message is
+   * user-facing.
+   * @param {string} message - descriptive message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'FractionError';
+  }
+}
+
+/**
+ * Utility: Absolute value of a BigInt.
+ */
+function absBig(n) {
+  return n < 0n ? -n : n;
+}
+
+/**
+ * Utility: Greatest common divisor of two BigInts (non-negative).
+ */
+function gcd(a, b) {
+  let x = absBig(a);
+  let y = absBig(b);
+  while (y !== 0n) [x, y] = [y, x % y];
+  return x;
+}
+
+/**
+ * Utility: 10^n as a BigInt.
+ */
+function pow10(n) {
+  return 10n ** BigInt(n);
+}
+
+/**
+ * Utility: num / den in lowest terms with a positive denominator.
+ * @throws {RangeError} for a zero denominator
+ */
+function fraction(num, den) {
+  if (den === 0n) throw new RangeError('Division by zero');
+  const divisor = gcd(num, den) || 1n;
+  const sign = den < 0n ? -1n : 1n;
+  return { num: (sign * num) / divisor, den: (sign * den) / divisor };
+}
+
+/**
+ * Utility: Digits of the longer of numerator and denominator.
+ */
+function digits(r) {
+  return Math.max(absBig(r.num).toString().length, r.den.toString().length);
+}
+
+/**
+ * Utility: The decimal {coef, scale} as an exact fraction.
+ */
+function fromDecimal(d) {
+  return fraction(d.coef, pow10(d.scale));
+}
+
+/**
+ * Utility: The simplest fraction (smallest denominator) in the interval [lo, hi] of
+ * positive fractions, found by walking their continued fractions.
+ */
+function simplestBetween(lo, hi) {
+  const whole = lo.num / lo.den;
+  if (whole * lo.den === lo.num) return { num: whole, den: 1n };
+  if ((whole + 1n) * hi.den <= hi.num) return { num: whole + 1n, den: 1n };
+  // Both ends lie between whole and whole + 1: continue with the reciprocals of the rest
+  const inner = simplestBetween(
+    fraction(hi.den, hi.num - whole * hi.den),
+    fraction(lo.den, lo.num - whole * lo.den)
+  );
+  return fraction(whole * inner.num + inner.den, inner.num);
+}
+
+// PUBLIC_INTERFACE
+export function parseFraction(text) {
+  /**
+   * Read a fraction: "7/3", a mixed number "-2 1/3", a decimal "0.125" (exactly 1/8)
+   * or a repeating decimal with its period in parentheses, "0.1(6)" for 1/6.
+   * @param {string} text
+   * @returns {{num: bigint, den: bigint}|null} in lowest terms; null when the text is
+   *   none of these, has a zero denominator or more than MAX_FRACTION_DIGITS digits
+   */
+  const trimmed = String(text).trim();
+  let result = null;
+  const written = FRACTION_PATTERN.exec(trimmed);
+  const repeating = REPEATING_PATTERN.exec(trimmed);
+  const big = (value) => BigInt(value || '0');
+  if (written) {
+    const [, sign, whole, num, den] = written;
+    if (big(den) === 0n) return null;
+    const value = fraction(big(whole) * big(den) + big(num), big(den));
+    result = sign === '-' ? { ...value, num: -value.num } : value;
+  } else if (repeating) {
+    // x = I.NR... : 10^n·(10^r − 1)·x = INR − IN, with n digits in N and r in R
+    const [, sign, integer, decimals, period] = repeating;
+    const num = big(`${integer}${decimals}${period}`) - big(`${integer}${decimals}`);
+    const value = fraction(num, pow10(decimals.length) * (pow10(period.length) - 1n));
+    result = sign === '-' ? { ...value, num: -value.num } : value;
+  } else {
+    const d = parseDecimal(trimmed);
+    result = d && fromDecimal(d);
+  }
+  return result && digits(result) <= MAX_FRACTION_DIGITS ? result : null;
+}
+
+// PUBLIC_INTERFACE
+export function decimalToFraction(value, precision = DEFAULT_PRECISION) {
+  /**
+   * Convert a decimal result to a fraction. A decimal with fewer places than results
+   * are rounded to is exact (0.125 → 1/8); one with as many is taken as rounded and
+   * gives the simplest fraction within half a unit of its last place, so repeating
+   * decimals come back: 0.3333333333 → 1/3, -0.1428571429 → -1/7.
+   * @param {string} value - decimal text
+   * @param {number} [precision] - decimal places results are rounded to (significant
+   *   digits below 0.1, as in src/utils/decimal.js)
+   * @returns {{num: bigint, den: bigint}|null} null when the value is not a number or
+   *   too long for a fraction
+   */
+  const d = parseDecimal(value);
+  if (!d) return null;
+  const m = magnitude(d);
+  const places = m !== null && m < -1 ? precision - m - 1 : precision;
+  let result = fromDecimal(d);
+  if (m !== null && d.scale >= places) {
+    const size = fraction(absBig(d.coef), pow10(d.scale));
+    const half = fraction(5n, pow10(d.scale + 1));
+    const lo = fraction(size.num * half.den - half.num * size.den, size.den * half.den);
+    const hi = fraction(size.num * half.den + half.num * size.den, size.den * half.den);
+    const simplest = simplestBetween(lo, hi);
+    result = d.coef < 0n ? { ...simplest, num: -simplest.num } : simplest;
+  }
+  return digits(result) <= MAX_FRACTION_DIGITS ? result : null;
+}
+
+// PUBLIC_INTERFACE
+export function fractionToDecimal(r, precision = DEFAULT_PRECISION) {
+  /**
+   * The fraction as a decimal rounded like other results.
+   * @param {{num: bigint, den: bigint}} r
+   * @param {number} [precision] - decimal places (significant digits below 0.1)
+   * @returns {string} canonical decimal text, e.g. '2.3333333333' for 7/3
+   */
+  return toDecimalString(divide({ coef: r.num, scale: 0 }, { coef: r.den, scale: 0 }, precision));
+}
+
+// PUBLIC_INTERFACE
+export function formatFraction(r, display = 'fraction', precision = DEFAULT_PRECISION) {
+  /**
+   * Write a fraction the way fraction mode shows it (see FRACTION_DISPLAYS).
+   * @param {{num: bigint, den: bigint}} r
+   * @param {'fraction'|'mixed'|'decimal'} [display]
+   * @param {number} [precision] - decimal places of the decimal display
+   * @returns {string} e.g. for 7/3: '7/3', '2 1/3' or '2.3333333333'; whole numbers
+   *   have no fraction part ('5')
+   */
+  if (display === 'decimal') return fractionToDecimal(r, precision);
+  if (r.den === 1n) return r.num.toString();
+  const size = absBig(r.num);
+  if (display !== 'mixed' || size < r.den) return `${r.num}/${r.den}`;
+  return `${r.num < 0n ? '-' : ''}${size / r.den} ${size % r.den}/${r.den}`;
+}
+
+// PUBLIC_INTERFACE
+export function applyFractionOperation(a, b, op) {
+  /**
+   * Exact arithmetic on fractions.
+   * @param {{num: bigint, den: bigint}} a
+   * @param {{num: bigint, den: bigint}} b
+   * @param {'+'|'−'|'×'|'÷'|'^'} op - '^' needs a whole exponent
+   * @returns {{num: bigint, den: bigint}} in lowest terms
+   * @throws {RangeError} for division by zero and 0 to a negative power
+   * @throws {FractionError} for a fractional exponent, an unknown operator, or a result
+   *   with more than MAX_FRACTION_DIGITS digits
+   */
+  const tooLarge = () => new FractionError('Too many digits for an exact fraction');
+  let result;
+  switch (op) {
+    case '+':
+      result = fraction(a.num * b.den + b.num * a.den, a.den * b.den);
+      break;
+    case '−':
+      result = fraction(a.num * b.den - b.num * a.den, a.den * b.den);
+      break;
+    case '×':
+      result = fraction(a.num * b.num, a.den * b.den);
+      break;
+    case '÷':
+      result = fraction(a.num * b.den, a.den * b.num);
+      break;
+    case '^': {
+      if (b.den !== 1n) throw new FractionError('Fraction powers need a whole exponent');
+      const n = absBig(b.num);
+      // Only 0 and ±1 keep their size; refuse before building a huge BigInt
+      if (a.num !== 0n && absBig(a.num) !== a.den && n > MAX_POWER) throw tooLarge();
+      const raised = fraction(a.num ** n, a.den ** n);
+      result = b.num < 0n ? fraction(raised.den, raised.num) : raised;
+      break;
+    }
+    default:
+      throw new FractionError(`Unknown operator '${op}'`);
+  }
+  if (digits(result) > MAX_FRACTION_DIGITS) throw tooLarge();
+  return result;
+}
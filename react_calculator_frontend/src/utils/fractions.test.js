@@ -0,0 +1,58 @@
+import {
+  FractionError,
+  applyFractionOperation,
+  decimalToFraction,
+  formatFraction,
+  parseFraction,
+} from './fractions';
+
+const f = (num, den = 1n) => ({ num, den });
+
+test('fractions, mixed numbers and decimals are read exactly', () => {
+  expect(parseFraction('6/4')).toEqual(f(3n, 2n));
+  expect(parseFraction('-2 1/3')).toEqual(f(-7n, 3n));
+  expect(parseFraction('0.125')).toEqual(f(1n, 8n));
+  expect(parseFraction('2.5e-3')).toEqual(f(1n, 400n));
+  // Repeating decimals have their period in parentheses
+  expect(parseFraction('0.1(6)')).toEqual(f(1n, 6n));
+  expect(parseFraction('-.(3)')).toEqual(f(-1n, 3n));
+  expect(parseFraction('1.(142857)')).toEqual(f(8n, 7n));
+  expect(parseFraction('1/0')).toBeNull();
+  expect(parseFraction('1/')).toBeNull();
+  expect(parseFraction(`1/${'9'.repeat(101)}`)).toBeNull();
+});
+
+test('rounded decimals become the simplest fraction that rounds to them', () => {
+  expect(decimalToFraction('0.3333333333')).toEqual(f(1n, 3n));
+  expect(decimalToFraction('-0.1428571429')).toEqual(f(-1n, 7n));
+  expect(decimalToFraction('0.003333333333')).toEqual(f(1n, 300n));
+  // Shorter decimals are exact
+  expect(decimalToFraction('0.333')).toEqual(f(333n, 1000n));
+  expect(decimalToFraction('0.3333', 4)).toEqual(f(1n, 3n));
+  expect(decimalToFraction('12')).toEqual(f(12n));
+  expect(decimalToFraction('x')).toBeNull();
+});
+
+test('fraction, mixed-number and decimal display', () => {
+  expect(formatFraction(f(7n, 3n))).toBe('7/3');
+  expect(formatFraction(f(-7n, 3n), 'mixed')).toBe('-2 1/3');
+  expect(formatFraction(f(2n, 3n), 'mixed')).toBe('2/3');
+  expect(formatFraction(f(7n, 3n), 'decimal')).toBe('2.3333333333');
+  expect(formatFraction(f(5n), 'mixed')).toBe('5');
+});
+
+test('exact arithmetic', () => {
+  const third = f(1n, 3n);
+  expect(applyFractionOperation(third, f(3n), '×')).toEqual(f(1n));
+  expect(applyFractionOperation(f(1n, 2n), third, '+')).toEqual(f(5n, 6n));
+  expect(applyFractionOperation(f(1n, 2n), third, '−')).toEqual(f(1n, 6n));
+  expect(applyFractionOperation(third, f(2n, 3n), '÷')).toEqual(f(1n, 2n));
+  expect(applyFractionOperation(f(2n, 3n), f(-2n), '^')).toEqual(f(9n, 4n));
+  expect(() => applyFractionOperation(third, f(0n), '÷')).toThrow('Division by zero');
+  expect(() => applyFractionOperation(f(2n), f(1n, 2n), '^')).toThrow(FractionError);
+  expect(applyFractionOperation(f(10n), f(99n), '^').num.toString()).toHaveLength(100);
+  expect(() => applyFractionOperation(f(10n), f(100n), '^')).toThrow(
+    'Too many digits for an exact fraction'
+  );
+  expect(() => applyFractionOperation(f(2n), f(10000n), '^')).toThrow(FractionError);
+});
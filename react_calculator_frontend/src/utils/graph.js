@@ -0,0 +1,367 @@
+/**
+ * Function graphs: expressions of x sampled across a view, their roots and intersections,
+ * and the view arithmetic behind pan and zoom.
+ *
+ * Curves are evaluated like typed expressions (see src/utils/expression.js), so √ of a
+ * negative number, ln of 0 or a division by zero leaves a gap in the curve instead of a
+ * made-up value. Sampling and root finding work on exact decimals; views, ticks and
+ * drawing use plain numbers.
+ */
+import {
+  DEFAULT_PRECISION,
+  add,
+  compare,
+  isNegative,
+  isZero,
+  magnitude,
+  multiply,
+  parseDecimal,
+  round,
+  roundToPrecision,
+  subtract,
+  toDecimalString,
+  toNumber,
+} from './decimal';
+import { ExpressionError, evaluate, parse, tokenize } from './expression';
+
+// Most curves plotted at once.
+export const MAX_GRAPHS = 4;
+
+// Longest accepted graph expression, in characters.
+export const MAX_GRAPH_LENGTH = 200;
+
+// Name of the variable curves are plotted against.
+export const GRAPH_VARIABLE = 'x';
+
+// View shown at first and after a reset: both axes from -10 to 10.
+export const DEFAULT_VIEW = { xMin: -10, xMax: 10, yMin: -10, yMax: 10 };
+
+// Intervals a curve is sampled in across the view.
+export const GRAPH_SAMPLES = 200;
+
+// Narrowest and widest span of an axis.
+const MIN_SPAN = 1e-6;
+const MAX_SPAN = 1e6;
+
+// Farthest an axis's center may be panned from the origin.
+const MAX_CENTER = 1e6;
+
+// Significant digits kept when turning view coordinates into decimals, which drops the
+// floating-point noise of the view arithmetic (0.30000000000000004).
+const COORDINATE_DIGITS = 12;
+
+const HALF = parseDecimal('0.5');
+
+/**
+ * Utility: A view coordinate as a decimal.
+ * @param {number} value
+ * @returns {{coef: bigint, scale: number}}
+ */
+function toCoordinate(value) {
+  return parseDecimal(Number(value.toPrecision(COORDINATE_DIGITS)));
+}
+
+/**
+ * Utility: A curve's value, or null where it is undefined (outside a function's domain,
+ * a division by zero, out of range).
+ * @returns {{coef: bigint, scale: number}|null}
+ */
+function valueAt(fn, x) {
+  try {
+    return fn(x);
+  } catch (err) {
+    if (err instanceof ExpressionError || err instanceof RangeError) return null;
+    throw err;
+  }
+}
+
+/**
+ * Utility: Evenly spaced points across the view's x range, with the curve's decimal
+ * values (null where undefined).
+ * @returns {Array<{x: object, y: object|null}>}
+ */
+function samplePoints(fn, { xMin, xMax }, samples) {
+  return Array.from({ length: samples + 1 }, (_, i) => {
+    const x = toCoordinate(xMin + ((xMax - xMin) * i) / samples);
+    return { x, y: valueAt(fn, x) };
+  });
+}
+
+/**
+ * Utility: Whether a curve's value is further from zero than at both of two points.
+ */
+function exceeds(y, a, b) {
+  const size = Math.abs(toNumber(y));
+  return size > Math.abs(toNumber(a.y)) && size > Math.abs(toNumber(b.y));
+}
+
+/**
+ * Utility: Narrow down by bisection where a curve changes sign between two points.
+ * @param {number} decimals - places the interval is narrowed to
+ * @returns {{x: object, pole: boolean}|null} where the sign changes, and whether the
+ *   curve blows up there (the pole of 1/x or tan(x)) rather than crossing zero; null when
+ *   the curve is undefined somewhere on the way
+ */
+function signChange(fn, a, b, decimals) {
+  let [low, high] = [a.x, b.x];
+  let y = a.y;
+  while (magnitude(subtract(high, low)) >= -decimals - 1) {
+    const mid = round(multiply(add(low, high), HALF), decimals + 2);
+    if (compare(mid, low) === 0 || compare(mid, high) === 0) break;
+    y = valueAt(fn, mid);
+    if (y === null) return null;
+    if (isZero(y)) return { x: mid, pole: false };
+    if (isNegative(y) === isNegative(a.y)) low = mid;
+    else high = mid;
+  }
+  return { x: low, pole: exceeds(y, a, b) };
+}
+
+/**
+ * Utility: Whether a curve blows up between two points of the same sign: its value
+ * halfway is undefined or at least as far from zero as at both ends (1/x ^ 2 at 0).
+ */
+function isPole(fn, a, b) {
+  const mid = valueAt(fn, multiply(add(a.x, b.x), HALF));
+  if (mid === null) return true;
+  const size = Math.abs(toNumber(mid));
+  return size >= Math.abs(toNumber(a.y)) && size >= Math.abs(toNumber(b.y));
+}
+
+// PUBLIC_INTERFACE
+export function compileGraph(text, options = {}) {
+  /**
+   * Read a graph expression once, for evaluation at many x.
+   * @param {string} text - expression of x, e.g. "x ^ 2 − 4" or "sin(x) × rate"
+   * @param {{precision?: number, angleMode?: string, variables?: object,
+   *   functions?: object}} options - as for evaluate() in src/utils/expression.js; x
+   *   hides a variable named x
+   * @returns {(x: {coef: bigint, scale: number}) => {coef: bigint, scale: number}} the
+   *   curve; it throws ExpressionError or RangeError where undefined
+   * @throws {ExpressionError} for empty, too long or malformed text
+   */
+  const source = String(text).trim();
+  if (!source) throw new ExpressionError('Enter an expression of x');
+  if (source.length > MAX_GRAPH_LENGTH) {
+    throw new ExpressionError(`Graphs can be at most ${MAX_GRAPH_LENGTH} characters long`);
+  }
+  const ast = parse(tokenize(source));
+  const { variables = {} } = options;
+  return (x) => evaluate(ast, { ...options, variables: { ...variables, [GRAPH_VARIABLE]: x } });
+}
+
+// PUBLIC_INTERFACE
+export function graphValue(fn, x, precision = DEFAULT_PRECISION) {
+  /**
+   * A curve's value at one x, rounded like results.
+   * @param {Function} fn - from compileGraph()
+   * @param {string|number|{coef: bigint, scale: number}} x
+   * @param {number} [precision] - decimal places
+   * @returns {string|null} canonical decimal text; null where the curve is undefined
+   */
+  const at = parseDecimal(x);
+  const y = at && valueAt(fn, at);
+  return y && toDecimalString(roundToPrecision(y, precision));
+}
+
+// PUBLIC_INTERFACE
+export function sampleGraph(fn, view, samples = GRAPH_SAMPLES) {
+  /**
+   * Sample a curve across the view for drawing. Points where the curve is undefined, and
+   * extra points at poles between samples, have a null y so the line breaks there.
+   * @param {Function} fn - from compileGraph()
+   * @param {{xMin: number, xMax: number}} view
+   * @param {number} [samples] - intervals across the view
+   * @returns {{points: Array<{x: number, y: number|null}>, error: string|null}} error is
+   *   the reason the curve is undefined when it is undefined everywhere in the view
+   */
+  let error = null;
+  const checked = (x) => {
+    try {
+      return fn(x);
+    } catch (err) {
+      if (!(err instanceof ExpressionError || err instanceof RangeError)) throw err;
+      if (error === null) error = err.message;
+      return null;
+    }
+  };
+  const sampled = samplePoints(checked, view, samples);
+  // Sign changes are narrowed down to a millionth of the view before telling poles from
+  // zero crossings
+  const decimals = Math.max(0, 6 - Math.floor(Math.log10(view.xMax - view.xMin)));
+  const breaks = (a, b) => {
+    if (isZero(a.y) || isZero(b.y)) return false;
+    if (isNegative(a.y) !== isNegative(b.y)) {
+      const change = signChange(fn, a, b, decimals);
+      return !change || change.pole;
+    }
+    const jump = Math.abs(toNumber(b.y) - toNumber(a.y));
+    return jump > view.yMax - view.yMin && isPole(fn, a, b);
+  };
+  const points = [];
+  sampled.forEach((point, i) => {
+    const previous = sampled[i - 1];
+    if (previous && previous.y && point.y && breaks(previous, point)) {
+      points.push({ x: toNumber(multiply(add(previous.x, point.x), HALF)), y: null });
+    }
+    const y = point.y && toNumber(point.y);
+    points.push({ x: toNumber(point.x), y: Number.isFinite(y) ? y : null });
+  });
+  const defined = points.some((point) => point.y !== null);
+  return { points, error: defined ? null : error };
+}
+
+// PUBLIC_INTERFACE
+export function curveSegments(points) {
+  /**
+   * Split sampled points into the runs drawn as connected lines.
+   * @param {Array<{x: number, y: number|null}>} points - from sampleGraph()
+   * @returns {Array<Array<{x: number, y: number}>>} runs of defined points
+   */
+  const segments = [];
+  let current = [];
+  points.forEach((point) => {
+    if (point.y === null) {
+      if (current.length) segments.push(current);
+      current = [];
+    } else {
+      current.push(point);
+    }
+  });
+  if (current.length) segments.push(current);
+  return segments;
+}
+
+// PUBLIC_INTERFACE
+export function findRoots(
+  fn,
+  view,
+  { precision = DEFAULT_PRECISION, samples = GRAPH_SAMPLES } = {}
+) {
+  /**
+   * The x where a curve crosses zero within the view's x range: sign changes between
+   * samples, narrowed down by bisection, and samples that are exactly zero. Poles where
+   * the sign flips (1/x) are not roots. A curve that touches zero between samples without
+   * crossing (x ^ 2 − 0.0001) is missed.
+   * @param {Function} fn - from compileGraph()
+   * @param {{xMin: number, xMax: number}} view
+   * @param {{precision?: number, samples?: number}} [options] - decimal places of the
+   *   roots and the intervals searched
+   * @returns {Array<{x: string, y: '0'}>} canonical decimal text, left to right
+   */
+  const points = samplePoints(fn, view, samples);
+  const roots = [];
+  points.forEach((a, i) => {
+    const b = points[i + 1];
+    if (a.y && isZero(a.y)) {
+      roots.push(a.x);
+    } else if (b && a.y && b.y && !isZero(b.y) && isNegative(a.y) !== isNegative(b.y)) {
+      const change = signChange(fn, a, b, precision);
+      if (change && !change.pole) roots.push(change.x);
+    }
+  });
+  return roots.map((x) => ({ x: toDecimalString(round(x, precision)), y: '0' }));
+}
+
+// PUBLIC_INTERFACE
+export function findIntersections(f, g, view, options = {}) {
+  /**
+   * The points where two curves meet within the view's x range (see findRoots()).
+   * @param {Function} f - from compileGraph()
+   * @param {Function} g - from compileGraph()
+   * @param {{xMin: number, xMax: number}} view
+   * @param {{precision?: number, samples?: number}} [options]
+   * @returns {Array<{x: string, y: string}>} canonical decimal text, y on the first curve
+   */
+  const { precision = DEFAULT_PRECISION } = options;
+  return findRoots((x) => subtract(f(x), g(x)), view, options).map(({ x }) => ({
+    x,
+    y: graphValue(f, x, precision),
+  }));
+}
+
+// PUBLIC_INTERFACE
+export function niceTicks(min, max, count = 10) {
+  /**
+   * Tick positions for an axis, 1, 2 or 5 × a power of ten apart.
+   * @param {number} min
+   * @param {number} max
+   * @param {number} [count] - about how many ticks
+   * @returns {number[]} ascending, within [min, max]
+   */
+  const rough = (max - min) / count;
+  const unit = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 5, 10].find((m) => m * unit >= rough) * unit;
+  const ticks = [];
+  // The tolerance keeps a last tick that floating point puts a hair past max
+  for (let k = Math.ceil(min / step - 1e-9); k * step <= max + step * 1e-9; k += 1) {
+    ticks.push(Number((k * step).toPrecision(COORDINATE_DIGITS)));
+  }
+  return ticks;
+}
+
+// PUBLIC_INTERFACE
+export function snapValue(value, span, pixels) {
+  /**
+   * Round a coordinate picked with the pointer to the digits one pixel can tell apart, so
+   * tracing at 1.2345678 shows 1.23 when a pixel is 0.05 wide.
+   * @param {number} value
+   * @param {number} span - width of the axis
+   * @param {number} pixels - width of the axis on screen
+   * @returns {number}
+   */
+  const step = 10 ** Math.floor(Math.log10(span / pixels));
+  return Number((Math.round(value / step) * step).toPrecision(COORDINATE_DIGITS));
+}
+
+/**
+ * Utility: Scale the interval [min, max] by `factor` about `center`, keeping the span
+ * within MIN_SPAN and MAX_SPAN.
+ * @returns {[number, number]}
+ */
+function scaleAxis(min, max, factor, center) {
+  const span = Math.min(MAX_SPAN, Math.max(MIN_SPAN, (max - min) * factor));
+  const scale = span / (max - min);
+  const low = center - (center - min) * scale;
+  return [low, low + span];
+}
+
+// PUBLIC_INTERFACE
+export function zoomView(view, factor, center) {
+  /**
+   * Zoom in (factor below 1) or out about a point, which stays where it is on screen.
+   * @param {{xMin: number, xMax: number, yMin: number, yMax: number}} view
+   * @param {number} factor - new span ÷ old span
+   * @param {{x: number, y: number}} [center] - the middle of the view by default
+   * @returns {{xMin: number, xMax: number, yMin: number, yMax: number}}
+   */
+  const { x = (view.xMin + view.xMax) / 2, y = (view.yMin + view.yMax) / 2 } = center || {};
+  const [xMin, xMax] = scaleAxis(view.xMin, view.xMax, factor, x);
+  const [yMin, yMax] = scaleAxis(view.yMin, view.yMax, factor, y);
+  return { xMin, xMax, yMin, yMax };
+}
+
+/**
+ * Utility: Shift the interval [min, max] by `delta`, keeping its center within
+ * ±MAX_CENTER.
+ * @returns {[number, number]}
+ */
+function shiftAxis(min, max, delta) {
+  const half = (max - min) / 2;
+  const center = Math.min(MAX_CENTER, Math.max(-MAX_CENTER, min + half + delta));
+  return [center - half, center + half];
+}
+
+// PUBLIC_INTERFACE
+export function panView(view, dx, dy) {
+  /**
+   * Move the view by a distance in graph units.
+   * @param {{xMin: number, xMax: number, yMin: number, yMax: number}} view
+   * @param {number} dx - positive moves right
+   * @param {number} dy - positive moves up
+   * @returns {{xMin: number, xMax: number, yMin: number, yMax: number}}
+   */
+  const [xMin, xMax] = shiftAxis(view.xMin, view.xMax, dx);
+  const [yMin, yMax] = shiftAxis(view.yMin, view.yMax, dy);
+  return { xMin, xMax, yMin, yMax };
+}
@@ -0,0 +1,87 @@
+import {
+  DEFAULT_VIEW,
+  compileGraph,
+  curveSegments,
+  findIntersections,
+  findRoots,
+  graphValue,
+  niceTicks,
+  panView,
+  sampleGraph,
+  snapValue,
+  zoomView,
+} from './graph';
+import { parseDecimal } from './decimal';
+
+test('graphs are expressions of x evaluated with the calculator rules', () => {
+  const rate = { variables: { rate: parseDecimal('2') } };
+  expect(graphValue(compileGraph('x ^ 2 × rate', rate), '1.5')).toBe('4.5');
+  // x hides a variable of the same name
+  expect(graphValue(compileGraph('x', { variables: { x: parseDecimal('7') } }), 3)).toBe('3');
+  expect(graphValue(compileGraph('sin(x)', { angleMode: 'DEG' }), 30)).toBe('0.5');
+  expect(graphValue(compileGraph('sqrt(x)'), -1)).toBeNull();
+  expect(() => compileGraph(' ')).toThrow('Enter an expression of x');
+  expect(() => compileGraph('x +')).toThrow('Expression is incomplete');
+  expect(() => compileGraph('x'.repeat(201))).toThrow('at most 200 characters');
+});
+
+test('curves break where they are undefined and at poles', () => {
+  const sqrt = sampleGraph(compileGraph('sqrt(x)'), DEFAULT_VIEW, 20);
+  expect(sqrt.points).toHaveLength(21);
+  expect(sqrt.points.filter((p) => p.y === null)).toHaveLength(10);
+  expect(curveSegments(sqrt.points)).toHaveLength(1);
+  expect(sqrt.error).toBeNull();
+
+  // 1/x is undefined at a sample (x = 0); 1/(x − 0.25) has its pole between samples
+  const segments = (text) =>
+    curveSegments(sampleGraph(compileGraph(text), DEFAULT_VIEW, 20).points);
+  expect(segments('1 ÷ x')).toHaveLength(2);
+  const shifted = sampleGraph(compileGraph('1 ÷ (x − 0.25)'), DEFAULT_VIEW, 20);
+  expect(shifted.points).toHaveLength(22);
+  expect(curveSegments(shifted.points)).toHaveLength(2);
+  // A steep line is not a pole
+  expect(segments('100 × x')).toHaveLength(1);
+
+  const nowhere = sampleGraph(compileGraph('ln(−1 − x ^ 2)'), DEFAULT_VIEW, 20);
+  expect(nowhere.error).toBe('Logarithm is only defined for positive numbers');
+  expect(sampleGraph(compileGraph('y'), DEFAULT_VIEW, 4).error).toBe("Unknown name 'y'");
+});
+
+test('roots and intersections are found to the precision', () => {
+  expect(findRoots(compileGraph('x ^ 2 − 2'), DEFAULT_VIEW)).toEqual([
+    { x: '-1.4142135624', y: '0' },
+    { x: '1.4142135624', y: '0' },
+  ]);
+  // Exact roots on a sample, and a pole that is not a root
+  const roots = (text) => findRoots(compileGraph(text), DEFAULT_VIEW).map((root) => root.x);
+  expect(roots('x × (x − 3)')).toEqual(['0', '3']);
+  expect(roots('1 ÷ (x − 0.25)')).toEqual([]);
+  expect(findRoots(compileGraph('x − 1'), DEFAULT_VIEW, { precision: 2 })).toEqual([
+    { x: '1', y: '0' },
+  ]);
+
+  const line = compileGraph('2 × x + 1');
+  const parabola = compileGraph('x ^ 2');
+  expect(findIntersections(line, parabola, DEFAULT_VIEW, { precision: 4 })).toEqual([
+    { x: '-0.4142', y: '0.1716' },
+    { x: '2.4142', y: '5.8284' },
+  ]);
+});
+
+test('view arithmetic', () => {
+  expect(niceTicks(-10, 10)).toEqual([-10, -8, -6, -4, -2, 0, 2, 4, 6, 8, 10]);
+  expect(niceTicks(0.1, 0.35, 5)).toEqual([0.1, 0.15, 0.2, 0.25, 0.3, 0.35]);
+  expect(snapValue(1.2345678, 20, 400)).toBe(1.23);
+
+  expect(zoomView(DEFAULT_VIEW, 0.5)).toEqual({ xMin: -5, xMax: 5, yMin: -5, yMax: 5 });
+  // The point zoomed about stays put
+  expect(zoomView(DEFAULT_VIEW, 2, { x: 10, y: -10 })).toEqual({
+    xMin: -30,
+    xMax: 10,
+    yMin: -10,
+    yMax: 30,
+  });
+  expect(zoomView(DEFAULT_VIEW, 1e9).xMax - zoomView(DEFAULT_VIEW, 1e9).xMin).toBe(1e6);
+  expect(panView(DEFAULT_VIEW, 5, -2.5)).toEqual({ xMin: -5, xMax: 15, yMin: -12.5, yMax: 7.5 });
+  expect(panView(DEFAULT_VIEW, 1e9, 0).xMin).toBe(1e6 - 10);
+});
@@ -0,0 +1,111 @@
+/**
+ * Calculation history ("tape"): entry creation, localStorage persistence and export.
+ */
+import { defaultStorage, readJSON, writeJSON } from './storage';
+
+// localStorage key holding the serialized history entries.
+export const HISTORY_STORAGE_KEY = 'calculator.history';
+
+// Oldest entries are dropped beyond this many.
+export const MAX_HISTORY_ENTRIES = 200;
+
+/**
+ * Utility: Check that a parsed value looks like a history entry.
+ * @param {any} entry
+ * @returns {boolean}
+ */
+function isValidEntry(entry) {
+  return (
+    entry !== null &&
+    typeof entry === 'object' &&
+    typeof entry.expression === 'string' &&
+    typeof entry.result === 'string'
+  );
+}
+
+/**
+ * Utility: Quote a CSV field when it contains separators, quotes or line breaks.
+ * @param {string|number} value
+ * @returns {string}
+ */
+function csvField(value) {
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// PUBLIC_INTERFACE
+export function createHistoryEntry(expression, result, timestamp, id) {
+  /**
+   * Build a history entry for a completed calculation.
+   * @param {string} expression - e.g. "7 + 5"
+   * @param {string} result - formatted result, e.g. "12"
+   * @param {number} timestamp - completion time in ms since epoch
+   * @param {string} id - unique among the entries
+   * @returns {{id: string, expression: string, result: string, timestamp: number}}
+   */
+  return {
+    id,
+    expression,
+    result,
+    timestamp,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function appendHistoryEntry(entries, entry) {
+  /**
+   * Append an entry, keeping at most MAX_HISTORY_ENTRIES (oldest dropped first).
+   * @returns {Array} new entries array
+   */
+  const next = [...entries, entry];
+  return next.length > MAX_HISTORY_ENTRIES ? next.slice(next.length - MAX_HISTORY_ENTRIES) : next;
+}
+
+// PUBLIC_INTERFACE
+export function loadHistory(storage = defaultStorage()) {
+  /**
+   * Read persisted history; missing, corrupt or unavailable storage yields [].
+   * @param {Storage|null} storage
+   * @returns {Array}
+   */
+  const parsed = readJSON(HISTORY_STORAGE_KEY, storage);
+  return Array.isArray(parsed) ? parsed.filter(isValidEntry) : [];
+}
+
+// PUBLIC_INTERFACE
+export function saveHistory(entries, storage = defaultStorage()) {
+  /**
+   * Persist history; write failures (quota, disabled storage) are ignored.
+   * @param {Array} entries
+   * @param {Storage|null} storage
+   */
+  writeJSON(HISTORY_STORAGE_KEY, entries, storage);
+}
+
+// PUBLIC_INTERFACE
+export function historyToCSV(entries) {
+  /**
+   * Serialize history as CSV with a header row (timestamp as ISO 8601).
+   * @param {Array} entries
+   * @returns {string}
+   */
+  const rows = entries.map((e) =>
+    [new Date(e.timestamp).toISOString(), e.expression, e.result].map(csvField).join(',')
+  );
+  return ['timestamp,expression,result', ...rows].join('\r\n');
+}
+
+// PUBLIC_INTERFACE
+export function historyToJSON(entries) {
+  /**
+   * Serialize history as pretty-printed JSON (timestamp as ISO 8601).
+   * @param {Array} entries
+   * @returns {string}
+   */
+  const data = entries.map((e) => ({
+    timestamp: new Date(e.timestamp).toISOString(),
+    expression: e.expression,
+    result: e.result,
+  }));
+  return JSON.stringify(data, null, 2);
+}
@@ -0,0 +1,52 @@
+import {
+  HISTORY_STORAGE_KEY,
+  MAX_HISTORY_ENTRIES,
+  appendHistoryEntry,
+  createHistoryEntry,
+  historyToCSV,
+  historyToJSON,
+  loadHistory,
+  saveHistory,
+} from './history';
+import { memoryStorage } from '../setupTests';
+
+const at = Date.UTC(2024, 0, 2, 3, 4, 5);
+
+test('save and load roundtrip', () => {
+  const storage = memoryStorage();
+  const entries = [createHistoryEntry('7 + 5', '12', at, 'e1')];
+  saveHistory(entries, storage);
+  expect(loadHistory(storage)).toEqual(entries);
+});
+
+test('corrupt or malformed storage yields an empty or filtered tape', () => {
+  expect(loadHistory(memoryStorage({ [HISTORY_STORAGE_KEY]: '{not json' }))).toEqual([]);
+  expect(loadHistory(memoryStorage({ [HISTORY_STORAGE_KEY]: '{"a":1}' }))).toEqual([]);
+  const mixed = JSON.stringify([{ expression: '1 + 1', result: '2' }, { expression: 3 }]);
+  expect(loadHistory(memoryStorage({ [HISTORY_STORAGE_KEY]: mixed }))).toHaveLength(1);
+  expect(loadHistory(null)).toEqual([]);
+});
+
+test('append caps the tape length', () => {
+  let entries = [];
+  for (let i = 0; i < MAX_HISTORY_ENTRIES + 5; i += 1) {
+    entries = appendHistoryEntry(entries, createHistoryEntry(`${i} + 0`, `${i}`, at));
+  }
+  expect(entries).toHaveLength(MAX_HISTORY_ENTRIES);
+  expect(entries[0].result).toBe('5');
+});
+
+test('CSV export quotes fields when needed', () => {
+  const csv = historyToCSV([createHistoryEntry('1,5 + 1', '2,5', at), createHistoryEntry('2 × 3', '6', at)]);
+  expect(csv.split('\r\n')).toEqual([
+    'timestamp,expression,result',
+    '2024-01-02T03:04:05.000Z,"1,5 + 1","2,5"',
+    '2024-01-02T03:04:05.000Z,2 × 3,6',
+  ]);
+});
+
+test('JSON export', () => {
+  expect(JSON.parse(historyToJSON([createHistoryEntry('7 + 5', '12', at)]))).toEqual([
+    { timestamp: '2024-01-02T03:04:05.000Z', expression: '7 + 5', result: '12' },
+  ]);
+});
@@ -0,0 +1,317 @@
+/**
+ * Keyboard shortcuts as data: a table of commands (engine actions plus a few UI
+ * commands), each with the keys that trigger it and the mode it applies in.
+ *
+ * Keys are KeyboardEvent.key values ("r", "Enter", "+"), so Shift is part of the
+ * character ("S" vs "s"). Ctrl/Cmd combinations are written "Ctrl+z" (Cmd counts as
+ * Ctrl); only the ones in the table are taken from the browser, so Ctrl+C and Ctrl+V
+ * keep working. Users may remap commands; only their changes are stored, so new
+ * default bindings still reach them.
+ */
+import { defaultStorage, readJSON, writeJSON } from './storage';
+
+// localStorage key holding the user's changes: { [commandId]: string[] }.
+export const KEYBINDING_STORAGE_KEY = 'calculator.keybindings';
+
+// Modes a command applies in; commands in different modes may share a key.
+export const BINDING_MODES = ['any', 'standard', 'programmer'];
+
+// Command groups in help-overlay order.
+// Commands: [id, label, action type, action payload, default keys, mode].
+const COMMAND_TABLE = [
+  [
+    'Basic',
+    [
+      ...'0123456789'.split('').map((d) => [`digit${d}`, `Digit ${d}`, 'digit', d, [d], 'any']),
+      ['decimal', 'Decimal point', 'decimal', undefined, ['.'], 'any'],
+      ['add', 'Add', 'operator', '+', ['+'], 'any'],
+      ['subtract', 'Subtract', 'operator', '−', ['-'], 'any'],
+      ['multiply', 'Multiply', 'operator', '×', ['*', 'x', 'X'], 'any'],
+      ['divide', 'Divide', 'operator', '÷', ['/'], 'any'],
+      ['equals', 'Equals', 'equals', undefined, ['Enter', '='], 'any'],
+      ['clear', 'Clear', 'clear', undefined, ['Escape'], 'any'],
+      ['delete', 'Delete last digit', 'delete', undefined, ['Backspace'], 'any'],
+      ['toggleSign', 'Toggle sign', 'toggleSign', undefined, ['F9'], 'any'],
+      ['percent', 'Percent', 'percent', undefined, ['%'], 'any'],
+      ['sqrt', 'Square root', 'sqrt', undefined, ['r', 'R'], 'any'],
+      ['openParen', 'Open parenthesis', 'paren', '(', ['('], 'any'],
+      ['closeParen', 'Close parenthesis', 'paren', ')', [')'], 'any'],
+      ['undo', 'Undo', 'undo', undefined, ['Ctrl+z'], 'any'],
+      ['redo', 'Redo', 'redo', undefined, ['Ctrl+Z', 'Ctrl+y'], 'any'],
+    ],
+  ],
+  [
+    'Memory',
+    [
+      ['memoryStore', 'Memory store (MS)', 'memory', 'MS', ['m'], 'any'],
+      ['memoryRecall', 'Memory recall (MR)', 'memory', 'MR', ['M'], 'any'],
+      ['memoryAdd', 'Memory add (M+)', 'memory', 'M+', [']'], 'any'],
+      ['memorySubtract', 'Memory subtract (M−)', 'memory', 'M-', ['['], 'any'],
+      ['memoryClear', 'Memory clear (MC)', 'memory', 'MC', ['\\'], 'any'],
+    ],
+  ],
+  [
+    'Scientific',
+    [
+      ['sin', 'Sine', 'function', 'sin', ['s'], 'standard'],
+      ['cos', 'Cosine', 'function', 'cos', ['c'], 'standard'],
+      ['tan', 'Tangent', 'function', 'tan', ['t'], 'standard'],
+      ['asin', 'Arcsine', 'function', 'asin', ['S'], 'standard'],
+      ['acos', 'Arccosine', 'function', 'acos', ['C'], 'standard'],
+      ['atan', 'Arctangent', 'function', 'atan', ['T'], 'standard'],
+      ['ln', 'Natural logarithm', 'function', 'ln', ['n'], 'standard'],
+      ['log', 'Base-10 logarithm', 'function', 'log', ['l'], 'standard'],
+      ['square', 'Square', 'function', 'square', ['q'], 'standard'],
+      ['power', 'Power', 'operator', '^', ['^'], 'standard'],
+      ['reciprocal', 'Reciprocal', 'function', 'reciprocal', ['i'], 'standard'],
+      ['factorial', 'Factorial', 'function', 'factorial', ['!'], 'standard'],
+      ['pi', 'Pi', 'constant', 'pi', ['p'], 'standard'],
+      ['euler', "Euler's number", 'constant', 'e', ['e'], 'standard'],
+      ['exponent', 'Exponent (EXP)', 'exponent', undefined, ['E'], 'standard'],
+      ['cycleAngleMode', 'Cycle angle mode', 'cycleAngleMode', undefined, ['a'], 'standard'],
+      ['cycleNotation', 'Cycle notation', 'cycleNotation', undefined, [], 'standard'],
+    ],
+  ],
+  [
+    'Programmer',
+    [
+      ...'ABCDEF'.split('').map((d) => [
+        `digit${d}`,
+        `Digit ${d}`,
+        'digit',
+        d,
+        [d.toLowerCase(), d],
+        'programmer',
+      ]),
+      ['and', 'Bitwise AND', 'operator', 'AND', ['&'], 'programmer'],
+      ['or', 'Bitwise OR', 'operator', 'OR', ['|'], 'programmer'],
+      ['xor', 'Bitwise XOR', 'operator', 'XOR', ['^'], 'programmer'],
+      ['not', 'Bitwise NOT', 'bitwiseNot', undefined, ['~'], 'programmer'],
+      ['shiftLeft', 'Shift left', 'operator', '<<', ['<'], 'programmer'],
+      ['shiftRight', 'Shift right', 'operator', '>>', ['>'], 'programmer'],
+      ['baseHex', 'HEX input', 'setInputBase', 'HEX', [], 'programmer'],
+      ['baseDec', 'DEC input', 'setInputBase', 'DEC', [], 'programmer'],
+      ['baseOct', 'OCT input', 'setInputBase', 'OCT', [], 'programmer'],
+      ['baseBin', 'BIN input', 'setInputBase', 'BIN', [], 'programmer'],
+      ['toggleSigned', 'Signed/unsigned', 'toggleSigned', undefined, [], 'programmer'],
+    ],
+  ],
+  [
+    'Fractions',
+    [
+      ['fractionBar', 'Fraction bar (a b/c)', 'fractionBar', undefined, ['f'], 'standard'],
+      [
+        'cycleFractionDisplay',
+        'Fraction, mixed number or decimal',
+        'cycleFractionDisplay',
+        undefined,
+        ['F'],
+        'standard',
+      ],
+    ],
+  ],
+  [
+    'Modes and panels',
+    [
+      ['expressionMode', 'Expression mode', 'toggleExpressionMode', undefined, [], 'any'],
+      ['scientificMode', 'Scientific mode', 'toggleScientificMode', undefined, [], 'any'],
+      ['programmerMode', 'Programmer mode', 'toggleProgrammerMode', undefined, [], 'any'],
+      ['converterMode', 'Unit converter', 'toggleConverterMode', undefined, [], 'any'],
+      ['currencyMode', 'Currency converter', 'toggleCurrencyMode', undefined, [], 'any'],
+      ['dateMode', 'Date mode', 'toggleDateMode', undefined, [], 'any'],
+      ['financialMode', 'Financial mode', 'toggleFinancialMode', undefined, [], 'any'],
+      ['statMode', 'Statistics mode', 'toggleStatMode', undefined, [], 'any'],
+      ['fractionMode', 'Fraction mode', 'toggleFractionMode', undefined, [], 'any'],
+      ['graphMode', 'Graph mode', 'toggleGraphMode', undefined, [], 'any'],
+      ['applyConversion', 'Use converted value', 'applyConversion', undefined, [], 'any'],
+      ['historyClear', 'Clear history', 'historyClear', undefined, [], 'any'],
+      // Not an engine action: the host opens the shortcut overlay.
+      ['help', 'Show keyboard shortcuts', null, undefined, ['?'], 'any'],
+    ],
+  ],
+];
+
+// Every command with its default keys:
+// { id, label, group, action: {type, payload}|null, keys: string[], mode }.
+export const DEFAULT_BINDINGS = COMMAND_TABLE.flatMap(([group, commands]) =>
+  commands.map(([id, label, type, payload, keys, mode]) => ({
+    id,
+    label,
+    group,
+    action: type ? { type, payload } : null,
+    keys,
+    mode,
+  }))
+);
+
+// Keys that only modify other keys and can never be bound on their own.
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'AltGraph', 'Meta', 'CapsLock', 'Fn', 'Dead'];
+
+/**
+ * Utility: Whether two command modes can be active at the same time.
+ */
+function modesOverlap(a, b) {
+  return a === 'any' || b === 'any' || a === b;
+}
+
+// Prefix for keys pressed with Ctrl (or Cmd on macOS).
+const CTRL_PREFIX = 'Ctrl+';
+
+// PUBLIC_INTERFACE
+export function isBindableKey(key) {
+  /**
+   * Whether a key can be bound (Tab stays reserved for focus movement).
+   * @param {string} key - KeyboardEvent.key, optionally prefixed with "Ctrl+"
+   * @returns {boolean}
+   */
+  if (typeof key !== 'string') return false;
+  const base = key.startsWith(CTRL_PREFIX) ? key.slice(CTRL_PREFIX.length) : key;
+  return base !== '' && base !== 'Tab' && !MODIFIER_KEYS.includes(base);
+}
+
+// PUBLIC_INTERFACE
+export function keyFromEvent(e) {
+  /**
+   * The binding key for a keydown event: e.key, prefixed with "Ctrl+" when Ctrl or
+   * Cmd is held. Ctrl+Alt is AltGr on some layouts and types characters such as '|'
+   * and '~', so it counts as a plain key. With Ctrl the case of a letter follows Shift
+   * rather than e.key, so Caps Lock does not turn Ctrl+Z (undo) into Ctrl+Shift+Z.
+   * @param {KeyboardEvent} e
+   * @returns {string|null} null for keys that cannot be bound (a lone modifier, Tab)
+   */
+  const ctrl = e.metaKey || (e.ctrlKey && !e.altKey);
+  let key = e.key;
+  if (ctrl && /^[a-z]$/i.test(key)) key = e.shiftKey ? key.toUpperCase() : key.toLowerCase();
+  if (ctrl) key = `${CTRL_PREFIX}${key}`;
+  return isBindableKey(key) ? key : null;
+}
+
+// PUBLIC_INTERFACE
+export function resolveBindings(overrides = {}) {
+  /**
+   * Apply the user's changes to the default table.
+   * @param {Object<string, string[]>} overrides - keys per command id
+   * @returns {Array} commands as in DEFAULT_BINDINGS
+   */
+  return DEFAULT_BINDINGS.map((command) =>
+    Array.isArray(overrides[command.id]) ? { ...command, keys: overrides[command.id] } : command
+  );
+}
+
+// PUBLIC_INTERFACE
+export function findCommand(bindings, key, { programmerMode = false } = {}) {
+  /**
+   * The command a key triggers in the current mode.
+   * @param {Array} bindings - from resolveBindings()
+   * @param {string} key - KeyboardEvent.key
+   * @param {{programmerMode?: boolean}} options
+   * @returns {object|null}
+   */
+  const mode = programmerMode ? 'programmer' : 'standard';
+  return bindings.find((c) => c.keys.includes(key) && modesOverlap(c.mode, mode)) || null;
+}
+
+// PUBLIC_INTERFACE
+export function findConflicts(bindings, commandId, key) {
+  /**
+   * Other commands already bound to `key` in a mode that overlaps the command's.
+   * @param {Array} bindings
+   * @param {string} commandId - the command being remapped
+   * @param {string} key
+   * @returns {Array} conflicting commands (empty when the key is free)
+   */
+  const command = bindings.find((c) => c.id === commandId);
+  if (!command) return [];
+  return bindings.filter(
+    (c) => c.id !== commandId && c.keys.includes(key) && modesOverlap(c.mode, command.mode)
+  );
+}
+
+// PUBLIC_INTERFACE
+export function rebindKey(overrides, bindings, commandId, key, { replace = false } = {}) {
+  /**
+   * Bind `key` to a command in place of its current keys.
+   * @param {Object<string, string[]>} overrides - current user changes
+   * @param {Array} bindings - current bindings (from resolveBindings(overrides))
+   * @param {string} commandId
+   * @param {string} key
+   * @param {{replace?: boolean}} options - replace: take the key away from conflicting
+   *   commands instead of refusing
+   * @returns {{overrides?: Object<string, string[]>, conflicts?: Array}} new overrides, or
+   *   the conflicting commands when the key is taken and replace is false
+   */
+  const conflicts = findConflicts(bindings, commandId, key);
+  if (conflicts.length && !replace) return { conflicts };
+  const next = { ...overrides, [commandId]: [key] };
+  conflicts.forEach((c) => {
+    next[c.id] = c.keys.filter((k) => k !== key);
+  });
+  return { overrides: normalizeOverrides(next) };
+}
+
+/**
+ * Utility: Drop overrides that match the defaults so only real changes are stored.
+ * @param {Object<string, string[]>} overrides
+ * @returns {Object<string, string[]>}
+ */
+function normalizeOverrides(overrides) {
+  const result = {};
+  DEFAULT_BINDINGS.forEach(({ id, keys }) => {
+    const custom = overrides[id];
+    if (!Array.isArray(custom)) return;
+    const same = custom.length === keys.length && custom.every((k, i) => k === keys[i]);
+    if (!same) result[id] = custom;
+  });
+  return result;
+}
+
+// PUBLIC_INTERFACE
+export function formatKey(key) {
+  /**
+   * Readable name for a key in the help overlay, e.g. "Esc", "Space", "↑".
+   * @param {string} key - KeyboardEvent.key
+   * @returns {string}
+   */
+  const names = {
+    ' ': 'Space',
+    Escape: 'Esc',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+  };
+  if (key.startsWith(CTRL_PREFIX)) {
+    const base = key.slice(CTRL_PREFIX.length);
+    // Shift shows in the letter's case: "Ctrl+Z" is Ctrl+Shift+Z
+    if (/^[a-z]$/.test(base)) return `Ctrl+${base.toUpperCase()}`;
+    if (/^[A-Z]$/.test(base)) return `Ctrl+Shift+${base}`;
+    return `Ctrl+${names[base] || base}`;
+  }
+  return names[key] || key;
+}
+
+// PUBLIC_INTERFACE
+export function loadKeyOverrides(storage = defaultStorage()) {
+  /**
+   * Read the user's binding changes; unknown commands and malformed entries are dropped.
+   * @param {Storage|null} storage
+   * @returns {Object<string, string[]>}
+   */
+  const stored = readJSON(KEYBINDING_STORAGE_KEY, storage);
+  if (!stored || typeof stored !== 'object' || Array.isArray(stored)) return {};
+  const valid = {};
+  Object.entries(stored).forEach(([id, keys]) => {
+    if (Array.isArray(keys) && keys.every(isBindableKey)) valid[id] = keys;
+  });
+  return normalizeOverrides(valid);
+}
+
+// PUBLIC_INTERFACE
+export function saveKeyOverrides(overrides, storage = defaultStorage()) {
+  /**
+   * Persist the user's binding changes.
+   * @param {Object<string, string[]>} overrides
+   * @param {Storage|null} storage
+   */
+  writeJSON(KEYBINDING_STORAGE_KEY, overrides, storage);
+}
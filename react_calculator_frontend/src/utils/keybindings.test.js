@@ -0,0 +1,89 @@
+import {
+  DEFAULT_BINDINGS,
+  KEYBINDING_STORAGE_KEY,
+  findCommand,
+  findConflicts,
+  formatKey,
+  isBindableKey,
+  keyFromEvent,
+  loadKeyOverrides,
+  rebindKey,
+  resolveBindings,
+  saveKeyOverrides,
+} from './keybindings';
+import { ACTIONS } from './engine';
+import { memoryStorage } from '../setupTests';
+
+test('default bindings are conflict-free and use engine actions', () => {
+  DEFAULT_BINDINGS.forEach((command) => {
+    if (command.action) expect(ACTIONS).toContain(command.action.type);
+    command.keys.forEach((key) => expect(findConflicts(DEFAULT_BINDINGS, command.id, key)).toEqual([]));
+  });
+  const ids = DEFAULT_BINDINGS.map((c) => c.id);
+  expect(new Set(ids).size).toBe(ids.length);
+});
+
+test('keys resolve per mode', () => {
+  const bindings = resolveBindings();
+  expect(findCommand(bindings, 'r').action).toEqual({ type: 'sqrt', payload: undefined });
+  expect(findCommand(bindings, 'm').action).toEqual({ type: 'memory', payload: 'MS' });
+  expect(findCommand(bindings, 'c').id).toBe('cos');
+  expect(findCommand(bindings, 'c', { programmerMode: true }).id).toBe('digitC');
+  expect(findCommand(bindings, '^').id).toBe('power');
+  expect(findCommand(bindings, '^', { programmerMode: true }).id).toBe('xor');
+  expect(findCommand(bindings, '?').action).toBeNull();
+  expect(findCommand(bindings, 'z')).toBeNull();
+});
+
+test('rebinding refuses taken keys unless asked to replace them', () => {
+  const bindings = resolveBindings();
+  expect(rebindKey({}, bindings, 'memoryStore', 's').conflicts.map((c) => c.id)).toEqual(['sin']);
+  // Programmer-only commands may reuse keys of standard-mode commands
+  expect(rebindKey({}, bindings, 'toggleSigned', 's').overrides).toEqual({ toggleSigned: ['s'] });
+
+  const { overrides } = rebindKey({}, bindings, 'memoryStore', 's', { replace: true });
+  expect(overrides).toEqual({ memoryStore: ['s'], sin: [] });
+  const remapped = resolveBindings(overrides);
+  expect(findCommand(remapped, 's').id).toBe('memoryStore');
+  expect(findCommand(remapped, 'm')).toBeNull();
+  // Changing a command back to its default drops the override
+  expect(rebindKey(overrides, remapped, 'memoryStore', 'm').overrides).toEqual({ sin: [] });
+});
+
+test('overrides persist and invalid entries are dropped', () => {
+  const storage = memoryStorage();
+  saveKeyOverrides({ sqrt: ['v'] }, storage);
+  expect(loadKeyOverrides(storage)).toEqual({ sqrt: ['v'] });
+  const corrupt = memoryStorage({
+    [KEYBINDING_STORAGE_KEY]: JSON.stringify({ sqrt: ['Shift'], nope: ['z'], cos: 'c', tan: ['y'] }),
+  });
+  expect(loadKeyOverrides(corrupt)).toEqual({ tan: ['y'] });
+  expect(loadKeyOverrides(memoryStorage({ [KEYBINDING_STORAGE_KEY]: '[1]' }))).toEqual({});
+});
+
+test('bindable keys and display names', () => {
+  expect(isBindableKey('a')).toBe(true);
+  expect(isBindableKey('Shift')).toBe(false);
+  expect(isBindableKey('Tab')).toBe(false);
+  expect(formatKey('Escape')).toBe('Esc');
+  expect(formatKey(' ')).toBe('Space');
+  expect(formatKey('x')).toBe('x');
+  expect(formatKey('Ctrl+z')).toBe('Ctrl+Z');
+  expect(formatKey('Ctrl+Z')).toBe('Ctrl+Shift+Z');
+});
+
+test('key events map to binding keys with a Ctrl prefix', () => {
+  expect(keyFromEvent({ key: 'z', ctrlKey: true })).toBe('Ctrl+z');
+  expect(keyFromEvent({ key: 'Z', metaKey: true, shiftKey: true })).toBe('Ctrl+Z');
+  // Caps Lock changes e.key but not the shortcut: Shift tells undo from redo
+  expect(keyFromEvent({ key: 'Z', ctrlKey: true, shiftKey: false })).toBe('Ctrl+z');
+  expect(keyFromEvent({ key: 'z', ctrlKey: true, shiftKey: true })).toBe('Ctrl+Z');
+  expect(findCommand(DEFAULT_BINDINGS, keyFromEvent({ key: 'Z', ctrlKey: true })).id).toBe('undo');
+  // AltGr arrives as Ctrl+Alt and types ordinary characters
+  expect(keyFromEvent({ key: '@', ctrlKey: true, altKey: true })).toBe('@');
+  expect(keyFromEvent({ key: 'Control', ctrlKey: true })).toBeNull();
+  expect(keyFromEvent({ key: 'Tab' })).toBeNull();
+  expect(findCommand(DEFAULT_BINDINGS, 'Ctrl+z').id).toBe('undo');
+  expect(findCommand(DEFAULT_BINDINGS, 'Ctrl+y').id).toBe('redo');
+  expect(findCommand(DEFAULT_BINDINGS, 'Ctrl+c')).toBeNull();
+});
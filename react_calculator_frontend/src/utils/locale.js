@@ -0,0 +1,272 @@
+/**
+ * Locale-aware number display and input.
+ *
+ * The engine always works on canonical decimal strings ("-1234567.89"); this module
+ * only translates at the edges: digit grouping and the decimal separator come from
+ * Intl.NumberFormat for display, and pasted text in the locale's notation is turned
+ * back into a canonical string. Entry text is formatted digit for digit, so a
+ * half-typed "1234." or "0.50" keeps its trailing separator and zeros.
+ */
+import { defaultStorage, readJSON, writeJSON } from './storage';
+
+// localStorage key holding the locale preference ('' follows the browser).
+export const LOCALE_STORAGE_KEY = 'calculator.locale';
+
+// Locales offered by the selector: [locale, label]. '' means "use the browser's locale".
+export const LOCALE_OPTIONS = [
+  ['', 'Browser default'],
+  ['en-US', 'English (US) 1,234.5'],
+  ['en-GB', 'English (UK) 1,234.5'],
+  ['en-IN', 'English (India) 12,34,567.5'],
+  ['de-DE', 'Deutsch 1.234,5'],
+  ['de-CH', 'Deutsch (Schweiz) 1’234.5'],
+  ['fr-FR', 'Français 1 234,5'],
+  ['es-ES', 'Español 12.345,5'],
+  ['it-IT', 'Italiano 1.234,5'],
+  ['ja-JP', '日本語 1,234.5'],
+];
+
+const FALLBACK_LOCALE = 'en-US';
+
+// Canonical decimal text with an optional exponent, including partially typed
+// entries such as "12." or "-": [, sign, integer, fraction, exponent].
+const CANONICAL_NUMBER = /^(-?)(\d*)(?:\.(\d*))?(?:e([+-]?\d*))?$/;
+
+// Standalone numbers inside free text such as "1234.5 × 2" or "1.5e+20 ÷ 3"; digits
+// glued to letters (0xFF, 0b1010) or hyphens (ISO dates) are left alone.
+const NUMBER_IN_TEXT = /(?<![\w.-])-?\d+(?:\.\d+)?(?:e[+-]?\d+)?(?![\w.-])/g;
+
+// ISO dates inside free text such as "2026-01-01 + 90 days".
+const DATE_IN_TEXT = /(?<![\w.-])\d{4}-\d{2}-\d{2}(?![\w.-])/g;
+
+// Spaces that may group digits in any locale (SI style), besides the locale's own separator.
+const SPACE_GROUPS = [' ', '\u00a0', '\u202f'];
+
+const formatCache = new Map();
+const symbolCache = new Map();
+const groupingCache = new Map();
+
+/**
+ * Utility: Cached integer formatter for a locale. Digits are always Latin so that
+ * grouped integers and raw fraction digits match (and stay parseable).
+ * @param {string} locale
+ * @returns {Intl.NumberFormat}
+ */
+function numberFormat(locale) {
+  if (!formatCache.has(locale)) {
+    formatCache.set(locale, new window.Intl.NumberFormat(locale, { numberingSystem: 'latn' }));
+  }
+  return formatCache.get(locale);
+}
+
+// PUBLIC_INTERFACE
+export function resolveLocale(preference) {
+  /**
+   * The locale to format with: the stored preference when supported, otherwise the
+   * browser's language, otherwise en-US.
+   * @param {string} [preference] - e.g. "de-DE"; '' or undefined follows the browser
+   * @returns {string}
+   */
+  const candidates = [preference, window.navigator && window.navigator.language];
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    try {
+      if (window.Intl.NumberFormat.supportedLocalesOf(candidate).length) return candidate;
+    } catch (err) {
+      // Malformed tags throw a RangeError; try the next candidate.
+    }
+  }
+  return FALLBACK_LOCALE;
+}
+
+// PUBLIC_INTERFACE
+export function getNumberSymbols(locale) {
+  /**
+   * Group separator, decimal separator and minus sign used by a locale.
+   * @param {string} locale
+   * @returns {{group: string, decimal: string, minus: string}}
+   */
+  if (!symbolCache.has(locale)) {
+    const parts = numberFormat(locale).formatToParts(-1234567.5);
+    const find = (type, fallback) => (parts.find((p) => p.type === type) || {}).value || fallback;
+    symbolCache.set(locale, {
+      group: find('group', ','),
+      decimal: find('decimal', '.'),
+      minus: find('minusSign', '-'),
+    });
+  }
+  return symbolCache.get(locale);
+}
+
+/**
+ * Utility: Digits per group in a locale's integers: the last group before the decimal
+ * mark (primary) and the ones in front of it (secondary), e.g. 3 and 2 for 12,34,567 in
+ * en-IN.
+ * @param {string} locale
+ * @returns {{primary: number, secondary: number}}
+ */
+function groupSizes(locale) {
+  if (!groupingCache.has(locale)) {
+    const integers = numberFormat(locale)
+      .formatToParts(1234567890)
+      .filter((p) => p.type === 'integer')
+      .map((p) => p.value.length);
+    const primary = integers.length > 1 ? integers[integers.length - 1] : 3;
+    const secondary = integers.length > 2 ? integers[integers.length - 2] : primary;
+    groupingCache.set(locale, { primary, secondary });
+  }
+  return groupingCache.get(locale);
+}
+
+/**
+ * Utility: Remove the group separators from the integer part of a number, checking that
+ * they sit where the locale groups digits ("1,234,567"; "12,34,567" in en-IN).
+ * @param {string} integer - the text in front of the decimal mark
+ * @param {string[]} separators - characters that may group digits
+ * @param {string} locale
+ * @returns {string|null} the digits, possibly empty; null when the text is not digits
+ *   or is grouped wrongly ("1,5", "12,34" in en-US)
+ */
+function ungroupDigits(integer, separators, locale) {
+  const groups = separators.reduce((parts, sep) => parts.flatMap((p) => p.split(sep)), [integer]);
+  if (!groups.every((g) => /^\d*$/.test(g))) return null;
+  if (groups.length === 1) return integer;
+  const { primary, secondary } = groupSizes(locale);
+  const [first, ...rest] = groups;
+  const last = rest.pop();
+  const wellGrouped =
+    first.length >= 1 &&
+    first.length <= secondary &&
+    rest.every((g) => g.length === secondary) &&
+    last.length === primary;
+  return wellGrouped ? groups.join('') : null;
+}
+
+/**
+ * Utility: Format canonical sign/integer/fraction parts in a locale.
+ * @param {string} sign - '' or '-'
+ * @param {string} integer - digits, possibly empty while typing
+ * @param {string|undefined} fraction - undefined when there is no decimal point
+ * @param {string|undefined} exponent - power of ten, e.g. "+20"; kept as written
+ * @param {string} locale
+ * @returns {string}
+ */
+function formatParts(sign, integer, fraction, exponent, locale) {
+  const symbols = getNumberSymbols(locale);
+  // BigInt keeps every digit; Intl applies the locale's grouping rules (e.g. 12,34,567 in en-IN).
+  const grouped = integer ? numberFormat(locale).format(BigInt(integer)) : '';
+  const decimalPart = fraction === undefined ? '' : `${symbols.decimal}${fraction}`;
+  const exponentPart = exponent === undefined ? '' : `e${exponent}`;
+  return `${sign ? symbols.minus : ''}${grouped}${decimalPart}${exponentPart}`;
+}
+
+// PUBLIC_INTERFACE
+export function formatNumber(text, locale) {
+  /**
+   * Format canonical decimal text for display, e.g. "-1234567.89" → "-1.234.567,89" and
+   * "1.5e+20" → "1,5e+20" in de-DE. Text that is not a number (e.g. "Error") is
+   * returned unchanged.
+   * @param {string} text
+   * @param {string} locale
+   * @returns {string}
+   */
+  const match = CANONICAL_NUMBER.exec(text);
+  if (!match || (!match[2] && match[3] === undefined)) return text;
+  return formatParts(match[1], match[2], match[3], match[4], locale);
+}
+
+// PUBLIC_INTERFACE
+export function formatNumbersInText(text, locale, transform = (number) => number) {
+  /**
+   * Format every standalone number in free text such as "1234.5 × 2 =" or an
+   * expression being typed; operators and other words are kept as they are.
+   * @param {string} text
+   * @param {string} locale
+   * @param {(number: string) => string} [transform] - applied to each canonical number
+   *   first, e.g. to switch it to exponent notation
+   * @returns {string}
+   */
+  return text.replace(NUMBER_IN_TEXT, (number) => formatNumber(transform(number), locale));
+}
+
+// PUBLIC_INTERFACE
+export function parseLocaleNumber(text, locale) {
+  /**
+   * Read a number written in the locale's notation (e.g. pasted "1.234.567,89" in
+   * de-DE) into canonical decimal text ("1234567.89"); exponents are kept ("1,5e-7" → "1.5e-7").
+   * Group separators (the locale's own, or spaces) are only accepted where the locale
+   * groups digits, so "1,5" and "12,34" in en-US or "3.14" in de-DE are rejected rather
+   * than read as 15, 1234 or 314. A plain '.' is also accepted as the decimal point when
+   * the locale neither groups nor separates with it.
+   * @param {string} text
+   * @param {string} locale
+   * @returns {string|null} null when the text is not a single number, or is grouped
+   *   wrongly
+   */
+  const { group, decimal, minus } = getNumberSymbols(locale);
+  // Group separators: spaces, the locale's own, plus the typographic apostrophe variants of de-CH.
+  const separators = SPACE_GROUPS.includes(group) ? [...SPACE_GROUPS] : [...SPACE_GROUPS, group];
+  if (group === '’' || group === "'") separators.push('’', "'");
+  const signed = /^([-−+]?)(.*)$/.exec(String(text).trim().replace(new RegExp(`^${minus}`), '-'));
+  const [mantissa, exponent, ...extra] = signed[2].split(/e/i);
+  if (extra.length || (exponent !== undefined && !/^[+-]?\d+$/.test(exponent))) return null;
+  const point = !mantissa.includes(decimal) && decimal !== '.' && group !== '.' ? '.' : decimal;
+  const [integerText, fraction, ...more] = mantissa.split(point);
+  if (more.length || (fraction !== undefined && !/^\d+$/.test(fraction))) return null;
+  const digits = ungroupDigits(integerText, separators, locale);
+  if (digits === null || (!digits && fraction === undefined)) return null;
+  const integer = (digits || '0').replace(/^0+(?=\d)/, '');
+  const canonical = fraction ? `${integer}.${fraction}` : integer;
+  const negative = /^[-−]$/.test(signed[1]) && !/^0(\.0*)?$/.test(canonical);
+  const value = negative ? `-${canonical}` : canonical;
+  return exponent === undefined ? value : `${value}e${exponent}`;
+}
+
+// PUBLIC_INTERFACE
+export function formatDate(isoDate, locale) {
+  /**
+   * Format a calendar date for display, e.g. "2026-10-01" → "1 Oct 2026" in en-GB.
+   * @param {string} isoDate - YYYY-MM-DD
+   * @param {string} locale
+   * @returns {string} the input unchanged when it is not a valid date
+   */
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  if (Number.isNaN(date.getTime())) return isoDate;
+  // The date names a calendar day, so format it in UTC to avoid shifting it a day.
+  const formatter = new window.Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeZone: 'UTC' });
+  return formatter.format(date);
+}
+
+// PUBLIC_INTERFACE
+export function formatDatesInText(text, locale) {
+  /**
+   * Format every ISO date in free text, e.g. "2026-01-01 + 90 days" → "1 Jan 2026 + 90 days"
+   * in en-GB. Format the numbers first (formatNumbersInText leaves dates alone), or the
+   * years of formatted dates would be grouped too.
+   * @param {string} text
+   * @param {string} locale
+   * @returns {string}
+   */
+  return text.replace(DATE_IN_TEXT, (date) => formatDate(date, locale));
+}
+
+// PUBLIC_INTERFACE
+export function loadLocalePreference(storage = defaultStorage()) {
+  /**
+   * Read the persisted locale preference.
+   * @param {Storage|null} storage
+   * @returns {string} '' when unset (follow the browser)
+   */
+  const stored = readJSON(LOCALE_STORAGE_KEY, storage);
+  return typeof stored === 'string' ? stored : '';
+}
+
+// PUBLIC_INTERFACE
+export function saveLocalePreference(preference, storage = defaultStorage()) {
+  /**
+   * Persist the locale preference ('' follows the browser).
+   * @param {string} preference
+   * @param {Storage|null} storage
+   */
+  writeJSON(LOCALE_STORAGE_KEY, preference, storage);
+}
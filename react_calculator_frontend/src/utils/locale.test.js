@@ -0,0 +1,98 @@
+import {
+  LOCALE_STORAGE_KEY,
+  formatDate,
+  formatDatesInText,
+  formatNumber,
+  formatNumbersInText,
+  getNumberSymbols,
+  loadLocalePreference,
+  parseLocaleNumber,
+  resolveLocale,
+  saveLocalePreference,
+} from './locale';
+import { memoryStorage } from '../setupTests';
+
+test('separators come from Intl.NumberFormat', () => {
+  expect(getNumberSymbols('en-US')).toEqual({ group: ',', decimal: '.', minus: '-' });
+  expect(getNumberSymbols('de-DE')).toMatchObject({ group: '.', decimal: ',' });
+});
+
+test('formatting groups digits without losing precision or typed zeros', () => {
+  expect(formatNumber('1234567.89', 'de-DE')).toBe('1.234.567,89');
+  expect(formatNumber('-1234567.89', 'en-US')).toBe('-1,234,567.89');
+  expect(formatNumber('12345678901234567890.5', 'en-US')).toBe('12,345,678,901,234,567,890.5');
+  expect(formatNumber('1234567', 'en-IN')).toBe('12,34,567');
+  expect(formatNumber('1234.', 'de-DE')).toBe('1.234,');
+  expect(formatNumber('0.50', 'de-DE')).toBe('0,50');
+  expect(formatNumber('Error', 'de-DE')).toBe('Error');
+  expect(formatNumber('-', 'de-DE')).toBe('-');
+});
+
+test('numbers inside text are formatted, prefixed programmer operands are not', () => {
+  expect(formatNumbersInText('1234.5 × 2 =', 'de-DE')).toBe('1.234,5 × 2 =');
+  expect(formatNumbersInText('(1000 + -2000)', 'en-US')).toBe('(1,000 + -2,000)');
+  expect(formatNumbersInText('0b10101010 AND 0xFFFF', 'en-US')).toBe('0b10101010 AND 0xFFFF');
+});
+
+test('parsing reads the locale notation back into canonical text', () => {
+  expect(parseLocaleNumber('1.234.567,89', 'de-DE')).toBe('1234567.89');
+  expect(parseLocaleNumber(' 1,234,567.89 ', 'en-US')).toBe('1234567.89');
+  expect(parseLocaleNumber('1 234,5', 'fr-FR')).toBe('1234.5');
+  expect(parseLocaleNumber('3.5', 'fr-FR')).toBe('3.5');
+  expect(parseLocaleNumber("1'234.5", 'de-CH')).toBe('1234.5');
+  expect(parseLocaleNumber('−0012,50', 'de-DE')).toBe('-12.50');
+  expect(parseLocaleNumber(',5', 'de-DE')).toBe('0.5');
+  expect(parseLocaleNumber('-0', 'en-US')).toBe('0');
+  expect(parseLocaleNumber('1,2,3.4.5', 'en-US')).toBeNull();
+  expect(parseLocaleNumber('12 apples', 'en-US')).toBeNull();
+  expect(parseLocaleNumber('', 'en-US')).toBeNull();
+});
+
+test('group separators are only accepted where the locale groups digits', () => {
+  expect(parseLocaleNumber('1,234', 'en-US')).toBe('1234');
+  expect(parseLocaleNumber('1.234', 'de-DE')).toBe('1234');
+  expect(parseLocaleNumber('12,34,567.5', 'en-IN')).toBe('1234567.5');
+  expect(parseLocaleNumber('1 234 567.5', 'en-US')).toBe('1234567.5');
+  // Misplaced or ambiguous separators are rejected rather than dropped
+  expect(parseLocaleNumber('1,5', 'en-US')).toBeNull();
+  expect(parseLocaleNumber('12,34', 'en-US')).toBeNull();
+  expect(parseLocaleNumber('12,34,567', 'en-US')).toBeNull();
+  expect(parseLocaleNumber('1,234,56', 'en-US')).toBeNull();
+  expect(parseLocaleNumber('1,234.5,6', 'en-US')).toBeNull();
+  expect(parseLocaleNumber('3.14', 'de-DE')).toBeNull();
+  expect(parseLocaleNumber('1234.5', 'de-DE')).toBeNull();
+  expect(parseLocaleNumber('1.234,5.6', 'de-DE')).toBeNull();
+});
+
+test('locale preference falls back to the browser and persists', () => {
+  expect(resolveLocale('de-DE')).toBe('de-DE');
+  expect(resolveLocale('')).toBe(window.navigator.language);
+  expect(resolveLocale('not a locale!')).toBe(window.navigator.language);
+
+  const storage = memoryStorage();
+  expect(loadLocalePreference(storage)).toBe('');
+  saveLocalePreference('fr-FR', storage);
+  expect(loadLocalePreference(storage)).toBe('fr-FR');
+  expect(loadLocalePreference(memoryStorage({ [LOCALE_STORAGE_KEY]: '42' }))).toBe('');
+});
+
+test('exponents are kept when formatting and parsing', () => {
+  expect(formatNumber('-1.5e+20', 'de-DE')).toBe('-1,5e+20');
+  expect(formatNumber('12e+', 'en-US')).toBe('12e+');
+  expect(formatNumbersInText('1.5e+20 ÷ 3', 'de-DE')).toBe('1,5e+20 ÷ 3');
+  expect(formatNumbersInText('12345 × 2', 'en-US', () => '1e+4')).toBe('1e+4 × 1e+4');
+  expect(parseLocaleNumber('1,5E-7', 'de-DE')).toBe('1.5e-7');
+});
+
+test('calendar dates are formatted for the locale without shifting the day', () => {
+  expect(formatDate('2026-10-01', 'en-GB')).toBe('1 Oct 2026');
+  expect(formatDate('2026-10-01', 'de-DE')).toBe('01.10.2026');
+  expect(formatDate('not a date', 'en-US')).toBe('not a date');
+});
+
+test('dates in text are left to formatDatesInText by the number formatting', () => {
+  const text = '2026-01-01 + 1500 days';
+  const numbers = formatNumbersInText(text, 'en-GB');
+  expect(numbers).toBe('2026-01-01 + 1,500 days');
+  expect(formatDatesInText(numbers, 'en-GB')).toBe('1 Jan 2026 + 1,500 days');
+});
@@ -0,0 +1,102 @@
+/**
+ * Memory registers: a stack of named values, newest last, persisted to localStorage.
+ *
+ * MS pushes a new register; MR, M+ and M- act on the newest one (the top of the
+ * stack). Values are decimal strings so memory arithmetic stays exact.
+ */
+import { defaultStorage, readJSON, writeJSON } from './storage';
+
+// localStorage key holding the serialized registers.
+export const MEMORY_STORAGE_KEY = 'calculator.memory';
+
+// Oldest registers are dropped beyond this many.
+export const MAX_MEMORY_REGISTERS = 20;
+
+// Longest accepted register name.
+export const MAX_REGISTER_NAME_LENGTH = 24;
+
+/**
+ * Utility: Check that a parsed value looks like a memory register.
+ * @param {any} register
+ * @returns {boolean}
+ */
+function isValidRegister(register) {
+  return (
+    register !== null &&
+    typeof register === 'object' &&
+    typeof register.id === 'string' &&
+    typeof register.name === 'string' &&
+    typeof register.value === 'string'
+  );
+}
+
+// PUBLIC_INTERFACE
+export function nextRegisterName(registers) {
+  /**
+   * Default name for a new register: M1, M2, ... one past the highest number in use.
+   * @param {Array<{name: string}>} registers
+   * @returns {string}
+   */
+  const used = registers.map((r) => /^M(\d+)$/.exec(r.name)).filter(Boolean);
+  const highest = used.reduce((max, match) => Math.max(max, Number(match[1])), 0);
+  return `M${highest + 1}`;
+}
+
+// PUBLIC_INTERFACE
+export function createRegister(value, name, id) {
+  /**
+   * Build a memory register.
+   * @param {string} value - decimal string
+   * @param {string} name - display name, e.g. "M1"
+   * @param {string} id - unique among the registers
+   * @returns {{id: string, name: string, value: string}}
+   */
+  return {
+    id,
+    name,
+    value,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function pushRegister(registers, value, id) {
+  /**
+   * Push a new, automatically named register onto the stack, keeping at most
+   * MAX_MEMORY_REGISTERS (oldest dropped first).
+   * @param {string} id - id of the new register
+   * @returns {Array} new registers array
+   */
+  const next = [...registers, createRegister(value, nextRegisterName(registers), id)];
+  return next.length > MAX_MEMORY_REGISTERS ? next.slice(next.length - MAX_MEMORY_REGISTERS) : next;
+}
+
+// PUBLIC_INTERFACE
+export function normalizeRegisterName(name) {
+  /**
+   * Clean up a user-entered register name: collapse whitespace and cap the length.
+   * @param {string} name
+   * @returns {string} possibly empty
+   */
+  return String(name).replace(/\s+/g, ' ').trimStart().slice(0, MAX_REGISTER_NAME_LENGTH);
+}
+
+// PUBLIC_INTERFACE
+export function loadMemory(storage = defaultStorage()) {
+  /**
+   * Read persisted registers; missing, corrupt or unavailable storage yields [].
+   * @param {Storage|null} storage
+   * @returns {Array}
+   */
+  const parsed = readJSON(MEMORY_STORAGE_KEY, storage);
+  return Array.isArray(parsed) ? parsed.filter(isValidRegister) : [];
+}
+
+// PUBLIC_INTERFACE
+export function saveMemory(registers, storage = defaultStorage()) {
+  /**
+   * Persist registers; write failures are ignored.
+   * @param {Array} registers
+   * @param {Storage|null} storage
+   */
+  writeJSON(MEMORY_STORAGE_KEY, registers, storage);
+}
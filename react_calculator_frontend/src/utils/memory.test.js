@@ -0,0 +1,41 @@
+import {
+  MAX_MEMORY_REGISTERS,
+  MEMORY_STORAGE_KEY,
+  loadMemory,
+  nextRegisterName,
+  normalizeRegisterName,
+  pushRegister,
+  saveMemory,
+} from './memory';
+import { memoryStorage } from '../setupTests';
+
+test('registers are named one past the highest default name', () => {
+  expect(nextRegisterName([])).toBe('M1');
+  expect(nextRegisterName([{ name: 'M1' }, { name: 'Tax' }, { name: 'M4' }])).toBe('M5');
+});
+
+test('push appends and caps the stack', () => {
+  let registers = [];
+  for (let i = 0; i < MAX_MEMORY_REGISTERS + 3; i += 1) {
+    registers = pushRegister(registers, String(i), `r${i}`);
+  }
+  expect(registers).toHaveLength(MAX_MEMORY_REGISTERS);
+  expect(registers[registers.length - 1].value).toBe(String(MAX_MEMORY_REGISTERS + 2));
+  expect(new Set(registers.map((r) => r.id)).size).toBe(MAX_MEMORY_REGISTERS);
+});
+
+test('names are cleaned up', () => {
+  expect(normalizeRegisterName('  Net\tprice ')).toBe('Net price ');
+  expect(normalizeRegisterName('x'.repeat(40))).toHaveLength(24);
+});
+
+test('save and load roundtrip tolerates bad storage', () => {
+  const storage = memoryStorage();
+  const registers = pushRegister([], '12.5', 'r1');
+  saveMemory(registers, storage);
+  expect(loadMemory(storage)).toEqual(registers);
+  expect(loadMemory(memoryStorage({ [MEMORY_STORAGE_KEY]: '{oops' }))).toEqual([]);
+  const mixed = JSON.stringify([...registers, { id: 1, value: '2' }]);
+  expect(loadMemory(memoryStorage({ [MEMORY_STORAGE_KEY]: mixed }))).toHaveLength(1);
+  expect(loadMemory(null)).toEqual([]);
+});
@@ -0,0 +1,82 @@
+/**
+ * Display notation: when and how values switch to exponent form.
+ *
+ * AUTO shows plain digits while a value fits the digit budget and scientific
+ * notation ("1.234e+25") beyond it; ENG always uses engineering notation, whose
+ * exponents are multiples of three ("12.34e+24"). Only the display changes: input and
+ * output are canonical decimal strings, so the result can be localized afterwards.
+ */
+import { compare, magnitude, multiply, parseDecimal, round, toDecimalString } from './decimal';
+
+// Notation modes in the order the notation key cycles through them.
+export const NOTATIONS = ['AUTO', 'ENG'];
+
+// Default number of digits the display shows before switching to exponent form.
+export const DEFAULT_DISPLAY_DIGITS = 16;
+
+const TEN = parseDecimal('10');
+
+/**
+ * Utility: Split a non-zero decimal into sign, a mantissa in [1, 10) rounded to
+ * `digits` significant digits, and a power of ten.
+ * @param {{coef: bigint, scale: number}} dec
+ * @param {number} digits
+ * @returns {{sign: string, mantissa: {coef: bigint, scale: number}, exponent: number}}
+ */
+function toScientificParts(dec, digits) {
+  const sign = dec.coef < 0n ? '-' : '';
+  const significand = (dec.coef < 0n ? -dec.coef : dec.coef).toString();
+  let exponent = magnitude(dec);
+  let mantissa = round(parseDecimal(`${significand[0]}.${significand.slice(1)}`), digits - 1);
+  // Rounding 9.99… up reaches 10: carry into the exponent.
+  if (compare(mantissa, TEN) === 0) {
+    mantissa = parseDecimal('1');
+    exponent += 1;
+  }
+  return { sign, mantissa, exponent };
+}
+
+/**
+ * Utility: Write a mantissa and exponent as canonical exponent text.
+ * @returns {string} e.g. "-1.5e-7"; exponent 0 is left out
+ */
+function withExponent(sign, mantissa, exponent) {
+  const digits = toDecimalString(mantissa);
+  if (exponent === 0) return `${sign}${digits}`;
+  return `${sign}${digits}e${exponent < 0 ? '-' : '+'}${Math.abs(exponent)}`;
+}
+
+// PUBLIC_INTERFACE
+export function toNotation(text, { notation = 'AUTO', digits = DEFAULT_DISPLAY_DIGITS } = {}) {
+  /**
+   * Rewrite canonical decimal text for a display with `digits` digits.
+   * AUTO keeps values that fit as they are (rounding surplus fraction digits) and
+   * uses scientific notation for integers longer than the budget or tiny values whose
+   * digits would not fit; ENG always uses engineering notation.
+   * @param {string} text - e.g. "123456789012345678901234"
+   * @param {{notation?: 'AUTO'|'ENG', digits?: number}} options
+   * @returns {string} e.g. "1.234567890123457e+23"; non-numbers (e.g. "Error") unchanged
+   */
+  const dec = parseDecimal(text);
+  if (!dec || dec.coef === 0n) return text;
+  const m = magnitude(dec);
+  if (notation === 'ENG') {
+    const { sign, mantissa, exponent } = toScientificParts(dec, digits);
+    const engExponent = 3 * Math.floor(exponent / 3);
+    const shifted = multiply(mantissa, parseDecimal(`1e${exponent - engExponent}`));
+    return withExponent(sign, shifted, engExponent);
+  }
+  if (m >= digits || (m < 0 && dec.scale + 1 > digits)) {
+    const { sign, mantissa, exponent } = toScientificParts(dec, digits);
+    return withExponent(sign, mantissa, exponent);
+  }
+  // Fits once surplus fraction digits are rounded away (the integer part takes m + 1).
+  const decimals = digits - Math.max(m + 1, 1);
+  return dec.scale > decimals ? toDecimalString(round(dec, decimals)) : text;
+}
+
+// PUBLIC_INTERFACE
+export function nextNotation(notation) {
+  /** The notation after `notation` in the AUTO → ENG cycle. */
+  return NOTATIONS[(NOTATIONS.indexOf(notation) + 1) % NOTATIONS.length];
+}
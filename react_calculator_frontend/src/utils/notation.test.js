@@ -0,0 +1,29 @@
+import { nextNotation, toNotation } from './notation';
+
+test('AUTO keeps values that fit and rounds surplus fraction digits', () => {
+  expect(toNotation('1234567.89')).toBe('1234567.89');
+  expect(toNotation('0.3333333333')).toBe('0.3333333333');
+  expect(toNotation('1234567.1234567890123')).toBe('1234567.123456789');
+  expect(toNotation('9999999999999999')).toBe('9999999999999999');
+  expect(toNotation('Error')).toBe('Error');
+  expect(toNotation('0')).toBe('0');
+});
+
+test('AUTO switches to scientific notation past the digit budget', () => {
+  expect(toNotation('12345678901234567890')).toBe('1.234567890123457e+19');
+  expect(toNotation('-100000000000000000000')).toBe('-1e+20');
+  expect(toNotation('99999999999999999999')).toBe('1e+20');
+  expect(toNotation('0.0000000000003333333333')).toBe('3.333333333e-13');
+  expect(toNotation('123456', { digits: 4 })).toBe('1.235e+5');
+});
+
+test('ENG uses exponents that are multiples of three', () => {
+  const eng = (text) => toNotation(text, { notation: 'ENG' });
+  expect(eng('12345')).toBe('12.345e+3');
+  expect(eng('123')).toBe('123');
+  expect(eng('0.005')).toBe('5e-3');
+  expect(eng('-0.5')).toBe('-500e-3');
+  expect(toNotation('999999', { notation: 'ENG', digits: 3 })).toBe('1e+6');
+  expect(nextNotation('AUTO')).toBe('ENG');
+  expect(nextNotation('ENG')).toBe('AUTO');
+});
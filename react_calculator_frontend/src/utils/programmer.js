@@ -0,0 +1,164 @@
+/**
+ * Programmer arithmetic: integer values in HEX/DEC/OCT/BIN with fixed word sizes.
+ *
+ * Values are BigInts wrapped to the selected word size (8/16/32/64 bits, signed
+ * two's complement or unsigned). Entry text is kept in the current input base;
+ * non-decimal bases show negative values as their two's complement bit pattern.
+ */
+
+// Radix for each selectable input base.
+export const BASES = { HEX: 16, DEC: 10, OCT: 8, BIN: 2 };
+
+// Supported word sizes in bits.
+export const WORD_SIZES = [8, 16, 32, 64];
+
+// Binary operators only available in programmer mode.
+export const PROGRAMMER_OPERATORS = ['AND', 'OR', 'XOR', '<<', '>>'];
+
+// Prefixes used when writing a value with its base, e.g. in the history tape.
+const BASE_PREFIXES = { HEX: '0x', DEC: '', OCT: '0o', BIN: '0b' };
+
+// PUBLIC_INTERFACE
+export function wrapToWord(value, { wordSize, signed }) {
+  /**
+   * Wrap a BigInt to the word size (two's complement when signed).
+   * @param {bigint} value
+   * @param {{wordSize: number, signed: boolean}} options
+   * @returns {bigint}
+   */
+  return signed ? BigInt.asIntN(wordSize, value) : BigInt.asUintN(wordSize, value);
+}
+
+// PUBLIC_INTERFACE
+export function isValidDigit(digit, base) {
+  /**
+   * True when `digit` (0-9, A-F) exists in the given input base.
+   * @param {string} digit
+   * @param {'HEX'|'DEC'|'OCT'|'BIN'} base
+   */
+  const value = parseInt(digit, 16);
+  return digit.length === 1 && !Number.isNaN(value) && value < BASES[base];
+}
+
+/**
+ * Utility: Read signed entry text in `base` without wrapping.
+ * @param {string} text
+ * @param {'HEX'|'DEC'|'OCT'|'BIN'} base
+ * @returns {bigint|null}
+ */
+function parseUnbounded(text, base) {
+  const match = /^(-)?([0-9A-F]+)$/i.exec(String(text).trim());
+  if (!match) return null;
+  const sign = match[1];
+  const digits = [...match[2].toUpperCase()];
+  if (!digits.every((d) => isValidDigit(d, base))) return null;
+  const radix = BigInt(BASES[base]);
+  const value = digits.reduce((acc, d) => acc * radix + BigInt(parseInt(d, 16)), 0n);
+  return sign ? -value : value;
+}
+
+// PUBLIC_INTERFACE
+export function parseInBase(text, base, options) {
+  /**
+   * Parse entry text in `base` into a value wrapped to the word size.
+   * Non-decimal text is read as a bit pattern, so "FF" in signed 8-bit is -1.
+   * @param {string} text - e.g. "FF", "-12", "1010"
+   * @param {'HEX'|'DEC'|'OCT'|'BIN'} base
+   * @param {{wordSize: number, signed: boolean}} options
+   * @returns {bigint|null} null when the text is not a valid integer in `base`
+   */
+  const value = parseUnbounded(text, base);
+  return value === null ? null : wrapToWord(value, options);
+}
+
+// PUBLIC_INTERFACE
+export function formatInBase(value, base, { wordSize }) {
+  /**
+   * Format a value in `base`; negative values outside DEC show their
+   * two's complement pattern for the word size.
+   * @param {bigint} value
+   * @param {'HEX'|'DEC'|'OCT'|'BIN'} base
+   * @param {{wordSize: number}} options
+   * @returns {string} uppercase digits, e.g. "FF"
+   */
+  if (base === 'DEC') return value.toString(10);
+  const pattern = value < 0n ? BigInt.asUintN(wordSize, value) : value;
+  return pattern.toString(BASES[base]).toUpperCase();
+}
+
+// PUBLIC_INTERFACE
+export function withBasePrefix(text, base) {
+  /** Prefix entry text with its base marker (0x, 0o, 0b; none for DEC). */
+  return `${BASE_PREFIXES[base]}${text}`;
+}
+
+// PUBLIC_INTERFACE
+export function fitsWord(text, base, options) {
+  /**
+   * True when entry text can be typed without overflowing the word size:
+   * DEC text must be in range, other bases must fit in `wordSize` bits.
+   * @param {string} text
+   * @param {'HEX'|'DEC'|'OCT'|'BIN'} base
+   * @param {{wordSize: number, signed: boolean}} options
+   */
+  const value = parseUnbounded(text, base);
+  if (value === null) return false;
+  if (base === 'DEC') return wrapToWord(value, options) === value;
+  return BigInt.asUintN(options.wordSize, value) === value;
+}
+
+// PUBLIC_INTERFACE
+export function applyProgrammerOperation(op, a, b, options) {
+  /**
+   * Apply an integer operator and wrap the result to the word size.
+   * ÷ truncates toward zero; >> is arithmetic for signed words, logical otherwise.
+   * @param {'+'|'−'|'×'|'÷'|'AND'|'OR'|'XOR'|'<<'|'>>'} op
+   * @param {bigint} a
+   * @param {bigint} b
+   * @param {{wordSize: number, signed: boolean}} options
+   * @returns {bigint}
+   * @throws {RangeError} on division by zero, negative shift counts or unknown operators
+   */
+  switch (op) {
+    case '+':
+      return wrapToWord(a + b, options);
+    case '−':
+      return wrapToWord(a - b, options);
+    case '×':
+      return wrapToWord(a * b, options);
+    case '÷':
+      if (b === 0n) throw new RangeError('Division by zero');
+      return wrapToWord(a / b, options);
+    case 'AND':
+      return wrapToWord(a & b, options);
+    case 'OR':
+      return wrapToWord(a | b, options);
+    case 'XOR':
+      return wrapToWord(a ^ b, options);
+    case '<<':
+    case '>>': {
+      if (b < 0n) throw new RangeError('Shift count must not be negative');
+      // Shifting by the word size or more clears every bit (or fills with the sign).
+      const count = b > BigInt(options.wordSize) ? BigInt(options.wordSize) : b;
+      return wrapToWord(op === '<<' ? a << count : a >> count, options);
+    }
+    default:
+      throw new RangeError(`Unknown operator '${op}'`);
+  }
+}
+
+// PUBLIC_INTERFACE
+export function bitwiseNot(value, options) {
+  /** Bitwise complement within the word size. */
+  return wrapToWord(~value, options);
+}
+
+// PUBLIC_INTERFACE
+export function convertEntry(text, fromBase, toBase, options) {
+  /**
+   * Re-express entry text in another base (and/or word size).
+   * @returns {string|null} null when `text` is not a valid entry in `fromBase`
+   */
+  const value = parseInBase(text, fromBase, options);
+  return value === null ? null : formatInBase(value, toBase, options);
+}
@@ -0,0 +1,67 @@
+import {
+  applyProgrammerOperation,
+  bitwiseNot,
+  convertEntry,
+  fitsWord,
+  formatInBase,
+  isValidDigit,
+  parseInBase,
+  wrapToWord,
+} from './programmer';
+
+const s64 = { wordSize: 64, signed: true };
+const s8 = { wordSize: 8, signed: true };
+const u8 = { wordSize: 8, signed: false };
+
+test('digit validity per base', () => {
+  expect(isValidDigit('F', 'HEX')).toBe(true);
+  expect(isValidDigit('A', 'DEC')).toBe(false);
+  expect(isValidDigit('7', 'OCT')).toBe(true);
+  expect(isValidDigit('8', 'OCT')).toBe(false);
+  expect(isValidDigit('2', 'BIN')).toBe(false);
+});
+
+test('parse and format across bases', () => {
+  expect(parseInBase('FF', 'HEX', s64)).toBe(255n);
+  expect(parseInBase('FF', 'HEX', s8)).toBe(-1n);
+  expect(parseInBase('FF', 'HEX', u8)).toBe(255n);
+  expect(parseInBase('-12', 'DEC', s64)).toBe(-12n);
+  expect(parseInBase('129', 'DEC', s8)).toBe(-127n);
+  expect(parseInBase('1.5', 'DEC', s64)).toBeNull();
+  expect(parseInBase('G', 'HEX', s64)).toBeNull();
+  expect(formatInBase(-1n, 'HEX', s8)).toBe('FF');
+  expect(formatInBase(-1n, 'BIN', { wordSize: 16 })).toBe('1111111111111111');
+  expect(formatInBase(-1n, 'DEC', s8)).toBe('-1');
+  expect(convertEntry('255', 'DEC', 'OCT', s64)).toBe('377');
+});
+
+test('word wrapping', () => {
+  expect(wrapToWord(256n, u8)).toBe(0n);
+  expect(wrapToWord(128n, s8)).toBe(-128n);
+  expect(wrapToWord(-1n, { wordSize: 32, signed: false })).toBe(4294967295n);
+});
+
+test('entry fits the word size', () => {
+  expect(fitsWord('FF', 'HEX', s8)).toBe(true);
+  expect(fitsWord('1FF', 'HEX', s8)).toBe(false);
+  expect(fitsWord('127', 'DEC', s8)).toBe(true);
+  expect(fitsWord('128', 'DEC', s8)).toBe(false);
+  expect(fitsWord('255', 'DEC', u8)).toBe(true);
+});
+
+test('bitwise and arithmetic operators wrap to the word', () => {
+  const op = (o, a, b, options = s64) => applyProgrammerOperation(o, a, b, options);
+  expect(op('AND', 0b1100n, 0b1010n)).toBe(0b1000n);
+  expect(op('OR', 0b1100n, 0b1010n)).toBe(0b1110n);
+  expect(op('XOR', 0b1100n, 0b1010n)).toBe(0b0110n);
+  expect(op('<<', 1n, 4n)).toBe(16n);
+  expect(op('<<', 1n, 7n, s8)).toBe(-128n);
+  expect(op('>>', -8n, 1n, s8)).toBe(-4n);
+  expect(op('>>', 248n, 1n, u8)).toBe(124n);
+  expect(op('+', 127n, 1n, s8)).toBe(-128n);
+  expect(op('÷', -7n, 2n)).toBe(-3n);
+  expect(() => op('÷', 1n, 0n)).toThrow(RangeError);
+  expect(() => op('<<', 1n, -1n)).toThrow(RangeError);
+  expect(bitwiseNot(0n, s8)).toBe(-1n);
+  expect(bitwiseNot(0n, u8)).toBe(255n);
+});
@@ -0,0 +1,47 @@
+/**
+ * Arrow-key navigation for keypads laid out as grids (roving tabindex): only one key
+ * is in the tab order and the arrow keys move between keys.
+ */
+
+// PUBLIC_INTERFACE
+export function nextGridIndex(
+  index,
+  key,
+  { count, columns, ctrlKey = false, isDisabled = () => false }
+) {
+  /**
+   * The key to focus after a navigation key press in a grid filled row by row.
+   * Arrows move one step and stop at the edges; Home/End go to the start/end of the
+   * row, or of the whole grid with Ctrl. Disabled keys are skipped.
+   * @param {number} index - position of the focused key
+   * @param {string} key - KeyboardEvent.key
+   * @param {{count: number, columns: number, ctrlKey?: boolean,
+   *   isDisabled?: (index: number) => boolean}} grid
+   * @returns {number|null} index to focus (the same one at an edge); null for other keys
+   */
+  const rowStart = index - (index % columns);
+  const rowEnd = Math.min(rowStart + columns, count) - 1;
+  const moves = {
+    ArrowLeft: { step: -1, limit: rowStart },
+    ArrowRight: { step: 1, limit: rowEnd },
+    ArrowUp: { step: -columns, limit: 0 },
+    ArrowDown: { step: columns, limit: count - 1 },
+  };
+  if (key === 'Home' || key === 'End') {
+    const first = ctrlKey ? 0 : rowStart;
+    const last = ctrlKey ? count - 1 : rowEnd;
+    // Jump to the far end, then walk back to the nearest enabled key
+    const step = key === 'Home' ? 1 : -1;
+    for (let i = key === 'Home' ? first : last; i >= first && i <= last; i += step) {
+      if (!isDisabled(i)) return i;
+    }
+    return index;
+  }
+  const move = moves[key];
+  if (!move) return null;
+  const within = (i) => (move.step < 0 ? i >= move.limit : i <= move.limit);
+  for (let i = index + move.step; within(i); i += move.step) {
+    if (!isDisabled(i)) return i;
+  }
+  return index;
+}
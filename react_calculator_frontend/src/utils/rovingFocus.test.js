@@ -0,0 +1,30 @@
+import { nextGridIndex } from './rovingFocus';
+
+const grid = { count: 10, columns: 4 };
+
+test('arrow keys move within a grid and stop at its edges', () => {
+  expect(nextGridIndex(5, 'ArrowRight', grid)).toBe(6);
+  expect(nextGridIndex(5, 'ArrowDown', grid)).toBe(9);
+  expect(nextGridIndex(7, 'ArrowRight', grid)).toBe(7);
+  expect(nextGridIndex(4, 'ArrowLeft', grid)).toBe(4);
+  expect(nextGridIndex(1, 'ArrowUp', grid)).toBe(1);
+  // The last row is short: down from 6 has no key below
+  expect(nextGridIndex(6, 'ArrowDown', grid)).toBe(6);
+  expect(nextGridIndex(5, 'Enter', grid)).toBeNull();
+});
+
+test('Home and End go to the row or, with Ctrl, the grid ends', () => {
+  expect(nextGridIndex(6, 'Home', grid)).toBe(4);
+  expect(nextGridIndex(6, 'End', grid)).toBe(7);
+  expect(nextGridIndex(9, 'End', grid)).toBe(9);
+  expect(nextGridIndex(6, 'Home', { ...grid, ctrlKey: true })).toBe(0);
+  expect(nextGridIndex(6, 'End', { ...grid, ctrlKey: true })).toBe(9);
+});
+
+test('disabled keys are skipped', () => {
+  const isDisabled = (i) => i === 5 || i === 6;
+  expect(nextGridIndex(4, 'ArrowRight', { ...grid, isDisabled })).toBe(7);
+  expect(nextGridIndex(1, 'ArrowDown', { ...grid, isDisabled })).toBe(9);
+  expect(nextGridIndex(7, 'Home', { ...grid, isDisabled })).toBe(4);
+  expect(nextGridIndex(4, 'ArrowRight', { ...grid, isDisabled: (i) => i > 4 && i < 8 })).toBe(4);
+});
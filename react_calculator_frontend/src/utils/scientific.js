@@ -0,0 +1,260 @@
+/**
+ * Scientific functions: trigonometry (with angle modes), logarithms, powers,
+ * reciprocal, factorial and the constants π and e.
+ *
+ * Inputs and outputs are decimals (see ./decimal). Exact operations (x², integer
+ * powers, n!) stay in BigInt arithmetic; transcendental functions go through
+ * Math and are rounded to the requested precision. Domain violations throw a
+ * RangeError, matching decimal's divide() and sqrt().
+ */
+import {
+  DEFAULT_PRECISION,
+  MAX_EXPONENT,
+  OVERFLOW,
+  UNDERFLOW,
+  compare,
+  divide,
+  isNegative,
+  isZero,
+  magnitude,
+  multiply,
+  negate,
+  parseDecimal,
+  round,
+  roundToPrecision,
+  toNumber,
+} from './decimal';
+
+// Angle units for trigonometric functions, in the order the DRG key cycles through them.
+export const ANGLE_MODES = ['DEG', 'RAD', 'GRAD'];
+
+// Unary functions accepted by applyFunction().
+export const FUNCTION_NAMES = [
+  'sin',
+  'cos',
+  'tan',
+  'asin',
+  'acos',
+  'atan',
+  'ln',
+  'log',
+  'square',
+  'reciprocal',
+  'factorial',
+];
+
+// Largest n accepted by factorial (the result already has 2,568 digits).
+export const MAX_FACTORIAL = 1000;
+
+// Integer powers whose exact digits (exponent × digits of the base) stay within this are
+// computed exactly; larger ones and fractional exponents go through logarithms.
+const MAX_EXACT_DIGITS = 25000;
+
+// Constants accepted by constantValue().
+export const CONSTANT_NAMES = ['pi', 'e'];
+
+const CONSTANT_DIGITS = {
+  pi: '3.14159265358979323846264338327950288419716939937510582097494459',
+  e: '2.71828182845904523536028747135266249775724709369995957496696763',
+};
+
+// Half turn (π radians) in each angle unit, used to map angles to radians and back.
+const HALF_TURN = { DEG: 180, GRAD: 200 };
+
+const ONE = parseDecimal('1');
+
+/**
+ * Utility: Convert a float result back to a decimal rounded to precision.
+ * @param {number} value
+ * @param {number} precision
+ * @returns {{coef: bigint, scale: number}}
+ * @throws {RangeError} OVERFLOW on NaN or infinite results
+ */
+function fromNumber(value, precision) {
+  const dec = parseDecimal(value);
+  if (!dec) throw new RangeError(OVERFLOW);
+  return round(dec, precision);
+}
+
+/**
+ * Utility: Split a non-zero decimal into a float mantissa in [1, 10) and a power of ten,
+ * so logarithms and powers of values beyond the float range (1e400) stay exact enough.
+ * @param {{coef: bigint, scale: number}} d
+ * @returns {[number, number]} [mantissa, exponent] of |d|
+ */
+function splitPowerOfTen(d) {
+  const digits = d.coef.toString().replace('-', '');
+  return [Number(`${digits[0]}.${digits.slice(1, 17) || '0'}`), magnitude(d)];
+}
+
+/**
+ * Utility: log10 |d| for a non-zero decimal.
+ * @returns {number}
+ */
+function log10(d) {
+  const [mantissa, exponent] = splitPowerOfTen(d);
+  return exponent + Math.log10(mantissa);
+}
+
+/**
+ * Utility: Check that a decimal is a whole number.
+ * @param {{coef: bigint, scale: number}} d
+ * @returns {boolean}
+ */
+function isInteger(d) {
+  return d.scale === 0;
+}
+
+/**
+ * Utility: Convert an angle in the given mode to radians.
+ * @param {number} angle
+ * @param {'DEG'|'RAD'|'GRAD'} angleMode
+ * @returns {number}
+ */
+function toRadians(angle, angleMode) {
+  if (angleMode === 'RAD') return angle;
+  const half = HALF_TURN[angleMode];
+  // Reduce first so large angles keep their precision.
+  return ((angle % (2 * half)) * Math.PI) / half;
+}
+
+/**
+ * Utility: Convert an angle in radians to the given mode.
+ * @param {number} radians
+ * @param {'DEG'|'RAD'|'GRAD'} angleMode
+ * @returns {number}
+ */
+function fromRadians(radians, angleMode) {
+  if (angleMode === 'RAD') return radians;
+  return (radians * HALF_TURN[angleMode]) / Math.PI;
+}
+
+/**
+ * Utility: Exact n! for a non-negative integer n.
+ * @param {{coef: bigint, scale: number}} n
+ * @returns {{coef: bigint, scale: number}}
+ */
+function factorial(n) {
+  if (!isInteger(n) || isNegative(n)) {
+    throw new RangeError('Factorial is only defined for non-negative integers');
+  }
+  const limit = toNumber(n);
+  if (limit > MAX_FACTORIAL) throw new RangeError(OVERFLOW);
+  let product = 1n;
+  for (let i = 2n; i <= n.coef; i += 1n) product *= i;
+  return { coef: product, scale: 0 };
+}
+
+// PUBLIC_INTERFACE
+export function constantValue(name, precision = DEFAULT_PRECISION) {
+  /**
+   * Value of a named constant rounded to `precision` decimal places.
+   * @param {'pi'|'e'} name
+   * @returns {{coef: bigint, scale: number}}
+   */
+  const digits = CONSTANT_DIGITS[name];
+  if (!digits) throw new RangeError(`Unknown constant '${name}'`);
+  return round(parseDecimal(digits), precision);
+}
+
+// PUBLIC_INTERFACE
+export function power(base, exponent, precision = DEFAULT_PRECISION) {
+  /**
+   * base ^ exponent. Integer exponents are exact while the result has at most
+   * MAX_EXACT_DIGITS digits (negative ones are rounded to `precision`); other powers are
+   * computed through log10 of the base, to float accuracy.
+   * @throws {RangeError} for 0 to a negative power or a negative base with a
+   *   fractional exponent; OVERFLOW / UNDERFLOW for results beyond ±MAX_EXPONENT
+   */
+  const baseDigits = base.coef.toString().replace('-', '').length;
+  if (isInteger(exponent) && Math.abs(toNumber(exponent)) * baseDigits <= MAX_EXACT_DIGITS) {
+    const n = toNumber(exponent);
+    if (n < 0 && isZero(base)) throw new RangeError('Division by zero');
+    // |base^n| is at least 10^(m·n) for n > 0; refuse before building a huge BigInt.
+    const m = isZero(base) ? 0 : magnitude(base);
+    if (m * Math.abs(n) > MAX_EXPONENT) throw new RangeError(n < 0 ? UNDERFLOW : OVERFLOW);
+    if (m * Math.abs(n) < -MAX_EXPONENT - Math.abs(n)) {
+      throw new RangeError(n < 0 ? OVERFLOW : UNDERFLOW);
+    }
+    let result = ONE;
+    let square = base;
+    for (let k = Math.abs(n); k > 0; k = Math.floor(k / 2)) {
+      if (k % 2 === 1) result = multiply(result, square);
+      if (k > 1) square = multiply(square, square);
+    }
+    return n < 0 ? divide(ONE, result, precision) : result;
+  }
+  if (isNegative(base) && !isInteger(exponent)) {
+    throw new RangeError('Negative base requires an integer exponent');
+  }
+  if (isZero(base)) {
+    if (isNegative(exponent)) throw new RangeError('Division by zero');
+    return base;
+  }
+  // A negative base has an integer exponent here: odd ones keep the sign.
+  const negative = isNegative(base) && exponent.coef % 2n !== 0n;
+  // |base|^exponent = 10^digits, with digits split into a power of ten and a mantissa
+  const digits = toNumber(exponent) * log10(base);
+  if (Number.isNaN(digits)) return negative ? negate(ONE) : ONE;
+  if (digits >= MAX_EXPONENT + 1) throw new RangeError(OVERFLOW);
+  if (digits < -MAX_EXPONENT) throw new RangeError(UNDERFLOW);
+  const whole = Math.floor(digits);
+  const result = roundToPrecision(parseDecimal(`${10 ** (digits - whole)}e${whole}`), precision);
+  return negative ? negate(result) : result;
+}
+
+// PUBLIC_INTERFACE
+export function applyFunction(name, value, { angleMode = 'DEG', precision = DEFAULT_PRECISION } = {}) {
+  /**
+   * Apply a unary scientific function.
+   * @param {string} name - one of FUNCTION_NAMES
+   * @param {{coef: bigint, scale: number}} value
+   * @param {{angleMode?: 'DEG'|'RAD'|'GRAD', precision?: number}} options
+   * @returns {{coef: bigint, scale: number}}
+   * @throws {RangeError} when value is outside the function's domain
+   */
+  const x = toNumber(value);
+  switch (name) {
+    case 'sin':
+      return fromNumber(Math.sin(toRadians(x, angleMode)), precision);
+    case 'cos':
+      return fromNumber(Math.cos(toRadians(x, angleMode)), precision);
+    case 'tan': {
+      const radians = toRadians(x, angleMode);
+      // Odd multiples of a right angle have no tangent; compare the rounded cosine to catch them.
+      if (isZero(fromNumber(Math.cos(radians), precision))) {
+        throw new RangeError('Tangent is undefined for this angle');
+      }
+      return fromNumber(Math.tan(radians), precision);
+    }
+    case 'asin':
+    case 'acos':
+      if (x < -1 || x > 1) throw new RangeError(`${name} is only defined between -1 and 1`);
+      return fromNumber(fromRadians(Math[name](x), angleMode), precision);
+    case 'atan':
+      return fromNumber(fromRadians(Math.atan(x), angleMode), precision);
+    case 'ln':
+    case 'log':
+      if (compare(value, parseDecimal('0')) <= 0) {
+        throw new RangeError('Logarithm is only defined for positive numbers');
+      }
+      // Through the decimal exponent, so values beyond the float range have logarithms too
+      return fromNumber(name === 'ln' ? log10(value) * Math.LN10 : log10(value), precision);
+    case 'square':
+      return multiply(value, value);
+    case 'reciprocal':
+      if (isZero(value)) throw new RangeError('Division by zero');
+      return divide(ONE, value, precision);
+    case 'factorial':
+      return factorial(value);
+    default:
+      throw new RangeError(`Unknown function '${name}'`);
+  }
+}
+
+// PUBLIC_INTERFACE
+export function nextAngleMode(angleMode) {
+  /** The angle mode after `angleMode` in the DEG → RAD → GRAD cycle. */
+  return ANGLE_MODES[(ANGLE_MODES.indexOf(angleMode) + 1) % ANGLE_MODES.length];
+}
+
@@ -0,0 +1,89 @@
+import { isNegative, magnitude, parseDecimal, toDecimalString } from './decimal';
+import { applyFunction, constantValue, nextAngleMode, power } from './scientific';
+
+const d = (s) => parseDecimal(s);
+const fn = (name, value, options) => toDecimalString(applyFunction(name, d(value), options));
+
+test('trigonometry honours the angle mode', () => {
+  expect(fn('sin', '30')).toBe('0.5');
+  expect(fn('cos', '180')).toBe('-1');
+  expect(fn('sin', '180')).toBe('0');
+  expect(fn('tan', '45')).toBe('1');
+  expect(fn('sin', '100', { angleMode: 'GRAD' })).toBe('1');
+  expect(fn('cos', '0', { angleMode: 'RAD' })).toBe('1');
+  expect(fn('sin', '1.5707963268', { angleMode: 'RAD' })).toBe('1');
+});
+
+test('inverse trigonometry returns angles in the current mode', () => {
+  expect(fn('asin', '1')).toBe('90');
+  expect(fn('acos', '0', { angleMode: 'GRAD' })).toBe('100');
+  expect(fn('atan', '1', { angleMode: 'RAD' })).toBe('0.7853981634');
+});
+
+test('logarithms, square, reciprocal and factorial', () => {
+  expect(fn('ln', '1')).toBe('0');
+  expect(fn('log', '1000')).toBe('3');
+  expect(fn('square', '1.5')).toBe('2.25');
+  expect(fn('reciprocal', '8')).toBe('0.125');
+  expect(fn('factorial', '5')).toBe('120');
+  expect(fn('factorial', '25')).toBe('15511210043330985984000000');
+  expect(fn('factorial', '0')).toBe('1');
+});
+
+test('domain errors throw RangeError', () => {
+  ['ln', 'log'].forEach((name) => {
+    expect(() => applyFunction(name, d('0'))).toThrow(RangeError);
+    expect(() => applyFunction(name, d('-1'))).toThrow(RangeError);
+  });
+  expect(() => applyFunction('asin', d('1.5'))).toThrow(RangeError);
+  expect(() => applyFunction('acos', d('-2'))).toThrow(RangeError);
+  expect(() => applyFunction('tan', d('90'))).toThrow(RangeError);
+  expect(() => applyFunction('tan', d('100'), { angleMode: 'GRAD' })).toThrow(RangeError);
+  expect(() => applyFunction('reciprocal', d('0'))).toThrow(RangeError);
+  expect(() => applyFunction('factorial', d('-1'))).toThrow(RangeError);
+  expect(() => applyFunction('factorial', d('2.5'))).toThrow(RangeError);
+});
+
+test('power is exact for integer exponents', () => {
+  expect(toDecimalString(power(d('2'), d('10')))).toBe('1024');
+  expect(toDecimalString(power(d('1.1'), d('2')))).toBe('1.21');
+  expect(toDecimalString(power(d('2'), d('-2')))).toBe('0.25');
+  expect(toDecimalString(power(d('9'), d('0.5')))).toBe('3');
+  expect(toDecimalString(power(d('2'), d('100')))).toBe('1267650600228229401496703205376');
+  expect(() => power(d('0'), d('-1'))).toThrow(RangeError);
+  expect(() => power(d('-8'), d('0.5'))).toThrow(RangeError);
+});
+
+test('constants and angle mode cycle', () => {
+  expect(toDecimalString(constantValue('pi', 4))).toBe('3.1416');
+  expect(toDecimalString(constantValue('e'))).toBe('2.7182818285');
+  expect(nextAngleMode('DEG')).toBe('RAD');
+  expect(nextAngleMode('RAD')).toBe('GRAD');
+  expect(nextAngleMode('GRAD')).toBe('DEG');
+});
+
+test('results beyond the exponent range overflow or underflow', () => {
+  expect(() => power(d('10'), d('10000'))).toThrow('Overflow');
+  expect(() => power(d('1e5000'), d('3'))).toThrow('Overflow');
+  expect(() => power(d('1e-5000'), d('3'))).toThrow('Underflow');
+  expect(() => power(d('1e5000'), d('-3'))).toThrow('Underflow');
+  expect(() => power(d('10'), d('10000.5'))).toThrow('Overflow');
+  expect(() => power(d('10'), d('-9999.5'))).toThrow('Underflow');
+  expect(() => power(d('1.5'), d('60000'))).toThrow('Overflow');
+  expect(() => applyFunction('factorial', d('1001'))).toThrow('Overflow');
+});
+
+test('results inside the exponent range are not reported as overflow', () => {
+  const pow = (base, exponent) => toDecimalString(power(d(base), d(exponent)));
+  expect(pow('10', '1001')).toBe(`1${'0'.repeat(1001)}`);
+  expect(pow('2', '1100')).toBe((2n ** 1100n).toString());
+  expect(magnitude(power(d('1.5'), d('2000')))).toBe(352);
+  expect(pow('1e400', '0.5')).toBe(`1${'0'.repeat(200)}`);
+  expect(magnitude(power(d('10'), d('9999.5')))).toBe(9999);
+  expect(magnitude(power(d('10'), d('-400.5')))).toBe(-401);
+  expect(magnitude(power(d('10'), d('-9998.5')))).toBe(-9999);
+  expect(isNegative(power(d('-1.5'), d('20001')))).toBe(true);
+  expect(fn('ln', '1e400')).toBe('921.0340371976');
+  expect(fn('log', '1e-400')).toBe('-400');
+  expect(fn('log', '1e9999')).toBe('9999');
+});
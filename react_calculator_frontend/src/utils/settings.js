@@ -0,0 +1,49 @@
+/**
+ * Calculator settings kept across visits: the modes that were on, angle unit, notation,
+ * programmer base and word size, and the converter units and currencies. Together with
+ * the memory registers and history this brings the calculator back as it was left when
+ * the installed app is relaunched or reloads for an update.
+ *
+ * Only the fields in SETTINGS_FIELDS (src/utils/engine.js) are stored; the engine checks
+ * them again when restoring, so a stale entry from an older version is harmless.
+ */
+import { SETTINGS_FIELDS } from './engine';
+import { defaultStorage, readJSON, writeJSON } from './storage';
+
+// localStorage key holding the saved settings object.
+export const SETTINGS_STORAGE_KEY = 'calculator.settings';
+
+// PUBLIC_INTERFACE
+export function pickSettings(state) {
+  /**
+   * The persisted part of a calculator state.
+   * @param {object} state - engine state
+   * @returns {object} SETTINGS_FIELDS and their values
+   */
+  const settings = {};
+  SETTINGS_FIELDS.forEach((key) => {
+    settings[key] = state[key];
+  });
+  return settings;
+}
+
+// PUBLIC_INTERFACE
+export function loadSettings(storage = defaultStorage()) {
+  /**
+   * Read the saved settings for createInitialState().
+   * @param {Storage|null} storage
+   * @returns {object|null} null when nothing usable is stored
+   */
+  const parsed = readJSON(SETTINGS_STORAGE_KEY, storage);
+  return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+}
+
+// PUBLIC_INTERFACE
+export function saveSettings(state, storage = defaultStorage()) {
+  /**
+   * Persist the settings of a calculator state; write failures are ignored.
+   * @param {object} state - engine state
+   * @param {Storage|null} storage
+   */
+  writeJSON(SETTINGS_STORAGE_KEY, pickSettings(state), storage);
+}
@@ -0,0 +1,28 @@
+import { createInitialState, reduce } from './engine';
+import { SETTINGS_STORAGE_KEY, loadSettings, pickSettings, saveSettings } from './settings';
+import { memoryStorage } from '../setupTests';
+
+test('settings round-trip through storage without the entry or history', () => {
+  let state = createInitialState();
+  ['digit', 'toggleScientificMode', 'cycleAngleMode'].forEach((type) => {
+    state = reduce(state, { type, payload: '7' });
+  });
+  const storage = memoryStorage();
+  saveSettings(state, storage);
+  const saved = loadSettings(storage);
+  expect(saved).toEqual(pickSettings(state));
+  expect(saved).not.toHaveProperty('currentInput');
+  expect(saved).not.toHaveProperty('memory');
+
+  const restored = createInitialState({ settings: saved });
+  expect(restored.scientificMode).toBe(true);
+  expect(restored.angleMode).toBe('RAD');
+  expect(restored.currentInput).toBe('0');
+});
+
+test('missing or corrupt settings load as null', () => {
+  expect(loadSettings(memoryStorage())).toBeNull();
+  expect(loadSettings(memoryStorage({ [SETTINGS_STORAGE_KEY]: '{oops' }))).toBeNull();
+  expect(loadSettings(memoryStorage({ [SETTINGS_STORAGE_KEY]: '[1, 2]' }))).toBeNull();
+  expect(loadSettings(null)).toBeNull();
+});
@@ -0,0 +1,180 @@
+/**
+ * Sharing: calculations in the URL and the embeddable calculator.
+ *
+ * The calculation in progress lives in the URL hash, so the address bar is always a
+ * link to it:
+ *
+ *   #prev=7&op=multiply&value=5   7 × 5, waiting for '='
+ *   #prev=7&op=multiply           7 ×, waiting for the second operand
+ *   #value=12.5                   a value on its own
+ *
+ * Values are canonical decimals (never locale-formatted) and operators have ASCII names,
+ * so links survive chat apps and mail clients. `?embed=1` renders only the calculator
+ * for iframes; it reports each completed calculation to the parent page with
+ * postMessage (see resultMessage()), to the origin named by `&origin=` or else the page that
+ * loaded it.
+ */
+import { parseDecimal } from './decimal';
+
+// Operator names used in links, and the engine operators they stand for.
+export const SHARE_OPERATORS = {
+  add: '+',
+  subtract: '−',
+  multiply: '×',
+  divide: '÷',
+  power: '^',
+  markup: 'MU',
+  margin: 'MG',
+  addTax: '+TAX',
+  removeTax: '−TAX',
+};
+
+// `type` of the messages an embedded calculator posts to its parent window.
+export const RESULT_MESSAGE_TYPE = 'calculator:result';
+
+// Longest value accepted from a link, in characters.
+export const MAX_SHARED_VALUE_LENGTH = 1000;
+
+/**
+ * Utility: Check a value read from a link.
+ * @param {string|null} value
+ * @returns {boolean}
+ */
+function isSharedValue(value) {
+  return (
+    typeof value === 'string' &&
+    value.length <= MAX_SHARED_VALUE_LENGTH &&
+    parseDecimal(value) !== null
+  );
+}
+
+/**
+ * Utility: Name of an engine operator in links.
+ * @param {string} operation - e.g. '×'
+ * @returns {string|undefined} e.g. 'multiply'; undefined for operators links cannot carry
+ */
+function operatorName(operation) {
+  return Object.keys(SHARE_OPERATORS).find((name) => SHARE_OPERATORS[name] === operation);
+}
+
+// PUBLIC_INTERFACE
+export function calculationToHash(state) {
+  /**
+   * Encode the calculation in progress as a URL hash.
+   * @param {object} state - engine state
+   * @returns {string} e.g. "#prev=7&op=multiply&value=5"; '' when there is nothing to
+   *   share: the initial 0, an error, or programmer, fraction, expression and date mode
+   *   entries, which links do not carry
+   */
+  const { previousValue, operation, overwrite, expressionMode, dateMode } = state;
+  if (state.programmerMode || state.fractionMode || expressionMode || dateMode) return '';
+  // An exponent still being typed ("1e-") is shared without it
+  const value = state.currentInput.replace(/e[+-]?$/, '');
+  if (!isSharedValue(value)) return '';
+  const params = new window.URLSearchParams();
+  const name = previousValue !== null && operatorName(operation);
+  if (name) {
+    params.set('prev', previousValue);
+    params.set('op', name);
+    // Right after the operator the display still shows the left operand
+    if (!overwrite) params.set('value', value);
+  } else if (value !== '0') {
+    params.set('value', value);
+  }
+  const query = params.toString();
+  return query ? `#${query}` : '';
+}
+
+// PUBLIC_INTERFACE
+export function parseCalculationHash(hash) {
+  /**
+   * Read a calculation from a URL hash written by calculationToHash().
+   * @param {string} hash - location.hash, with or without the leading '#'
+   * @returns {{previousValue: string|null, operation: string|null, currentInput: string|null}|null}
+   *   payload for the engine's 'loadCalculation' action (currentInput is null after a bare
+   *   operator); null when the hash holds no valid calculation
+   */
+  const params = new window.URLSearchParams(String(hash || '').replace(/^#/, ''));
+  const value = params.get('value');
+  const op = params.get('op');
+  if (op !== null || params.has('prev')) {
+    const operation = Object.prototype.hasOwnProperty.call(SHARE_OPERATORS, op)
+      ? SHARE_OPERATORS[op]
+      : null;
+    const previousValue = params.get('prev');
+    if (!operation || !isSharedValue(previousValue)) return null;
+    if (value !== null && !isSharedValue(value)) return null;
+    return { previousValue, operation, currentInput: value };
+  }
+  return isSharedValue(value) ? { previousValue: null, operation: null, currentInput: value } : null;
+}
+
+// PUBLIC_INTERFACE
+export function shareUrl(location, hash) {
+  /**
+   * Link to the full calculator showing a calculation; an embedded calculator links out
+   * of embed mode.
+   * @param {{origin: string, pathname: string, search: string}} location - window.location
+   * @param {string} hash - from calculationToHash()
+   * @returns {string}
+   */
+  const params = new window.URLSearchParams(location.search);
+  params.delete('embed');
+  params.delete('origin');
+  const query = params.toString();
+  return `${location.origin}${location.pathname}${query ? `?${query}` : ''}${hash}`;
+}
+
+// PUBLIC_INTERFACE
+export function isEmbedMode(search) {
+  /**
+   * Check the query string for embed mode.
+   * @param {string} search - location.search, e.g. "?embed=1"
+   * @returns {boolean}
+   */
+  return new window.URLSearchParams(search).get('embed') === '1';
+}
+
+/**
+ * Utility: Origin of an http(s) URL.
+ * @param {string} url
+ * @returns {string|null} null for other schemes and for text that is not a URL
+ */
+function httpOrigin(url) {
+  try {
+    const { protocol, origin } = new window.URL(url);
+    return protocol === 'https:' || protocol === 'http:' ? origin : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function embedTargetOrigin(search, referrer) {
+  /**
+   * Origin an embedded calculator posts its results to: the one named by `?origin=`,
+   * otherwise that of the page that loaded the iframe.
+   * @param {string} search - location.search, e.g. "?embed=1&origin=https://host.example"
+   * @param {string} referrer - document.referrer
+   * @returns {string|null} null when neither names an http(s) origin; nothing is posted then
+   */
+  const origin = new window.URLSearchParams(search).get('origin');
+  return origin !== null ? httpOrigin(origin) : httpOrigin(referrer);
+}
+
+// PUBLIC_INTERFACE
+export function resultMessage(entry) {
+  /**
+   * Message posted to the parent page for a completed calculation.
+   * @param {{expression: string, result: string, timestamp: number}} entry - history entry
+   * @returns {{type: string, expression: string, result: string, timestamp: number}}
+   *   result is a canonical decimal string, e.g. { type: 'calculator:result',
+   *   expression: '7 × 5', result: '35', timestamp: 1767225600000 }
+   */
+  return {
+    type: RESULT_MESSAGE_TYPE,
+    expression: entry.expression,
+    result: entry.result,
+    timestamp: entry.timestamp,
+  };
+}
@@ -0,0 +1,96 @@
+import { createInitialState, reduce } from './engine';
+import {
+  RESULT_MESSAGE_TYPE,
+  calculationToHash,
+  embedTargetOrigin,
+  isEmbedMode,
+  parseCalculationHash,
+  resultMessage,
+  shareUrl,
+} from './share';
+
+function press(actions) {
+  return actions.reduce((state, action) => reduce(state, action), createInitialState());
+}
+
+const digit = (payload) => ({ type: 'digit', payload });
+const operator = (payload) => ({ type: 'operator', payload });
+
+test('the calculation in progress is encoded with ASCII operator names', () => {
+  expect(calculationToHash(createInitialState())).toBe('');
+  expect(calculationToHash(press([digit('7'), operator('×')]))).toBe('#prev=7&op=multiply');
+  expect(calculationToHash(press([digit('7'), operator('×'), digit('5')]))).toBe(
+    '#prev=7&op=multiply&value=5'
+  );
+  expect(calculationToHash(press([digit('7'), operator('−TAX')]))).toBe('#prev=7&op=removeTax');
+  const negative = press([digit('1'), { type: 'decimal' }, digit('5'), { type: 'toggleSign' }]);
+  expect(calculationToHash(negative)).toBe('#value=-1.5');
+  expect(calculationToHash(press([digit('2'), { type: 'exponent' }, digit('3')]))).toBe(
+    '#value=2e%2B3'
+  );
+});
+
+test('errors, programmer, expression and date mode entries are not shared', () => {
+  const divideByZero = press([digit('8'), operator('÷'), digit('0'), { type: 'equals' }]);
+  expect(calculationToHash(divideByZero)).toBe('');
+  expect(calculationToHash(press([{ type: 'toggleProgrammerMode' }, digit('7')]))).toBe('');
+  expect(calculationToHash(press([{ type: 'toggleExpressionMode' }, digit('7')]))).toBe('');
+  expect(calculationToHash(press([{ type: 'toggleDateMode' }, digit('7')]))).toBe('');
+});
+
+test('hashes are read back and invalid ones rejected', () => {
+  expect(parseCalculationHash('#prev=7&op=multiply&value=5')).toEqual({
+    previousValue: '7',
+    operation: '×',
+    currentInput: '5',
+  });
+  expect(parseCalculationHash('prev=7&op=power')).toEqual({
+    previousValue: '7',
+    operation: '^',
+    currentInput: null,
+  });
+  expect(parseCalculationHash('#value=1e-7')).toEqual({
+    previousValue: null,
+    operation: null,
+    currentInput: '1e-7',
+  });
+  expect(parseCalculationHash('')).toBeNull();
+  expect(parseCalculationHash('#value=abc')).toBeNull();
+  expect(parseCalculationHash('#prev=7&op=modulo&value=5')).toBeNull();
+  expect(parseCalculationHash('#op=add&value=5')).toBeNull();
+  expect(parseCalculationHash('#prev=7&op=add&value=5x')).toBeNull();
+  expect(parseCalculationHash(`#value=${'9'.repeat(1001)}`)).toBeNull();
+});
+
+test('shared links open the full calculator', () => {
+  const location = { origin: 'https://calc.example', pathname: '/app/', search: '?embed=1&x=2' };
+  expect(shareUrl(location, '#value=5')).toBe('https://calc.example/app/?x=2#value=5');
+  expect(shareUrl({ ...location, search: '?embed=1' }, '')).toBe('https://calc.example/app/');
+  const embedded = { ...location, search: '?embed=1&origin=https://host.example' };
+  expect(shareUrl(embedded, '')).toBe('https://calc.example/app/');
+  expect(isEmbedMode('?embed=1')).toBe(true);
+  expect(isEmbedMode('?embed=0')).toBe(false);
+  expect(isEmbedMode('')).toBe(false);
+});
+
+test('embedded results go to the origin the embedder names, else to the embedding page', () => {
+  const referrer = 'https://blog.example/posts/1';
+  expect(embedTargetOrigin('?embed=1&origin=https://host.example/app', referrer)).toBe(
+    'https://host.example'
+  );
+  expect(embedTargetOrigin('?embed=1', referrer)).toBe('https://blog.example');
+  expect(embedTargetOrigin('?embed=1', '')).toBeNull();
+  // A bad origin is not replaced by the referrer's
+  expect(embedTargetOrigin('?embed=1&origin=*', referrer)).toBeNull();
+  expect(embedTargetOrigin('?embed=1&origin=javascript:alert(1)', referrer)).toBeNull();
+});
+
+test('result messages carry the expression and canonical result', () => {
+  const entry = { id: 'x', expression: '7 × 5', result: '35', timestamp: 1 };
+  expect(resultMessage(entry)).toEqual({
+    type: RESULT_MESSAGE_TYPE,
+    expression: '7 × 5',
+    result: '35',
+    timestamp: 1,
+  });
+});
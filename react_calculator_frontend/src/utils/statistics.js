@@ -0,0 +1,262 @@
+/**
+ * Statistics over a data list: summary values (count, sum, mean, median, mode, minimum,
+ * maximum, variance and standard deviation) and simple linear regression y = a·x + b.
+ *
+ * A data point is { x, y } with canonical decimal text; x is null for a plain value.
+ * Summaries describe the y values; regression pairs each y with its x, or with its
+ * position in the list (1, 2, ...) when no x was entered.
+ *
+ * Sums are exact, and each result is a single quotient of them, e.g. the population
+ * variance is (n·Σy² − (Σy)²) ÷ n², so only the last step rounds.
+ *
+ * Data lists are pasted as CSV: one value or one "x,y" pair per line (commas,
+ * semicolons or tabs between them); a header line is skipped.
+ *   x,y
+ *   1,2.5
+ *   2,4.1
+ */
+import {
+  DEFAULT_PRECISION,
+  add,
+  checkRange,
+  compare,
+  divide,
+  isZero,
+  multiply,
+  parseDecimal,
+  roundToPrecision,
+  sqrt,
+  subtract,
+  toDecimalString,
+} from './decimal';
+
+// Summary values in display order: [id, label].
+export const STATISTICS = [
+  ['count', 'Count (n)'],
+  ['sum', 'Sum (Σy)'],
+  ['mean', 'Mean (ȳ)'],
+  ['median', 'Median'],
+  ['mode', 'Mode'],
+  ['min', 'Minimum'],
+  ['max', 'Maximum'],
+  ['sampleStdDev', 'Sample std. dev. (s)'],
+  ['populationStdDev', 'Population std. dev. (σ)'],
+  ['sampleVariance', 'Sample variance (s²)'],
+  ['populationVariance', 'Population variance (σ²)'],
+];
+
+// Linear regression values in display order: [id, label].
+export const REGRESSION = [
+  ['slope', 'Slope (a)'],
+  ['intercept', 'Intercept (b)'],
+  ['correlation', 'Correlation (r)'],
+  ['determination', 'Determination (r²)'],
+];
+
+// Most data points a list holds.
+export const MAX_DATA_POINTS = 1000;
+
+// Extra decimal places carried through intermediate results.
+const GUARD_DIGITS = 10;
+
+// Separators between x and y in a pasted line or an edited point.
+const FIELD_SEPARATOR = /\s*[,;\t]\s*/;
+
+// PUBLIC_INTERFACE
+export class StatisticsError extends Error {
+  /**
+   * Error raised for statistics that have no answer and data lists that cannot be read.
+   * The message is user-facing.
+   * @param {string} message - descriptive message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'StatisticsError';
+  }
+}
+
+/**
+ * Utility: Decimals of the y values and of the x values (positions for plain values).
+ */
+function coordinates(points) {
+  return points.map((point, index) => ({
+    x: parseDecimal(point.x === null ? String(index + 1) : point.x),
+    y: parseDecimal(point.y),
+  }));
+}
+
+/**
+ * Utility: Sum of decimals.
+ */
+function sum(values) {
+  return values.reduce(add, parseDecimal('0'));
+}
+
+/**
+ * Utility: Format a result: rounded to precision, canonical text.
+ * @throws {RangeError} beyond ±MAX_EXPONENT
+ */
+function result(d, precision) {
+  return toDecimalString(roundToPrecision(checkRange(d), precision));
+}
+
+/**
+ * Utility: The most frequent values, smallest first; empty when no value repeats.
+ */
+function modes(sorted) {
+  const runs = [];
+  sorted.forEach((value) => {
+    const run = runs[runs.length - 1];
+    if (run && compare(run.value, value) === 0) run.count += 1;
+    else runs.push({ value, count: 1 });
+  });
+  const top = Math.max(...runs.map((run) => run.count));
+  return top > 1 ? runs.filter((run) => run.count === top).map((run) => run.value) : [];
+}
+
+// PUBLIC_INTERFACE
+export function summarize(points, precision = DEFAULT_PRECISION) {
+  /**
+   * Summary values of the y values in a data list (see STATISTICS).
+   * @param {Array<{x: string|null, y: string}>} points
+   * @param {number} [precision] - decimal places of the results
+   * @returns {object} canonical decimal text per STATISTICS id, e.g. for 2, 4, 4, 5:
+   *   { count: '4', sum: '15', mean: '3.75', median: '4', mode: ['4'], min: '2', max: '5',
+   *   sampleVariance: '1.5833333333', ... }; mode lists every most frequent value (none
+   *   when no value repeats) and the sample values are null below 2 points
+   * @throws {StatisticsError} for an empty list
+   * @throws {RangeError} when a result is out of range
+   */
+  if (!points.length) throw new StatisticsError('Add data points first');
+  const values = coordinates(points).map(({ y }) => y);
+  const n = parseDecimal(String(values.length));
+  const total = sum(values);
+  const sorted = [...values].sort(compare);
+  const middle = Math.floor(sorted.length / 2);
+  const median =
+    sorted.length % 2
+      ? sorted[middle]
+      : divide(add(sorted[middle - 1], sorted[middle]), parseDecimal('2'), precision);
+  // n·Σ(y − ȳ)² = n·Σy² − (Σy)², exactly
+  const squares = sum(values.map((y) => multiply(y, y)));
+  const spread = subtract(multiply(n, squares), multiply(total, total));
+  const work = precision + GUARD_DIGITS;
+  const variance = (divisor) => divide(spread, multiply(n, divisor), work);
+  const populationVariance = variance(n);
+  const sampleVariance = values.length > 1 ? variance(subtract(n, parseDecimal('1'))) : null;
+  return {
+    count: String(values.length),
+    sum: result(total, precision),
+    mean: result(divide(total, n, precision), precision),
+    median: result(median, precision),
+    mode: modes(sorted).map((value) => result(value, precision)),
+    min: result(sorted[0], precision),
+    max: result(sorted[sorted.length - 1], precision),
+    sampleStdDev: sampleVariance && result(sqrt(sampleVariance, precision), precision),
+    populationStdDev: result(sqrt(populationVariance, precision), precision),
+    sampleVariance: sampleVariance && result(sampleVariance, precision),
+    populationVariance: result(populationVariance, precision),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function linearRegression(points, precision = DEFAULT_PRECISION) {
+  /**
+   * Least-squares line y = a·x + b through a data list (see REGRESSION); plain values
+   * take their position in the list as x.
+   * @param {Array<{x: string|null, y: string}>} points
+   * @param {number} [precision] - decimal places of the results
+   * @returns {{slope: string, intercept: string, correlation: string|null,
+   *   determination: string|null}} canonical decimal text, e.g. for (1, 2), (2, 4), (3, 7):
+   *   { slope: '2.5', intercept: '-0.6666666667', correlation: '0.9933992678', ... };
+   *   r and r² are null when all y values are equal
+   * @throws {StatisticsError} with fewer than 2 points or a single x value
+   * @throws {RangeError} when a result is out of range
+   */
+  if (points.length < 2) throw new StatisticsError('Regression needs at least 2 data points');
+  const data = coordinates(points);
+  const n = parseDecimal(String(data.length));
+  const sumX = sum(data.map(({ x }) => x));
+  const sumY = sum(data.map(({ y }) => y));
+  // n times the sums of squares and products about the means, exactly
+  const spread = (products, a, b) => subtract(multiply(n, sum(products)), multiply(a, b));
+  const sxx = spread(data.map(({ x }) => multiply(x, x)), sumX, sumX);
+  const syy = spread(data.map(({ y }) => multiply(y, y)), sumY, sumY);
+  const sxy = spread(data.map(({ x, y }) => multiply(x, y)), sumX, sumY);
+  if (isZero(sxx)) throw new StatisticsError('Regression needs at least 2 different x values');
+  const work = precision + GUARD_DIGITS;
+  const slope = divide(sxy, sxx, work);
+  const intercept = divide(subtract(sumY, multiply(slope, sumX)), n, work);
+  let correlation = null;
+  let determination = null;
+  if (!isZero(syy)) {
+    correlation = result(divide(sxy, sqrt(multiply(sxx, syy), work), work), precision);
+    determination = result(divide(multiply(sxy, sxy), multiply(sxx, syy), work), precision);
+  }
+  return {
+    slope: result(slope, precision),
+    intercept: result(intercept, precision),
+    correlation,
+    determination,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function parseDataPoint(text) {
+  /**
+   * Read one data point: a value ("4.5") or an x,y pair ("2, 4.5"; also with ';' or a tab).
+   * @param {string} text
+   * @returns {{x: string|null, y: string}|null} canonical decimal text; null when the text
+   *   is not a value or a pair
+   */
+  const fields = String(text).trim().split(FIELD_SEPARATOR);
+  if (fields.length > 2) return null;
+  const numbers = fields.map((field) => parseDecimal(field));
+  if (numbers.some((number) => !number)) return null;
+  const [first, second] = numbers.map(toDecimalString);
+  return numbers.length === 2 ? { x: first, y: second } : { x: null, y: first };
+}
+
+// PUBLIC_INTERFACE
+export function formatDataPoint(point) {
+  /**
+   * Text of a data point as parseDataPoint() reads it: "4.5" or "2, 4.5".
+   * @param {{x: string|null, y: string}} point
+   * @returns {string}
+   */
+  return point.x === null ? point.y : `${point.x}, ${point.y}`;
+}
+
+// PUBLIC_INTERFACE
+export function parseDataList(text) {
+  /**
+   * Read a pasted data list (see the module comment).
+   * @param {string} text
+   * @returns {Array<{x: string|null, y: string}>} in the order given
+   * @throws {StatisticsError} naming the first line that is not a value or a pair, or when
+   *   there are more than MAX_DATA_POINTS
+   */
+  const points = [];
+  let headerAllowed = true;
+  String(text)
+    .split(/\r?\n/)
+    .forEach((line, index) => {
+      if (!line.trim()) return;
+      const point = parseDataPoint(line);
+      // The first line may name the columns ("x,y", "Month;Sales")
+      const isHeader =
+        headerAllowed && line.split(FIELD_SEPARATOR).every((field) => !parseDecimal(field.trim()));
+      headerAllowed = false;
+      if (isHeader) return;
+      if (!point) {
+        throw new StatisticsError(
+          `Line ${index + 1}: '${line.trim()}' is not a value or an x,y pair`
+        );
+      }
+      points.push(point);
+    });
+  if (points.length > MAX_DATA_POINTS) {
+    throw new StatisticsError(`At most ${MAX_DATA_POINTS} data points are allowed`);
+  }
+  return points;
+}
@@ -0,0 +1,78 @@
+import {
+  MAX_DATA_POINTS,
+  StatisticsError,
+  formatDataPoint,
+  linearRegression,
+  parseDataList,
+  parseDataPoint,
+  summarize,
+} from './statistics';
+
+const values = (...ys) => ys.map((y) => ({ x: null, y }));
+
+test('summary values of a data list', () => {
+  expect(summarize(values('2', '4', '4', '5'))).toEqual({
+    count: '4',
+    sum: '15',
+    mean: '3.75',
+    median: '4',
+    mode: ['4'],
+    min: '2',
+    max: '5',
+    sampleStdDev: '1.2583057392',
+    populationStdDev: '1.0897247359',
+    sampleVariance: '1.5833333333',
+    populationVariance: '1.1875',
+  });
+  expect(summarize(values('3', '1', '2', '1', '3'))).toMatchObject({
+    median: '2',
+    mode: ['1', '3'],
+  });
+  expect(summarize(values('0.1', '0.2'))).toMatchObject({ sum: '0.3', mean: '0.15', mode: [] });
+  expect(summarize(values('7'))).toMatchObject({
+    median: '7',
+    sampleVariance: null,
+    sampleStdDev: null,
+    populationVariance: '0',
+  });
+  expect(() => summarize([])).toThrow(StatisticsError);
+});
+
+test('linear regression over x,y pairs and positions', () => {
+  const pairs = [
+    { x: '1', y: '2' },
+    { x: '2', y: '4' },
+    { x: '3', y: '7' },
+  ];
+  expect(linearRegression(pairs)).toEqual({
+    slope: '2.5',
+    intercept: '-0.6666666667',
+    correlation: '0.9933992678',
+    determination: '0.9868421053',
+  });
+  // Plain values are paired with their position
+  expect(linearRegression(values('2', '4', '7'))).toEqual(linearRegression(pairs));
+  expect(linearRegression(values('5', '5'))).toMatchObject({ slope: '0', correlation: null });
+  expect(() => linearRegression(values('1'))).toThrow('Regression needs at least 2 data points');
+  expect(() => linearRegression([pairs[0], { x: '1', y: '3' }])).toThrow(
+    'Regression needs at least 2 different x values'
+  );
+});
+
+test('data points and pasted lists', () => {
+  expect(parseDataPoint(' 4.50 ')).toEqual({ x: null, y: '4.5' });
+  expect(parseDataPoint('2; -1e3')).toEqual({ x: '2', y: '-1000' });
+  expect(parseDataPoint('1, 2, 3')).toBeNull();
+  expect(parseDataPoint('abc')).toBeNull();
+  expect(formatDataPoint({ x: '2', y: '4.5' })).toBe('2, 4.5');
+
+  expect(parseDataList('x,y\r\n1,2.5\n\n2\t4.1\n7')).toEqual([
+    { x: '1', y: '2.5' },
+    { x: '2', y: '4.1' },
+    { x: null, y: '7' },
+  ]);
+  expect(() => parseDataList('1\ntwo')).toThrow("Line 2: 'two' is not a value or an x,y pair");
+  expect(() => parseDataList('1\n'.repeat(MAX_DATA_POINTS + 1))).toThrow(
+    `At most ${MAX_DATA_POINTS} data points are allowed`
+  );
+});
@@ -0,0 +1,53 @@
+/**
+ * Best-effort JSON persistence on top of localStorage.
+ *
+ * Storage may be missing (tests, SSR), disabled (privacy mode) or full; every
+ * helper here degrades to "nothing stored" instead of throwing.
+ */
+
+// PUBLIC_INTERFACE
+export function defaultStorage() {
+  /**
+   * Resolve window.localStorage, tolerating environments without it.
+   * @returns {Storage|null}
+   */
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (err) {
+    // Access can throw when storage is disabled (e.g. privacy mode).
+    return null;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function readJSON(key, storage = defaultStorage()) {
+  /**
+   * Read and parse a JSON value.
+   * @param {string} key
+   * @param {Storage|null} storage
+   * @returns {any} the parsed value, or undefined when missing, corrupt or unavailable
+   */
+  if (!storage) return undefined;
+  try {
+    const raw = storage.getItem(key);
+    return raw === null || raw === undefined ? undefined : JSON.parse(raw);
+  } catch (err) {
+    return undefined;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function writeJSON(key, value, storage = defaultStorage()) {
+  /**
+   * Serialize and store a value; write failures (quota, disabled storage) are ignored.
+   * @param {string} key
+   * @param {any} value
+   * @param {Storage|null} storage
+   */
+  if (!storage) return;
+  try {
+    storage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    // Persistence is best-effort; the in-memory state still works.
+  }
+}
@@ -0,0 +1,212 @@
+/**
+ * Colour themes: light, dark and high contrast, the OS preference by default, and a
+ * user-defined palette that can be exported and imported as JSON.
+ *
+ * The built-in palettes live in src/index.css and are selected with the data-theme
+ * attribute on <html> (no attribute follows prefers-color-scheme / prefers-contrast);
+ * a custom palette is set as inline CSS variables. public/index.html repeats
+ * applyTheme() in a small inline script so the saved choice is in place before the
+ * first paint — keep the two in step.
+ *
+ * Palette JSON: { "colors": { "bg": "#101820", "text": "#F2AA4C", ... } }
+ */
+import { defaultStorage, readJSON, writeJSON } from './storage';
+
+// localStorage key holding { mode, palette }.
+export const THEME_STORAGE_KEY = 'calculator.theme';
+
+// Largest palette file accepted for import, in characters.
+export const MAX_PALETTE_LENGTH = 10000;
+
+// Theme choices in selector order: [mode, label].
+export const THEME_MODES = [
+  ['system', 'System'],
+  ['light', 'Light'],
+  ['dark', 'Dark'],
+  ['contrast', 'High contrast'],
+  ['custom', 'Custom'],
+];
+
+// Palette colours in editor order: [key, label]. Each key is the CSS variable --color-<key>.
+export const PALETTE_COLORS = [
+  ['bg', 'Background'],
+  ['surface', 'Surface'],
+  ['text', 'Text'],
+  ['primary', 'Primary'],
+  ['secondary', 'Secondary'],
+  ['success', 'Equals'],
+  ['error', 'Error'],
+];
+
+// Palettes of the built-in themes (mirrors src/index.css).
+export const BUILT_IN_PALETTES = {
+  light: {
+    bg: '#FFFFFF',
+    surface: '#F9FAFB',
+    text: '#111827',
+    primary: '#374151',
+    secondary: '#9CA3AF',
+    success: '#10B981',
+    error: '#EF4444',
+  },
+  dark: {
+    bg: '#111827',
+    surface: '#1F2937',
+    text: '#F9FAFB',
+    primary: '#E5E7EB',
+    secondary: '#9CA3AF',
+    success: '#34D399',
+    error: '#F87171',
+  },
+  contrast: {
+    bg: '#000000',
+    surface: '#000000',
+    text: '#FFFFFF',
+    primary: '#FFFF00',
+    secondary: '#FFFFFF',
+    success: '#00FF66',
+    error: '#FF8080',
+  },
+};
+
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// PUBLIC_INTERFACE
+export class PaletteError extends Error {
+  /**
+   * Error raised for palette files that cannot be imported.
+   * The message is user-facing and shown under the display.
+   * @param {string} message - descriptive message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'PaletteError';
+  }
+}
+
+// PUBLIC_INTERFACE
+export function isHexColor(value) {
+  /** True for '#rgb' and '#rrggbb' colours. */
+  return typeof value === 'string' && HEX_COLOR.test(value);
+}
+
+/**
+ * Utility: Expand a hex colour to upper-case '#RRGGBB' (the form colour inputs use).
+ * @param {string} value - '#rgb' or '#rrggbb'
+ * @returns {string}
+ */
+function normalizeColor(value) {
+  const hex = value.slice(1);
+  const full = hex.length === 3 ? hex.replace(/./g, (c) => c + c) : hex;
+  return `#${full.toUpperCase()}`;
+}
+
+/**
+ * Utility: Check whether a colour is dark (relative luminance below one half), so
+ * native controls and scrollbars can use their dark style.
+ * @param {string} value - '#RRGGBB'
+ * @returns {boolean}
+ */
+function isDarkColor(value) {
+  const [r, g, b] = [1, 3, 5].map((i) => parseInt(value.slice(i, i + 2), 16) / 255);
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b < 0.5;
+}
+
+// PUBLIC_INTERFACE
+export function parsePalette(text) {
+  /**
+   * Parse an imported palette. Colours missing from the file keep the light theme's
+   * values; unknown keys are ignored.
+   * @param {string} text - palette JSON, { colors: {...} } or the bare colour object
+   * @returns {Object<string, string>} complete palette with '#RRGGBB' colours
+   * @throws {PaletteError} with a user-facing message
+   */
+  const trimmed = String(text || '').trim();
+  if (!trimmed) throw new PaletteError('Palette file is empty');
+  if (trimmed.length > MAX_PALETTE_LENGTH) throw new PaletteError('Palette file is too large');
+  let data;
+  try {
+    data = JSON.parse(trimmed);
+  } catch (err) {
+    throw new PaletteError('Not valid JSON');
+  }
+  const colors = data && typeof data === 'object' && data.colors ? data.colors : data;
+  if (!colors || typeof colors !== 'object' || Array.isArray(colors)) {
+    throw new PaletteError('Palette needs a "colors" object');
+  }
+  const palette = { ...BUILT_IN_PALETTES.light };
+  let found = 0;
+  PALETTE_COLORS.forEach(([key]) => {
+    if (!Object.prototype.hasOwnProperty.call(colors, key)) return;
+    if (!isHexColor(colors[key])) {
+      throw new PaletteError(`Invalid colour for "${key}" (use #RRGGBB)`);
+    }
+    palette[key] = normalizeColor(colors[key]);
+    found += 1;
+  });
+  if (found === 0) throw new PaletteError('Palette has none of the theme colours');
+  return palette;
+}
+
+// PUBLIC_INTERFACE
+export function paletteToJSON(palette) {
+  /**
+   * Serialize a palette for export; parsePalette() reads it back.
+   * @param {Object<string, string>} palette
+   * @returns {string} pretty-printed JSON
+   */
+  const colors = {};
+  PALETTE_COLORS.forEach(([key]) => {
+    colors[key] = palette[key];
+  });
+  return JSON.stringify({ colors }, null, 2);
+}
+
+// PUBLIC_INTERFACE
+export function applyTheme(settings, root = document.documentElement) {
+  /**
+   * Apply a theme to the page: data-theme for the built-in themes (removed for
+   * "system"), inline CSS variables for a custom palette.
+   * @param {{mode: string, palette: Object<string, string>}} settings
+   * @param {HTMLElement} [root] - element carrying the theme variables
+   */
+  const custom = settings.mode === 'custom';
+  PALETTE_COLORS.forEach(([key]) => {
+    if (custom) root.style.setProperty(`--color-${key}`, settings.palette[key]);
+    else root.style.removeProperty(`--color-${key}`);
+  });
+  root.style.colorScheme = custom && isDarkColor(settings.palette.bg) ? 'dark' : '';
+  if (settings.mode === 'system') root.removeAttribute('data-theme');
+  else root.setAttribute('data-theme', settings.mode);
+}
+
+// PUBLIC_INTERFACE
+export function loadThemeSettings(storage = defaultStorage()) {
+  /**
+   * Read the persisted theme choice.
+   * @param {Storage|null} storage
+   * @returns {{mode: string, palette: Object<string, string>}} "system" with the light
+   *   palette as the custom starting point when nothing (or something invalid) is stored
+   */
+  const stored = readJSON(THEME_STORAGE_KEY, storage);
+  const valid = stored && THEME_MODES.some(([mode]) => mode === stored.mode);
+  let palette = BUILT_IN_PALETTES.light;
+  if (valid && stored.palette) {
+    try {
+      palette = parsePalette(JSON.stringify(stored.palette));
+    } catch (err) {
+      if (!(err instanceof PaletteError)) throw err;
+    }
+  }
+  return { mode: valid ? stored.mode : 'system', palette };
+}
+
+// PUBLIC_INTERFACE
+export function saveThemeSettings(settings, storage = defaultStorage()) {
+  /**
+   * Persist the theme choice and the custom palette.
+   * @param {{mode: string, palette: Object<string, string>}} settings
+   * @param {Storage|null} storage
+   */
+  writeJSON(THEME_STORAGE_KEY, { mode: settings.mode, palette: settings.palette }, storage);
+}
@@ -0,0 +1,58 @@
+import {
+  BUILT_IN_PALETTES,
+  PaletteError,
+  THEME_STORAGE_KEY,
+  applyTheme,
+  loadThemeSettings,
+  paletteToJSON,
+  parsePalette,
+  saveThemeSettings,
+} from './theme';
+import { memoryStorage } from '../setupTests';
+
+test('palettes round-trip through JSON export', () => {
+  const exported = paletteToJSON(BUILT_IN_PALETTES.dark);
+  expect(JSON.parse(exported).colors.bg).toBe('#111827');
+  expect(parsePalette(exported)).toEqual(BUILT_IN_PALETTES.dark);
+});
+
+test('imported palettes are normalized and completed from the light theme', () => {
+  const palette = parsePalette('{"bg":"#000","text":"#ffcc00","shadow":"red"}');
+  expect(palette).toEqual({ ...BUILT_IN_PALETTES.light, bg: '#000000', text: '#FFCC00' });
+});
+
+test('invalid palettes are rejected with a message', () => {
+  expect(() => parsePalette('')).toThrow('Palette file is empty');
+  expect(() => parsePalette('{bg}')).toThrow('Not valid JSON');
+  expect(() => parsePalette('[1]')).toThrow('Palette needs a "colors" object');
+  expect(() => parsePalette('{"colors":{"bg":"red"}}')).toThrow('Invalid colour for "bg"');
+  expect(() => parsePalette('{"colors":{"shadow":"#fff"}}')).toThrow(PaletteError);
+});
+
+test('applyTheme sets data-theme, or inline variables for a custom palette', () => {
+  const root = document.createElement('div');
+  applyTheme({ mode: 'dark', palette: BUILT_IN_PALETTES.light }, root);
+  expect(root.getAttribute('data-theme')).toBe('dark');
+  expect(root.style.getPropertyValue('--color-bg')).toBe('');
+
+  applyTheme({ mode: 'custom', palette: BUILT_IN_PALETTES.contrast }, root);
+  expect(root.getAttribute('data-theme')).toBe('custom');
+  expect(root.style.getPropertyValue('--color-primary')).toBe('#FFFF00');
+
+  applyTheme({ mode: 'system', palette: BUILT_IN_PALETTES.contrast }, root);
+  expect(root.hasAttribute('data-theme')).toBe(false);
+  expect(root.style.getPropertyValue('--color-primary')).toBe('');
+});
+
+test('theme settings persist and fall back to the system theme', () => {
+  const storage = memoryStorage();
+  expect(loadThemeSettings(storage)).toEqual({ mode: 'system', palette: BUILT_IN_PALETTES.light });
+  const palette = { ...BUILT_IN_PALETTES.light, bg: '#223344' };
+  saveThemeSettings({ mode: 'custom', palette }, storage);
+  expect(loadThemeSettings(storage)).toEqual({ mode: 'custom', palette });
+
+  const corrupt = memoryStorage({ [THEME_STORAGE_KEY]: '{"mode":"neon","palette":{"bg":1}}' });
+  expect(loadThemeSettings(corrupt).mode).toBe('system');
+  const badPalette = memoryStorage({ [THEME_STORAGE_KEY]: '{"mode":"dark","palette":{"bg":1}}' });
+  expect(loadThemeSettings(badPalette)).toEqual({ mode: 'dark', palette: BUILT_IN_PALETTES.light });
+});
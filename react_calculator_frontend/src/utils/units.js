@@ -0,0 +1,182 @@
+/**
+ * Unit conversion: an offline factor table and exact decimal conversion between units.
+ *
+ * Every unit is defined against its category's base unit (metre, kilogram, kelvin,
+ * litre, byte, second) as base = (value + offset) × factor. Factors are exact decimal
+ * strings, or "a/b" fractions where the ratio has no finite decimal (°F); offsets make
+ * the affine temperature scales work. Conversions divide only once, so results are
+ * exact whenever the ratio allows and otherwise rounded to the calculator's precision.
+ */
+import {
+  DEFAULT_PRECISION,
+  add,
+  checkRange,
+  divide,
+  multiply,
+  parseDecimal,
+  roundToPrecision,
+  subtract,
+  toDecimalString,
+} from './decimal';
+
+// Categories in picker order. Units: [id, label, factor to the base unit, offset?].
+const CATEGORY_TABLE = [
+  {
+    id: 'length',
+    label: 'Length',
+    defaults: ['m', 'ft'],
+    units: [
+      ['mm', 'Millimetres (mm)', '0.001'],
+      ['cm', 'Centimetres (cm)', '0.01'],
+      ['m', 'Metres (m)', '1'],
+      ['km', 'Kilometres (km)', '1000'],
+      ['in', 'Inches (in)', '0.0254'],
+      ['ft', 'Feet (ft)', '0.3048'],
+      ['yd', 'Yards (yd)', '0.9144'],
+      ['mi', 'Miles (mi)', '1609.344'],
+      ['nmi', 'Nautical miles (nmi)', '1852'],
+    ],
+  },
+  {
+    id: 'mass',
+    label: 'Mass',
+    defaults: ['kg', 'lb'],
+    units: [
+      ['mg', 'Milligrams (mg)', '0.000001'],
+      ['g', 'Grams (g)', '0.001'],
+      ['kg', 'Kilograms (kg)', '1'],
+      ['t', 'Tonnes (t)', '1000'],
+      ['oz', 'Ounces (oz)', '0.028349523125'],
+      ['lb', 'Pounds (lb)', '0.45359237'],
+      ['st', 'Stones (st)', '6.35029318'],
+    ],
+  },
+  {
+    id: 'temperature',
+    label: 'Temperature',
+    defaults: ['C', 'F'],
+    units: [
+      ['C', 'Celsius (°C)', '1', '273.15'],
+      ['F', 'Fahrenheit (°F)', '5/9', '459.67'],
+      ['K', 'Kelvin (K)', '1'],
+    ],
+  },
+  {
+    id: 'volume',
+    label: 'Volume',
+    defaults: ['L', 'galUS'],
+    units: [
+      ['mL', 'Millilitres (mL)', '0.001'],
+      ['L', 'Litres (L)', '1'],
+      ['m3', 'Cubic metres (m³)', '1000'],
+      ['tsp', 'Teaspoons (US)', '0.00492892159375'],
+      ['tbsp', 'Tablespoons (US)', '0.01478676478125'],
+      ['floz', 'Fluid ounces (US)', '0.0295735295625'],
+      ['cup', 'Cups (US)', '0.2365882365'],
+      ['pt', 'Pints (US)', '0.473176473'],
+      ['qt', 'Quarts (US)', '0.946352946'],
+      ['galUS', 'Gallons (US)', '3.785411784'],
+      ['galUK', 'Gallons (UK)', '4.54609'],
+    ],
+  },
+  {
+    id: 'data',
+    label: 'Data size',
+    defaults: ['MB', 'MiB'],
+    units: [
+      ['bit', 'Bits', '0.125'],
+      ['B', 'Bytes (B)', '1'],
+      ['kB', 'Kilobytes (kB)', '1000'],
+      ['MB', 'Megabytes (MB)', '1000000'],
+      ['GB', 'Gigabytes (GB)', '1000000000'],
+      ['TB', 'Terabytes (TB)', '1000000000000'],
+      ['KiB', 'Kibibytes (KiB)', '1024'],
+      ['MiB', 'Mebibytes (MiB)', '1048576'],
+      ['GiB', 'Gibibytes (GiB)', '1073741824'],
+      ['TiB', 'Tebibytes (TiB)', '1099511627776'],
+    ],
+  },
+  {
+    id: 'time',
+    label: 'Time',
+    defaults: ['h', 'min'],
+    units: [
+      ['ms', 'Milliseconds (ms)', '0.001'],
+      ['s', 'Seconds (s)', '1'],
+      ['min', 'Minutes (min)', '60'],
+      ['h', 'Hours (h)', '3600'],
+      ['d', 'Days (d)', '86400'],
+      ['wk', 'Weeks (wk)', '604800'],
+      ['yr', 'Years (365.25 d)', '31557600'],
+    ],
+  },
+];
+
+/**
+ * Utility: Read a factor written as a decimal or an "a/b" fraction.
+ * @param {string} text
+ * @returns {{num: object, den: object}} decimals
+ */
+function parseFactor(text) {
+  const [num, den = '1'] = text.split('/');
+  return { num: parseDecimal(num), den: parseDecimal(den) };
+}
+
+// Categories with parsed units: { id, label, defaults, units: [{ id, label, num, den, offset }] }.
+export const UNIT_CATEGORIES = CATEGORY_TABLE.map(({ id, label, defaults, units }) => ({
+  id,
+  label,
+  defaults,
+  units: units.map(([unitId, unitLabel, factor, offset = '0']) => ({
+    id: unitId,
+    label: unitLabel,
+    ...parseFactor(factor),
+    offset: parseDecimal(offset),
+  })),
+}));
+
+// PUBLIC_INTERFACE
+export function findCategory(categoryId) {
+  /**
+   * Look up a unit category.
+   * @param {string} categoryId - e.g. "length"
+   * @returns {object|null}
+   */
+  return UNIT_CATEGORIES.find((c) => c.id === categoryId) || null;
+}
+
+// PUBLIC_INTERFACE
+export function findUnit(categoryId, unitId) {
+  /**
+   * Look up a unit within a category.
+   * @param {string} categoryId - e.g. "temperature"
+   * @param {string} unitId - e.g. "F"
+   * @returns {object|null}
+   */
+  const category = findCategory(categoryId);
+  return (category && category.units.find((u) => u.id === unitId)) || null;
+}
+
+// PUBLIC_INTERFACE
+export function convertUnit(value, categoryId, fromId, toId, precision = DEFAULT_PRECISION) {
+  /**
+   * Convert a value between two units of the same category:
+   * result = (value + from.offset) × from.factor ÷ to.factor − to.offset.
+   * @param {string|object} value - decimal text (e.g. the current entry) or decimal
+   * @param {string} categoryId
+   * @param {string} fromId
+   * @param {string} toId
+   * @param {number} [precision] - decimal places kept (significant digits below 0.1)
+   * @returns {string|null} canonical decimal text; null for unknown units or non-numbers
+   * @throws {RangeError} OVERFLOW/UNDERFLOW when the result is out of range
+   */
+  const from = findUnit(categoryId, fromId);
+  const to = findUnit(categoryId, toId);
+  const dec = parseDecimal(value);
+  if (!from || !to || !dec) return null;
+  if (from === to) return toDecimalString(dec);
+  const numerator = multiply(multiply(add(dec, from.offset), from.num), to.den);
+  const denominator = multiply(from.den, to.num);
+  const result = subtract(divide(numerator, denominator, precision), to.offset);
+  return toDecimalString(checkRange(roundToPrecision(result, precision)));
+}
@@ -0,0 +1,39 @@
+import { UNIT_CATEGORIES, convertUnit, findCategory, findUnit } from './units';
+
+test('every category has unique units and valid defaults', () => {
+  UNIT_CATEGORIES.forEach((category) => {
+    const ids = category.units.map((u) => u.id);
+    expect(new Set(ids).size).toBe(ids.length);
+    category.defaults.forEach((id) => expect(findUnit(category.id, id)).not.toBeNull());
+  });
+  expect(findCategory('length').label).toBe('Length');
+  expect(findCategory('nope')).toBeNull();
+});
+
+test('linear conversions are exact where the factors allow', () => {
+  expect(convertUnit('1', 'length', 'mi', 'km')).toBe('1.609344');
+  expect(convertUnit('12', 'length', 'in', 'ft')).toBe('1');
+  expect(convertUnit('1', 'length', 'm', 'ft')).toBe('3.280839895');
+  expect(convertUnit('2', 'mass', 'lb', 'kg')).toBe('0.90718474');
+  expect(convertUnit('1', 'volume', 'galUS', 'L')).toBe('3.785411784');
+  expect(convertUnit('1', 'data', 'GiB', 'MiB')).toBe('1024');
+  expect(convertUnit('8', 'data', 'bit', 'B')).toBe('1');
+  expect(convertUnit('1.5', 'time', 'h', 'min')).toBe('90');
+});
+
+test('temperatures convert with offsets', () => {
+  expect(convertUnit('100', 'temperature', 'C', 'F')).toBe('212');
+  expect(convertUnit('-40', 'temperature', 'C', 'F')).toBe('-40');
+  expect(convertUnit('32', 'temperature', 'F', 'C')).toBe('0');
+  expect(convertUnit('98.6', 'temperature', 'F', 'C')).toBe('37');
+  expect(convertUnit('0', 'temperature', 'K', 'C')).toBe('-273.15');
+  expect(convertUnit('0', 'temperature', 'F', 'K')).toBe('255.3722222222');
+});
+
+test('tiny results keep significant digits and bad input yields null', () => {
+  expect(convertUnit('1', 'length', 'mm', 'mi')).toBe('0.0000006213711922');
+  expect(convertUnit('1', 'length', 'mm', 'mi', 4)).toBe('0.0000006214');
+  expect(convertUnit('abc', 'length', 'm', 'ft')).toBeNull();
+  expect(convertUnit('1', 'length', 'm', 'kg')).toBeNull();
+  expect(convertUnit('1.50', 'mass', 'kg', 'kg')).toBe('1.5');
+});
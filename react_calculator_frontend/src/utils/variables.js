@@ -0,0 +1,227 @@
+/**
+ * User variables and functions ("definitions"), persisted to localStorage.
+ *
+ * `rate = 0.0725` defines a variable: its value is worked out once, when it is defined.
+ * `tax(x) = x × rate` defines a function: the body is kept as expression text and
+ * evaluated on every call, so it sees the variables as they are then. Variables and
+ * functions share one set of names; defining a name again replaces it in place. `ans`
+ * always holds the last result and is supplied by the engine.
+ */
+import { checkRange, parseDecimal, roundToPrecision, toDecimalString } from './decimal';
+import {
+  BUILTIN_CONSTANTS,
+  BUILTIN_FUNCTIONS,
+  ExpressionError,
+  evaluate,
+  parse,
+  tokenize,
+} from './expression';
+import { defaultStorage, readJSON, writeJSON } from './storage';
+
+// localStorage key holding the serialized definitions.
+export const VARIABLES_STORAGE_KEY = 'calculator.variables';
+
+// Most variables and functions kept.
+export const MAX_DEFINITIONS = 50;
+
+// Longest accepted variable, function or parameter name.
+export const MAX_NAME_LENGTH = 24;
+
+// Name bound to the last result; it cannot be defined.
+export const ANSWER_NAME = 'ans';
+
+// "tax(x, y) = body" or "rate = body": [, name, parameter list, body].
+const DEFINITION_PATTERN = /^\s*([A-Za-z_]\w*)\s*(?:\(([^()]*)\))?\s*=(.*)$/;
+
+// A whole name, as in the expression syntax.
+const NAME_PATTERN = /^[A-Za-z_]\w*$/;
+
+/**
+ * Utility: Check that a parsed value looks like a definition.
+ * @param {any} definition
+ * @returns {boolean}
+ */
+function isValidDefinition(definition) {
+  if (definition === null || typeof definition !== 'object') return false;
+  const { name, params, body, value } = definition;
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name) || name === ANSWER_NAME) return false;
+  if (typeof body !== 'string') return false;
+  if (params === null) return typeof value === 'string' && parseDecimal(value) !== null;
+  return Array.isArray(params) && params.every((p) => typeof p === 'string');
+}
+
+/**
+ * Utility: Reject names that cannot be defined.
+ * @throws {ExpressionError}
+ */
+function checkName(name) {
+  if (name === ANSWER_NAME) {
+    throw new ExpressionError(`'${ANSWER_NAME}' is reserved for the last result`);
+  }
+  if (BUILTIN_FUNCTIONS.includes(name) || BUILTIN_CONSTANTS.includes(name)) {
+    throw new ExpressionError(`'${name}' is built in`);
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    throw new ExpressionError(`Names can be at most ${MAX_NAME_LENGTH} characters long`);
+  }
+}
+
+/**
+ * Utility: Names of the functions an AST calls.
+ * @returns {string[]}
+ */
+function calledNames(ast) {
+  switch (ast.type) {
+    case 'call':
+      return [ast.name, ...ast.args.flatMap(calledNames)];
+    case 'unary':
+      return calledNames(ast.operand);
+    case 'binary':
+      return [...calledNames(ast.left), ...calledNames(ast.right)];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Utility: A chain of calls from `path[0]` back to itself, following the function bodies
+ * depth first.
+ * @param {object} functions - { params, body } by name
+ * @param {string[]} path - the functions called so far, starting with the one checked
+ * @returns {string[]|null} e.g. ['f', 'g', 'f']; null when there is none
+ */
+function findRecursion(functions, path) {
+  const fn = functions[path[path.length - 1]];
+  for (const name of calledNames(parse(tokenize(fn.body)))) {
+    if (name === path[0]) return [...path, name];
+    if (Object.prototype.hasOwnProperty.call(functions, name) && !path.includes(name)) {
+      const cycle = findRecursion(functions, [...path, name]);
+      if (cycle) return cycle;
+    }
+  }
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export function parseDefinition(text) {
+  /**
+   * Split definition text into its parts. The body is not checked here.
+   * @param {string} text - e.g. "tax(x) = x × rate" or "rate = 0.0725"
+   * @returns {{name: string, params: string[]|null, body: string}|null} params is null for
+   *   a variable; null when the text is not a definition (no name and '=' in front, or
+   *   nothing after the '=', as in a pasted "a =")
+   * @throws {ExpressionError} for a reserved or too long name and for invalid or repeated
+   *   parameters
+   */
+  const match = DEFINITION_PATTERN.exec(String(text));
+  if (!match || !match[3].trim()) return null;
+  const [, name, list, body] = match;
+  checkName(name);
+  let params = null;
+  if (list !== undefined) {
+    params = list.trim() ? list.split(/[,;]/).map((param) => param.trim()) : [];
+    params.forEach((param, index) => {
+      if (!NAME_PATTERN.test(param)) throw new ExpressionError(`Invalid parameter '${param}'`);
+      checkName(param);
+      if (params.indexOf(param) !== index) {
+        throw new ExpressionError(`Parameter '${param}' is repeated`);
+      }
+    });
+  }
+  return { name, params, body: body.trim() };
+}
+
+// PUBLIC_INTERFACE
+export function formatDefinition({ name, params, body }) {
+  /**
+   * Write a definition the way it is typed.
+   * @param {{name: string, params: string[]|null, body: string}} definition
+   * @returns {string} e.g. "tax(x) = x × rate"
+   */
+  return params === null ? `${name} = ${body}` : `${name}(${params.join(', ')}) = ${body}`;
+}
+
+// PUBLIC_INTERFACE
+export function definitionScope(definitions, ans = '0') {
+  /**
+   * The variables and functions expressions may use, with `ans` bound to the last result.
+   * @param {Array<{name: string, params: string[]|null, body: string, value?: string}>}
+   *   definitions
+   * @param {string} [ans] - the last result, canonical decimal text
+   * @returns {{variables: object, functions: object}} options for evaluateExpression() in
+   *   src/utils/expression.js
+   */
+  const variables = { [ANSWER_NAME]: parseDecimal(ans) || parseDecimal('0') };
+  const functions = {};
+  definitions.forEach(({ name, params, body, value }) => {
+    if (params === null) variables[name] = parseDecimal(value);
+    else functions[name] = { params, body };
+  });
+  return { variables, functions };
+}
+
+// PUBLIC_INTERFACE
+export function defineName(definitions, text, { precision, angleMode, ans = '0' } = {}) {
+  /**
+   * Add a definition, or replace the one with the same name. A variable's value is
+   * evaluated with the current definitions and rounded like results; a function's body
+   * is only checked for syntax and recursion, so it may use names defined later.
+   * @param {Array} definitions - current definitions, oldest first
+   * @param {string} text - definition text (see parseDefinition) with canonical numbers
+   * @param {{precision?: number, angleMode?: string, ans?: string}} options - decimal
+   *   places of results, the unit of trigonometric functions and the last result
+   * @returns {Array} new definitions array; variables are { name, params: null, body,
+   *   value } and functions { name, params, body }, bodies as canonical token text
+   * @throws {ExpressionError} for text that is not a valid definition, unknown names in a
+   *   variable's value, a function that calls itself (through others too) and more than
+   *   MAX_DEFINITIONS definitions
+   * @throws {RangeError} when a variable's value is out of range
+   */
+  const definition = parseDefinition(text);
+  if (!definition) {
+    throw new ExpressionError('Definitions look like rate = 0.0725 or f(x) = x × 2');
+  }
+  const { name, params } = definition;
+  const tokens = tokenize(definition.body);
+  const ast = parse(tokens);
+  const body = tokens.map((token) => token.value).join(' ');
+  let entry;
+  if (params === null) {
+    const value = evaluate(ast, { precision, angleMode, ...definitionScope(definitions, ans) });
+    const rounded = checkRange(roundToPrecision(value, precision));
+    entry = { name, params, body, value: toDecimalString(rounded) };
+  } else {
+    entry = { name, params, body };
+    const { functions } = definitionScope([...definitions.filter((d) => d.name !== name), entry]);
+    const cycle = findRecursion(functions, [name]);
+    if (cycle) throw new ExpressionError(`Recursion: ${cycle.join(' → ')}`);
+  }
+  const index = definitions.findIndex((d) => d.name === name);
+  if (index >= 0) return definitions.map((d, i) => (i === index ? entry : d));
+  if (definitions.length >= MAX_DEFINITIONS) {
+    throw new ExpressionError(`At most ${MAX_DEFINITIONS} variables and functions can be defined`);
+  }
+  return [...definitions, entry];
+}
+
+// PUBLIC_INTERFACE
+export function loadDefinitions(storage = defaultStorage()) {
+  /**
+   * Read persisted definitions; missing, corrupt or unavailable storage yields [].
+   * @param {Storage|null} storage
+   * @returns {Array}
+   */
+  const parsed = readJSON(VARIABLES_STORAGE_KEY, storage);
+  if (!Array.isArray(parsed)) return [];
+  return parsed.filter(isValidDefinition).slice(0, MAX_DEFINITIONS);
+}
+
+// PUBLIC_INTERFACE
+export function saveDefinitions(definitions, storage = defaultStorage()) {
+  /**
+   * Persist definitions; write failures are ignored.
+   * @param {Array} definitions
+   * @param {Storage|null} storage
+   */
+  writeJSON(VARIABLES_STORAGE_KEY, definitions, storage);
+}
@@ -0,0 +1,76 @@
+import {
+  MAX_DEFINITIONS,
+  VARIABLES_STORAGE_KEY,
+  defineName,
+  definitionScope,
+  formatDefinition,
+  loadDefinitions,
+  parseDefinition,
+  saveDefinitions,
+} from './variables';
+import { memoryStorage } from '../setupTests';
+
+test('definitions are split into a name, parameters and a body', () => {
+  expect(parseDefinition(' rate = 0.0725 ')).toEqual({
+    name: 'rate',
+    params: null,
+    body: '0.0725',
+  });
+  expect(parseDefinition('fee(a; b)= a + b')).toEqual({
+    name: 'fee',
+    params: ['a', 'b'],
+    body: 'a + b',
+  });
+  expect(parseDefinition('two() = 2').params).toEqual([]);
+  // Not definitions: expressions and a trailing '='
+  expect(parseDefinition('2 + 3 = 5')).toBeNull();
+  expect(parseDefinition('rate =')).toBeNull();
+  expect(() => parseDefinition('ans = 1')).toThrow("'ans' is reserved for the last result");
+  expect(() => parseDefinition('sin(x) = x')).toThrow("'sin' is built in");
+  expect(() => parseDefinition('f(pi) = pi')).toThrow("'pi' is built in");
+  expect(() => parseDefinition('f(x, x) = x')).toThrow("Parameter 'x' is repeated");
+  expect(() => parseDefinition('f(1) = 2')).toThrow("Invalid parameter '1'");
+  expect(formatDefinition({ name: 'fee', params: ['a', 'b'], body: 'a + b' })).toBe(
+    'fee(a, b) = a + b'
+  );
+});
+
+test('variables are evaluated when defined, functions when called', () => {
+  let definitions = defineName([], 'rate = 1 ÷ 3', { precision: 4 });
+  expect(definitions).toEqual([{ name: 'rate', params: null, body: '1 ÷ 3', value: '0.3333' }]);
+  definitions = defineName(definitions, 'tax(x) = x × rate');
+  definitions = defineName(definitions, 'rate = ans + 1', { ans: '2' });
+  expect(definitions.map((d) => d.name)).toEqual(['rate', 'tax']);
+  expect(definitionScope(definitions, '5')).toEqual({
+    variables: { ans: { coef: 5n, scale: 0 }, rate: { coef: 3n, scale: 0 } },
+    functions: { tax: { params: ['x'], body: 'x × rate' } },
+  });
+  expect(() => defineName(definitions, 'total = price × 2')).toThrow("Unknown name 'price'");
+  expect(() => defineName(definitions, 'f(x) = f(x − 1)')).toThrow('Recursion: f → f');
+  expect(() => defineName(definitions, 'rate = 10 ^ 10000')).toThrow('Overflow');
+  expect(() => defineName(definitions, '2 + 2')).toThrow('Definitions look like');
+
+  const full = Array.from({ length: MAX_DEFINITIONS }, (_, i) => ({
+    name: `v${i}`,
+    params: null,
+    body: '1',
+    value: '1',
+  }));
+  expect(() => defineName(full, 'w = 1')).toThrow(`At most ${MAX_DEFINITIONS}`);
+  expect(defineName(full, 'v0 = 2')[0].value).toBe('2');
+});
+
+test('definitions persist and invalid stored entries are dropped', () => {
+  const storage = memoryStorage();
+  const store = storage.data;
+  const definitions = defineName([], 'f(x) = x + 1');
+  saveDefinitions(definitions, storage);
+  expect(loadDefinitions(storage)).toEqual(definitions);
+  store[VARIABLES_STORAGE_KEY] = JSON.stringify([
+    { name: 'ans', params: null, body: '1', value: '1' },
+    { name: 'a', params: null, body: '1', value: 'x' },
+    { name: 'b', params: null, body: '2', value: '2' },
+  ]);
+  expect(loadDefinitions(storage).map((d) => d.name)).toEqual(['b']);
+  expect(loadDefinitions(null)).toEqual([]);
+});